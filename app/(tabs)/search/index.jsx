@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
 import {
   View,
   Text,
@@ -13,8 +13,16 @@ import { Ionicons } from "@expo/vector-icons";
 import { useTheme } from "../../../utils/themeContext";
 import ScreenHeader from "../../../components/ScreenHeader";
 import FilterChips from "../../../components/FilterChips";
+import VoiceSearchBanner from "../../../components/VoiceSearchBanner";
 import { useRouter } from "expo-router";
 import usePageStorage from "../../../hooks/usePageStorage";
+import usePageSearch from "../../../hooks/usePageSearch";
+import useVoiceSearch from "../../../hooks/useVoiceSearch";
+import {
+  parseSearchQuery,
+  describeSearchClause,
+  removeSearchClause,
+} from "../../../utils/searchUtils";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useAuth } from "../../../contexts/AuthContext";
 
@@ -34,6 +42,15 @@ export default function SearchScreen() {
 
   // Get page storage functionality
   const { pages, loading, loadPages } = usePageStorage(user?.id);
+  const { search } = usePageSearch(user?.id, pages);
+  const {
+    isRecording,
+    recordingDuration,
+    isInterpreting,
+    spokenQuery,
+    toggleVoiceSearch,
+    clearSpokenQuery,
+  } = useVoiceSearch(pages, setSearchQuery);
 
   // Load recent searches from storage on component mount
   useEffect(() => {
@@ -108,56 +125,12 @@ export default function SearchScreen() {
           await loadPages();
         }
 
-        const query = searchQuery.toLowerCase().trim();
-        const results = pages.filter((page) => {
-          // Parse content JSON if it exists
-          let pageContent = "";
-          try {
-            if (page.contentJson) {
-              const contentObj = JSON.parse(page.contentJson);
-              pageContent = extractTextFromContent(contentObj);
-            }
-          } catch (error) {
-            console.error("Error parsing page content:", error);
-          }
-
-          // Search based on active filter
-          if (activeFilter === "all" || activeFilter === "title") {
-            if (page.title?.toLowerCase().includes(query)) return true;
-          }
-
-          if (activeFilter === "all" || activeFilter === "content") {
-            if (pageContent.toLowerCase().includes(query)) return true;
-          }
-
-          return false;
-        });
-
-        // Sort results by relevance and recency
-        const sortedResults = results.sort((a, b) => {
-          // First prioritize exact title matches
-          const aExactTitle = a.title?.toLowerCase() === query;
-          const bExactTitle = b.title?.toLowerCase() === query;
-
-          if (aExactTitle && !bExactTitle) return -1;
-          if (!aExactTitle && bExactTitle) return 1;
-
-          // Then prioritize title contains
-          const aTitleMatch = a.title?.toLowerCase().includes(query);
-          const bTitleMatch = b.title?.toLowerCase().includes(query);
-
-          if (aTitleMatch && !bTitleMatch) return -1;
-          if (!aTitleMatch && bTitleMatch) return 1;
-
-          // Finally sort by recency
-          return b.updatedAt - a.updatedAt;
-        });
-
-        setSearchResults(sortedResults);
+        const results = await search(searchQuery, { field: activeFilter });
+        setSearchResults(results);
 
         // Save to recent searches if we have results
-        if (sortedResults.length > 0) {
-          saveRecentSearch(query);
+        if (results.length > 0) {
+          saveRecentSearch(searchQuery.trim());
         }
       } catch (error) {
         console.error("Error performing search:", error);
@@ -169,37 +142,39 @@ export default function SearchScreen() {
     // Debounce search to avoid excessive processing
     const debounceTimer = setTimeout(performSearch, 300);
     return () => clearTimeout(debounceTimer);
-  }, [searchQuery, activeFilter, pages, loadPages, saveRecentSearch, user]);
-
-  // Extract text content from page content JSON
-  const extractTextFromContent = (contentArray) => {
-    if (!Array.isArray(contentArray)) return "";
-
-    let textContent = "";
-
-    const processBlock = (block) => {
-      if (block.content && Array.isArray(block.content)) {
-        block.content.forEach((item) => {
-          if (item.type === "text" && item.text) {
-            textContent += item.text + " ";
-          }
-        });
-      }
-
-      if (block.children && Array.isArray(block.children)) {
-        block.children.forEach((child) => processBlock(child));
-      }
-    };
-
-    contentArray.forEach((block) => processBlock(block));
-    return textContent;
-  };
+  }, [
+    searchQuery,
+    activeFilter,
+    pages,
+    loadPages,
+    saveRecentSearch,
+    search,
+    user,
+  ]);
+
+  // Phrases, exclusions and filters typed into the query, shown as chips
+  const queryClauses = useMemo(
+    () => parseSearchQuery(searchQuery).clauses,
+    [searchQuery]
+  );
+  const queryFilterChips = queryClauses.map((clause) => ({
+    id: String(clause.start),
+    name: describeSearchClause(clause),
+  }));
 
   // Handle filter change
   const handleFilterChange = (filterId) => {
     setActiveFilter(filterId);
   };
 
+  // Remove a typed filter from the query when its chip is tapped
+  const handleRemoveQueryFilter = (chipId) => {
+    const clause = queryClauses.find((item) => String(item.start) === chipId);
+    if (clause) {
+      setSearchQuery(removeSearchClause(searchQuery, clause));
+    }
+  };
+
   // Handle selecting a recent search
   const handleRecentSearchSelect = (search) => {
     setSearchQuery(search);
@@ -208,11 +183,14 @@ export default function SearchScreen() {
   // Clear search
   const handleClearSearch = () => {
     setSearchQuery("");
+    clearSpokenQuery();
   };
 
-  // Navigate to a page
-  const handlePagePress = (pageId) => {
-    router.push(`/note/${pageId}`);
+  // Navigate to a page, scrolling to the matched block if there is one
+  const handlePagePress = (pageId, blockId) => {
+    router.push(
+      blockId ? `/note/${pageId}?blockId=${blockId}` : `/note/${pageId}`
+    );
   };
 
   // Clear all recent searches
@@ -270,25 +248,10 @@ export default function SearchScreen() {
   // Render a search result item with highlighted matches
   const renderSearchResultItem = useCallback(
     ({ item }) => {
-      // Get a preview of the content with highlighted match
-      let contentPreview = "";
-      try {
-        if (item.contentJson) {
-          const contentObj = JSON.parse(item.contentJson);
-          contentPreview = extractTextFromContent(contentObj);
-        }
-      } catch (error) {
-        contentPreview = "Error loading content";
-      }
-
-      // Truncate content preview
-      contentPreview =
-        contentPreview.length > 100
-          ? contentPreview.substring(0, 100) + "..."
-          : contentPreview;
+      const { page, titleHighlights, snippet } = item;
 
       // Format date
-      const formattedDate = formatDate(item.updatedAt);
+      const formattedDate = formatDate(page.updatedAt);
 
       return (
         <TouchableOpacity
@@ -296,24 +259,26 @@ export default function SearchScreen() {
             styles.resultItem,
             { backgroundColor: theme.card.background },
           ]}
-          onPress={() => handlePagePress(item.id)}
+          onPress={() => handlePagePress(page.id, snippet?.blockId)}
         >
           <View style={styles.resultHeader}>
-            <Text style={[styles.resultIcon]}>{item.icon || "📄"}</Text>
+            <Text style={[styles.resultIcon]}>{page.icon || "📄"}</Text>
             <Text
               style={[styles.resultTitle, { color: theme.text }]}
               numberOfLines={1}
             >
-              {highlightMatch(item.title, searchQuery)}
+              {renderHighlights(page.title, titleHighlights)}
             </Text>
           </View>
 
-          <Text
-            style={[styles.resultPreview, { color: theme.secondaryText }]}
-            numberOfLines={2}
-          >
-            {highlightMatch(contentPreview, searchQuery)}
-          </Text>
+          {snippet && (
+            <Text
+              style={[styles.resultPreview, { color: theme.secondaryText }]}
+              numberOfLines={2}
+            >
+              {renderHighlights(snippet.text, snippet.highlights)}
+            </Text>
+          )}
 
           <View style={styles.resultFooter}>
             <Text style={[styles.resultDate, { color: theme.tertiaryText }]}>
@@ -336,7 +301,7 @@ export default function SearchScreen() {
         </TouchableOpacity>
       );
     },
-    [searchQuery, theme, handlePagePress]
+    [theme, handlePagePress]
   );
 
   // Format date for display
@@ -362,14 +327,16 @@ export default function SearchScreen() {
     }
   };
 
-  // Highlight matching text
-  const highlightMatch = (text, query) => {
-    if (!text || !query || query.trim() === "") return text;
+  // Highlight the matched words returned by the search index
+  const renderHighlights = (text, ranges) => {
+    if (!text || !ranges || ranges.length === 0) return text;
 
-    const parts = text.split(new RegExp(`(${query})`, "gi"));
+    const parts = [];
+    let position = 0;
 
-    return parts.map((part, index) =>
-      part.toLowerCase() === query.toLowerCase() ? (
+    ranges.forEach(([start, end], index) => {
+      if (start > position) parts.push(text.slice(position, start));
+      parts.push(
         <Text
           key={index}
           style={[
@@ -377,18 +344,28 @@ export default function SearchScreen() {
             { backgroundColor: theme.primary + "40" },
           ]}
         >
-          {part}
+          {text.slice(start, end)}
         </Text>
-      ) : (
-        part
-      )
-    );
+      );
+      position = end;
+    });
+
+    if (position < text.length) parts.push(text.slice(position));
+    return parts;
   };
 
   // Right button for header - voice search
   const headerRight = (
-    <TouchableOpacity style={styles.headerButton}>
-      <Ionicons name="mic-outline" size={24} color={theme.text} />
+    <TouchableOpacity
+      style={styles.headerButton}
+      onPress={toggleVoiceSearch}
+      disabled={isInterpreting}
+    >
+      <Ionicons
+        name={isRecording ? "stop-circle" : "mic-outline"}
+        size={24}
+        color={isRecording ? theme.error : theme.text}
+      />
     </TouchableOpacity>
   );
 
@@ -450,7 +427,7 @@ export default function SearchScreen() {
           />
           <TextInput
             style={[styles.searchInput, { color: theme.text }]}
-            placeholder="Search notes..."
+            placeholder="Search notes or try tag:meeting"
             placeholderTextColor={theme.tertiaryText}
             value={searchQuery}
             onChangeText={setSearchQuery}
@@ -464,12 +441,23 @@ export default function SearchScreen() {
         </View>
       </View>
 
+      <VoiceSearchBanner
+        isRecording={isRecording}
+        recordingDuration={recordingDuration}
+        isInterpreting={isInterpreting}
+        spokenQuery={spokenQuery}
+        onStop={toggleVoiceSearch}
+        onDismiss={clearSpokenQuery}
+      />
+
       {searchQuery.length > 0 && (
         <>
           <FilterChips
             filters={searchFilters}
             activeFilter={activeFilter}
             onFilterChange={handleFilterChange}
+            removableFilters={queryFilterChips}
+            onRemoveFilter={handleRemoveQueryFilter}
           />
 
           {isSearching ? (
@@ -484,7 +472,7 @@ export default function SearchScreen() {
           ) : (
             <FlatList
               data={searchResults}
-              keyExtractor={(item) => item.id}
+              keyExtractor={(item) => item.page.id}
               renderItem={renderSearchResultItem}
               contentContainerStyle={styles.resultsList}
               removeClippedSubviews={false}
@@ -11,6 +11,7 @@ import { GestureHandlerRootView } from "react-native-gesture-handler";
 import ToastManager from "../components/ToastManager";
 import { AuthProvider } from "../contexts/AuthContext";
 import { ModalProvider, useModal } from "../contexts/ModalContext";
+import { removeOrphanedRecordings } from "../services/longTranscription";
 
 // Prevent the splash screen from auto-hiding
 SplashScreen.preventAutoHideAsync();
@@ -97,6 +98,11 @@ export default function RootLayout() {
     // Add any custom fonts here
   });
 
+  // Clear out recordings left behind by long transcriptions
+  useEffect(() => {
+    removeOrphanedRecordings();
+  }, []);
+
   const onLayoutRootView = useCallback(async () => {
     if (fontsLoaded) {
       // Hide splash screen
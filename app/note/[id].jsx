@@ -15,9 +15,18 @@ import useEditorContent from "../../hooks/useEditorContent";
 import Toast from "react-native-toast-message";
 import { useAuth } from "../../contexts/AuthContext";
 import { updateNote } from "../../services/noteService";
+import { REMOTE_CHANGE_TYPES } from "../../services/notesRealtime";
+import { exportPageAsMarkdown } from "../../services/markdownService";
+import {
+  exportPageAsHtml,
+  exportPageAsPdf,
+} from "../../services/exportService";
+import { askWorkspace } from "../../services/workspaceQA";
+import { getRecordingUrl } from "../../services/recordingStorage";
 
 // Import utility functions
 import { validateBlockFormat } from "../../utils/blockOperations";
+import { mergeBlocks, resolveConflicts } from "../../utils/mergeUtils";
 import {
   sanitizeContentBlocks,
   insertContentDirectly,
@@ -36,7 +45,14 @@ import {
   handleCreatePageCommand,
   handleApplyFormattingCommand,
   handleModifyBlockCommand,
+  handleCompoundCommand,
+  handleMoveBlockCommand,
+  handleMoveToPageCommand,
+  handleCreateMeetingNotesCommand,
+  handleNavigateCommand,
 } from "../../utils/voiceCommandHandlers";
+import { validateVoiceCommand } from "../../utils/voiceCommandSchema";
+import { chooseTarget } from "../../utils/targetChoice";
 
 // Import components
 import {
@@ -48,6 +64,10 @@ import PageHeader from "../../components/note/PageHeader";
 import VoiceRecorder from "../../components/note/VoiceRecorder";
 import IconPicker from "../../components/note/IconPicker";
 import PageManager from "../../components/note/PageManager";
+import ConflictResolver from "../../components/note/ConflictResolver";
+import ExportMenu, {
+  EXPORT_FORMATS,
+} from "../../components/note/ExportMenu";
 
 /**
  * NoteScreen component - Displays and manages a single note
@@ -55,7 +75,7 @@ import PageManager from "../../components/note/PageManager";
 const NoteScreen = () => {
   // Router and navigation
   const router = useRouter();
-  const { id } = useLocalSearchParams();
+  const { id, blockId } = useLocalSearchParams();
   const pageId = id;
 
   // Theme and insets
@@ -75,8 +95,12 @@ const NoteScreen = () => {
 
   // Page storage
   const {
+    pages: allPages,
     loading: isLoading,
     error,
+    conflicts,
+    clearConflict,
+    remoteChange,
     getPageById,
     savePage: storageSavePage,
     deletePage: storageDeletePage,
@@ -89,11 +113,17 @@ const NoteScreen = () => {
   const [title, setTitle] = useState("");
   const [icon, setIcon] = useState("📄");
   const [showIconPicker, setShowIconPicker] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
   const [nestedPages, setNestedPages] = useState([]);
   const [isKeyboardVisible, setIsKeyboardVisible] = useState(false);
   const [keyboardHeight, setKeyboardHeight] = useState(0);
   const [multilineTitle, setMultilineTitle] = useState(false);
 
+  // Changes to this page that clash with edits from another device
+  const conflict = (currentPage && conflicts[currentPage.id]) || null;
+  // Command waiting for the user to pick one of several matching blocks
+  const [targetChoice, setTargetChoice] = useState(null);
+
   // Refs
   const saveTimer = useRef(null);
 
@@ -120,6 +150,7 @@ const NoteScreen = () => {
     editorRef,
     handleContentChange,
     handleSave,
+    applyRemotePage,
     lastMajorChange,
     setLastMajorChange,
   } = useEditorContent(
@@ -165,6 +196,55 @@ const NoteScreen = () => {
     }
   }, [currentPage, loadNestedPages]);
 
+  // Follow changes made to this page on other devices
+  useEffect(() => {
+    if (!remoteChange || !currentPage) return;
+    if (remoteChange.noteId !== currentPage.id) return;
+
+    if (remoteChange.type === REMOTE_CHANGE_TYPES.DELETE) {
+      Toast.show({
+        type: "info",
+        text1: "Page Deleted",
+        text2: "This page was deleted on another device.",
+        visibilityTime: 3000,
+      });
+      router.replace("/home");
+      return;
+    }
+
+    const applied = applyRemotePage(remoteChange.note);
+    if (applied) {
+      // Only follow the remote title/icon if they weren't edited here
+      if (title === currentPage.title) {
+        setTitle(remoteChange.note.title || "");
+      }
+      if (icon === currentPage.icon) {
+        setIcon(remoteChange.note.icon || "📄");
+      }
+    }
+    // Only react to new realtime events
+  }, [remoteChange]);
+
+  // Scroll to the block a search result pointed at once the editor is ready
+  useEffect(() => {
+    if (!blockId || !currentPage || currentPage.id !== pageId) return;
+
+    let attempts = 0;
+    let timer;
+
+    const tryScroll = async () => {
+      attempts++;
+      const scrolled =
+        editorRef.current && (await editorRef.current.scrollToBlock(blockId));
+      if (!scrolled && attempts < 5) {
+        timer = setTimeout(tryScroll, 500);
+      }
+    };
+
+    timer = setTimeout(tryScroll, 500);
+    return () => clearTimeout(timer);
+  }, [blockId, pageId, currentPage?.id]);
+
   // Keyboard listeners
   useEffect(() => {
     const keyboardDidShowListener = Keyboard.addListener(
@@ -360,6 +440,85 @@ const NoteScreen = () => {
     [storageDeletePage, router]
   );
 
+  // Answer a question from every page, citing the pages it came from
+  const handleAskWorkspace = useCallback(
+    (question) => {
+      // Use what's in the editor for the open page, saved or not
+      const content = editorContent || initialContent;
+      const pages = allPages.map((page) =>
+        currentPage && page.id === currentPage.id && content
+          ? { ...page, title, contentJson: JSON.stringify(content) }
+          : page
+      );
+
+      return askWorkspace(user?.id, question, pages);
+    },
+    [allPages, currentPage, editorContent, initialContent, title, user]
+  );
+
+  // Cursor and selection, for voice commands like "make this a heading" or
+  // "make the selected text bold"
+  const getSelectionContext = useCallback(async () => {
+    if (!editorRef.current || !editorRef.current.getSelectionContext) {
+      return null;
+    }
+
+    try {
+      const selection = await editorRef.current.getSelectionContext();
+      return selection && typeof selection === "object" ? selection : null;
+    } catch (error) {
+      console.error("Error getting editor selection:", error);
+      return null;
+    }
+  }, []);
+
+  // Export the page in the format picked from the export menu
+  const handleExport = useCallback(
+    async (format) => {
+      setShowExportMenu(false);
+      if (!currentPage || !user) return;
+
+      // Make sure the latest edits are part of the export
+      await handleSave();
+
+      let result;
+      switch (format) {
+        case EXPORT_FORMATS.PDF:
+          result = await exportPageAsPdf(
+            user.id,
+            currentPage.id,
+            theme,
+            isDark
+          );
+          break;
+        case EXPORT_FORMATS.HTML:
+          result = await exportPageAsHtml(
+            user.id,
+            currentPage.id,
+            theme,
+            isDark
+          );
+          break;
+        default:
+          result = await exportPageAsMarkdown(user.id, currentPage.id, {
+            includeDescendants: format === EXPORT_FORMATS.MARKDOWN_TREE,
+          });
+          break;
+      }
+
+      if (!result.success) {
+        Toast.show({
+          type: "error",
+          text1: "Export Failed",
+          text2: result.error,
+          position: "bottom",
+          visibilityTime: 3000,
+        });
+      }
+    },
+    [currentPage, user, handleSave, theme, isDark]
+  );
+
   // Handle undo
   const handleUndoWrapper = useCallback(() => {
     handleUndo(
@@ -426,9 +585,85 @@ const NoteScreen = () => {
     setLastMajorChange,
   ]);
 
+  // Resolve blocks that were edited both here and on another device
+  const handleResolveConflict = useCallback(
+    async (resolutions) => {
+      if (!conflict || !currentPage) return;
+
+      try {
+        setIsSaving(true);
+
+        // Re-merge against the latest local content so edits made while the
+        // dialog was open are kept
+        const { merged, conflicts } = mergeBlocks(
+          conflict.base,
+          editorContent || initialContent || [],
+          conflict.remote.content
+        );
+        const resolvedContent = resolveConflicts(
+          merged,
+          conflicts,
+          resolutions
+        );
+
+        const savedPage = await storageSavePage({
+          ...currentPage,
+          title: title || currentPage.title,
+          icon: icon || currentPage.icon,
+          contentJson: JSON.stringify(resolvedContent),
+          revision: conflict.remoteRevision,
+          updatedAt: Date.now(),
+        });
+
+        const savedContent = JSON.parse(savedPage.contentJson);
+        setCurrentPage(savedPage);
+        setEditorContent(savedContent);
+        setInitialContent(savedContent);
+
+        if (editorRef.current && editorRef.current.setContent) {
+          editorRef.current.setContent(savedContent);
+        }
+
+        Toast.show({
+          type: "success",
+          text1: "Conflicts Resolved",
+          text2: "Your page is up to date with the other device.",
+          visibilityTime: 2000,
+        });
+      } catch (error) {
+        console.error("Error resolving conflict:", error);
+        if (!error.conflict) {
+          Toast.show({
+            type: "error",
+            text1: "Error",
+            text2: "Failed to save the resolved page. Please try again.",
+            position: "bottom",
+            visibilityTime: 3000,
+          });
+        }
+      } finally {
+        setIsSaving(false);
+      }
+    },
+    [
+      conflict,
+      currentPage,
+      editorContent,
+      initialContent,
+      title,
+      icon,
+      storageSavePage,
+      setCurrentPage,
+      setEditorContent,
+      setInitialContent,
+      editorRef,
+      setIsSaving,
+    ]
+  );
+
   // Insert transcription directly into the editor
   const insertTranscriptionDirectly = useCallback(
-    (transcriptionData, isRawText = false) => {
+    (transcriptionData, isRawText = false, insertAfterBlockId = null) => {
       return insertContentDirectly(
         transcriptionData,
         isRawText,
@@ -443,7 +678,8 @@ const NoteScreen = () => {
         setCurrentPage,
         setIsSaving,
         createParagraphBlock,
-        validateBlockFormat
+        validateBlockFormat,
+        insertAfterBlockId
       );
     },
     [
@@ -461,6 +697,32 @@ const NoteScreen = () => {
     ]
   );
 
+  // Number the blocks an ambiguous command could mean and wait for a pick
+  const handleAmbiguousTarget = useCallback(
+    (commandResult, candidateBlockIds) => {
+      setTargetChoice({ commandResult, candidateBlockIds });
+      if (editorRef.current?.showTargetChoices) {
+        editorRef.current.showTargetChoices(candidateBlockIds);
+      }
+
+      Toast.show({
+        type: "info",
+        text1: "Which One?",
+        text2: 'Tap a numbered block or say "the second one"',
+        visibilityTime: 4000,
+      });
+    },
+    [editorRef]
+  );
+
+  // Drop the numbers once a block is picked or the choice is cancelled
+  const clearTargetChoice = useCallback(() => {
+    setTargetChoice(null);
+    if (editorRef.current?.clearTargetChoices) {
+      editorRef.current.clearTargetChoices();
+    }
+  }, [editorRef]);
+
   // Handle voice command processing
   const handleCommandProcessed = useCallback(
     async (commandResult) => {
@@ -475,8 +737,27 @@ const NoteScreen = () => {
         return;
       }
 
+      // Handlers trust the shape of what they're given, so anything that
+      // doesn't match its action's schema is turned away here
+      const validation = validateVoiceCommand(commandResult);
+      if (!validation.success) {
+        console.error("Malformed command result:", validation.error.message);
+        Toast.show({
+          type: "error",
+          text1: "Command Error",
+          text2: `Invalid ${validation.error.field || "command"}`,
+          visibilityTime: 2000,
+        });
+        return;
+      }
+
       console.log("Processing command:", commandResult.action);
 
+      // A new command replaces one that was waiting for a pick
+      if (targetChoice) {
+        clearTargetChoice();
+      }
+
       try {
         switch (commandResult.action) {
           case "INSERT_CONTENT":
@@ -517,7 +798,54 @@ const NoteScreen = () => {
             );
             break;
 
+          case "MOVE_TO_PAGE":
+            await handleMoveToPageCommand(
+              commandResult,
+              editorContent,
+              initialContent,
+              editorRef,
+              setEditorContent,
+              setInitialContent,
+              currentPage,
+              storageSavePage,
+              setCurrentPage,
+              setForceRefresh,
+              setIsSaving,
+              setUndoStack,
+              setRedoStack,
+              setLastMajorChange,
+              createNewPage,
+              loadNestedPages
+            );
+            break;
+
+          case "CREATE_MEETING_NOTES":
+            await handleCreateMeetingNotesCommand(
+              commandResult,
+              currentPage,
+              createNewPage,
+              handleSave,
+              storageSavePage,
+              insertTranscriptionDirectly,
+              loadNestedPages,
+              router,
+              setIsSaving
+            );
+            break;
+
+          case "NAVIGATE":
+            await handleNavigateCommand(
+              commandResult,
+              allPages,
+              currentPage,
+              editorRef,
+              handleSave,
+              router
+            );
+            break;
+
           case "INSERT_AI_ANSWER":
+          case "INSERT_AI_WORKSPACE_ANSWER":
           case "INSERT_AI_SUMMARY":
           case "INSERT_AI_COMPLETION":
           case "INSERT_AI_REWRITE":
@@ -539,7 +867,8 @@ const NoteScreen = () => {
               storageSavePage,
               setCurrentPage,
               setForceRefresh,
-              setIsSaving
+              setIsSaving,
+              handleAmbiguousTarget
             );
             break;
 
@@ -555,7 +884,46 @@ const NoteScreen = () => {
               storageSavePage,
               setCurrentPage,
               setForceRefresh,
-              setIsSaving
+              setIsSaving,
+              handleAmbiguousTarget
+            );
+            break;
+
+          case "MOVE_BLOCK":
+            await handleMoveBlockCommand(
+              commandResult,
+              editorContent,
+              initialContent,
+              editorRef,
+              setEditorContent,
+              setInitialContent,
+              currentPage,
+              storageSavePage,
+              setCurrentPage,
+              setForceRefresh,
+              setIsSaving,
+              setUndoStack,
+              setRedoStack,
+              setLastMajorChange
+            );
+            break;
+
+          case "COMPOUND":
+            await handleCompoundCommand(
+              commandResult,
+              editorContent,
+              initialContent,
+              editorRef,
+              setEditorContent,
+              setInitialContent,
+              currentPage,
+              storageSavePage,
+              setCurrentPage,
+              setForceRefresh,
+              setIsSaving,
+              setUndoStack,
+              setRedoStack,
+              setLastMajorChange
             );
             break;
 
@@ -610,13 +978,32 @@ const NoteScreen = () => {
       handleSave,
       loadNestedPages,
       router,
+      allPages,
       handleUndoWrapper,
       handleRedoWrapper,
       undoStack,
       redoStack,
+      setUndoStack,
+      setRedoStack,
+      setLastMajorChange,
+      targetChoice,
+      clearTargetChoice,
+      handleAmbiguousTarget,
     ]
   );
 
+  // Carry on with the waiting command, pointed at the picked block
+  const handleTargetChosen = useCallback(
+    (index) => {
+      const blockId = targetChoice?.candidateBlockIds[index];
+      if (!blockId) return;
+
+      clearTargetChoice();
+      handleCommandProcessed(chooseTarget(targetChoice.commandResult, blockId));
+    },
+    [targetChoice, clearTargetChoice, handleCommandProcessed]
+  );
+
   // Clean up timers on unmount
   useEffect(() => {
     return () => {
@@ -660,6 +1047,7 @@ const NoteScreen = () => {
         onBackPress={handleBackPress}
         onUndo={handleUndoWrapper}
         onRedo={handleRedoWrapper}
+        onExportPress={() => setShowExportMenu(true)}
         canUndo={canUndo}
         canRedo={canRedo}
         isSaving={isSaving}
@@ -683,6 +1071,8 @@ const NoteScreen = () => {
         nestedPages={nestedPages}
         recentTranscription={recentTranscription}
         forceRefresh={forceRefresh}
+        onChooseTarget={handleTargetChosen}
+        getAudioUrl={getRecordingUrl}
         theme={theme}
         isDark={isDark}
       />
@@ -690,6 +1080,10 @@ const NoteScreen = () => {
       {/* Voice recorder */}
       <VoiceRecorder
         onCommandProcessed={handleCommandProcessed}
+        onAskWorkspace={handleAskWorkspace}
+        getSelectionContext={getSelectionContext}
+        targetChoiceCount={targetChoice?.candidateBlockIds.length || 0}
+        onTargetChosen={handleTargetChosen}
         editorContent={editorContent || initialContent}
         theme={theme}
         isKeyboardVisible={isKeyboardVisible}
@@ -703,6 +1097,21 @@ const NoteScreen = () => {
         onSelect={handleIconChange}
         theme={theme}
       />
+
+      {/* Export menu */}
+      <ExportMenu
+        visible={showExportMenu}
+        onSelect={handleExport}
+        onCancel={() => setShowExportMenu(false)}
+      />
+
+      {/* Conflict resolution */}
+      <ConflictResolver
+        visible={!!conflict}
+        conflicts={conflict?.conflicts}
+        onResolve={handleResolveConflict}
+        onCancel={() => clearConflict(currentPage.id)}
+      />
     </SafeAreaView>
   );
 };
@@ -0,0 +1,487 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { Stack } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../../utils/themeContext";
+import {
+  AI_TASKS,
+  AI_TASK_LABELS,
+  AI_PROVIDER_IDS,
+  DEFAULT_AI_SETTINGS,
+  loadAISettings,
+  saveAISettings,
+  resetAISettings,
+  getProviderApiKey,
+  setProviderApiKey,
+} from "../../services/aiSettings";
+import {
+  getAvailableProviders,
+  testAIProvider,
+} from "../../services/aiProvider";
+
+// Connection fields shown for each provider
+const PROVIDER_FIELDS = {
+  [AI_PROVIDER_IDS.GEMINI]: [
+    { key: "baseUrl", label: "Endpoint" },
+    { key: "model", label: "Model" },
+    { key: "embeddingModel", label: "Embedding Model" },
+  ],
+  [AI_PROVIDER_IDS.OPENAI_COMPATIBLE]: [
+    { key: "baseUrl", label: "Endpoint", placeholder: "http://host:8080/v1" },
+    { key: "model", label: "Model", placeholder: "Server default" },
+    {
+      key: "transcriptionUrl",
+      label: "Transcription Endpoint",
+      placeholder: "Endpoint + /audio/transcriptions",
+    },
+    { key: "transcriptionModel", label: "Transcription Model" },
+    {
+      key: "embeddingModel",
+      label: "Embedding Model",
+      placeholder: "Server default",
+    },
+  ],
+};
+
+// Parameters each task can be given; embeddings have no sampling
+const TASK_FIELDS = {
+  default: [
+    { key: "temperature", label: "Temperature" },
+    { key: "maxOutputTokens", label: "Max Tokens" },
+  ],
+  [AI_TASKS.TRANSCRIPTION]: [{ key: "temperature", label: "Temperature" }],
+  [AI_TASKS.EMBEDDING]: [{ key: "dimensions", label: "Dimensions" }],
+};
+
+// Turn what was typed back into a number, keeping the old value if it isn't
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+export default function AISettingsScreen() {
+  const { theme } = useTheme();
+
+  const [settings, setSettings] = useState(null);
+  const [apiKeys, setApiKeys] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [isTesting, setIsTesting] = useState(false);
+
+  // Load settings and saved keys
+  useEffect(() => {
+    const load = async () => {
+      const [loaded, ...keys] = await Promise.all([
+        loadAISettings(),
+        ...Object.values(AI_PROVIDER_IDS).map(getProviderApiKey),
+      ]);
+
+      setSettings(loaded);
+      setApiKeys(
+        Object.fromEntries(
+          Object.values(AI_PROVIDER_IDS).map((id, index) => [id, keys[index]])
+        )
+      );
+    };
+
+    load();
+  }, []);
+
+  if (!settings) {
+    return (
+      <SafeAreaView
+        style={[styles.container, { backgroundColor: theme.background }]}
+      >
+        <Stack.Screen options={{ title: "AI Provider", headerShown: true }} />
+        <ActivityIndicator style={styles.loading} color={theme.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  const providerId = settings.provider;
+  const providerSettings = settings.providers[providerId];
+
+  const updateProvider = (key, value) =>
+    setSettings((current) => ({
+      ...current,
+      providers: {
+        ...current.providers,
+        [current.provider]: {
+          ...current.providers[current.provider],
+          [key]: value,
+        },
+      },
+    }));
+
+  const updateTask = (task, key, value) =>
+    setSettings((current) => ({
+      ...current,
+      tasks: {
+        ...current.tasks,
+        [task]: { ...current.tasks[task], [key]: value },
+      },
+    }));
+
+  // Save settings with typed numbers converted back
+  const persist = async () => {
+    const tasks = {};
+    Object.entries(settings.tasks).forEach(([task, values]) => {
+      const defaults = DEFAULT_AI_SETTINGS.tasks[task];
+      tasks[task] = { ...values };
+      Object.keys(values).forEach((key) => {
+        if (typeof defaults[key] === "number") {
+          tasks[task][key] = toNumber(values[key], defaults[key]);
+        }
+      });
+    });
+
+    const [result] = await Promise.all([
+      saveAISettings({ ...settings, tasks }),
+      setProviderApiKey(providerId, apiKeys[providerId]),
+    ]);
+    if (result.success) setSettings(result.settings);
+    return result;
+  };
+
+  // Handle save
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await persist();
+      if (result.success) {
+        Alert.alert("Saved", "AI settings updated.", [{ text: "OK" }]);
+      } else {
+        Alert.alert("Save Failed", result.error, [{ text: "OK" }]);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Save, then check the provider answers with these settings
+  const handleTest = async () => {
+    setIsTesting(true);
+    try {
+      const saved = await persist();
+      if (!saved.success) {
+        Alert.alert("Save Failed", saved.error, [{ text: "OK" }]);
+        return;
+      }
+
+      const result = await testAIProvider();
+      Alert.alert(
+        result.success ? "Connected" : "Connection Failed",
+        result.success ? `The model replied "${result.reply}".` : result.error,
+        [{ text: "OK" }]
+      );
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  // Handle reset to defaults
+  const handleReset = () => {
+    Alert.alert(
+      "Reset AI Settings",
+      "Go back to the default provider, models and parameters? Saved API keys are kept.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reset",
+          style: "destructive",
+          onPress: async () => {
+            const result = await resetAISettings();
+            if (result.success) setSettings(result.settings);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderInput = (value, onChangeText, options = {}) => (
+    <TextInput
+      style={[
+        styles.input,
+        {
+          color: theme.text,
+          backgroundColor: theme.surface,
+          borderColor: theme.border,
+        },
+      ]}
+      value={value === undefined || value === null ? "" : String(value)}
+      onChangeText={onChangeText}
+      placeholderTextColor={theme.tertiaryText}
+      autoCapitalize="none"
+      autoCorrect={false}
+      {...options}
+    />
+  );
+
+  return (
+    <SafeAreaView
+      style={[styles.container, { backgroundColor: theme.background }]}
+    >
+      <Stack.Screen options={{ title: "AI Provider", headerShown: true }} />
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Provider section */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>
+            Provider
+          </Text>
+
+          {getAvailableProviders().map((provider) => (
+            <TouchableOpacity
+              key={provider.id}
+              style={[styles.optionRow, { borderTopColor: theme.border }]}
+              onPress={() =>
+                setSettings((current) => ({
+                  ...current,
+                  provider: provider.id,
+                }))
+              }
+            >
+              <Text style={[styles.optionText, { color: theme.text }]}>
+                {provider.name}
+              </Text>
+              {provider.id === providerId && (
+                <Ionicons name="checkmark" size={20} color={theme.primary} />
+              )}
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Connection section */}
+        <View style={[styles.section, { borderTopColor: theme.border }]}>
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>
+            Connection
+          </Text>
+
+          {PROVIDER_FIELDS[providerId].map((field) => (
+            <View key={field.key} style={styles.field}>
+              <Text style={[styles.label, { color: theme.secondaryText }]}>
+                {field.label}
+              </Text>
+              {renderInput(
+                providerSettings[field.key],
+                (value) => updateProvider(field.key, value),
+                { placeholder: field.placeholder }
+              )}
+            </View>
+          ))}
+
+          <View style={styles.field}>
+            <Text style={[styles.label, { color: theme.secondaryText }]}>
+              API Key
+            </Text>
+            {renderInput(
+              apiKeys[providerId],
+              (value) =>
+                setApiKeys((current) => ({ ...current, [providerId]: value })),
+              {
+                secureTextEntry: true,
+                placeholder:
+                  providerId === AI_PROVIDER_IDS.GEMINI
+                    ? "Use the app's built-in key"
+                    : "Not needed for most self-hosted servers",
+              }
+            )}
+          </View>
+        </View>
+
+        {/* Task parameters section */}
+        <View style={[styles.section, { borderTopColor: theme.border }]}>
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>
+            Tasks
+          </Text>
+          <Text style={[styles.description, { color: theme.secondaryText }]}>
+            Leave a model empty to use the provider's model for that task.
+          </Text>
+
+          {Object.values(AI_TASKS).map((task) => (
+            <View
+              key={task}
+              style={[styles.taskItem, { borderTopColor: theme.border }]}
+            >
+              <Text style={[styles.taskTitle, { color: theme.text }]}>
+                {AI_TASK_LABELS[task]}
+              </Text>
+
+              <View style={styles.field}>
+                <Text style={[styles.label, { color: theme.secondaryText }]}>
+                  Model
+                </Text>
+                {renderInput(
+                  settings.tasks[task].model,
+                  (value) => updateTask(task, "model", value),
+                  { placeholder: "Provider default" }
+                )}
+              </View>
+
+              <View style={styles.fieldRow}>
+                {(TASK_FIELDS[task] || TASK_FIELDS.default).map((field) => (
+                  <View key={field.key} style={styles.rowField}>
+                    <Text
+                      style={[styles.label, { color: theme.secondaryText }]}
+                    >
+                      {field.label}
+                    </Text>
+                    {renderInput(
+                      settings.tasks[task][field.key],
+                      (value) => updateTask(task, field.key, value),
+                      { keyboardType: "decimal-pad" }
+                    )}
+                  </View>
+                ))}
+              </View>
+            </View>
+          ))}
+        </View>
+
+        {/* Actions */}
+        <View style={[styles.section, styles.actions]}>
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: theme.primary }]}
+            onPress={handleSave}
+            disabled={isSaving || isTesting}
+          >
+            {isSaving ? (
+              <ActivityIndicator color="#FFFFFF" size="small" />
+            ) : (
+              <Text style={styles.buttonText}>Save</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.secondaryButton, { borderColor: theme.primary }]}
+            onPress={handleTest}
+            disabled={isSaving || isTesting}
+          >
+            {isTesting ? (
+              <ActivityIndicator color={theme.primary} size="small" />
+            ) : (
+              <Text
+                style={[styles.secondaryButtonText, { color: theme.primary }]}
+              >
+                Save & Test Connection
+              </Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.resetButton} onPress={handleReset}>
+            <Text style={[styles.resetText, { color: theme.error }]}>
+              Reset to Defaults
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    padding: 20,
+    borderTopWidth: 1,
+    borderTopColor: "transparent",
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    marginBottom: 12,
+  },
+  description: {
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  optionRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 14,
+    borderTopWidth: 1,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  field: {
+    marginBottom: 12,
+  },
+  fieldRow: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  rowField: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  input: {
+    fontSize: 15,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  taskItem: {
+    paddingTop: 14,
+    paddingBottom: 4,
+    borderTopWidth: 1,
+  },
+  taskTitle: {
+    fontSize: 16,
+    fontWeight: "500",
+    marginBottom: 10,
+  },
+  actions: {
+    marginBottom: 40,
+  },
+  button: {
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  buttonText: {
+    color: "#FFFFFF",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  secondaryButton: {
+    marginTop: 12,
+    paddingVertical: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    alignItems: "center",
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  resetButton: {
+    marginTop: 16,
+    alignItems: "center",
+  },
+  resetText: {
+    fontSize: 15,
+  },
+});
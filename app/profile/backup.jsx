@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -15,6 +15,18 @@ import { Ionicons } from "@expo/vector-icons";
 import { useTheme } from "../../utils/themeContext";
 import { useAuth } from "../../contexts/AuthContext";
 import { syncPendingNotesWithSupabase } from "../../services/noteService";
+import pageStorageService from "../../services/pageStorage";
+import {
+  getPendingOperations,
+  getLastSyncTime,
+  retryOperation,
+  discardOperation,
+} from "../../services/syncQueue";
+import {
+  exportWorkspace,
+  pickAndImportBackup,
+} from "../../services/backupService";
+import { pickAndImportMarkdown } from "../../services/markdownService";
 
 export default function BackupScreen() {
   const { theme } = useTheme();
@@ -24,24 +36,56 @@ export default function BackupScreen() {
   const [autoSync, setAutoSync] = useState(true);
   const [syncOnWifi, setSyncOnWifi] = useState(true);
   const [isSyncing, setIsSyncing] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
   const [lastSync, setLastSync] = useState(null);
   const [syncStats, setSyncStats] = useState({
     total: 0,
     synced: 0,
     pending: 0,
   });
+  const [failedChanges, setFailedChanges] = useState([]);
+
+  // Load sync status from the sync queue
+  const loadSyncStatus = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const [pages, pendingOperations, lastSyncTime] = await Promise.all([
+        pageStorageService.loadAllPages(user.id),
+        getPendingOperations(user.id),
+        getLastSyncTime(user.id),
+      ]);
+
+      const pendingNoteIds = new Set(
+        pendingOperations.map((operation) => operation.noteId)
+      );
+
+      const titles = new Map(pages.map((page) => [page.id, page.title]));
 
-  // Load sync settings and status on mount
+      setLastSync(lastSyncTime);
+      setFailedChanges(
+        pendingOperations
+          .filter((operation) => operation.failed)
+          .map((operation) => ({
+            ...operation,
+            title: titles.get(operation.noteId) || "Untitled Page",
+          }))
+      );
+      setSyncStats({
+        total: pages.length,
+        synced: Math.max(pages.length - pendingNoteIds.size, 0),
+        pending: pendingNoteIds.size,
+      });
+    } catch (error) {
+      console.error("Error loading sync status:", error);
+    }
+  }, [user]);
+
+  // Load sync status on mount
   useEffect(() => {
-    // In a real app, these would be loaded from AsyncStorage or similar
-    // For demo purposes, we'll just set some example data
-    setLastSync(new Date(Date.now() - 24 * 60 * 60 * 1000)); // 1 day ago
-    setSyncStats({
-      total: 42,
-      synced: 39,
-      pending: 3,
-    });
-  }, []);
+    loadSyncStatus();
+  }, [loadSyncStatus]);
 
   // Handle manual sync
   const handleSync = async () => {
@@ -57,24 +101,43 @@ export default function BackupScreen() {
     setIsSyncing(true);
 
     try {
-      // Perform the actual sync
-      await syncPendingNotesWithSupabase(user.id);
+      const result = await syncPendingNotesWithSupabase(user.id);
+      await loadSyncStatus();
 
-      // Update sync stats
-      setSyncStats((prev) => ({
-        ...prev,
-        synced: prev.total,
-        pending: 0,
-      }));
+      if (result.offline) {
+        Alert.alert(
+          "You're Offline",
+          `${result.pending} change(s) will be synced once you're back online.`,
+          [{ text: "OK" }]
+        );
+      } else if (result.success && result.stuck > 0) {
+        Alert.alert(
+          "Changes Need Attention",
+          `${result.stuck} change(s) could not be synced. Retry or discard them under Changes Not Synced.`,
+          [{ text: "OK" }]
+        );
+      } else if (result.success) {
+        Alert.alert(
+          "Sync Complete",
+          result.synced > 0
+            ? `${result.synced} change(s) synced to the cloud.`
+            : "All notes are already up to date.",
+          [{ text: "OK" }]
+        );
+      } else {
+        const failures = (result.results || [])
+          .filter((item) => !item.success)
+          .map((item) => `• ${item.noteId}: ${item.error}`)
+          .join("\n");
 
-      // Update last sync time
-      setLastSync(new Date());
-
-      Alert.alert(
-        "Sync Complete",
-        "All notes have been successfully synced to the cloud.",
-        [{ text: "OK" }]
-      );
+        Alert.alert(
+          "Sync Incomplete",
+          failures
+            ? `Some changes could not be synced:\n${failures}`
+            : result.error,
+          [{ text: "OK" }]
+        );
+      }
     } catch (error) {
       console.error("Sync error:", error);
       Alert.alert(
@@ -87,6 +150,31 @@ export default function BackupScreen() {
     }
   };
 
+  // Put a failed change back in the queue and try syncing it again
+  const handleRetryChange = async (operation) => {
+    await retryOperation(user.id, operation.id);
+    await handleSync();
+  };
+
+  // Throw away a failed change after the user confirms
+  const handleDiscardChange = (operation) => {
+    Alert.alert(
+      "Discard Change",
+      `Your unsynced ${operation.type} of "${operation.title}" will be lost. The cloud version of the page is kept.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: async () => {
+            await discardOperation(user.id, operation.id);
+            await loadSyncStatus();
+          },
+        },
+      ]
+    );
+  };
+
   // Format the last sync date
   const formatSyncDate = (date) => {
     if (!date) return "Never";
@@ -105,12 +193,122 @@ export default function BackupScreen() {
   };
 
   // Handle export data
-  const handleExportData = () => {
-    Alert.alert(
-      "Export Data",
-      "This will export all your notes as a JSON file. This feature is coming soon.",
-      [{ text: "OK" }]
-    );
+  const handleExportData = async () => {
+    if (!user) {
+      Alert.alert(
+        "Authentication Required",
+        "Please sign in to export your notes",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    setIsExporting(true);
+
+    try {
+      const result = await exportWorkspace(user.id);
+
+      if (!result.success) {
+        Alert.alert("Export Failed", result.error, [{ text: "OK" }]);
+      }
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Handle import data
+  const handleImportData = async () => {
+    if (!user) {
+      Alert.alert(
+        "Authentication Required",
+        "Please sign in to import a backup",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    setIsImporting(true);
+
+    try {
+      const result = await pickAndImportBackup(user.id);
+      if (result.canceled) return;
+
+      await loadSyncStatus();
+
+      if (result.errors) {
+        Alert.alert(
+          "Invalid Backup",
+          `This file can't be restored:\n${result.errors
+            .slice(0, 5)
+            .map((error) => `• ${error}`)
+            .join("\n")}`,
+          [{ text: "OK" }]
+        );
+      } else if (result.success) {
+        Alert.alert(
+          "Import Complete",
+          `${result.created} page(s) restored, ${result.skipped} already in your workspace.`,
+          [{ text: "OK" }]
+        );
+      } else {
+        const failures = (result.failed || [])
+          .map((item) => `• ${item.title}: ${item.error}`)
+          .join("\n");
+
+        Alert.alert(
+          "Import Incomplete",
+          failures
+            ? `${result.created} page(s) restored. Some pages failed:\n${failures}`
+            : result.error,
+          [{ text: "OK" }]
+        );
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Handle Markdown import
+  const handleImportMarkdown = async () => {
+    if (!user) {
+      Alert.alert(
+        "Authentication Required",
+        "Please sign in to import Markdown",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    setIsImporting(true);
+
+    try {
+      const result = await pickAndImportMarkdown(user.id);
+      if (result.canceled) return;
+
+      await loadSyncStatus();
+
+      if (result.success) {
+        Alert.alert(
+          "Import Complete",
+          `${result.created} page(s) created from Markdown.`,
+          [{ text: "OK" }]
+        );
+      } else {
+        const failures = (result.failed || [])
+          .map((item) => `• ${item.path}: ${item.error}`)
+          .join("\n");
+
+        Alert.alert(
+          "Import Incomplete",
+          failures
+            ? `${result.created} page(s) created. Some files failed:\n${failures}`
+            : result.error,
+          [{ text: "OK" }]
+        );
+      }
+    } finally {
+      setIsImporting(false);
+    }
   };
 
   // Handle clear local data
@@ -216,6 +414,61 @@ export default function BackupScreen() {
           </View>
         </View>
 
+        {/* Changes that gave up syncing */}
+        {failedChanges.length > 0 && (
+          <View style={[styles.section, { borderTopColor: theme.border }]}>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Changes Not Synced
+            </Text>
+
+            {failedChanges.map((operation, index) => (
+              <View
+                key={operation.id}
+                style={[
+                  styles.failedItem,
+                  index > 0 && {
+                    borderTopWidth: 1,
+                    borderTopColor: theme.border,
+                  },
+                ]}
+              >
+                <View style={styles.settingInfo}>
+                  <Text style={[styles.settingTitle, { color: theme.text }]}>
+                    {operation.title}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.settingDescription,
+                      { color: theme.secondaryText },
+                    ]}
+                  >
+                    {operation.type}: {operation.lastError}
+                  </Text>
+                </View>
+
+                <TouchableOpacity
+                  style={styles.failedAction}
+                  onPress={() => handleRetryChange(operation)}
+                  disabled={isSyncing}
+                >
+                  <Ionicons name="refresh" size={20} color={theme.primary} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.failedAction}
+                  onPress={() => handleDiscardChange(operation)}
+                  disabled={isSyncing}
+                >
+                  <Ionicons
+                    name="trash-outline"
+                    size={20}
+                    color={theme.error}
+                  />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Sync settings section */}
         <View style={[styles.section, { borderTopColor: theme.border }]}>
           <Text style={[styles.sectionTitle, { color: theme.text }]}>
@@ -277,6 +530,7 @@ export default function BackupScreen() {
           <TouchableOpacity
             style={styles.dataButton}
             onPress={handleExportData}
+            disabled={isExporting}
           >
             <View style={styles.dataButtonContent}>
               <Ionicons
@@ -288,6 +542,50 @@ export default function BackupScreen() {
                 Export All Data
               </Text>
             </View>
+            {isExporting ? (
+              <ActivityIndicator size="small" color={theme.primary} />
+            ) : (
+              <Ionicons name="chevron-forward" size={20} color={theme.icon} />
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.dataButton, { borderTopColor: theme.border }]}
+            onPress={handleImportData}
+            disabled={isImporting}
+          >
+            <View style={styles.dataButtonContent}>
+              <Ionicons
+                name="cloud-upload-outline"
+                size={22}
+                color={theme.primary}
+              />
+              <Text style={[styles.dataButtonText, { color: theme.text }]}>
+                Import Backup
+              </Text>
+            </View>
+            {isImporting ? (
+              <ActivityIndicator size="small" color={theme.primary} />
+            ) : (
+              <Ionicons name="chevron-forward" size={20} color={theme.icon} />
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.dataButton, { borderTopColor: theme.border }]}
+            onPress={handleImportMarkdown}
+            disabled={isImporting}
+          >
+            <View style={styles.dataButtonContent}>
+              <Ionicons
+                name="document-text-outline"
+                size={22}
+                color={theme.primary}
+              />
+              <Text style={[styles.dataButtonText, { color: theme.text }]}>
+                Import Markdown
+              </Text>
+            </View>
             <Ionicons name="chevron-forward" size={20} color={theme.icon} />
           </TouchableOpacity>
 
@@ -405,6 +703,14 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginTop: 4,
   },
+  failedItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+  },
+  failedAction: {
+    padding: 8,
+  },
   dataButton: {
     flexDirection: "row",
     justifyContent: "space-between",
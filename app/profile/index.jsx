@@ -17,6 +17,10 @@ import { useTheme } from "../../utils/themeContext";
 import { useAuth } from "../../contexts/AuthContext";
 import { signOut, getCurrentUser } from "../../services/supabaseService";
 import { syncPendingNotesWithSupabase } from "../../services/noteService";
+import {
+  loadVoiceSettings,
+  saveVoiceSettings,
+} from "../../services/voiceSettings";
 import ScreenHeader from "../../components/ScreenHeader";
 import { useRouter, useFocusEffect } from "expo-router";
 
@@ -25,6 +29,33 @@ export default function ProfileScreen() {
   const { user, setUser } = useAuth();
   const router = useRouter();
   const [refreshing, setRefreshing] = useState(false);
+  const [reviewVoiceResults, setReviewVoiceResults] = useState(false);
+  const [keepRecordings, setKeepRecordings] = useState(true);
+
+  useEffect(() => {
+    loadVoiceSettings().then((settings) => {
+      setReviewVoiceResults(settings.reviewResults);
+      setKeepRecordings(settings.keepRecordings);
+    });
+  }, []);
+
+  const toggleReviewVoiceResults = async (value) => {
+    setReviewVoiceResults(value);
+    const result = await saveVoiceSettings({ reviewResults: value });
+    if (!result.success) {
+      setReviewVoiceResults(!value);
+      Alert.alert("Error", "Failed to save the setting. Please try again.");
+    }
+  };
+
+  const toggleKeepRecordings = async (value) => {
+    setKeepRecordings(value);
+    const result = await saveVoiceSettings({ keepRecordings: value });
+    if (!result.success) {
+      setKeepRecordings(!value);
+      Alert.alert("Error", "Failed to save the setting. Please try again.");
+    }
+  };
 
   // Log user metadata when profile screen loads
   useEffect(() => {
@@ -162,12 +193,50 @@ export default function ProfileScreen() {
         </View>
       ),
     },
+    {
+      id: "reviewVoice",
+      icon: "eye-outline",
+      title: "Review Voice Results",
+      rightElement: (
+        <Switch
+          value={reviewVoiceResults}
+          onValueChange={toggleReviewVoiceResults}
+          trackColor={{ false: "#767577", true: theme.primary }}
+          thumbColor={reviewVoiceResults ? "#ffffff" : "#f4f3f4"}
+        />
+      ),
+    },
+    {
+      id: "keepRecordings",
+      icon: "mic-outline",
+      title: "Keep Recordings",
+      rightElement: (
+        <Switch
+          value={keepRecordings}
+          onValueChange={toggleKeepRecordings}
+          trackColor={{ false: "#767577", true: theme.primary }}
+          thumbColor={keepRecordings ? "#ffffff" : "#f4f3f4"}
+        />
+      ),
+    },
+    {
+      id: "voiceLanguage",
+      icon: "language-outline",
+      title: "Voice Language",
+      screen: "/profile/language",
+    },
     {
       id: "backup",
       icon: "cloud-upload-outline",
       title: "Backup & Sync",
       screen: "/profile/backup",
     },
+    {
+      id: "ai",
+      icon: "sparkles-outline",
+      title: "AI Provider",
+      screen: "/profile/ai-settings",
+    },
     {
       id: "help",
       icon: "help-circle-outline",
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from "react-native";
+import { Stack } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../../utils/themeContext";
+import {
+  loadVoiceSettings,
+  saveVoiceSettings,
+} from "../../services/voiceSettings";
+import { AUTO_LANGUAGE, LANGUAGES } from "../../utils/languageUtils";
+
+// Automatic detection first, then each language in its own name
+const LANGUAGE_OPTIONS = [
+  {
+    code: AUTO_LANGUAGE,
+    title: "Detect Automatically",
+    subtitle: "Whatever language each recording is in",
+  },
+  ...LANGUAGES.map((language) => ({
+    code: language.code,
+    title: language.nativeName,
+    subtitle: language.name,
+  })),
+];
+
+export default function VoiceLanguageScreen() {
+  const { theme } = useTheme();
+  const [language, setLanguage] = useState(null);
+
+  useEffect(() => {
+    loadVoiceSettings().then((settings) => setLanguage(settings.language));
+  }, []);
+
+  const selectLanguage = async (code) => {
+    const previous = language;
+    setLanguage(code);
+    const result = await saveVoiceSettings({ language: code });
+    if (!result.success) {
+      setLanguage(previous);
+      Alert.alert("Error", "Failed to save the setting. Please try again.");
+    }
+  };
+
+  return (
+    <SafeAreaView
+      style={[styles.container, { backgroundColor: theme.background }]}
+    >
+      <Stack.Screen options={{ title: "Voice Language", headerShown: true }} />
+
+      <ScrollView style={styles.content}>
+        <View style={styles.section}>
+          <Text style={[styles.description, { color: theme.secondaryText }]}>
+            The language you dictate and give voice commands in. Commands work
+            in English, French, Spanish and Arabic, and Arabic text is aligned
+            to the right.
+          </Text>
+
+          {LANGUAGE_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.code}
+              style={[styles.optionRow, { borderTopColor: theme.border }]}
+              onPress={() => selectLanguage(option.code)}
+            >
+              <View>
+                <Text style={[styles.optionText, { color: theme.text }]}>
+                  {option.title}
+                </Text>
+                <Text
+                  style={[
+                    styles.optionSubtitle,
+                    { color: theme.secondaryText },
+                  ]}
+                >
+                  {option.subtitle}
+                </Text>
+              </View>
+              {option.code === language && (
+                <Ionicons name="checkmark" size={20} color={theme.primary} />
+              )}
+            </TouchableOpacity>
+          ))}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    padding: 20,
+  },
+  description: {
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  optionRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 14,
+    borderTopWidth: 1,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  optionSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+});
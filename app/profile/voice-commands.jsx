@@ -17,6 +17,8 @@ Here are examples of voice commands you can use with sayNote to create well-stru
 Try saying:
 "Create a meeting notes heading followed by the main points we discussed including project timeline customer feedback and next steps"
 
+To take notes of a meeting while it happens, tap the people button above the mic instead, as described under Recording Meetings.
+
 ### 2. To-Do List
 
 Try saying:
@@ -49,7 +51,7 @@ Try saying:
 
 ## Content Editing Commands
 
-Here are examples of voice commands you can use to edit your notes:
+Here are examples of voice commands you can use to edit your notes. Common edits like formatting, deleting, converting and moving blocks and undo are understood on your device, so they apply right away. Say "this" to mean the block your cursor is in, or the text you've selected.
 
 ### 1. Text Formatting
 
@@ -62,6 +64,8 @@ Try saying:
 "Change the color of all headings to green"
 "Make all paragraphs italic"
 
+When a command could mean more than one block, like "Bold the paragraph about budget", the matching blocks are numbered. Tap one, or say "the second one", and the command carries on.
+
 ### 2. Text Selection
 
 Try saying:
@@ -92,14 +96,57 @@ Try saying:
 "Change current block to a todo list"
 "Turn this block into a quote"
 
-### 5. Undo/Redo Operations
+### 5. Selection and Cursor
+
+Select some text or put the cursor in a block, then say what to do with it. New text goes right after the block the cursor is in.
+
+Try saying:
+"Make the selected text bold"
+"Underline this"
+"Add buy milk here"
+"Insert call the supplier after this paragraph"
+
+### 6. Moving and Nesting Blocks
+
+Moved blocks take the blocks nested under them along. A section is a heading and everything under it, up to the next heading of the same size.
+
+Try saying:
+"Move this paragraph above the Risks heading"
+"Move the Action Items section to the top"
+"Indent the last three bullets"
+"Outdent this"
+"Swap the first two steps"
+
+### 7. Checklists
+
+Tasks are found by what they say, even if you don't say it word for word, and nested tasks count too.
+
+Try saying:
+"Check off buy groceries"
+"Uncheck the second task"
+"Mark all tasks done"
+"Remove completed tasks"
+"Move unfinished tasks to a new page"
+
+### 8. Getting Around
+
+Pages are found by their title, even if you only say part of it. This page is saved before you leave it.
+
+Try saying:
+"Open the Project Phoenix page"
+"Go to the parent page"
+"Go back"
+"Scroll to the Decisions heading"
+"Show me my recent notes"
+
+### 9. Undo/Redo Operations
 
 Try saying:
 "Undo last change"
 "Redo"
 "Undo the last two changes"
 
-### 6. Multiple Block Operations
+### 10. Multiple Block Operations
 
 Try saying:
 "Change all headings to blue"
@@ -107,6 +154,69 @@ Try saying:
 "Convert all paragraphs to bullet lists"
 "Change the color of all blocks to green"
 "Make all headings level 2"
+
+### 11. Several Edits at Once
+
+Join edits with "then", "and" or a comma. They all apply together and one undo reverses them all. If any of them can't be done, nothing changes.
+
+Try saying:
+"Add a heading called Risks, then make the last paragraph bold and delete the AI answer"
+"Make the first heading blue and convert the last paragraph to a bullet list"
+
+## Reviewing Before Changes
+
+Turn on Review Voice Results in your profile to see what was heard and what will change before anything is added to your page. You can fix the transcript and run it again, leave out any blocks you don't want, or discard the result.
+
+## Hands-Free Listening
+
+Tap the ear button above the mic to keep listening without tapping again. Each time you pause, what you said is added to your page as text. Hands-free results are applied straight away, even with Review Voice Results on. Hands-free listening works in the iOS and Android apps.
+
+Try saying:
+"Command: make the last paragraph bold"
+"Command mode"
+"Dictation mode"
+"Stop listening"
+
+Say "command" on its own and the next thing you say is run as a command. In command mode, start with "dictate:" to add text instead. You can also tap the mode to switch.
+
+## Long Recordings
+
+Record a whole lecture or meeting and it's transcribed a few minutes at a time while the mic shows how far it has got. If the app closes or you lose your connection part way through, tap Resume above the mic to carry on where it stopped.
+
+## Recordings With Your Notes
+
+When you dictate for more than a few seconds, the recording is kept in an audio block above the text it became, so you can listen back to what was said. Tap a paragraph to play the recording from the moment it was said. When you're signed in, recordings are saved to your account too. Turn off Keep Recordings in your profile to add just the text. Recordings are kept in the iOS and Android apps. When you delete an audio block, its recording is cleared from this device and your account the next time the app starts, once the recording is a week old.
+
+## Recording Meetings
+
+Tap the people button above the mic to record a meeting, and tap stop when it ends. The transcript marks who said what as Speaker 1, Speaker 2 and so on, and the minutes are written up on a new page under this one: who attended, a summary of each topic, the decisions made and action items as a checklist with who will do each one. Before the page is created you can give each speaker their name; a line they said helps tell them apart. The transcript comes last on the page, with the recording when recordings are kept.
+
+## Other Languages
+
+Dictate in any language: recordings are transcribed in the language they were spoken in, without translating them, and a meeting can switch languages part way through. To always transcribe one language, choose it under Profile, Voice Language. Commands and questions work in French, Spanish and Arabic as well as English, including the hands-free keywords like "mode commande", "modo dictado" and "توقف عن الاستماع". Arabic text is aligned to the right.
+
+Try saying:
+"Supprime le dernier paragraphe"
+"Convierte esta lista en una lista de tareas"
+"احذف الفقرة الأخيرة"
+
+## Asking Questions
+
+Hold the mic button to ask a question instead of giving a command.
+
+### 1. About This Page
+
+Try saying:
+"Summarize this page"
+"What are the next steps here?"
+
+### 2. Across All Your Notes
+
+Mention "my notes" to search every page. The answer lists the pages it came from.
+
+Try saying:
+"What do my notes say about the launch date?"
+"Ask my notes who is responsible for the budget"
 `;
 
 // Helper function to parse markdown-like text into sections
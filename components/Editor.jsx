@@ -96,6 +96,39 @@ const Editor = forwardRef((props, ref) => {
       return null;
     },
 
+    // Number blocks for the user to pick from
+    showTargetChoices: (blockIds) => {
+      if (
+        editorRef.current &&
+        typeof editorRef.current.showTargetChoices === "function"
+      ) {
+        return editorRef.current.showTargetChoices(blockIds);
+      }
+      return false;
+    },
+
+    // Remove the numbers from blocks offered to pick from
+    clearTargetChoices: () => {
+      if (
+        editorRef.current &&
+        typeof editorRef.current.clearTargetChoices === "function"
+      ) {
+        return editorRef.current.clearTargetChoices();
+      }
+      return false;
+    },
+
+    // Get the cursor position and selection, for voice commands
+    getSelectionContext: () => {
+      if (
+        editorRef.current &&
+        typeof editorRef.current.getSelectionContext === "function"
+      ) {
+        return editorRef.current.getSelectionContext();
+      }
+      return null;
+    },
+
     // Set content directly - for use with voice commands
     setContent: (content) => {
       if (
@@ -107,6 +140,28 @@ const Editor = forwardRef((props, ref) => {
       return false;
     },
 
+    // Apply content changed on another device, keeping the cursor in place
+    applyRemoteContent: (content) => {
+      if (
+        editorRef.current &&
+        typeof editorRef.current.applyRemoteContent === "function"
+      ) {
+        return editorRef.current.applyRemoteContent(content);
+      }
+      return false;
+    },
+
+    // Scroll to a block, e.g. one matched by search
+    scrollToBlock: (blockId) => {
+      if (
+        editorRef.current &&
+        typeof editorRef.current.scrollToBlock === "function"
+      ) {
+        return editorRef.current.scrollToBlock(blockId);
+      }
+      return false;
+    },
+
     // DEPRECATED: This method is kept for API compatibility only
     // Use the direct AsyncStorage approach in note/[id].jsx instead
     // via insertTranscriptionDirectly() function
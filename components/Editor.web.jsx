@@ -73,6 +73,22 @@ const BlockNoteEditorWeb = forwardRef((props, ref) => {
       return false;
     },
 
+    // Forward applyRemoteContent method
+    applyRemoteContent: (content) => {
+      if (editorRef.current && editorRef.current.applyRemoteContent) {
+        return editorRef.current.applyRemoteContent(content);
+      }
+      return false;
+    },
+
+    // Forward scrollToBlock method
+    scrollToBlock: (blockId) => {
+      if (editorRef.current && editorRef.current.scrollToBlock) {
+        return editorRef.current.scrollToBlock(blockId);
+      }
+      return false;
+    },
+
     // Get the currently focused block ID
     getCurrentBlockId: () => {
       if (editorRef.current && editorRef.current.getEditor) {
@@ -99,6 +115,30 @@ const BlockNoteEditorWeb = forwardRef((props, ref) => {
       return null;
     },
 
+    // Forward showTargetChoices method
+    showTargetChoices: (blockIds) => {
+      if (editorRef.current && editorRef.current.showTargetChoices) {
+        return editorRef.current.showTargetChoices(blockIds);
+      }
+      return false;
+    },
+
+    // Forward clearTargetChoices method
+    clearTargetChoices: () => {
+      if (editorRef.current && editorRef.current.clearTargetChoices) {
+        return editorRef.current.clearTargetChoices();
+      }
+      return false;
+    },
+
+    // Forward getSelectionContext method
+    getSelectionContext: () => {
+      if (editorRef.current && editorRef.current.getSelectionContext) {
+        return editorRef.current.getSelectionContext();
+      }
+      return null;
+    },
+
     // Forward insertPageLink method
     insertPageLink: (pageId, pageTitle, pageIcon) => {
       if (editorRef.current && editorRef.current.insertPageLink) {
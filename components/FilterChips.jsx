@@ -7,15 +7,24 @@ import {
   TouchableOpacity,
   Animated,
 } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
 import { useTheme } from "../utils/themeContext";
 
 /**
  * Filter Chips Component
  *
  * Displays horizontally scrollable filter chips for categories, tags, etc.
- * Includes animations for selection change
+ * Includes animations for selection change. Filters that are switched on
+ * elsewhere (e.g. typed into a search query) can be passed as
+ * removableFilters and are shown after the categories with a remove button.
  */
-const FilterChips = ({ filters, activeFilter, onFilterChange }) => {
+const FilterChips = ({
+  filters,
+  activeFilter,
+  onFilterChange,
+  removableFilters = [],
+  onRemoveFilter,
+}) => {
   const { theme } = useTheme();
   const [selectedFilter, setSelectedFilter] = useState(
     activeFilter || filters[0]?.id || null
@@ -153,6 +162,37 @@ const FilterChips = ({ filters, activeFilter, onFilterChange }) => {
           </Animated.View>
         );
       })}
+
+      {removableFilters.length > 0 && (
+        <View style={[styles.divider, { backgroundColor: theme.border }]} />
+      )}
+
+      {removableFilters.map((filter) => (
+        <TouchableOpacity
+          key={filter.id}
+          style={[
+            styles.chip,
+            styles.removableChip,
+            {
+              backgroundColor: theme.chip.selected,
+              borderColor: theme.primary,
+            },
+          ]}
+          onPress={() => onRemoveFilter && onRemoveFilter(filter.id)}
+          activeOpacity={0.7}
+          accessibilityLabel={`Remove filter ${filter.name}`}
+        >
+          <Text style={[styles.chipText, { color: theme.chip.selectedText }]}>
+            {filter.name}
+          </Text>
+          <Ionicons
+            name="close-circle"
+            size={16}
+            color={theme.chip.selectedText}
+            style={styles.removeIcon}
+          />
+        </TouchableOpacity>
+      ))}
     </ScrollView>
   );
 };
@@ -175,6 +215,20 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: "500",
   },
+  removableChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingRight: 10,
+  },
+  removeIcon: {
+    marginLeft: 6,
+  },
+  divider: {
+    width: 1,
+    alignSelf: "stretch",
+    marginVertical: 6,
+    marginRight: 8,
+  },
 });
 
 export default FilterChips;
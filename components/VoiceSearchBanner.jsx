@@ -0,0 +1,133 @@
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../utils/themeContext";
+
+/**
+ * Voice Search Banner Component
+ *
+ * Shows the state of a spoken search under the search bar: listening,
+ * working out the query, and finally what was heard so the user can check
+ * the interpreted query above it and correct it.
+ */
+const VoiceSearchBanner = ({
+  isRecording,
+  recordingDuration = 0,
+  isInterpreting,
+  spokenQuery,
+  onStop,
+  onDismiss,
+}) => {
+  const { theme } = useTheme();
+
+  if (!isRecording && !isInterpreting && !spokenQuery) return null;
+
+  // Format recording duration as M:SS
+  const formatDuration = (seconds) =>
+    `${Math.floor(seconds / 60)}:${(seconds % 60)
+      .toString()
+      .padStart(2, "0")}`;
+
+  return (
+    <View
+      style={[
+        styles.container,
+        { backgroundColor: theme.surface, borderColor: theme.border },
+      ]}
+    >
+      {isRecording ? (
+        <>
+          <View
+            style={[styles.recordingDot, { backgroundColor: theme.error }]}
+          />
+          <Text style={[styles.text, { color: theme.text }]}>
+            Listening… {formatDuration(recordingDuration)}
+          </Text>
+          <TouchableOpacity
+            style={[styles.stopButton, { backgroundColor: theme.error }]}
+            onPress={onStop}
+          >
+            <Ionicons name="stop" size={14} color="#FFFFFF" />
+            <Text style={styles.stopText}>Done</Text>
+          </TouchableOpacity>
+        </>
+      ) : isInterpreting ? (
+        <>
+          <ActivityIndicator size="small" color={theme.primary} />
+          <Text style={[styles.text, { color: theme.secondaryText }]}>
+            Working out your search…
+          </Text>
+        </>
+      ) : (
+        <>
+          <Ionicons name="mic-outline" size={18} color={theme.primary} />
+          <View style={styles.heard}>
+            <Text
+              style={[styles.text, { color: theme.text }]}
+              numberOfLines={2}
+            >
+              “{spokenQuery}”
+            </Text>
+            <Text style={[styles.hint, { color: theme.tertiaryText }]}>
+              Edit the search or remove filters to adjust it
+            </Text>
+          </View>
+          <TouchableOpacity onPress={onDismiss}>
+            <Ionicons name="close" size={18} color={theme.icon} />
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginHorizontal: 20,
+    marginTop: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    borderWidth: StyleSheet.hairlineWidth,
+    gap: 10,
+  },
+  recordingDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  text: {
+    flex: 1,
+    fontSize: 14,
+  },
+  heard: {
+    flex: 1,
+  },
+  hint: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  stopButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+  },
+  stopText: {
+    color: "#FFFFFF",
+    fontSize: 13,
+    fontWeight: "600",
+    marginLeft: 4,
+  },
+});
+
+export default VoiceSearchBanner;
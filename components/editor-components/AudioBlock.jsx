@@ -0,0 +1,134 @@
+"use dom";
+
+import React, { useEffect, useRef, useState } from "react";
+import { createReactBlockSpec } from "@blocknote/react";
+import {
+  formatRecordingTime,
+  findRecordingMoment,
+} from "../../utils/recordingUtils";
+
+// Players on the page by audio block ID, so tapping a transcribed block can
+// seek the recording it came from
+const players = new Map();
+
+/**
+ * Move a recording to the moment a block transcribed from it was said
+ * A playing recording carries on from there.
+ * @param {Object} editor - BlockNote editor instance
+ * @param {string} blockId - ID of the tapped block
+ * @returns {boolean} - Whether the block came from a recording on the page
+ */
+export const seekToBlock = (editor, blockId) => {
+  const moment = findRecordingMoment(editor.document, blockId);
+  const player = moment && players.get(moment.audioBlockId);
+  if (!player) return false;
+
+  player.currentTime = moment.ms / 1000;
+  return true;
+};
+
+const AudioPlayer = ({ block, editor }) => {
+  const { localUri, storagePath, durationMs } = block.props;
+  const playerRef = useRef(null);
+  // undefined while loading, null if the recording can't be reached
+  const [src, setSrc] = useState(undefined);
+
+  // Ask the app where the recording can be played from
+  useEffect(() => {
+    const getAudioUrl = editor._tiptapEditor?.storage?.audio?.getAudioUrl;
+    if (!getAudioUrl) {
+      setSrc(localUri || null);
+      return;
+    }
+
+    let cancelled = false;
+    Promise.resolve(getAudioUrl({ localUri, storagePath }))
+      .then((url) => {
+        if (!cancelled) setSrc(url || null);
+      })
+      .catch((error) => {
+        console.error("Error loading recording:", error);
+        if (!cancelled) setSrc(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [editor, localUri, storagePath]);
+
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player) return;
+
+    players.set(block.id, player);
+    return () => {
+      if (players.get(block.id) === player) players.delete(block.id);
+    };
+  }, [block.id, src]);
+
+  return (
+    <div
+      contentEditable={false}
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        padding: "8px 12px",
+        margin: "4px 0",
+        borderRadius: "8px",
+        background: "rgba(0, 120, 212, 0.06)",
+        border: "1px solid rgba(0, 120, 212, 0.2)",
+        width: "100%",
+      }}
+    >
+      <div
+        style={{
+          fontSize: "14px",
+          fontWeight: "500",
+          color: "rgba(0, 120, 212, 1)",
+          marginBottom: "6px",
+        }}
+      >
+        🎙️ Recording
+        {durationMs ? ` · ${formatRecordingTime(durationMs)}` : ""}
+      </div>
+      {src ? (
+        <audio
+          ref={playerRef}
+          src={src}
+          controls
+          preload="metadata"
+          style={{ width: "100%" }}
+        />
+      ) : (
+        <div style={{ fontSize: "13px", opacity: 0.6 }}>
+          {src === undefined
+            ? "Loading recording..."
+            : "This recording isn't available on this device"}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A recording kept with the text transcribed from it. Tapping a block the
+// recording lists in its segments plays it from that block's moment.
+const AudioBlock = createReactBlockSpec(
+  {
+    type: "audio",
+    propSchema: {
+      localUri: { default: "" },
+      storagePath: { default: "" },
+      durationMs: { default: 0 },
+      // JSON list of { blockId, ms } for the transcribed blocks
+      segments: { default: "[]" },
+    },
+    content: "none",
+  },
+  {
+    render: (props) => (
+      <AudioPlayer block={props.block} editor={props.editor} />
+    ),
+  }
+);
+
+export default AudioBlock;
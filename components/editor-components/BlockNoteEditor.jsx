@@ -22,6 +22,7 @@ import EditorToolbars from "./EditorToolbars";
 import KeyboardToolbarWrapper from "./KeyboardToolbarWrapper";
 import ConfirmDialog from "./ConfirmDialog";
 import editorSchema from "./editorSchema";
+import { seekToBlock } from "./AudioBlock";
 import TranscriptionHandler from "./TranscriptionHandler";
 
 // Dropdown fix style
@@ -61,6 +62,8 @@ const BlockNoteEditor = forwardRef((props, ref) => {
     currentPageId,
     nestedPages = [],
     recentTranscription = null,
+    onChooseTarget,
+    getAudioUrl,
   } = props;
 
   // Use a ref to track whether component is mounted
@@ -74,6 +77,9 @@ const BlockNoteEditor = forwardRef((props, ref) => {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [pageToDelete, setPageToDelete] = useState(null);
 
+  // Blocks numbered for the user to pick from, for ambiguous voice commands
+  const [targetChoices, setTargetChoices] = useState(null);
+
   // Apply theme class to document when theme changes
   useEffect(() => {
     // Add theme class to document body
@@ -85,6 +91,51 @@ const BlockNoteEditor = forwardRef((props, ref) => {
     }
   }, [theme]);
 
+  // Badge the blocks to pick from and listen for a tap on one of them
+  useEffect(() => {
+    const container = editorContainerRef.current;
+    if (!container || !targetChoices) return;
+
+    const elements = targetChoices.map((blockId, index) => {
+      const element = container.querySelector(
+        `[data-node-type="blockContainer"][data-id="${blockId}"]`
+      );
+      if (element) {
+        element.classList.add("target-choice");
+        element.setAttribute("data-choice-number", String(index + 1));
+      }
+      return element;
+    });
+
+    const firstElement = elements.find(Boolean);
+    if (firstElement) {
+      firstElement.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
+
+    const handleClick = (event) => {
+      const choice = event.target.closest?.("[data-choice-number]");
+      if (!choice) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      setTargetChoices(null);
+      if (onChooseTarget) {
+        onChooseTarget(Number(choice.getAttribute("data-choice-number")) - 1);
+      }
+    };
+    container.addEventListener("click", handleClick, true);
+
+    return () => {
+      container.removeEventListener("click", handleClick, true);
+      elements.forEach((element) => {
+        if (element) {
+          element.classList.remove("target-choice");
+          element.removeAttribute("data-choice-number");
+        }
+      });
+    };
+  }, [targetChoices, onChooseTarget]);
+
   /**
    * Helper function to safely access the editor's internal storage
    *
@@ -172,6 +223,33 @@ const BlockNoteEditor = forwardRef((props, ref) => {
   // Save the editor instance to ref so we can access it later
   editorInstance.current = editor;
 
+  // Audio blocks look up where to play their recording from as soon as they
+  // render, so this is in place before any effects run
+  if (getAudioUrl) {
+    accessEditorStorage(editor, "audio", { getAudioUrl });
+  }
+
+  // Tapping a block transcribed from a recording on the page moves the
+  // recording to the moment it was said
+  useEffect(() => {
+    const container = editorContainerRef.current;
+    if (!container || !editor) return;
+
+    const handleClick = (event) => {
+      const element = event.target.closest?.(
+        '[data-node-type="blockContainer"]'
+      );
+      if (element) {
+        seekToBlock(editor, element.getAttribute("data-id"));
+      }
+    };
+    container.addEventListener("click", handleClick);
+
+    return () => {
+      container.removeEventListener("click", handleClick);
+    };
+  }, [editor]);
+
   // Function to check if any page links were deleted and delete the corresponding pages
   const checkForDeletedPageLinks = useCallback(() => {
     if (!editor || !nestedPages || nestedPages.length === 0) return;
@@ -604,6 +682,100 @@ const BlockNoteEditor = forwardRef((props, ref) => {
           return false;
         },
 
+        // Function to apply content changed on another device without
+        // resetting the cursor: only blocks that differ are touched
+        applyRemoteContent: (content) => {
+          if (!editor || !Array.isArray(content)) {
+            return false;
+          }
+
+          try {
+            const isSameBlock = (a, b) =>
+              JSON.stringify(a) === JSON.stringify(b);
+            const remoteIds = new Set(content.map((block) => block.id));
+
+            // Remove blocks deleted remotely
+            const removedIds = editor.document
+              .filter((block) => !remoteIds.has(block.id))
+              .map((block) => block.id);
+            if (removedIds.length > 0) {
+              editor.removeBlocks(removedIds);
+            }
+
+            // Update changed blocks and insert new ones in remote order
+            content.forEach((remoteBlock, index) => {
+              const localBlock = editor.getBlock(remoteBlock.id);
+
+              if (localBlock) {
+                if (!isSameBlock(localBlock, remoteBlock)) {
+                  editor.updateBlock(remoteBlock.id, remoteBlock);
+                }
+                return;
+              }
+
+              if (index === 0) {
+                const firstBlock = editor.document[0];
+                if (firstBlock) {
+                  editor.insertBlocks([remoteBlock], firstBlock.id, "before");
+                } else {
+                  editor.replaceBlocks([], [remoteBlock]);
+                }
+              } else {
+                editor.insertBlocks(
+                  [remoteBlock],
+                  content[index - 1].id,
+                  "after"
+                );
+              }
+            });
+
+            // Blocks were moved remotely: rebuild, then put the cursor back
+            const localOrder = editor.document.map((block) => block.id);
+            const remoteOrder = content.map((block) => block.id);
+            if (!isSameBlock(localOrder, remoteOrder)) {
+              let cursorBlockId = null;
+              try {
+                cursorBlockId = editor.getTextCursorPosition().block.id;
+              } catch (cursorError) {
+                cursorBlockId = null;
+              }
+
+              editor.replaceBlocks(localOrder, content);
+
+              if (cursorBlockId && editor.getBlock(cursorBlockId)) {
+                editor.setTextCursorPosition(cursorBlockId, "end");
+              }
+            }
+
+            return true;
+          } catch (error) {
+            console.error("Error applying remote content:", error);
+            return false;
+          }
+        },
+
+        // Function to move the cursor to a block and scroll it into view
+        scrollToBlock: (blockId) => {
+          if (!editor || !blockId || !editor.getBlock(blockId)) {
+            return false;
+          }
+
+          try {
+            editor.setTextCursorPosition(blockId, "start");
+
+            const element = document.querySelector(
+              `[data-node-type="blockContainer"][data-id="${blockId}"]`
+            );
+            if (element) {
+              element.scrollIntoView({ behavior: "smooth", block: "center" });
+            }
+            return true;
+          } catch (error) {
+            console.error("Error scrolling to block:", error);
+            return false;
+          }
+        },
+
         // Function to get the currently selected/focused block ID
         getCurrentBlockId: () => {
           if (editor) {
@@ -687,6 +859,30 @@ const BlockNoteEditor = forwardRef((props, ref) => {
           return null;
         },
 
+        // Number blocks for the user to pick from by tapping or saying
+        // "the second one"
+        showTargetChoices: (blockIds) => {
+          if (!Array.isArray(blockIds) || blockIds.length === 0) {
+            return false;
+          }
+          setTargetChoices(blockIds);
+          return true;
+        },
+
+        clearTargetChoices: () => {
+          setTargetChoices(null);
+          return true;
+        },
+
+        // Where the cursor and selection are, for voice commands like
+        // "make the selected text bold"
+        getSelectionContext: () => {
+          if (!editor) {
+            return null;
+          }
+          return TranscriptionHandler.getSelectionContext(editor);
+        },
+
         // Function to insert a page link block
         insertPageLink: (pageId, pageTitle, pageIcon) => {
           return TranscriptionHandler.insertPageLinkBlock(
@@ -532,6 +532,78 @@ const getCurrentBlock = (editor) => {
   }
 };
 
+/**
+ * Describes where the cursor and selection are, for voice commands
+ * Offsets count characters into a block's text, as BlockNote stores it, so
+ * the app can work with them without access to the editor.
+ * @param {Object} editor - BlockNote editor instance
+ * @returns {Object|null} { cursorBlockId, selectedBlockIds, selectionRanges,
+ * selectedText } where selectionRanges holds { blockId, startOffset,
+ * endOffset } for the selected text of each block; the lists are empty when
+ * nothing is selected
+ */
+const getSelectionContext = (editor) => {
+  try {
+    if (!editor || !editor._tiptapEditor || !editor._tiptapEditor.state) {
+      return null;
+    }
+
+    const { state } = editor._tiptapEditor;
+    const { from, to, empty, $head } = state.selection;
+
+    // The block the cursor is in is the closest block container around it
+    let cursorBlockId = null;
+    for (let depth = $head.depth; depth > 0; depth--) {
+      const node = $head.node(depth);
+      if (node.type.name === "blockContainer" && node.attrs.id) {
+        cursorBlockId = node.attrs.id;
+        break;
+      }
+    }
+
+    const selectedBlockIds = [];
+    const selectionRanges = [];
+
+    if (!empty) {
+      state.doc.nodesBetween(from, to, (node, pos) => {
+        if (node.type.name !== "blockContainer" || !node.attrs.id) {
+          return true;
+        }
+
+        // A container holds its own content first, then its children, so
+        // a parent of the selected blocks doesn't count unless its own
+        // content is selected too
+        const contentNode = node.firstChild;
+        const contentStart = pos + 2;
+        const contentEnd = contentStart + contentNode.content.size;
+        if (contentEnd <= from || contentStart >= to) return true;
+
+        selectedBlockIds.push(node.attrs.id);
+        const startOffset = Math.max(0, from - contentStart);
+        const endOffset = Math.min(contentNode.content.size, to - contentStart);
+        if (contentNode.isTextblock && endOffset > startOffset) {
+          selectionRanges.push({
+            blockId: node.attrs.id,
+            startOffset,
+            endOffset,
+          });
+        }
+        return true;
+      });
+    }
+
+    return {
+      cursorBlockId,
+      selectedBlockIds,
+      selectionRanges,
+      selectedText: empty ? "" : state.doc.textBetween(from, to, "\n"),
+    };
+  } catch (error) {
+    console.error("Error in getSelectionContext:", error);
+    return null;
+  }
+};
+
 // Export all the handler functions
 export default {
   insertTranscribedText,
@@ -546,4 +618,5 @@ export default {
   FORMAT_TYPES,
   BLOCK_TYPES,
   getCurrentBlock,
+  getSelectionContext,
 };
@@ -2,12 +2,14 @@
 
 import { BlockNoteSchema, defaultBlockSpecs } from "@blocknote/core";
 import PageLinkBlock from "./PageLinkBlock";
+import AudioBlock from "./AudioBlock";
 
 // Create custom schema with our custom blocks
 const schema = BlockNoteSchema.create({
   blockSpecs: {
     ...defaultBlockSpecs,
     pageLink: PageLinkBlock,
+    audio: AudioBlock,
   },
 });
 
@@ -1,6 +1,7 @@
 "use dom";
 
 export { default as PageLinkBlock } from "./PageLinkBlock";
+export { default as AudioBlock } from "./AudioBlock";
 export { default as EditorToolbars } from "./EditorToolbars";
 export { default as KeyboardToolbarWrapper } from "./KeyboardToolbarWrapper";
 export { default as ConfirmDialog } from "./ConfirmDialog";
@@ -0,0 +1,322 @@
+import React, { useState, useEffect } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+} from "react-native";
+import { useTheme } from "../../utils/themeContext";
+import { extractTextFromBlock } from "../../utils/blockOperations";
+import { CONFLICT_TYPES, RESOLUTIONS } from "../../utils/mergeUtils";
+
+const NO_CONFLICTS = [];
+
+const CHOICES = [
+  { id: RESOLUTIONS.LOCAL, label: "Mine" },
+  { id: RESOLUTIONS.REMOTE, label: "Theirs" },
+  { id: RESOLUTIONS.BOTH, label: "Both" },
+];
+
+// Short description of what happened to a block on each side
+const describeConflict = (conflict) => {
+  switch (conflict.type) {
+    case CONFLICT_TYPES.DELETED_LOCALLY:
+      return "You deleted this block, but it was edited on another device";
+    case CONFLICT_TYPES.DELETED_REMOTELY:
+      return "You edited this block, but it was deleted on another device";
+    default:
+      return "This block was edited on both devices";
+  }
+};
+
+const getBlockPreview = (block) => {
+  if (!block) return "(deleted)";
+  const text = extractTextFromBlock(block);
+  return text ? text : `(empty ${block.type})`;
+};
+
+/**
+ * Dialog for resolving blocks that were changed both here and on another device
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether to show the dialog
+ * @param {Array} props.conflicts - Conflicts returned by mergeBlocks
+ * @param {Function} props.onResolve - Called with a map of blockId to resolution
+ * @param {Function} props.onCancel - Called when the dialog is dismissed
+ */
+const ConflictResolver = ({
+  visible = false,
+  conflicts = NO_CONFLICTS,
+  onResolve,
+  onCancel,
+}) => {
+  const { theme, isDark } = useTheme();
+  const [resolutions, setResolutions] = useState({});
+
+  // Default every conflict to keeping both versions so nothing is lost
+  useEffect(() => {
+    const defaults = {};
+    conflicts.forEach((conflict) => {
+      defaults[conflict.blockId] = RESOLUTIONS.BOTH;
+    });
+    setResolutions(defaults);
+  }, [conflicts]);
+
+  const chooseForAll = (resolution) => {
+    const all = {};
+    conflicts.forEach((conflict) => {
+      all[conflict.blockId] = resolution;
+    });
+    setResolutions(all);
+  };
+
+  return (
+    <Modal
+      transparent={true}
+      visible={visible}
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View
+        style={[
+          styles.modalOverlay,
+          {
+            backgroundColor: isDark ? "rgba(0,0,0,0.7)" : "rgba(0,0,0,0.5)",
+          },
+        ]}
+      >
+        <View
+          style={[
+            styles.modalContainer,
+            {
+              backgroundColor: theme.background,
+              borderColor: theme.border,
+              borderWidth: isDark ? 1 : 0,
+            },
+          ]}
+        >
+          <Text style={[styles.title, { color: theme.text }]}>
+            Resolve Conflicts
+          </Text>
+          <Text style={[styles.message, { color: theme.secondaryText }]}>
+            This page was changed on another device while you were editing.
+            Choose which version of each block to keep.
+          </Text>
+
+          <View style={styles.bulkActions}>
+            <TouchableOpacity onPress={() => chooseForAll(RESOLUTIONS.LOCAL)}>
+              <Text style={[styles.bulkActionText, { color: theme.primary }]}>
+                Keep all mine
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => chooseForAll(RESOLUTIONS.REMOTE)}>
+              <Text style={[styles.bulkActionText, { color: theme.primary }]}>
+                Keep all theirs
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.conflictList}>
+            {conflicts.map((conflict) => (
+              <View
+                key={conflict.blockId}
+                style={[styles.conflictItem, { borderColor: theme.border }]}
+              >
+                <Text
+                  style={[styles.conflictLabel, { color: theme.secondaryText }]}
+                >
+                  {describeConflict(conflict)}
+                </Text>
+
+                <Text style={[styles.versionLabel, { color: theme.text }]}>
+                  Mine
+                </Text>
+                <Text
+                  style={[styles.versionText, { color: theme.text }]}
+                  numberOfLines={4}
+                >
+                  {getBlockPreview(conflict.local)}
+                </Text>
+
+                <Text style={[styles.versionLabel, { color: theme.text }]}>
+                  Theirs
+                </Text>
+                <Text
+                  style={[styles.versionText, { color: theme.text }]}
+                  numberOfLines={4}
+                >
+                  {getBlockPreview(conflict.remote)}
+                </Text>
+
+                <View style={styles.choiceRow}>
+                  {CHOICES.map((choice) => {
+                    const selected =
+                      resolutions[conflict.blockId] === choice.id;
+                    return (
+                      <TouchableOpacity
+                        key={choice.id}
+                        style={[
+                          styles.choiceButton,
+                          {
+                            backgroundColor: selected
+                              ? theme.chip.selected
+                              : theme.chip.background,
+                          },
+                        ]}
+                        onPress={() =>
+                          setResolutions((prev) => ({
+                            ...prev,
+                            [conflict.blockId]: choice.id,
+                          }))
+                        }
+                      >
+                        <Text
+                          style={[
+                            styles.choiceText,
+                            {
+                              color: selected
+                                ? theme.chip.selectedText
+                                : theme.chip.text,
+                            },
+                          ]}
+                        >
+                          {choice.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={[styles.cancelButton, { borderColor: theme.border }]}
+              activeOpacity={0.7}
+              onPress={onCancel}
+            >
+              <Text style={[styles.cancelText, { color: theme.text }]}>
+                Later
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.confirmButton, { backgroundColor: theme.primary }]}
+              activeOpacity={0.7}
+              onPress={() => onResolve(resolutions)}
+            >
+              <Text style={styles.confirmText}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContainer: {
+    borderRadius: 16,
+    width: "90%",
+    maxWidth: 420,
+    maxHeight: "80%",
+    padding: 24,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 10 },
+    shadowOpacity: 0.2,
+    shadowRadius: 25,
+    elevation: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "600",
+    marginBottom: 12,
+  },
+  message: {
+    fontSize: 15,
+    lineHeight: 22,
+    marginBottom: 12,
+  },
+  bulkActions: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: 12,
+  },
+  bulkActionText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  conflictList: {
+    flexGrow: 0,
+  },
+  conflictItem: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  conflictLabel: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  versionLabel: {
+    fontSize: 13,
+    fontWeight: "600",
+    marginTop: 4,
+  },
+  versionText: {
+    fontSize: 15,
+    lineHeight: 21,
+    marginBottom: 4,
+  },
+  choiceRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginTop: 8,
+  },
+  choiceButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+  },
+  choiceText: {
+    fontSize: 14,
+    fontWeight: "500",
+  },
+  buttonContainer: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    gap: 12,
+    marginTop: 12,
+  },
+  cancelButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    borderWidth: 1,
+    backgroundColor: "transparent",
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: "500",
+  },
+  confirmButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+  },
+  confirmText: {
+    color: "white",
+    fontSize: 15,
+    fontWeight: "600",
+  },
+});
+
+export default ConflictResolver;
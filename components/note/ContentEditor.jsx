@@ -11,6 +11,7 @@ import Editor from "../Editor";
 
 /**
  * ContentEditor component - Handles the main editor area of the note screen
+ * getAudioUrl finds where an audio block's recording can be played from.
  */
 const ContentEditor = ({
   editorRef,
@@ -27,6 +28,8 @@ const ContentEditor = ({
   nestedPages,
   recentTranscription,
   forceRefresh,
+  onChooseTarget,
+  getAudioUrl,
   theme,
   isDark,
 }) => {
@@ -57,6 +60,8 @@ const ContentEditor = ({
           onDeletePage={onDeletePage}
           nestedPages={nestedPages}
           recentTranscription={recentTranscription}
+          onChooseTarget={onChooseTarget}
+          getAudioUrl={getAudioUrl}
           theme={themeName}
         />
       ) : (
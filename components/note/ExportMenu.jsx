@@ -0,0 +1,167 @@
+import React from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../../utils/themeContext";
+
+export const EXPORT_FORMATS = {
+  PDF: "pdf",
+  HTML: "html",
+  MARKDOWN: "markdown",
+  MARKDOWN_TREE: "markdownTree",
+};
+
+const OPTIONS = [
+  {
+    id: EXPORT_FORMATS.PDF,
+    icon: "document-outline",
+    label: "PDF",
+    description: "Styled document for people without the app",
+  },
+  {
+    id: EXPORT_FORMATS.HTML,
+    icon: "globe-outline",
+    label: "HTML",
+    description: "Standalone web page",
+  },
+  {
+    id: EXPORT_FORMATS.MARKDOWN,
+    icon: "logo-markdown",
+    label: "Markdown",
+    description: "This page as a .md file",
+  },
+  {
+    id: EXPORT_FORMATS.MARKDOWN_TREE,
+    icon: "folder-outline",
+    label: "Markdown with subpages",
+    description: "This page and all subpages as a .zip",
+  },
+];
+
+/**
+ * Menu for choosing how to export the current page
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether to show the menu
+ * @param {Function} props.onSelect - Called with one of EXPORT_FORMATS
+ * @param {Function} props.onCancel - Called when the menu is dismissed
+ */
+const ExportMenu = ({ visible = false, onSelect, onCancel }) => {
+  const { theme, isDark } = useTheme();
+
+  return (
+    <Modal
+      transparent={true}
+      visible={visible}
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <TouchableWithoutFeedback onPress={onCancel}>
+        <View
+          style={[
+            styles.modalOverlay,
+            {
+              backgroundColor: isDark ? "rgba(0,0,0,0.7)" : "rgba(0,0,0,0.5)",
+            },
+          ]}
+        >
+          <TouchableWithoutFeedback>
+            <View
+              style={[
+                styles.modalContainer,
+                {
+                  backgroundColor: theme.background,
+                  borderColor: theme.border,
+                  borderWidth: isDark ? 1 : 0,
+                },
+              ]}
+            >
+              <Text style={[styles.title, { color: theme.text }]}>
+                Export Page
+              </Text>
+
+              {OPTIONS.map((option) => (
+                <TouchableOpacity
+                  key={option.id}
+                  style={[styles.option, { borderTopColor: theme.border }]}
+                  activeOpacity={0.7}
+                  onPress={() => onSelect(option.id)}
+                >
+                  <Ionicons
+                    name={option.icon}
+                    size={22}
+                    color={theme.primary}
+                  />
+                  <View style={styles.optionText}>
+                    <Text style={[styles.optionLabel, { color: theme.text }]}>
+                      {option.label}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.optionDescription,
+                        { color: theme.secondaryText },
+                      ]}
+                    >
+                      {option.description}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContainer: {
+    borderRadius: 16,
+    width: "85%",
+    maxWidth: 360,
+    paddingVertical: 16,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 10 },
+    shadowOpacity: 0.2,
+    shadowRadius: 25,
+    elevation: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "600",
+    marginBottom: 8,
+    paddingHorizontal: 20,
+  },
+  option: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  optionText: {
+    marginLeft: 14,
+    flex: 1,
+  },
+  optionLabel: {
+    fontSize: 16,
+    fontWeight: "500",
+  },
+  optionDescription: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+});
+
+export default ExportMenu;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+} from "react-native";
+import { useTheme } from "../../utils/themeContext";
+
+const NO_SPEAKERS = [];
+
+/**
+ * Sheet for naming the speakers of a meeting before its notes are created
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether to show the sheet
+ * @param {string} props.title - Title the notes page will have
+ * @param {Array} props.speakers - { label, name, sample } for each speaker,
+ * where name is a suggestion from the meeting and sample is something they
+ * said, to tell them apart
+ * @param {Function} props.onAccept - Called with the title and the names
+ * by label
+ * @param {Function} props.onCancel - Called when the meeting is discarded
+ */
+const MeetingSpeakersSheet = ({
+  visible = false,
+  title = "",
+  speakers = NO_SPEAKERS,
+  onAccept,
+  onCancel,
+}) => {
+  const { theme, isDark } = useTheme();
+  const [draftTitle, setDraftTitle] = useState(title);
+  const [names, setNames] = useState({});
+
+  useEffect(() => {
+    setDraftTitle(title);
+  }, [title]);
+
+  useEffect(() => {
+    setNames(
+      Object.fromEntries(
+        speakers.map((speaker) => [speaker.label, speaker.name])
+      )
+    );
+  }, [speakers]);
+
+  const canCreate = draftTitle.trim().length > 0;
+
+  return (
+    <Modal
+      transparent={true}
+      visible={visible}
+      animationType="slide"
+      onRequestClose={onCancel}
+    >
+      <View
+        style={[
+          styles.modalOverlay,
+          {
+            backgroundColor: isDark ? "rgba(0,0,0,0.7)" : "rgba(0,0,0,0.5)",
+          },
+        ]}
+      >
+        <View
+          style={[
+            styles.sheet,
+            {
+              backgroundColor: theme.background,
+              borderColor: theme.border,
+              borderWidth: isDark ? 1 : 0,
+            },
+          ]}
+        >
+          <Text style={[styles.title, { color: theme.text }]}>
+            Meeting Notes
+          </Text>
+
+          <ScrollView style={styles.body} keyboardShouldPersistTaps="handled">
+            <Text style={[styles.sectionLabel, { color: theme.secondaryText }]}>
+              Title
+            </Text>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  color: theme.text,
+                  borderColor: theme.border,
+                  backgroundColor: theme.surface,
+                },
+              ]}
+              value={draftTitle}
+              onChangeText={setDraftTitle}
+            />
+
+            <Text style={[styles.sectionLabel, { color: theme.secondaryText }]}>
+              Speakers
+            </Text>
+            {speakers.length === 0 && (
+              <Text style={[styles.status, { color: theme.secondaryText }]}>
+                Speakers couldn't be told apart in this recording.
+              </Text>
+            )}
+            {speakers.map((speaker) => (
+              <View
+                key={speaker.label}
+                style={[styles.speakerItem, { borderColor: theme.border }]}
+              >
+                <TextInput
+                  style={[
+                    styles.input,
+                    {
+                      color: theme.text,
+                      borderColor: theme.border,
+                      backgroundColor: theme.surface,
+                    },
+                  ]}
+                  value={names[speaker.label] || ""}
+                  placeholder={speaker.label}
+                  placeholderTextColor={theme.secondaryText}
+                  onChangeText={(name) =>
+                    setNames((prev) => ({ ...prev, [speaker.label]: name }))
+                  }
+                />
+                {speaker.sample ? (
+                  <Text
+                    style={[styles.sample, { color: theme.secondaryText }]}
+                    numberOfLines={2}
+                  >
+                    {`"${speaker.sample}"`}
+                  </Text>
+                ) : null}
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={[styles.cancelButton, { borderColor: theme.border }]}
+              activeOpacity={0.7}
+              onPress={onCancel}
+            >
+              <Text style={[styles.cancelText, { color: theme.text }]}>
+                Discard
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.confirmButton,
+                { backgroundColor: theme.primary },
+                !canCreate && styles.disabledButton,
+              ]}
+              activeOpacity={0.7}
+              disabled={!canCreate}
+              onPress={() => onAccept(draftTitle.trim(), names)}
+            >
+              <Text style={styles.confirmText}>Create Page</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: "flex-end",
+  },
+  sheet: {
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: "85%",
+    padding: 24,
+    paddingBottom: 36,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: -4 },
+    shadowOpacity: 0.2,
+    shadowRadius: 25,
+    elevation: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "600",
+    marginBottom: 12,
+  },
+  body: {
+    flexGrow: 0,
+  },
+  sectionLabel: {
+    fontSize: 13,
+    fontWeight: "600",
+    textTransform: "uppercase",
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+  },
+  status: {
+    fontSize: 15,
+    marginVertical: 8,
+  },
+  speakerItem: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  sample: {
+    fontSize: 14,
+    fontStyle: "italic",
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  buttonContainer: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    gap: 12,
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    borderWidth: 1,
+    backgroundColor: "transparent",
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: "500",
+  },
+  confirmButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    color: "white",
+    fontSize: 15,
+    fontWeight: "600",
+  },
+});
+
+export default MeetingSpeakersSheet;
@@ -20,6 +20,7 @@ const PageHeader = ({
   onBackPress,
   onUndo,
   onRedo,
+  onExportPress,
   canUndo,
   canRedo,
   isSaving,
@@ -112,6 +113,19 @@ const PageHeader = ({
                 color={canRedo ? theme.text : theme.secondaryText}
               />
             </TouchableOpacity>
+
+            {/* Export button */}
+            {onExportPress && (
+              <TouchableOpacity
+                style={[
+                  styles.historyButton,
+                  { backgroundColor: theme.cardBackground },
+                ]}
+                onPress={onExportPress}
+              >
+                <Ionicons name="share-outline" size={20} color={theme.text} />
+              </TouchableOpacity>
+            )}
           </View>
         </View>
       </View>
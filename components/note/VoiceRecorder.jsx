@@ -9,17 +9,77 @@ import {
   Easing,
   Platform,
 } from "react-native";
-import { Audio } from "expo-av";
 import { Ionicons } from "@expo/vector-icons";
 import * as Haptics from "expo-haptics";
 import geminiService from "../../services/geminiService";
-import { showToast } from "../ToastManager";
+import { showToast, hideToast } from "../ToastManager";
+import useAudioRecorder from "../../hooks/useAudioRecorder";
+import useContinuousListening from "../../hooks/useContinuousListening";
+import { isWorkspaceQuestion } from "../../services/workspaceQA";
+import { parseTargetChoice } from "../../utils/localIntentParser";
+import { loadVoiceSettings } from "../../services/voiceSettings";
+import {
+  getUnfinishedTranscription,
+  discardUnfinishedTranscription,
+} from "../../services/longTranscription";
+import {
+  buildResultPreview,
+  describeCommand,
+  removeRejectedBlocks,
+} from "../../utils/voiceResultPreview";
+import { createEvenTimeline } from "../../utils/recordingUtils";
+import { applyCommandsToContent } from "../../utils/voiceCommandHandlers";
+import {
+  parseSpeakerTurns,
+  getSpeakers,
+  renameSpeakers,
+  createMinutesBlocks,
+  createTranscriptBlocks,
+} from "../../utils/meetingUtils";
+import VoiceResultSheet from "./VoiceResultSheet";
+import MeetingSpeakersSheet from "./MeetingSpeakersSheet";
+import {
+  LISTENING_MODES,
+  routeUtterance,
+} from "../../utils/handsFreeListening";
+
+// What the hands-free pill shows for each listening mode
+const LISTENING_MODE_LABELS = {
+  [LISTENING_MODES.DICTATION]: "Dictating",
+  [LISTENING_MODES.COMMAND]: "Commands",
+  [LISTENING_MODES.NEXT_COMMAND]: "Next: command",
+};
+
+// Shorter recordings are quick notes and commands, not worth keeping to
+// listen back to
+const MIN_KEPT_RECORDING_MS = 20 * 1000;
 
 /**
  * VoiceRecorder component - Handles voice recording and command processing
+ * AI questions about "my notes" are passed to onAskWorkspace, when given,
+ * to be answered from the whole workspace instead of the current page.
+ * getSelectionContext lets commands like "delete this block" or "make the
+ * selected text bold" find the cursor and selection in the editor. While
+ * targetChoiceCount blocks are numbered for the user to pick from, saying
+ * "the second one" calls onTargetChosen with the block's index. When
+ * reviewing results is turned on in voice settings, results wait in a
+ * review sheet until the user applies them. The ear button listens
+ * hands-free, splitting speech into utterances at pauses and adding each
+ * one as text or running it as a command; hands-free results skip the
+ * review sheet, since nobody is there to tap it. Long recordings show how
+ * many segments are transcribed, and one left unfinished when the app
+ * closed can be resumed. Dictated text comes with its recording when
+ * recordings are kept, so it can be played back from an audio block. The
+ * meeting button records a meeting, labels who spoke when and writes up
+ * its minutes, asking for the speakers' names before the notes page is
+ * created.
  */
 const VoiceRecorder = ({
   onCommandProcessed,
+  onAskWorkspace,
+  getSelectionContext,
+  targetChoiceCount = 0,
+  onTargetChosen,
   editorContent,
   theme,
   isKeyboardVisible,
@@ -27,23 +87,42 @@ const VoiceRecorder = ({
   style = {},
 }) => {
   // Recording state
-  const [isRecording, setIsRecording] = useState(false);
+  const { isRecording, recordingDuration, startRecording, stopRecording } =
+    useAudioRecorder();
   const [isProcessing, setIsProcessing] = useState(false);
-  const [recordingDuration, setRecordingDuration] = useState(0);
-  const [recording, setRecording] = useState(null);
   const [transcription, setTranscription] = useState("");
   const [isAIMode, setIsAIMode] = useState(false);
   const [isLongPressDetected, setIsLongPressDetected] = useState(false);
+  const [review, setReview] = useState(null);
+  const [isReviewProcessing, setIsReviewProcessing] = useState(false);
+  const [transcriptionProgress, setTranscriptionProgress] = useState(null);
+  const [unfinishedTranscription, setUnfinishedTranscription] = useState(null);
+  const [isMeetingMode, setIsMeetingMode] = useState(false);
+  const [meeting, setMeeting] = useState(null);
   const longPressTimeout = useRef(null);
   const pressStartTime = useRef(null);
 
+  // Hands-free listening, read from the queued utterance handler
+  const [listeningMode, setListeningMode] = useState(
+    LISTENING_MODES.DICTATION
+  );
+  const listeningModeRef = useRef(LISTENING_MODES.DICTATION);
+  const {
+    isListening,
+    isSpeaking,
+    pendingUtterances,
+    startListening,
+    stopListening,
+  } = useContinuousListening((uri, mimeType) =>
+    handleUtterance(uri, mimeType)
+  );
+
   // Animation
   const pulseAnim = useRef(new Animated.Value(1)).current;
-  const recordingInterval = useRef(null);
 
   // Start pulse animation
   useEffect(() => {
-    if (isRecording) {
+    if (isRecording || isListening) {
       Animated.loop(
         Animated.sequence([
           Animated.timing(pulseAnim, {
@@ -67,7 +146,7 @@ const VoiceRecorder = ({
     return () => {
       pulseAnim.setValue(1);
     };
-  }, [isRecording, pulseAnim]);
+  }, [isRecording, isListening, pulseAnim]);
 
   // Clean up on unmount
   useEffect(() => {
@@ -82,37 +161,13 @@ const VoiceRecorder = ({
       if (longPressTimeout.current) {
         clearTimeout(longPressTimeout.current);
       }
-      if (recordingInterval.current) {
-        clearInterval(recordingInterval.current);
-      }
     };
   }, []);
 
-  // Request permissions for audio recording
-  const requestPermissions = async () => {
-    try {
-      const { granted } = await Audio.requestPermissionsAsync();
-
-      if (!granted) {
-        showToast({
-          type: "error",
-          message: "Mic access needed",
-          duration: 3000,
-        });
-        return false;
-      }
-
-      return true;
-    } catch (error) {
-      console.error("Error requesting permissions:", error);
-      showToast({
-        type: "error",
-        message: "Mic permission failed",
-        duration: 3000,
-      });
-      return false;
-    }
-  };
+  // Offer to finish a long transcription that was cut short
+  useEffect(() => {
+    getUnfinishedTranscription().then(setUnfinishedTranscription);
+  }, []);
 
   // Handle press start for long press detection
   const handlePressIn = () => {
@@ -131,7 +186,7 @@ const VoiceRecorder = ({
         message: "AI Question Mode",
         duration: 1500,
       });
-      startRecording();
+      handleStartRecording();
     }, 800);
   };
 
@@ -150,96 +205,43 @@ const VoiceRecorder = ({
     ) {
       // Start normal recording mode
       setIsAIMode(false);
-      startRecording();
+      handleStartRecording();
     }
   };
 
-  // Start recording
-  const startRecording = async () => {
-    try {
-      const hasPermission = await requestPermissions();
-      if (!hasPermission) return;
-
-      // Configure audio session
-      await Audio.setAudioModeAsync({
-        allowsRecordingIOS: true,
-        playsInSilentModeIOS: true,
-        staysActiveInBackground: false,
-      });
-
-      // Prepare and start recording
-      const { recording: newRecording } = await Audio.Recording.createAsync(
-        Audio.RecordingOptionsPresets.HIGH_QUALITY
-      );
-
-      setRecording(newRecording);
-      setIsRecording(true);
-      setRecordingDuration(0);
-
-      // Provide haptic feedback
-      if (Platform.OS === "ios") {
-        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-      }
-
-      // Start duration timer
-      recordingInterval.current = setInterval(() => {
-        setRecordingDuration((prev) => prev + 1);
-      }, 1000);
-
-      console.log(
-        `Recording started in ${isAIMode ? "AI Question" : "Command"} mode`
-      );
-
-      // Show recording toast
-      showToast({
-        type: "recording",
-        message: isAIMode ? "Recording question..." : "Recording...",
-        duration: 0, // No auto-hide
-      });
-    } catch (error) {
-      console.error("Failed to start recording", error);
-      showToast({
-        type: "error",
-        message: "Recording failed",
-        duration: 2000,
-      });
+  // Start recording in the current mode
+  const handleStartRecording = async () => {
+    const started = await startRecording();
+    if (!started) {
       setIsAIMode(false);
       setIsLongPressDetected(false);
+      return;
     }
+
+    console.log(
+      `Recording started in ${isAIMode ? "AI Question" : "Command"} mode`
+    );
+
+    // Show recording toast
+    showToast({
+      type: "recording",
+      message: isAIMode ? "Recording question..." : "Recording...",
+      duration: 0, // No auto-hide
+    });
   };
 
   // Stop recording and process audio
-  const stopRecording = async () => {
-    if (!recording) return;
-
+  const handleStopRecording = async () => {
     try {
-      // Stop recording
-      await recording.stopAndUnloadAsync();
-      setIsRecording(false);
-
-      // Clear interval
-      if (recordingInterval.current) {
-        clearInterval(recordingInterval.current);
-        recordingInterval.current = null;
-      }
-
-      // Provide haptic feedback
-      if (Platform.OS === "ios") {
-        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-      }
-
-      // Get recording URI
-      const uri = recording.getURI();
-      if (!uri) {
-        throw new Error("No recording URI available");
-      }
-
-      // Reset recording state before processing to avoid memory leaks
-      const recordingToProcess = uri;
-      setRecording(null);
+      const uri = await stopRecording();
+      if (!uri) return;
 
       // Process the recording
-      await processRecording(recordingToProcess);
+      if (isMeetingMode) {
+        await processMeeting(uri);
+      } else {
+        await processRecording(uri);
+      }
     } catch (error) {
       console.error("Failed to stop recording", error);
       setIsProcessing(false);
@@ -248,14 +250,29 @@ const VoiceRecorder = ({
         message: "Processing failed",
         duration: 2000,
       });
-
-      // Ensure recording is reset even on error
-      setRecording(null);
       setIsAIMode(false);
+      setIsMeetingMode(false);
       setIsLongPressDetected(false);
     }
   };
 
+  // Record a meeting, to be written up as minutes on a new page
+  const handleStartMeeting = async () => {
+    setIsAIMode(false);
+    setIsMeetingMode(true);
+    const started = await startRecording();
+    if (!started) {
+      setIsMeetingMode(false);
+      return;
+    }
+
+    showToast({
+      type: "recording",
+      message: "Recording meeting...",
+      duration: 0, // No auto-hide
+    });
+  };
+
   // Process the recorded audio
   const processRecording = async (uri) => {
     try {
@@ -271,7 +288,10 @@ const VoiceRecorder = ({
 
       // Transcribe the audio using Gemini API
       console.log("Sending audio for transcription:", uri);
-      const result = await geminiService.transcribeAudioWithGemini(uri);
+      const result = await geminiService.transcribeAudioWithGemini(uri, {
+        onProgress: setTranscriptionProgress,
+      });
+      setTranscriptionProgress(null);
 
       if (!result || !result.success) {
         console.error(
@@ -294,59 +314,34 @@ const VoiceRecorder = ({
         return;
       }
 
+      // "The second one" picks from the numbered blocks instead of being
+      // run as a command
+      if (!isAIMode && targetChoiceCount > 0 && onTargetChosen) {
+        const choice = parseTargetChoice(
+          result.transcription,
+          targetChoiceCount
+        );
+        if (choice !== null) {
+          hideToast();
+          onTargetChosen(choice);
+          return;
+        }
+      }
+
       showToast({
         type: "success",
         message: isAIMode ? "Processing question..." : "Processing command...",
         duration: 1500,
       });
 
-      let commandResult;
-
-      if (isAIMode) {
-        // In AI mode, directly use askGeminiAI instead of processCommandWithGemini
-        console.log("Processing direct AI question:", result.transcription);
-
-        showToast({
-          type: "processing",
-          message: "Processing question...",
-          duration: 0, // No auto-hide
-          showProgress: true,
-        });
-
-        const aiResponse = await geminiService.askGeminiAI(
-          result.transcription,
-          editorContent
-        );
-
-        if (aiResponse.success && aiResponse.blocks) {
-          console.log("Got AI answer with blocks:", aiResponse.blocks.length);
-          commandResult = {
-            success: true,
-            action: "INSERT_AI_ANSWER",
-            blocks: aiResponse.blocks,
-            rawCommand: result.transcription,
-            rawTranscription: result.transcription,
-          };
-        } else {
-          console.error("Failed to get AI answer:", aiResponse.message);
-          throw new Error(
-            aiResponse.message || "AI couldn't answer that question"
-          );
-        }
-      } else {
-        // Normal command processing
-        showToast({
-          type: "processing",
-          message: "Processing command...",
-          duration: 0, // No auto-hide
-          showProgress: true,
-        });
-
-        commandResult = await geminiService.processCommandWithGemini(
-          result.transcription,
-          editorContent
-        );
-      }
+      let commandResult = await interpretTranscription(
+        result.transcription,
+        isAIMode
+      );
+      const recording = await getRecordingToKeep(
+        result.audioUri || uri,
+        result
+      );
 
       if (!commandResult || !commandResult.success) {
         console.error(
@@ -357,19 +352,13 @@ const VoiceRecorder = ({
         // If we have transcription but command processing failed,
         // we can still show the transcription to the user
         if (result.transcription) {
-          showToast({
-            type: "info",
-            message: "Adding as text",
-            duration: 2000,
-          });
-
           // Pass a simple insert content command instead
-          onCommandProcessed({
-            success: true,
-            action: "INSERT_CONTENT",
-            content: result.transcription,
-            rawTranscription: result.transcription,
-          });
+          await deliverResult(
+            withRecording(toTextInsert(result.transcription), recording),
+            result.transcription,
+            isAIMode,
+            { type: "info", message: "Adding as text" }
+          );
           return;
         }
 
@@ -378,17 +367,100 @@ const VoiceRecorder = ({
 
       console.log("Command processing successful:", commandResult);
 
-      // Show success toast based on action
+      await deliverResult(
+        withRecording(commandResult, recording),
+        result.transcription,
+        isAIMode,
+        {
+          type: "success",
+          message: getSuccessMessageForAction(commandResult.action),
+        }
+      );
+    } catch (error) {
+      console.error("Error processing recording:", error);
       showToast({
-        type: "success",
-        message: getSuccessMessageForAction(commandResult.action),
+        type: "error",
+        message: error.message
+          ? error.message.substring(0, 24)
+          : "Processing failed",
         duration: 2000,
       });
+    } finally {
+      setIsProcessing(false);
+      setTranscriptionProgress(null);
+      setIsAIMode(false);
+      setIsLongPressDetected(false);
+      getUnfinishedTranscription().then(setUnfinishedTranscription);
+    }
+  };
 
-      // Pass the command result to the parent component
-      onCommandProcessed(commandResult);
+  // Transcribe a meeting with its speakers labelled and write its minutes,
+  // then hold them until the speakers are named
+  const processMeeting = async (uri) => {
+    try {
+      setIsProcessing(true);
+      showToast({
+        type: "processing",
+        message: "Transcribing meeting...",
+        duration: 0, // No auto-hide
+        showProgress: true,
+      });
+
+      const result = await geminiService.transcribeAudioWithGemini(uri, {
+        onProgress: setTranscriptionProgress,
+        speakers: true,
+      });
+      setTranscriptionProgress(null);
+
+      if (!result || !result.success) {
+        console.error(
+          "Transcription failed:",
+          result?.error || "Unknown error"
+        );
+        throw new Error(result?.error || "Transcription failed");
+      }
+
+      if (!result.transcription || !result.transcription.trim()) {
+        showToast({
+          type: "info",
+          message: "No speech detected. Nothing was added.",
+          duration: 2000,
+        });
+        return;
+      }
+
+      showToast({
+        type: "processing",
+        message: "Writing minutes...",
+        duration: 0, // No auto-hide
+        showProgress: true,
+      });
+
+      const minutesResult =
+        await geminiService.generateMeetingMinutesWithGemini(
+          result.transcription
+        );
+      if (!minutesResult.success) {
+        throw new Error(minutesResult.error || "Couldn't write the minutes");
+      }
+
+      const { minutes } = minutesResult;
+      const turns = parseSpeakerTurns(result.transcription);
+      hideToast();
+      setMeeting({
+        transcription: result.transcription,
+        minutes,
+        recording: await getRecordingToKeep(result.audioUri || uri, result),
+        speakers: getSpeakers(result.transcription).map((label) => ({
+          label,
+          name:
+            minutes.attendees.find((attendee) => attendee.speaker === label)
+              ?.name || "",
+          sample: turns.find((turn) => turn.speaker === label)?.text || "",
+        })),
+      });
     } catch (error) {
-      console.error("Error processing recording:", error);
+      console.error("Error processing meeting:", error);
       showToast({
         type: "error",
         message: error.message
@@ -398,8 +470,380 @@ const VoiceRecorder = ({
       });
     } finally {
       setIsProcessing(false);
-      setIsAIMode(false);
-      setIsLongPressDetected(false);
+      setTranscriptionProgress(null);
+      setIsMeetingMode(false);
+      getUnfinishedTranscription().then(setUnfinishedTranscription);
+    }
+  };
+
+  // Create the notes page with the names given to the speakers
+  const handleMeetingAccept = (title, names) => {
+    const { transcription, minutes, recording } = meeting;
+    setMeeting(null);
+
+    // The recording's transcript is renamed too, so its moments still line
+    // up with the transcript on the page
+    const renamed =
+      recording &&
+      renameSpeakers(recording.transcription, names, recording.timeline);
+
+    showToast({
+      type: "success",
+      message: getSuccessMessageForAction("CREATE_MEETING_NOTES"),
+      duration: 2000,
+    });
+    onCommandProcessed({
+      success: true,
+      action: "CREATE_MEETING_NOTES",
+      pageTitle: title,
+      blocks: createMinutesBlocks(minutes, names),
+      transcriptBlocks: createTranscriptBlocks(transcription, names),
+      recording: recording && {
+        ...recording,
+        transcription: renamed.text,
+        timeline: renamed.timeline,
+      },
+      rawTranscription: transcription,
+    });
+  };
+
+  const handleMeetingCancel = () => {
+    setMeeting(null);
+    showToast({
+      type: "info",
+      message: "Meeting discarded",
+      duration: 1500,
+    });
+  };
+
+  // Carry on transcribing a long recording from its last finished segment
+  const handleResumeTranscription = () => {
+    const { audioUri, speakers } = unfinishedTranscription;
+    setUnfinishedTranscription(null);
+    if (speakers) {
+      processMeeting(audioUri);
+    } else {
+      processRecording(audioUri);
+    }
+  };
+
+  // Give up on a long recording that wasn't finished
+  const handleDiscardTranscription = async () => {
+    setUnfinishedTranscription(null);
+    await discardUnfinishedTranscription();
+    showToast({
+      type: "info",
+      message: "Recording discarded",
+      duration: 1500,
+    });
+  };
+
+  // Work out what a transcript asks for: an answer in AI mode, otherwise
+  // a command
+  const interpretTranscription = async (text, aiMode) => {
+    if (aiMode) {
+      // In AI mode, directly use askGeminiAI instead of processCommandWithGemini
+      console.log("Processing direct AI question:", text);
+
+      showToast({
+        type: "processing",
+        message: "Processing question...",
+        duration: 0, // No auto-hide
+        showProgress: true,
+      });
+
+      if (onAskWorkspace && isWorkspaceQuestion(text)) {
+        console.log("Answering from the whole workspace");
+        const workspaceResponse = await onAskWorkspace(text);
+
+        if (!workspaceResponse.success || !workspaceResponse.blocks) {
+          console.error(
+            "Failed to answer from workspace:",
+            workspaceResponse.error
+          );
+          throw new Error(
+            workspaceResponse.error || "Couldn't search your notes"
+          );
+        }
+
+        return {
+          success: true,
+          action: "INSERT_AI_WORKSPACE_ANSWER",
+          blocks: workspaceResponse.blocks,
+          rawCommand: text,
+          rawTranscription: text,
+        };
+      }
+
+      const aiResponse = await geminiService.askGeminiAI(text, editorContent);
+
+      if (aiResponse.success && aiResponse.blocks) {
+        console.log("Got AI answer with blocks:", aiResponse.blocks.length);
+        return {
+          success: true,
+          action: "INSERT_AI_ANSWER",
+          blocks: aiResponse.blocks,
+          rawCommand: text,
+          rawTranscription: text,
+        };
+      }
+
+      console.error("Failed to get AI answer:", aiResponse.message);
+      throw new Error(aiResponse.message || "AI couldn't answer that question");
+    }
+
+    // Normal command processing
+    showToast({
+      type: "processing",
+      message: "Processing command...",
+      duration: 0, // No auto-hide
+      showProgress: true,
+    });
+
+    const selection = getSelectionContext ? await getSelectionContext() : null;
+
+    return geminiService.processCommandWithGemini(text, editorContent, {
+      selection,
+      applyCommands: applyCommandsToContent,
+    });
+  };
+
+  // Insert the transcript as it was heard
+  const toTextInsert = (text) => ({
+    success: true,
+    action: "INSERT_CONTENT",
+    content: text,
+    rawTranscription: text,
+  });
+
+  // The recording a transcript came from, when recordings are kept and it
+  // was long enough to be dictation
+  const getRecordingToKeep = async (uri, result) => {
+    const { keepRecordings } = await loadVoiceSettings();
+    // Resumed recordings are timed by their transcription instead
+    const durationMs = result.timeline
+      ? result.timeline[result.timeline.length - 1].ms
+      : recordingDuration * 1000;
+    if (!keepRecordings || isAIMode || durationMs < MIN_KEPT_RECORDING_MS) {
+      return null;
+    }
+
+    return {
+      uri,
+      durationMs,
+      transcription: result.transcription,
+      timeline:
+        result.timeline || createEvenTimeline(result.transcription, durationMs),
+    };
+  };
+
+  // Only dictated text is kept with its recording
+  const withRecording = (commandResult, recording) =>
+    recording && commandResult.action === "INSERT_CONTENT"
+      ? { ...commandResult, recording }
+      : commandResult;
+
+  // Pass a result to the page, or hold it in the review sheet first when
+  // the user asked to see results before they're applied
+  const deliverResult = async (commandResult, text, aiMode, toast) => {
+    const { reviewResults } = await loadVoiceSettings();
+
+    // Picking one of the matching blocks stands in for the review, and
+    // moving around doesn't change anything worth reviewing
+    if (
+      !reviewResults ||
+      commandResult.candidateBlockIds ||
+      commandResult.action === "NAVIGATE"
+    ) {
+      showToast({ ...toast, duration: 2000 });
+      onCommandProcessed(commandResult);
+      return;
+    }
+
+    showToast({
+      type: "processing",
+      message: "Preparing preview...",
+      duration: 0, // No auto-hide
+      showProgress: true,
+    });
+
+    const preview = await buildResultPreview(editorContent, commandResult);
+    hideToast();
+    setReview({
+      transcription: text,
+      aiMode,
+      commandResult: preview.commandResult,
+      changes: preview.changes,
+      error: preview.success ? null : preview.error,
+    });
+  };
+
+  // Re-run an edited transcript and review the new result
+  const handleReviewRerun = async (text) => {
+    const { aiMode } = review;
+    setIsReviewProcessing(true);
+
+    try {
+      let commandResult;
+      try {
+        commandResult = await interpretTranscription(text, aiMode);
+      } catch (error) {
+        console.error("Error re-running transcript:", error);
+        setReview((prev) => ({
+          ...prev,
+          transcription: text,
+          changes: [],
+          error: error.message || "Processing failed",
+        }));
+        hideToast();
+        return;
+      }
+
+      if (!commandResult || !commandResult.success) {
+        commandResult = toTextInsert(text);
+      }
+
+      const preview = await buildResultPreview(editorContent, commandResult);
+      hideToast();
+      setReview({
+        transcription: text,
+        aiMode,
+        commandResult: preview.commandResult,
+        changes: preview.changes,
+        error: preview.success ? null : preview.error,
+      });
+    } finally {
+      setIsReviewProcessing(false);
+    }
+  };
+
+  // Apply the reviewed result without the blocks the user left out
+  const handleReviewAccept = (rejectedKeys) => {
+    const commandResult = removeRejectedBlocks(
+      review.commandResult,
+      rejectedKeys
+    );
+    setReview(null);
+
+    if (!commandResult) {
+      showToast({
+        type: "info",
+        message: "Nothing was added",
+        duration: 2000,
+      });
+      return;
+    }
+    onCommandProcessed(commandResult);
+  };
+
+  const handleReviewCancel = () => {
+    setReview(null);
+    showToast({
+      type: "info",
+      message: "Result discarded",
+      duration: 1500,
+    });
+  };
+
+  // Switch hands-free listening to dictation or commands
+  const changeListeningMode = (mode) => {
+    listeningModeRef.current = mode;
+    setListeningMode(mode);
+  };
+
+  // Start listening hands-free, taking dictation until told otherwise
+  const handleStartListening = async () => {
+    changeListeningMode(LISTENING_MODES.DICTATION);
+    const started = await startListening();
+    if (started) {
+      showToast({
+        type: "info",
+        message: 'Say "stop listening" to end',
+        duration: 3000,
+      });
+    }
+  };
+
+  // Transcribe an utterance heard hands-free, then add it as text or run it
+  // as a command depending on the mode and what was said
+  const handleUtterance = async (uri, mimeType) => {
+    const result = await geminiService.transcribeAudioWithGemini(uri, {
+      mimeType,
+    });
+    if (!result || !result.success) {
+      console.error("Transcription failed:", result?.error || "Unknown error");
+      showToast({
+        type: "error",
+        message: "Couldn't hear that",
+        duration: 2000,
+      });
+      return;
+    }
+
+    const route = routeUtterance(
+      result.transcription,
+      listeningModeRef.current
+    );
+    if (route.mode !== listeningModeRef.current) {
+      changeListeningMode(route.mode);
+      if (!route.type) {
+        showToast({
+          type: "info",
+          message: LISTENING_MODE_LABELS[route.mode],
+          duration: 1500,
+        });
+      }
+    }
+    if (route.stop) {
+      await stopListening();
+    }
+
+    if (route.type === "dictation") {
+      console.log("Hands-free dictation:", route.text);
+      await onCommandProcessed(toTextInsert(route.text));
+      return;
+    }
+    if (route.type !== "command") return;
+
+    console.log("Hands-free command:", route.text);
+
+    // "The second one" picks from the numbered blocks
+    if (targetChoiceCount > 0 && onTargetChosen) {
+      const choice = parseTargetChoice(route.text, targetChoiceCount);
+      if (choice !== null) {
+        onTargetChosen(choice);
+        return;
+      }
+    }
+
+    try {
+      const commandResult = await interpretTranscription(route.text, false);
+      if (!commandResult || !commandResult.success) {
+        console.error(
+          "Command processing failed:",
+          commandResult?.message || commandResult?.error || "Unknown error"
+        );
+        showToast({
+          type: "info",
+          message: "Command not understood",
+          duration: 2000,
+        });
+        return;
+      }
+
+      showToast({
+        type: "success",
+        message: getSuccessMessageForAction(commandResult.action),
+        duration: 2000,
+      });
+      await onCommandProcessed(commandResult);
+    } catch (error) {
+      console.error("Error processing hands-free command:", error);
+      showToast({
+        type: "error",
+        message: "Processing failed",
+        duration: 2000,
+      });
     }
   };
 
@@ -410,6 +854,8 @@ const VoiceRecorder = ({
         return "Text added";
       case "INSERT_AI_ANSWER":
         return "AI answer added";
+      case "INSERT_AI_WORKSPACE_ANSWER":
+        return "Answer added";
       case "DELETE_BLOCK":
         return "Content deleted";
       case "CREATE_PAGE":
@@ -418,10 +864,20 @@ const VoiceRecorder = ({
         return "Formatting applied";
       case "MODIFY_BLOCK":
         return "Content modified";
+      case "MOVE_BLOCK":
+        return "Blocks moved";
+      case "MOVE_TO_PAGE":
+        return "Blocks moved to a new page";
+      case "CREATE_MEETING_NOTES":
+        return "Meeting notes created";
+      case "NAVIGATE":
+        return "Navigating";
       case "UNDO":
         return "Undo successful";
       case "REDO":
         return "Redo successful";
+      case "COMPOUND":
+        return "Commands understood";
       default:
         return "Command executed";
     }
@@ -446,7 +902,56 @@ const VoiceRecorder = ({
 
   return (
     <View style={[styles.container, calculatePosition(), style]}>
-      {isRecording || isProcessing ? (
+      {isListening ? (
+        <View
+          style={[
+            styles.recordingContainer,
+            { backgroundColor: theme.cardBackground },
+          ]}
+        >
+          <Animated.View
+            style={[
+              styles.recordingPulse,
+              {
+                backgroundColor: isSpeaking
+                  ? theme.error || "red"
+                  : theme.secondaryText,
+                transform: [{ scale: pulseAnim }],
+              },
+            ]}
+          />
+          {/* Tapping the mode switches between dictation and commands */}
+          <TouchableOpacity
+            onPress={() =>
+              changeListeningMode(
+                listeningMode === LISTENING_MODES.DICTATION
+                  ? LISTENING_MODES.COMMAND
+                  : LISTENING_MODES.DICTATION
+              )
+            }
+          >
+            <Text style={[styles.recordingText, { color: theme.text }]}>
+              {LISTENING_MODE_LABELS[listeningMode]}
+            </Text>
+          </TouchableOpacity>
+          {pendingUtterances > 0 && (
+            <ActivityIndicator
+              size="small"
+              color={theme.accent}
+              style={styles.listeningIndicator}
+            />
+          )}
+          <TouchableOpacity
+            style={[
+              styles.stopButton,
+              { backgroundColor: theme.error || "red" },
+            ]}
+            onPress={stopListening}
+          >
+            <Ionicons name="stop" size={24} color="white" />
+          </TouchableOpacity>
+        </View>
+      ) : isRecording || isProcessing ? (
         <View
           style={[
             styles.recordingContainer,
@@ -471,7 +976,7 @@ const VoiceRecorder = ({
                 ]}
               />
               <Text style={[styles.recordingText, { color: theme.text }]}>
-                {isAIMode ? "AI: " : ""}
+                {isAIMode ? "AI: " : isMeetingMode ? "Meeting: " : ""}
                 {formatDuration(recordingDuration)}
               </Text>
               <TouchableOpacity
@@ -483,7 +988,7 @@ const VoiceRecorder = ({
                       : theme.error || "red",
                   },
                 ]}
-                onPress={stopRecording}
+                onPress={handleStopRecording}
               >
                 <Ionicons name="stop" size={24} color="white" />
               </TouchableOpacity>
@@ -495,7 +1000,13 @@ const VoiceRecorder = ({
                 color={isAIMode ? theme.primary : theme.accent}
               />
               <Text style={[styles.processingText, { color: theme.text }]}>
-                {isAIMode ? "Processing AI Question..." : "Processing..."}
+                {transcriptionProgress
+                  ? `Transcribing ${transcriptionProgress.completed}/${transcriptionProgress.total}...`
+                  : isAIMode
+                  ? "Processing AI Question..."
+                  : isMeetingMode
+                  ? "Processing Meeting..."
+                  : "Processing..."}
               </Text>
             </>
           )}
@@ -513,6 +1024,46 @@ const VoiceRecorder = ({
               <Text style={styles.aiModeText}>AI Mode</Text>
             </View>
           )}
+          {!isAIMode && unfinishedTranscription && (
+            <View
+              style={[
+                styles.resumeIndicator,
+                { backgroundColor: theme.cardBackground },
+              ]}
+            >
+              <TouchableOpacity
+                style={styles.resumeButton}
+                onPress={handleResumeTranscription}
+              >
+                <Ionicons name="play" size={14} color={theme.primary} />
+                <Text style={[styles.resumeText, { color: theme.text }]}>
+                  {`Resume ${unfinishedTranscription.completed}/${unfinishedTranscription.total}`}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleDiscardTranscription}>
+                <Ionicons name="close" size={16} color={theme.secondaryText} />
+              </TouchableOpacity>
+            </View>
+          )}
+          <TouchableOpacity
+            style={[
+              styles.handsFreeButton,
+              { backgroundColor: theme.cardBackground },
+            ]}
+            onPress={handleStartMeeting}
+            accessibilityLabel="Record a meeting"
+          >
+            <Ionicons name="people-outline" size={20} color={theme.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.handsFreeButton,
+              { backgroundColor: theme.cardBackground },
+            ]}
+            onPress={handleStartListening}
+          >
+            <Ionicons name="ear-outline" size={20} color={theme.primary} />
+          </TouchableOpacity>
           <TouchableOpacity
             style={[styles.micButton, { backgroundColor: theme.primary }]}
             onPressIn={handlePressIn}
@@ -526,6 +1077,26 @@ const VoiceRecorder = ({
           </TouchableOpacity>
         </View>
       )}
+
+      <VoiceResultSheet
+        visible={!!review}
+        transcription={review?.transcription}
+        actions={review ? describeCommand(review.commandResult) : undefined}
+        changes={review?.changes}
+        error={review?.error}
+        isProcessing={isReviewProcessing}
+        onRerun={handleReviewRerun}
+        onAccept={handleReviewAccept}
+        onCancel={handleReviewCancel}
+      />
+
+      <MeetingSpeakersSheet
+        visible={!!meeting}
+        title={meeting?.minutes.title}
+        speakers={meeting?.speakers}
+        onAccept={handleMeetingAccept}
+        onCancel={handleMeetingCancel}
+      />
     </View>
   );
 };
@@ -551,6 +1122,23 @@ const styles = StyleSheet.create({
     shadowRadius: 3.84,
     elevation: 5,
   },
+  handsFreeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: "center",
+    alignItems: "center",
+    alignSelf: "center",
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
   recordingContainer: {
     flexDirection: "row",
     alignItems: "center",
@@ -577,6 +1165,9 @@ const styles = StyleSheet.create({
     fontWeight: "500",
     marginRight: 12,
   },
+  listeningIndicator: {
+    marginRight: 12,
+  },
   processingText: {
     fontSize: 16,
     fontWeight: "500",
@@ -591,7 +1182,7 @@ const styles = StyleSheet.create({
   },
   aiModeIndicator: {
     position: "absolute",
-    bottom: 70,
+    bottom: 122,
     right: 0,
     paddingHorizontal: 10,
     paddingVertical: 4,
@@ -603,6 +1194,35 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: "bold",
   },
+  resumeIndicator: {
+    position: "absolute",
+    bottom: 122,
+    right: 0,
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    zIndex: 1001,
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  resumeButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginRight: 8,
+  },
+  resumeText: {
+    fontSize: 12,
+    fontWeight: "600",
+    marginLeft: 4,
+  },
 });
 
 export default VoiceRecorder;
@@ -0,0 +1,397 @@
+import React, { useState, useEffect } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../../utils/themeContext";
+import { getBlockPreviewText } from "../../utils/voiceResultPreview";
+
+const NO_ACTIONS = [];
+
+const CHANGE_ICONS = {
+  added: "add-circle-outline",
+  removed: "remove-circle-outline",
+  changed: "create-outline",
+  moved: "swap-vertical-outline",
+};
+
+/**
+ * Sheet for reviewing a voice result before it changes the page
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether to show the sheet
+ * @param {string} props.transcription - What was heard
+ * @param {Array} props.actions - What the result will do, one line per step
+ * @param {Array|null} props.changes - Block changes from buildResultPreview,
+ * or null when the result doesn't edit the page
+ * @param {string} props.error - Why the result can't be applied, if it can't
+ * @param {boolean} props.isProcessing - Whether a transcript is being re-run
+ * @param {Function} props.onRerun - Called with the edited transcript
+ * @param {Function} props.onAccept - Called with the keys of rejected blocks
+ * @param {Function} props.onCancel - Called when the result is discarded
+ */
+const VoiceResultSheet = ({
+  visible = false,
+  transcription = "",
+  actions = NO_ACTIONS,
+  changes = null,
+  error = null,
+  isProcessing = false,
+  onRerun,
+  onAccept,
+  onCancel,
+}) => {
+  const { theme, isDark } = useTheme();
+  const [draft, setDraft] = useState(transcription);
+  const [rejectedKeys, setRejectedKeys] = useState([]);
+
+  useEffect(() => {
+    setDraft(transcription);
+  }, [transcription]);
+
+  // Every generated block starts out accepted
+  useEffect(() => {
+    setRejectedKeys([]);
+  }, [changes]);
+
+  const toggleBlock = (key) => {
+    setRejectedKeys((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  };
+
+  const canRerun =
+    !isProcessing && draft.trim().length > 0 && draft !== transcription;
+  const canApply = !isProcessing && !error;
+
+  const renderChange = (change, index) => {
+    const rejected = change.key && rejectedKeys.includes(change.key);
+    const color =
+      change.type === "removed"
+        ? theme.error
+        : change.type === "added"
+        ? theme.success
+        : theme.primary;
+
+    return (
+      <View
+        key={change.key || `${change.type}-${index}`}
+        style={[
+          styles.changeItem,
+          { borderColor: theme.border },
+          rejected && styles.rejectedItem,
+        ]}
+      >
+        <Ionicons
+          name={CHANGE_ICONS[change.type]}
+          size={20}
+          color={color}
+          style={styles.changeIcon}
+        />
+        <View style={styles.changeText}>
+          {change.before && change.type !== "moved" && (
+            <Text
+              style={[
+                styles.blockText,
+                styles.struckText,
+                { color: theme.secondaryText },
+                change.after && styles.beforeText,
+              ]}
+              numberOfLines={3}
+            >
+              {getBlockPreviewText(change.before)}
+            </Text>
+          )}
+          {change.after && (
+            <Text
+              style={[styles.blockText, { color: theme.text }]}
+              numberOfLines={4}
+            >
+              {getBlockPreviewText(change.after)}
+            </Text>
+          )}
+        </View>
+        {change.key && (
+          <TouchableOpacity
+            onPress={() => toggleBlock(change.key)}
+            accessibilityLabel={rejected ? "Keep block" : "Leave block out"}
+          >
+            <Ionicons
+              name={rejected ? "square-outline" : "checkbox"}
+              size={24}
+              color={theme.primary}
+            />
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderChanges = () => {
+    if (isProcessing) {
+      return <ActivityIndicator color={theme.primary} style={styles.status} />;
+    }
+    if (error) {
+      return (
+        <Text style={[styles.status, { color: theme.error }]}>{error}</Text>
+      );
+    }
+    if (!changes) {
+      return (
+        <Text style={[styles.status, { color: theme.secondaryText }]}>
+          This doesn't change the blocks on this page.
+        </Text>
+      );
+    }
+    if (changes.length === 0) {
+      return (
+        <Text style={[styles.status, { color: theme.secondaryText }]}>
+          Nothing on this page would change.
+        </Text>
+      );
+    }
+    return changes.map(renderChange);
+  };
+
+  return (
+    <Modal
+      transparent={true}
+      visible={visible}
+      animationType="slide"
+      onRequestClose={onCancel}
+    >
+      <View
+        style={[
+          styles.modalOverlay,
+          {
+            backgroundColor: isDark ? "rgba(0,0,0,0.7)" : "rgba(0,0,0,0.5)",
+          },
+        ]}
+      >
+        <View
+          style={[
+            styles.sheet,
+            {
+              backgroundColor: theme.background,
+              borderColor: theme.border,
+              borderWidth: isDark ? 1 : 0,
+            },
+          ]}
+        >
+          <Text style={[styles.title, { color: theme.text }]}>
+            Review Voice Result
+          </Text>
+
+          <ScrollView style={styles.body} keyboardShouldPersistTaps="handled">
+            <Text style={[styles.sectionLabel, { color: theme.secondaryText }]}>
+              Transcript
+            </Text>
+            <TextInput
+              style={[
+                styles.transcriptInput,
+                {
+                  color: theme.text,
+                  borderColor: theme.border,
+                  backgroundColor: theme.surface,
+                },
+              ]}
+              value={draft}
+              onChangeText={setDraft}
+              multiline={true}
+              editable={!isProcessing}
+            />
+            <TouchableOpacity
+              style={styles.rerunButton}
+              disabled={!canRerun}
+              onPress={() => onRerun(draft.trim())}
+            >
+              <Ionicons
+                name="refresh"
+                size={16}
+                color={canRerun ? theme.primary : theme.secondaryText}
+              />
+              <Text
+                style={[
+                  styles.rerunText,
+                  { color: canRerun ? theme.primary : theme.secondaryText },
+                ]}
+              >
+                Run again
+              </Text>
+            </TouchableOpacity>
+
+            <Text style={[styles.sectionLabel, { color: theme.secondaryText }]}>
+              Action
+            </Text>
+            {actions.map((action, index) => (
+              <Text
+                key={index}
+                style={[styles.actionText, { color: theme.text }]}
+              >
+                {actions.length > 1 ? `${index + 1}. ${action}` : action}
+              </Text>
+            ))}
+
+            <Text style={[styles.sectionLabel, { color: theme.secondaryText }]}>
+              Changes
+            </Text>
+            {renderChanges()}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={[styles.cancelButton, { borderColor: theme.border }]}
+              activeOpacity={0.7}
+              onPress={onCancel}
+            >
+              <Text style={[styles.cancelText, { color: theme.text }]}>
+                Discard
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.confirmButton,
+                { backgroundColor: theme.primary },
+                !canApply && styles.disabledButton,
+              ]}
+              activeOpacity={0.7}
+              disabled={!canApply}
+              onPress={() => onAccept(rejectedKeys)}
+            >
+              <Text style={styles.confirmText}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: "flex-end",
+  },
+  sheet: {
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: "85%",
+    padding: 24,
+    paddingBottom: 36,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: -4 },
+    shadowOpacity: 0.2,
+    shadowRadius: 25,
+    elevation: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "600",
+    marginBottom: 12,
+  },
+  body: {
+    flexGrow: 0,
+  },
+  sectionLabel: {
+    fontSize: 13,
+    fontWeight: "600",
+    textTransform: "uppercase",
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  transcriptInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    lineHeight: 21,
+    minHeight: 60,
+    textAlignVertical: "top",
+  },
+  rerunButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-end",
+    gap: 4,
+    paddingVertical: 8,
+  },
+  rerunText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  actionText: {
+    fontSize: 15,
+    lineHeight: 22,
+  },
+  status: {
+    fontSize: 15,
+    marginVertical: 8,
+  },
+  changeItem: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  rejectedItem: {
+    opacity: 0.4,
+  },
+  changeIcon: {
+    marginRight: 10,
+    marginTop: 1,
+  },
+  changeText: {
+    flex: 1,
+  },
+  blockText: {
+    fontSize: 15,
+    lineHeight: 21,
+  },
+  struckText: {
+    textDecorationLine: "line-through",
+  },
+  beforeText: {
+    marginBottom: 4,
+  },
+  buttonContainer: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    gap: 12,
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    borderWidth: 1,
+    backgroundColor: "transparent",
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: "500",
+  },
+  confirmButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    color: "white",
+    fontSize: 15,
+    fontWeight: "600",
+  },
+});
+
+export default VoiceResultSheet;
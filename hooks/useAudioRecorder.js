@@ -0,0 +1,152 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { Platform } from "react-native";
+import { Audio } from "expo-av";
+import * as Haptics from "expo-haptics";
+import { showToast } from "../components/ToastManager";
+
+/**
+ * Ask for microphone access, explaining in a toast when it isn't given
+ * @returns {Promise<boolean>} - Whether recording is allowed
+ */
+export const requestRecordingPermissions = async () => {
+  try {
+    const { granted } = await Audio.requestPermissionsAsync();
+
+    if (!granted) {
+      showToast({
+        type: "error",
+        message: "Mic access needed",
+        duration: 3000,
+      });
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error("Error requesting permissions:", error);
+    showToast({
+      type: "error",
+      message: "Mic permission failed",
+      duration: 3000,
+    });
+    return false;
+  }
+};
+
+/**
+ * Custom hook for recording audio from the microphone
+ * Handles the permission prompt, audio session, haptics and the running
+ * duration; what to do with the recording is left to the caller.
+ * @returns {Object} - { isRecording, recordingDuration, startRecording,
+ * stopRecording }
+ */
+const useAudioRecorder = () => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingDuration, setRecordingDuration] = useState(0);
+  const recordingRef = useRef(null);
+  const recordingInterval = useRef(null);
+
+  const clearDurationTimer = () => {
+    if (recordingInterval.current) {
+      clearInterval(recordingInterval.current);
+      recordingInterval.current = null;
+    }
+  };
+
+  // Stop the timer and release the microphone on unmount
+  useEffect(() => {
+    return () => {
+      clearDurationTimer();
+      if (recordingRef.current) {
+        recordingRef.current.stopAndUnloadAsync().catch(() => {});
+        recordingRef.current = null;
+      }
+    };
+  }, []);
+
+  /**
+   * Start recording
+   * @returns {Promise<boolean>} - Whether recording started
+   */
+  const startRecording = useCallback(async () => {
+    if (recordingRef.current) return false;
+
+    try {
+      const hasPermission = await requestRecordingPermissions();
+      if (!hasPermission) return false;
+
+      // Configure audio session
+      await Audio.setAudioModeAsync({
+        allowsRecordingIOS: true,
+        playsInSilentModeIOS: true,
+        staysActiveInBackground: false,
+      });
+
+      // Prepare and start recording
+      const { recording } = await Audio.Recording.createAsync(
+        Audio.RecordingOptionsPresets.HIGH_QUALITY
+      );
+
+      recordingRef.current = recording;
+      setIsRecording(true);
+      setRecordingDuration(0);
+
+      // Provide haptic feedback
+      if (Platform.OS === "ios") {
+        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+      }
+
+      // Start duration timer
+      clearDurationTimer();
+      recordingInterval.current = setInterval(() => {
+        setRecordingDuration((prev) => prev + 1);
+      }, 1000);
+
+      return true;
+    } catch (error) {
+      console.error("Failed to start recording", error);
+      showToast({
+        type: "error",
+        message: "Recording failed",
+        duration: 2000,
+      });
+      return false;
+    }
+  }, []);
+
+  /**
+   * Stop recording
+   * @returns {Promise<string|null>} - URI of the recorded audio, or null if
+   * nothing was being recorded
+   */
+  const stopRecording = useCallback(async () => {
+    const recording = recordingRef.current;
+    if (!recording) return null;
+
+    // Reset before unloading so a second tap can't stop it twice
+    recordingRef.current = null;
+
+    try {
+      await recording.stopAndUnloadAsync();
+    } finally {
+      setIsRecording(false);
+      clearDurationTimer();
+    }
+
+    // Provide haptic feedback
+    if (Platform.OS === "ios") {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    }
+
+    const uri = recording.getURI();
+    if (!uri) {
+      throw new Error("No recording URI available");
+    }
+
+    return uri;
+  }, []);
+
+  return { isRecording, recordingDuration, startRecording, stopRecording };
+};
+
+export default useAudioRecorder;
@@ -0,0 +1,325 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { Platform } from "react-native";
+import { Audio } from "expo-av";
+import * as FileSystem from "expo-file-system";
+import * as Haptics from "expo-haptics";
+import { showToast } from "../components/ToastManager";
+import { requestRecordingPermissions } from "./useAudioRecorder";
+import { createClipCutter } from "../services/utteranceClips";
+import { CLIP_FORMATS } from "../utils/audioClips";
+
+// Microphone level, in dBFS, above which someone is taken to be speaking
+const SPEECH_LEVEL_DB = -40;
+// Quiet that ends an utterance
+const SILENCE_MS = 1200;
+// Sound shorter than this is a cough or a click, not speech
+const MIN_SPEECH_MS = 300;
+// Long utterances are cut here so they don't wait forever to be handled
+const MAX_UTTERANCE_MS = 30000;
+// Audio kept from before the level rose and after it fell, so soft starts
+// and endings of words aren't clipped
+const PRE_ROLL_MS = 300;
+const TRAIL_MS = 300;
+// The recording is restarted after this long without speech, and once it
+// has run this long, to keep its file small. Both happen while it's quiet.
+const MAX_IDLE_MS = 30000;
+const MAX_RECORDING_MS = 10 * 60 * 1000;
+const METERING_INTERVAL_MS = 100;
+
+// Recorded in formats utterances can be cut from while recording goes on
+const CLIP_FORMAT =
+  Platform.OS === "ios" ? CLIP_FORMATS.WAV : CLIP_FORMATS.ADTS;
+
+const RECORDING_OPTIONS = {
+  isMeteringEnabled: true,
+  android: {
+    extension: CLIP_FORMATS.ADTS.extension,
+    outputFormat: Audio.AndroidOutputFormat.AAC_ADTS,
+    audioEncoder: Audio.AndroidAudioEncoder.AAC,
+    sampleRate: 44100,
+    numberOfChannels: 1,
+    bitRate: 128000,
+  },
+  ios: {
+    extension: CLIP_FORMATS.WAV.extension,
+    outputFormat: Audio.IOSOutputFormat.LINEARPCM,
+    audioQuality: Audio.IOSAudioQuality.HIGH,
+    sampleRate: 16000,
+    numberOfChannels: 1,
+    bitRate: 256000,
+    linearPCMBitDepth: 16,
+    linearPCMIsBigEndian: false,
+    linearPCMIsFloat: false,
+  },
+  web: {},
+};
+
+/**
+ * Custom hook for listening hands-free
+ * Keeps one recording running and uses the microphone level from expo-av to
+ * find the utterances in it: once there has been speech followed by a
+ * moment of quiet, that stretch is cut out of the recording into a file of
+ * its own and handed to onUtterance. Cutting instead of restarting the
+ * recording means nothing said straight after a pause is lost. Utterances
+ * are handed over one at a time, in the order they were said. Metering is
+ * only available on iOS and Android.
+ * @param {Function} onUtterance - Called with the URI and MIME type of each
+ * utterance's audio; it can return a promise to hold back the next one
+ * @returns {Object} - { isListening, isSpeaking, pendingUtterances,
+ * startListening, stopListening }
+ */
+const useContinuousListening = (onUtterance) => {
+  const [isListening, setIsListening] = useState(false);
+  const [isSpeaking, setIsSpeaking] = useState(false);
+  const [pendingUtterances, setPendingUtterances] = useState(0);
+
+  const recordingRef = useRef(null);
+  const cutterRef = useRef(null);
+  const listeningRef = useRef(false);
+  const restartingRef = useRef(false);
+  // When speech started and was last heard in the current recording, and
+  // where the last utterance was cut, in ms
+  const speechRef = useRef({ start: null, last: null });
+  const lastCutRef = useRef(0);
+  // Clips are cut in order, and handed over in order once they're cut
+  const cutsRef = useRef(Promise.resolve());
+  const queueRef = useRef(Promise.resolve());
+
+  // Utterances go to the latest callback, not the one listening started with
+  const onUtteranceRef = useRef(onUtterance);
+  onUtteranceRef.current = onUtterance;
+
+  // Release the microphone on unmount
+  useEffect(() => {
+    return () => {
+      listeningRef.current = false;
+      if (recordingRef.current) {
+        recordingRef.current.stopAndUnloadAsync().catch(() => {});
+        recordingRef.current = null;
+      }
+    };
+  }, []);
+
+  const hasHeardSpeech = () => {
+    const { start, last } = speechRef.current;
+    return start !== null && last - start >= MIN_SPEECH_MS;
+  };
+
+  // Cut a stretch of the current recording out and hand it over once the
+  // utterances before it are done
+  const enqueueUtterance = (startMs, endMs) => {
+    const cutter = cutterRef.current;
+    if (!cutter) return;
+
+    setPendingUtterances((prev) => prev + 1);
+    const clip = cutsRef.current.then(() =>
+      cutter.cut(Math.max(0, startMs - PRE_ROLL_MS), endMs + TRAIL_MS)
+    );
+    cutsRef.current = clip.catch(() => null);
+
+    queueRef.current = queueRef.current
+      .then(() => clip)
+      .then((uri) => {
+        if (uri) return onUtteranceRef.current(uri, CLIP_FORMAT.mimeType);
+      })
+      .catch((error) => console.error("Error handling utterance:", error))
+      .finally(() => setPendingUtterances((prev) => prev - 1));
+  };
+
+  // Hand over the speech heard so far; speech still going on carries on
+  // into the next utterance
+  const cutUtterance = (now, stillSpeaking) => {
+    const { start, last } = speechRef.current;
+    const endMs = stillSpeaking ? now : last;
+    enqueueUtterance(start, endMs);
+    lastCutRef.current = endMs;
+
+    speechRef.current = stillSpeaking
+      ? { start: now, last: now }
+      : { start: null, last: null };
+    if (!stillSpeaking) setIsSpeaking(false);
+  };
+
+  // Stop the current recording and delete it once its clips are cut
+  const endRecording = async () => {
+    const recording = recordingRef.current;
+    recordingRef.current = null;
+    cutterRef.current = null;
+    setIsSpeaking(false);
+    if (!recording) return;
+
+    await recording.stopAndUnloadAsync();
+    const uri = recording.getURI();
+    if (uri) {
+      cutsRef.current = cutsRef.current.then(() =>
+        FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {})
+      );
+    }
+  };
+
+  // Start the recording utterances are cut from
+  const startRecording = async () => {
+    speechRef.current = { start: null, last: null };
+    lastCutRef.current = 0;
+    const { recording } = await Audio.Recording.createAsync(
+      RECORDING_OPTIONS,
+      handleStatus,
+      METERING_INTERVAL_MS
+    );
+
+    // Listening may have been stopped while the recording was starting
+    if (!listeningRef.current) {
+      await recording.stopAndUnloadAsync();
+      return;
+    }
+    recordingRef.current = recording;
+    cutterRef.current = createClipCutter(recording.getURI(), CLIP_FORMAT);
+  };
+
+  // Start a fresh recording while it's quiet, to keep files small
+  const restartRecording = async () => {
+    restartingRef.current = true;
+    try {
+      await endRecording();
+      if (listeningRef.current) {
+        await startRecording();
+      }
+    } catch (error) {
+      console.error("Error restarting recording:", error);
+      listeningRef.current = false;
+      setIsListening(false);
+      showToast({
+        type: "error",
+        message: "Listening stopped",
+        duration: 2000,
+      });
+    } finally {
+      restartingRef.current = false;
+    }
+  };
+
+  // Watch the microphone level for the start and end of speech
+  const handleStatus = (status) => {
+    if (
+      !status.isRecording ||
+      !listeningRef.current ||
+      restartingRef.current
+    ) {
+      return;
+    }
+
+    const now = status.durationMillis;
+    const level = typeof status.metering === "number" ? status.metering : -160;
+    const speech = speechRef.current;
+
+    if (level > SPEECH_LEVEL_DB) {
+      if (speech.start === null) {
+        speech.start = now;
+        setIsSpeaking(true);
+      }
+      speech.last = now;
+    }
+
+    if (speech.start === null) {
+      const idleFor = now - lastCutRef.current;
+      if (idleFor >= MAX_IDLE_MS || now >= MAX_RECORDING_MS) {
+        restartRecording();
+      }
+      return;
+    }
+
+    const quietFor = now - speech.last;
+    if (hasHeardSpeech()) {
+      if (quietFor >= SILENCE_MS) {
+        cutUtterance(now, false);
+      } else if (now - speech.start >= MAX_UTTERANCE_MS) {
+        cutUtterance(now, true);
+      }
+    } else if (quietFor >= SILENCE_MS) {
+      // Only a noise, so carry on waiting for speech
+      speechRef.current = { start: null, last: null };
+      setIsSpeaking(false);
+    }
+  };
+
+  /**
+   * Start listening
+   * @returns {Promise<boolean>} - Whether listening started
+   */
+  const startListening = useCallback(async () => {
+    if (listeningRef.current) return false;
+
+    if (Platform.OS === "web") {
+      showToast({
+        type: "error",
+        message: "Hands-free needs the app",
+        duration: 3000,
+      });
+      return false;
+    }
+
+    try {
+      const hasPermission = await requestRecordingPermissions();
+      if (!hasPermission) return false;
+
+      await Audio.setAudioModeAsync({
+        allowsRecordingIOS: true,
+        playsInSilentModeIOS: true,
+        staysActiveInBackground: false,
+      });
+
+      listeningRef.current = true;
+      await startRecording();
+      setIsListening(true);
+
+      if (Platform.OS === "ios") {
+        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+      }
+      return true;
+    } catch (error) {
+      console.error("Failed to start listening", error);
+      listeningRef.current = false;
+      showToast({
+        type: "error",
+        message: "Listening failed",
+        duration: 2000,
+      });
+      return false;
+    }
+  }, []);
+
+  /**
+   * Stop listening
+   * Speech heard since the last utterance ended is still handed over.
+   */
+  const stopListening = useCallback(async () => {
+    if (!listeningRef.current) return;
+
+    listeningRef.current = false;
+    setIsListening(false);
+
+    try {
+      if (hasHeardSpeech()) {
+        const { last } = speechRef.current;
+        cutUtterance(last, false);
+      }
+      await endRecording();
+    } catch (error) {
+      console.error("Error stopping recording:", error);
+    }
+
+    if (Platform.OS === "ios") {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    }
+  }, []);
+
+  return {
+    isListening,
+    isSpeaking,
+    pendingUtterances,
+    startListening,
+    stopListening,
+  };
+};
+
+export default useContinuousListening;
@@ -5,8 +5,6 @@ import {
   sanitizeContentBlocks,
   createDefaultContent,
 } from "../utils/contentUtils";
-import { updateNote } from "../services/noteService";
-import { useAuth } from "../contexts/AuthContext";
 
 /**
  * Custom hook for managing editor content with history tracking
@@ -24,9 +22,6 @@ const useEditorContent = (
   title,
   icon
 ) => {
-  // Get user from auth context
-  const { user } = useAuth();
-
   // Content state
   const [editorContent, setEditorContent] = useState(null);
   const [initialContent, setInitialContent] = useState(null);
@@ -342,6 +337,82 @@ const useEditorContent = (
     [lastMajorChange, isUndoRedoOperation]
   );
 
+  // Load content merged with edits from another device into the editor
+  const applyMergedContent = useCallback((savedPage) => {
+    try {
+      const mergedContent = JSON.parse(savedPage.contentJson);
+      console.log(
+        `Applying ${mergedContent.length} merged blocks from another device`
+      );
+      setEditorContent(mergedContent);
+      setLastSavedContent(mergedContent);
+
+      if (editorRef.current && editorRef.current.applyRemoteContent) {
+        editorRef.current.applyRemoteContent(mergedContent);
+      }
+    } catch (error) {
+      console.error("Error applying merged content:", error);
+    }
+  }, []);
+
+  /**
+   * Apply a version of the current page saved on another device
+   * Pages with unsaved local edits are left alone: the pending save merges
+   * the remote changes in (or reports a conflict) instead.
+   * @param {Object} remotePage - Page received from realtime updates
+   * @returns {boolean} - Whether the editor was updated
+   */
+  const applyRemotePage = useCallback(
+    (remotePage) => {
+      if (!currentPage || !remotePage || remotePage.id !== currentPage.id) {
+        return false;
+      }
+
+      // Echo of our own save, or older than what we have
+      if ((remotePage.revision || 0) <= (currentPage.revision || 0)) {
+        return false;
+      }
+
+      if (
+        savingOperationInProgress.current ||
+        (editorContent && !areContentsEqual(editorContent, lastSavedContent))
+      ) {
+        console.log("Local edits pending, remote changes will merge on save");
+        return false;
+      }
+
+      try {
+        const remoteContent = sanitizeContentBlocks(
+          JSON.parse(remotePage.contentJson),
+          remotePage.title || "Untitled"
+        );
+
+        console.log(
+          `Applying remote revision ${remotePage.revision} of page ${remotePage.id}`
+        );
+        setEditorContent(remoteContent);
+        setLastSavedContent(remoteContent);
+
+        if (editorRef.current && editorRef.current.applyRemoteContent) {
+          editorRef.current.applyRemoteContent(remoteContent);
+        }
+
+        setCurrentPage({
+          ...currentPage,
+          title: remotePage.title,
+          icon: remotePage.icon,
+          contentJson: JSON.stringify(remoteContent),
+          revision: remotePage.revision,
+        });
+        return true;
+      } catch (error) {
+        console.error("Error applying remote page:", error);
+        return false;
+      }
+    },
+    [currentPage, editorContent, lastSavedContent, setCurrentPage]
+  );
+
   // Debounced save function
   const debouncedSave = useCallback(
     debounce(async (content) => {
@@ -494,30 +565,9 @@ const useEditorContent = (
           setCurrentPage(savedPage);
           setLastSavedContent(contentToSave);
 
-          // Save to Supabase if user is authenticated
-          if (user && user.id) {
-            console.log("Saving content to Supabase for user:", user.id);
-            try {
-              const result = await updateNote(user.id, currentPage.id, {
-                title: title || currentPage.title,
-                icon: icon || currentPage.icon,
-                content: contentToSave, // Send processed content directly as object
-                contentJson: contentJsonString, // Also send as string for backward compatibility
-              });
-
-              if (result && result.success) {
-                console.log("Content saved to Supabase successfully");
-              } else {
-                console.error("Error saving to Supabase:", result?.error);
-              }
-            } catch (supabaseError) {
-              console.error(
-                "Exception saving content to Supabase:",
-                supabaseError
-              );
-            }
-          } else {
-            console.warn("User not authenticated, skipping Supabase save");
+          // Show changes merged in from another device
+          if (savedPage.mergedRemoteChanges) {
+            applyMergedContent(savedPage);
           }
         } else {
           console.error("Failed to save page to storage");
@@ -537,8 +587,8 @@ const useEditorContent = (
       title,
       icon,
       isInitialLoad,
-      user,
       lastSavedContent,
+      applyMergedContent,
     ]
   );
 
@@ -730,30 +780,9 @@ const useEditorContent = (
         setLastSavedContent(contentToSave);
         setLastMajorChange(contentToSave);
 
-        // Save to Supabase if user is authenticated
-        if (user && user.id) {
-          console.log("Force saving content to Supabase for user:", user.id);
-          try {
-            const result = await updateNote(user.id, currentPage.id, {
-              title: title || currentPage.title,
-              icon: icon || currentPage.icon,
-              content: contentToSave, // Send processed content directly as object
-              contentJson: contentJsonString, // Also send as string for backward compatibility
-            });
-
-            if (result && result.success) {
-              console.log("Content force saved to Supabase successfully");
-            } else {
-              console.error("Error force saving to Supabase:", result?.error);
-            }
-          } catch (supabaseError) {
-            console.error(
-              "Exception force saving content to Supabase:",
-              supabaseError
-            );
-          }
-        } else {
-          console.warn("User not authenticated, skipping Supabase force save");
+        // Show changes merged in from another device
+        if (savedPage.mergedRemoteChanges) {
+          applyMergedContent(savedPage);
         }
 
         return savedPage;
@@ -777,8 +806,8 @@ const useEditorContent = (
     title,
     icon,
     debouncedSave,
-    user,
     lastSavedContent,
+    applyMergedContent,
     checkForMajorContentChange,
   ]);
 
@@ -836,6 +865,7 @@ const useEditorContent = (
     editorRef,
     handleContentChange,
     handleSave,
+    applyRemotePage,
     lastMajorChange,
     setLastMajorChange,
   };
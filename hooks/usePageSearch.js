@@ -0,0 +1,46 @@
+import { useEffect, useCallback, useMemo } from "react";
+import { syncIndex, searchPages } from "../services/searchIndex";
+
+/**
+ * Custom hook for searching pages through the local search index
+ * @param {string|null} userId - User ID for authenticated users
+ * @param {Array} pages - Every page the user has, from usePageStorage
+ * @returns {Object} - { search }
+ */
+const usePageSearch = (userId = null, pages = []) => {
+  const pagesById = useMemo(
+    () => new Map(pages.map((page) => [page.id, page])),
+    [pages]
+  );
+
+  // Keep the index up to date in the background so searches start warm
+  useEffect(() => {
+    if (userId) {
+      syncIndex(userId, pages);
+    }
+  }, [userId, pages]);
+
+  /**
+   * Search pages by title and content
+   * @param {string} query - Search text, which may include phrases,
+   * exclusions and filters such as tag:meeting (see parseSearchQuery)
+   * @param {Object} options - Passed to searchPages
+   * @returns {Promise<Array>} - Array of { page, score, titleHighlights, snippet }
+   */
+  const search = useCallback(
+    async (query, options = {}) => {
+      if (!userId || !query.trim()) return [];
+
+      await syncIndex(userId, pages);
+
+      return searchPages(userId, query, options)
+        .map((hit) => ({ ...hit, page: pagesById.get(hit.pageId) }))
+        .filter((hit) => hit.page);
+    },
+    [userId, pages, pagesById]
+  );
+
+  return { search };
+};
+
+export default usePageSearch;
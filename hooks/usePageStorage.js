@@ -1,7 +1,18 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
+import { AppState } from "react-native";
 import pageStorageService from "../services/pageStorage";
+import {
+  addNotesListener,
+  REMOTE_CHANGE_TYPES,
+} from "../services/notesRealtime";
+import { indexPage, removePagesFromIndex } from "../services/searchIndex";
+import { discardNoteUpdates } from "../services/syncQueue";
+import { removeUnusedRecordings } from "../services/recordingStorage";
 import { buildPageTree } from "../utils/pageUtils";
 
+// Users whose unused recordings have been cleared since the app started
+const recordingsClearedFor = new Set();
+
 /**
  * Custom hook for interacting with page storage
  * @param {string|null} userId - User ID for authenticated users
@@ -11,6 +22,23 @@ const usePageStorage = (userId = null) => {
   const [pages, setPages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [conflicts, setConflicts] = useState({});
+  const [remoteChange, setRemoteChange] = useState(null);
+
+  // Unresolved conflicts by note ID, readable synchronously by savePage
+  const conflictsRef = useRef({});
+
+  // Record or drop the unresolved conflict of a note
+  const setNoteConflict = useCallback((noteId, conflict) => {
+    const next = { ...conflictsRef.current };
+    if (conflict) {
+      next[noteId] = conflict;
+    } else {
+      delete next[noteId];
+    }
+    conflictsRef.current = next;
+    setConflicts(next);
+  }, []);
 
   // Load all pages
   const loadPages = useCallback(async () => {
@@ -38,6 +66,71 @@ const usePageStorage = (userId = null) => {
     loadPages();
   }, [loadPages, userId]);
 
+  // Replay offline changes on mount and whenever the app comes back to the foreground
+  useEffect(() => {
+    if (!userId) return;
+
+    const syncAndRefresh = async () => {
+      const result = await pageStorageService.syncPendingChanges(userId);
+      if (result.synced > 0) {
+        await loadPages();
+      }
+
+      // Queued edits that clash with another device wait for the user
+      (result.conflicts || []).forEach((conflict) => {
+        if (!conflictsRef.current[conflict.noteId]) {
+          setNoteConflict(conflict.noteId, conflict);
+        }
+      });
+    };
+
+    syncAndRefresh();
+
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state === "active") {
+        syncAndRefresh();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [loadPages, setNoteConflict, userId]);
+
+  // Clear out recordings no page uses, once a launch, before there's any
+  // undo history that could bring back a deleted audio block
+  useEffect(() => {
+    if (!userId || recordingsClearedFor.has(userId)) return;
+
+    recordingsClearedFor.add(userId);
+    removeUnusedRecordings(userId);
+  }, [userId]);
+
+  // Apply changes made on other devices as they happen
+  useEffect(() => {
+    if (!userId) return;
+
+    const removeListener = addNotesListener(userId, (change) => {
+      if (change.type === REMOTE_CHANGE_TYPES.DELETE) {
+        removePagesFromIndex(userId, change.noteId);
+        setPages((prev) => prev.filter((p) => p.id !== change.noteId));
+      } else {
+        indexPage(userId, change.note);
+        setPages((prev) => {
+          const existing = prev.find((p) => p.id === change.noteId);
+          if (!existing) return [...prev, change.note];
+
+          // Skip echoes of our own saves
+          if ((existing.revision || 0) >= change.note.revision) return prev;
+
+          return prev.map((p) => (p.id === change.noteId ? change.note : p));
+        });
+      }
+
+      setRemoteChange({ ...change, receivedAt: Date.now() });
+    });
+
+    return removeListener;
+  }, [userId]);
+
   // Create a new page
   const createNewPage = useCallback(
     async (parentId, title, icon) => {
@@ -69,18 +162,49 @@ const usePageStorage = (userId = null) => {
         if (!userId) {
           throw new Error("User not authenticated");
         }
+
+        // Hold back saves built on the old revision until the conflict is resolved
+        const pending = conflictsRef.current[page.id];
+        if (pending && page.revision !== pending.remoteRevision) {
+          const conflictError = new Error("Unresolved conflict");
+          conflictError.conflict = pending;
+          throw conflictError;
+        }
+
+        // The resolved page replaces the queued edits that conflicted
+        if (pending && pending.queued) {
+          await discardNoteUpdates(userId, page.id);
+        }
+
         const updatedPage = await pageStorageService.savePage(page, userId);
         setPages((prev) =>
           prev.map((p) => (p.id === updatedPage.id ? updatedPage : p))
         );
+
+        if (pending) {
+          setNoteConflict(page.id, null);
+        }
+
         return updatedPage;
       } catch (err) {
-        setError(err.message || "Failed to save page");
+        if (err.conflict) {
+          if (conflictsRef.current[page.id] !== err.conflict) {
+            setNoteConflict(page.id, err.conflict);
+          }
+        } else {
+          setError(err.message || "Failed to save page");
+        }
         console.error("Error saving page:", err);
         throw err;
       }
     },
-    [userId]
+    [setNoteConflict, userId]
+  );
+
+  // Drop a note's unresolved conflict without saving
+  const clearConflict = useCallback(
+    (noteId) => setNoteConflict(noteId, null),
+    [setNoteConflict]
   );
 
   // Delete a page and its children
@@ -176,6 +300,9 @@ const usePageStorage = (userId = null) => {
     pages,
     loading,
     error,
+    conflicts,
+    clearConflict,
+    remoteChange,
     loadPages,
     createNewPage,
     savePage,
@@ -0,0 +1,119 @@
+import { useState, useCallback, useMemo } from "react";
+import geminiService from "../services/geminiService";
+import useAudioRecorder from "./useAudioRecorder";
+import { showToast } from "../components/ToastManager";
+
+/**
+ * Custom hook for speaking a search query
+ * Records the user, transcribes what they said and has Gemini turn natural
+ * phrasing into the search query syntax. If Gemini can't, the plain
+ * transcription is searched for instead.
+ * @param {Array} pages - Every page the user has, for tag and title hints
+ * @param {Function} onQuery - Called with the query text to search for
+ * @returns {Object} - { isRecording, recordingDuration, isInterpreting,
+ * spokenQuery, toggleVoiceSearch, clearSpokenQuery }
+ */
+const useVoiceSearch = (pages = [], onQuery) => {
+  const { isRecording, recordingDuration, startRecording, stopRecording } =
+    useAudioRecorder();
+  const [isInterpreting, setIsInterpreting] = useState(false);
+  const [spokenQuery, setSpokenQuery] = useState(null);
+
+  // Tags and page titles Gemini can map spoken words onto
+  const searchContext = useMemo(() => {
+    const parentIds = new Set(pages.map((page) => page.parentId));
+    const tags = new Set();
+    pages.forEach((page) => (page.tags || []).forEach((tag) => tags.add(tag)));
+
+    // Pages with subpages are the likeliest "in" targets, so list them first
+    const titles = [
+      ...pages.filter((page) => parentIds.has(page.id)),
+      ...pages.filter((page) => !parentIds.has(page.id)),
+    ]
+      .map((page) => page.title)
+      .filter(Boolean);
+
+    return { tags: [...tags], pageTitles: [...new Set(titles)] };
+  }, [pages]);
+
+  // Transcribe the recording and turn it into a query
+  const interpretRecording = async (uri) => {
+    const result = await geminiService.transcribeAudioWithGemini(uri);
+    if (!result || !result.success) {
+      throw new Error(result?.error || "Transcription failed");
+    }
+
+    const transcription = (result.transcription || "").trim();
+    if (!transcription) {
+      showToast({
+        type: "info",
+        message: "No speech detected",
+        duration: 2000,
+      });
+      return;
+    }
+
+    const interpreted = await geminiService.interpretSearchQueryWithGemini(
+      transcription,
+      searchContext
+    );
+
+    if (!interpreted.success) {
+      console.warn(
+        "Searching for the transcription instead:",
+        interpreted.error
+      );
+    }
+
+    setSpokenQuery(transcription);
+    onQuery(interpreted.success ? interpreted.query : transcription);
+  };
+
+  // Start listening, or stop and search for what was said
+  const toggleVoiceSearch = useCallback(async () => {
+    if (isInterpreting) return;
+
+    if (!isRecording) {
+      const started = await startRecording();
+      if (started) setSpokenQuery(null);
+      return;
+    }
+
+    try {
+      const uri = await stopRecording();
+      if (!uri) return;
+
+      setIsInterpreting(true);
+      await interpretRecording(uri);
+    } catch (error) {
+      console.error("Error processing voice search:", error);
+      showToast({
+        type: "error",
+        message: "Voice search failed",
+        duration: 2000,
+      });
+    } finally {
+      setIsInterpreting(false);
+    }
+  }, [
+    isRecording,
+    isInterpreting,
+    startRecording,
+    stopRecording,
+    searchContext,
+    onQuery,
+  ]);
+
+  const clearSpokenQuery = useCallback(() => setSpokenQuery(null), []);
+
+  return {
+    isRecording,
+    recordingDuration,
+    isInterpreting,
+    spokenQuery,
+    toggleVoiceSearch,
+    clearSpokenQuery,
+  };
+};
+
+export default useVoiceSearch;
@@ -11,6 +11,7 @@
 // is_deleted: boolean - soft delete flag
 // tags: array - tags for the note
 // folder_id: uuid - folder ID, nullable
+// revision: integer - incremented on every update, used to detect concurrent edits
 
 /**
  * Create SQL for Supabase table:
@@ -26,9 +27,13 @@
  *   parent_id uuid references public.notes(id),
  *   is_deleted boolean default false,
  *   tags text[] default '{}',
- *   folder_id uuid references public.folders(id)
+ *   folder_id uuid references public.folders(id),
+ *   revision integer not null default 0
  * );
  *
+ * -- Existing projects: add the revision column
+ * alter table public.notes add column if not exists revision integer not null default 0;
+ *
  * -- Set RLS policies
  * alter table public.notes enable row level security;
  *
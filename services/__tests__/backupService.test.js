@@ -0,0 +1,200 @@
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  validateBackupArchive,
+  importWorkspace,
+} from "../backupService";
+import pageStorageService from "../pageStorage";
+
+jest.mock("../pageStorage", () => ({
+  loadAllPages: jest.fn(),
+  restorePage: jest.fn(),
+}));
+
+let mockNextId = 0;
+jest.mock("uuid", () => ({ v4: () => `new-${++mockNextId}` }));
+
+const USER_ID = "user-1";
+
+const paragraph = (id, value) => ({
+  id,
+  type: "paragraph",
+  props: {},
+  content: [{ type: "text", text: value, styles: {} }],
+  children: [],
+});
+
+const pageLink = (id, pageId) => ({
+  id,
+  type: "pageLink",
+  props: { pageId, pageTitle: "Linked", pageIcon: "📄" },
+  children: [],
+});
+
+const archiveOf = (pages) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: "2026-01-01T00:00:00.000Z",
+  pages,
+});
+
+const backupPage = (id, title, content, parentId = null) => ({
+  id,
+  parentId,
+  title,
+  icon: "📄",
+  tags: [],
+  content,
+});
+
+// Pages passed to restorePage, in the order they were created
+const restoredPages = () =>
+  pageStorageService.restorePage.mock.calls.map(([page]) => page);
+
+describe("validateBackupArchive", () => {
+  it("accepts an archive written by this version", () => {
+    const archive = archiveOf([
+      backupPage("a", "Home", [paragraph("b1", "Hello")]),
+      backupPage("b", "Child", [], "a"),
+    ]);
+
+    expect(validateBackupArchive(archive)).toEqual({ valid: true, errors: [] });
+  });
+
+  it("reports every problem with the archive and its pages", () => {
+    const nextVersion = BACKUP_VERSION + 1;
+    const { valid, errors } = validateBackupArchive({
+      format: "something-else",
+      version: nextVersion,
+      pages: [
+        backupPage("a", "Home", []),
+        { ...backupPage("a", 42, [{ id: "x" }]), parentId: 7, tags: "work" },
+        null,
+      ],
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      `format must be "${BACKUP_FORMAT}"`,
+      `version ${nextVersion} is newer than supported version ${BACKUP_VERSION}`,
+      'pages[1].id "a" is duplicated',
+      "pages[1].title must be a string",
+      "pages[1].parentId must be a string or null",
+      "pages[1].content contains a block without a type",
+      "pages[1].tags must be an array",
+      "pages[2] must be an object",
+    ]);
+  });
+
+  it("rejects archives without a page list", () => {
+    expect(validateBackupArchive(null).valid).toBe(false);
+    expect(
+      validateBackupArchive({ format: BACKUP_FORMAT, version: 1 }).errors
+    ).toEqual(["pages must be an array"]);
+  });
+});
+
+describe("importWorkspace", () => {
+  beforeEach(() => {
+    mockNextId = 0;
+    pageStorageService.loadAllPages.mockReset();
+    pageStorageService.restorePage.mockReset();
+    pageStorageService.restorePage.mockImplementation(async (page) => ({
+      success: true,
+      page,
+    }));
+  });
+
+  it("creates missing pages parents first under fresh IDs", async () => {
+    pageStorageService.loadAllPages.mockResolvedValue([]);
+
+    const result = await importWorkspace(
+      USER_ID,
+      archiveOf([
+        backupPage("child", "Child", [pageLink("l1", "parent")], "parent"),
+        backupPage("parent", "Parent", [pageLink("l2", "child")]),
+      ])
+    );
+
+    expect(result).toMatchObject({ success: true, created: 2, skipped: 0 });
+    expect(
+      restoredPages().map(({ id, title, parentId }) => ({
+        id,
+        title,
+        parentId,
+      }))
+    ).toEqual([
+      { id: "new-1", title: "Parent", parentId: null },
+      { id: "new-2", title: "Child", parentId: "new-1" },
+    ]);
+
+    // Page links point at the restored copies
+    const [parent, child] = restoredPages();
+    expect(parent.content[0].props.pageId).toBe("new-2");
+    expect(child.content[0].props.pageId).toBe("new-1");
+  });
+
+  it("skips pages that already exist by ID or by content", async () => {
+    pageStorageService.loadAllPages.mockResolvedValue([
+      {
+        id: "home",
+        parentId: null,
+        title: "Home",
+        contentJson: JSON.stringify([paragraph("h1", "Welcome")]),
+      },
+      {
+        id: "copy-of-notes",
+        parentId: "home",
+        title: "Notes",
+        contentJson: JSON.stringify([paragraph("other-id", "Remember")]),
+      },
+    ]);
+
+    const result = await importWorkspace(
+      USER_ID,
+      archiveOf([
+        backupPage("home", "Home", [paragraph("h1", "Welcome")]),
+        backupPage("notes", "Notes", [paragraph("n1", "Remember")], "home"),
+        backupPage("todo", "Todo", [pageLink("l1", "notes")], "home"),
+      ])
+    );
+
+    expect(result).toMatchObject({ success: true, created: 1, skipped: 2 });
+    expect(restoredPages()).toEqual([
+      expect.objectContaining({ id: "new-1", title: "Todo", parentId: "home" }),
+    ]);
+
+    // Links to a skipped page point at the page already in the workspace
+    expect(restoredPages()[0].content[0].props.pageId).toBe("copy-of-notes");
+  });
+
+  it("restores a page whose ID is used under another parent", async () => {
+    pageStorageService.loadAllPages.mockResolvedValue([
+      { id: "notes", parentId: "elsewhere", title: "Notes", contentJson: "[]" },
+    ]);
+
+    const result = await importWorkspace(
+      USER_ID,
+      archiveOf([
+        backupPage("root", "Root", []),
+        backupPage("notes", "Notes", [], "root"),
+      ])
+    );
+
+    expect(result.created).toBe(2);
+    expect(restoredPages().map((page) => page.parentId)).toEqual([
+      null,
+      "new-1",
+    ]);
+  });
+
+  it("does not restore anything from an invalid archive", async () => {
+    const result = await importWorkspace(USER_ID, { format: BACKUP_FORMAT });
+
+    expect(result).toMatchObject({
+      success: false,
+      error: "Invalid backup file",
+    });
+    expect(pageStorageService.restorePage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,142 @@
+import {
+  setAIProvider,
+  transcribeAudio,
+  generateText,
+  embedTexts,
+  getEmbeddingModelId,
+  testAIProvider,
+} from "../aiProvider";
+import { AI_TASKS, loadAISettings } from "../aiSettings";
+import { createFixtureProvider } from "../aiProviders/fixtureProvider";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+const dot = (a, b) =>
+  a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+describe("createFixtureProvider", () => {
+  it("answers each task from its fixture and records the call", async () => {
+    const provider = createFixtureProvider({
+      responses: {
+        [AI_TASKS.ASK_AI]: "Plain reply",
+        [AI_TASKS.SEARCH_QUERY]: { query: "launch" },
+        [AI_TASKS.VOICE_COMMAND]: (messages) => ({
+          heard: messages[0].content,
+        }),
+      },
+    });
+    const messages = [{ role: "user", content: "delete this" }];
+
+    await expect(
+      provider.generate(messages, { task: AI_TASKS.ASK_AI })
+    ).resolves.toBe("Plain reply");
+    await expect(
+      provider.generate(messages, { task: AI_TASKS.SEARCH_QUERY })
+    ).resolves.toBe('{"query":"launch"}');
+    await expect(
+      provider.generate(messages, { task: AI_TASKS.VOICE_COMMAND })
+    ).resolves.toBe('{"heard":"delete this"}');
+
+    expect(provider.calls.map(({ method, task }) => [method, task])).toEqual([
+      ["generate", AI_TASKS.ASK_AI],
+      ["generate", AI_TASKS.SEARCH_QUERY],
+      ["generate", AI_TASKS.VOICE_COMMAND],
+    ]);
+  });
+
+  it("fails tasks it has no fixture for", async () => {
+    const provider = createFixtureProvider();
+
+    await expect(
+      provider.generate([], { task: AI_TASKS.MEETING_MINUTES })
+    ).rejects.toThrow('No fixture response for task "meetingMinutes"');
+  });
+
+  it("embeds texts as deterministic vectors of the given length", async () => {
+    const provider = createFixtureProvider({ dimensions: 16 });
+    const config = { task: AI_TASKS.EMBEDDING };
+
+    const first = await provider.embed(["Launch day", "Buy milk"], config);
+    const second = await provider.embed(["Launch day"], config);
+
+    expect(first.map((vector) => vector.length)).toEqual([16, 16]);
+    expect(second[0]).toEqual(first[0]);
+  });
+});
+
+describe("aiProvider with a fixture provider", () => {
+  let provider;
+
+  beforeEach(async () => {
+    await loadAISettings();
+    provider = createFixtureProvider({
+      transcription: (audio) => `Heard ${audio.uri}`,
+      responses: {
+        [AI_TASKS.ASK_AI]: "OK",
+        [AI_TASKS.NOTE_FORMATTING]: (messages) =>
+          messages.map(({ role, content }) => `${role}: ${content}`).join("\n"),
+      },
+    });
+    setAIProvider(provider);
+  });
+
+  afterEach(() => setAIProvider(null));
+
+  it("generates text for a task from a prompt or messages", async () => {
+    await expect(
+      generateText(AI_TASKS.NOTE_FORMATTING, "Tidy this")
+    ).resolves.toBe("user: Tidy this");
+    await expect(
+      generateText(AI_TASKS.NOTE_FORMATTING, [
+        { role: "system", content: "Be brief" },
+        { role: "user", content: "Tidy this" },
+      ])
+    ).resolves.toBe("system: Be brief\nuser: Tidy this");
+  });
+
+  it("passes the task and response schema to the provider", async () => {
+    const generate = jest.spyOn(provider, "generate");
+    const responseSchema = { type: "object", properties: {} };
+
+    await generateText(AI_TASKS.ASK_AI, "Hello", { responseSchema });
+
+    expect(generate).toHaveBeenCalledWith(
+      [{ role: "user", content: "Hello" }],
+      expect.objectContaining({
+        task: AI_TASKS.ASK_AI,
+        responseSchema,
+        apiKey: "",
+      })
+    );
+  });
+
+  it("transcribes recordings", async () => {
+    await expect(transcribeAudio("file:///memo.m4a")).resolves.toBe(
+      "Heard file:///memo.m4a"
+    );
+    expect(provider.calls[0]).toMatchObject({
+      method: "transcribe",
+      task: AI_TASKS.TRANSCRIPTION,
+      input: { uri: "file:///memo.m4a", mimeType: "audio/m4a" },
+    });
+  });
+
+  it("embeds texts so that related ones score higher", async () => {
+    const [query, related, unrelated] = await embedTexts(
+      ["launch date", "The launch date is Friday", "Buy milk and eggs"],
+      { taskType: "query" }
+    );
+
+    expect(dot(query, related)).toBeGreaterThan(dot(query, unrelated));
+    expect(getEmbeddingModelId()).toMatch(/^fixture-/);
+  });
+
+  it("reports the provider as working when it replies", async () => {
+    await expect(testAIProvider()).resolves.toEqual({
+      success: true,
+      reply: "OK",
+    });
+  });
+});
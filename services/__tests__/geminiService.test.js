@@ -0,0 +1,80 @@
+import { processVoiceCommandWithGemini } from "../geminiService";
+import { applyCommandsToContent } from "../../utils/voiceCommandHandlers";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+jest.mock("../aiProvider", () => ({
+  generateText: jest.fn().mockRejectedValue(new Error("offline")),
+}));
+jest.mock("../recordingStorage", () => ({}));
+jest.mock("../longTranscription", () => ({}));
+jest.mock("react-native-toast-message", () => ({ show: jest.fn() }));
+
+const paragraph = (id, value) => ({
+  id,
+  type: "paragraph",
+  props: {},
+  content: [{ type: "text", text: value, styles: {} }],
+  children: [],
+});
+
+const content = [
+  paragraph("a", "Call the bank"),
+  paragraph("b", "Book the venue"),
+  paragraph("c", "Order the cake"),
+];
+
+const options = { applyCommands: applyCommandsToContent };
+
+describe("processVoiceCommandWithGemini compound commands", () => {
+  it("finds each step's blocks on the page earlier steps left", async () => {
+    const result = await processVoiceCommandWithGemini(
+      "Delete the last paragraph, then make the last paragraph bold",
+      content,
+      options
+    );
+
+    expect(result.action).toBe("COMPOUND");
+    expect(result.commands.map((command) => command.targetBlockIds)).toEqual([
+      ["c"],
+      ["b"],
+    ]);
+  });
+
+  it("lets a step name blocks an earlier step inserted", async () => {
+    const result = await processVoiceCommandWithGemini(
+      "Add buy balloons below the first paragraph, then move the " +
+        "paragraph about balloons to the top",
+      content,
+      options
+    );
+
+    expect(result.action).toBe("COMPOUND");
+    const [insert, move] = result.commands;
+    expect(insert.blocks).toHaveLength(1);
+    expect(insert.blocks[0].content[0].text).toBe("buy balloons");
+    expect(move.targetBlockIds).toEqual([insert.blocks[0].id]);
+
+    // The inserted block keeps its ID when the command runs
+    const applied = await applyCommandsToContent(content, result.commands);
+    expect(applied.content.map((block) => block.id)).toEqual([
+      insert.blocks[0].id,
+      "a",
+      "b",
+      "c",
+    ]);
+  });
+
+  it("names the step whose blocks an earlier step removed", async () => {
+    const result = await processVoiceCommandWithGemini(
+      "Delete the paragraph about the cake and make the paragraph " +
+        "about the cake bold",
+      content,
+      options
+    );
+
+    expect(result.action).toBe("CLARIFICATION");
+    expect(result.message).toMatch(/^Step 2 \("make the paragraph about/);
+  });
+});
@@ -0,0 +1,185 @@
+import * as FileSystem from "expo-file-system";
+import {
+  SEGMENT_MS,
+  OVERLAP_MS,
+  planSegments,
+  stitchTranscripts,
+  transcribeLongAudio,
+} from "../longTranscription";
+import { transcribeAudio } from "../aiProvider";
+import { readRecordingTrack, cutRecordingSegment } from "../recordingSegments";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+jest.mock("expo-av", () => ({
+  Audio: {
+    Sound: {
+      createAsync: async () => ({
+        sound: { unloadAsync: async () => {} },
+        status: { isLoaded: true, durationMillis: 400000 },
+      }),
+    },
+  },
+}));
+jest.mock("expo-file-system", () => ({
+  documentDirectory: "file:///documents/",
+  cacheDirectory: "file:///cache/",
+  deleteAsync: jest.fn(async () => {}),
+  makeDirectoryAsync: async () => {},
+  copyAsync: async () => {},
+  moveAsync: async () => {},
+}));
+jest.mock("../aiProvider", () => ({ transcribeAudio: jest.fn() }));
+jest.mock("../recordingSegments", () => ({
+  readRecordingTrack: jest.fn(),
+  cutRecordingSegment: jest.fn(),
+}));
+
+describe("planSegments", () => {
+  it("keeps a short recording whole", () => {
+    expect(planSegments(60000)).toEqual([{ startMs: 0, endMs: 60000 }]);
+  });
+
+  it("overlaps each segment with the one before", () => {
+    const segments = planSegments(400000);
+
+    expect(segments).toEqual([
+      { startMs: 0, endMs: SEGMENT_MS },
+      { startMs: SEGMENT_MS - OVERLAP_MS, endMs: 2 * SEGMENT_MS - OVERLAP_MS },
+      { startMs: 2 * SEGMENT_MS - 2 * OVERLAP_MS, endMs: 400000 },
+    ]);
+  });
+});
+
+describe("stitchTranscripts", () => {
+  it("leaves out the words repeated in an overlap", () => {
+    const { transcription, timeline } = stitchTranscripts([
+      {
+        text: "We start with the budget. Sales grew by ten percent",
+        startMs: 0,
+        endMs: 180000,
+      },
+      {
+        text: "Sales grew by ten percent. Next is hiring",
+        startMs: 170000,
+        endMs: 300000,
+      },
+    ]);
+
+    expect(transcription).toBe(
+      "We start with the budget. Sales grew by ten percent. Next is hiring"
+    );
+    expect(timeline).toEqual([
+      { offset: 0, ms: 0 },
+      { offset: transcription.indexOf(". Next"), ms: 170000 + OVERLAP_MS },
+      { offset: transcription.length, ms: 300000 },
+    ]);
+  });
+
+  it("finds the overlap when a word was cut in half at the boundary", () => {
+    const { transcription } = stitchTranscripts([
+      { text: "Sales grew by ten percent this quar", startMs: 0, endMs: 1 },
+      {
+        text: "ten percent this quarter. Next is hiring",
+        startMs: 1,
+        endMs: 2,
+      },
+    ]);
+
+    expect(transcription).toBe(
+      "Sales grew by ten percent this quarter. Next is hiring"
+    );
+  });
+
+  it("joins transcripts that share too few words as they are", () => {
+    const { transcription, timeline } = stitchTranscripts([
+      { text: "The budget is done.", startMs: 0, endMs: 180000 },
+      { text: "  ", startMs: 170000, endMs: 350000 },
+      { text: "Hiring starts in May.", startMs: 340000, endMs: 400000 },
+    ]);
+
+    expect(transcription).toBe("The budget is done. Hiring starts in May.");
+    expect(timeline).toEqual([
+      { offset: 0, ms: 0 },
+      { offset: "The budget is done. ".length, ms: 340000 },
+      { offset: transcription.length, ms: 400000 },
+    ]);
+  });
+});
+
+describe("transcribeLongAudio", () => {
+  const texts = {
+    0: "We start with the budget. Sales grew by ten percent",
+    170000: "grew by ten percent. Next we talk about hiring new staff",
+    340000: "about hiring new staff. That's all for today",
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    readRecordingTrack.mockResolvedValue({ durationMs: 400000, samples: [] });
+    cutRecordingSegment.mockImplementation(async (uri, track, startMs) => ({
+      uri: `file:///cache/segment-${startMs}.aac`,
+      mimeType: "audio/aac",
+    }));
+    transcribeAudio.mockImplementation(
+      async (uri) => texts[uri.match(/segment-(\d+)/)[1]]
+    );
+  });
+
+  it("sends each segment cut out of the recording on its own", async () => {
+    const result = await transcribeLongAudio("file:///lecture.m4a");
+    const cuts = cutRecordingSegment.mock.calls.map(
+      ([, , startMs, endMs]) => ({ startMs, endMs })
+    );
+    const sent = transcribeAudio.mock.calls.map(([uri, mimeType]) => [
+      uri,
+      mimeType,
+    ]);
+
+    expect(cuts).toEqual(planSegments(400000));
+    expect(sent).toEqual([
+      ["file:///cache/segment-0.aac", "audio/aac"],
+      ["file:///cache/segment-170000.aac", "audio/aac"],
+      ["file:///cache/segment-340000.aac", "audio/aac"],
+    ]);
+    expect(FileSystem.deleteAsync).toHaveBeenCalledWith(
+      "file:///cache/segment-170000.aac",
+      { idempotent: true }
+    );
+    expect(result.transcription).toBe(
+      "We start with the budget. Sales grew by ten percent. Next we talk " +
+        "about hiring new staff. That's all for today"
+    );
+    expect(result.audioUri).toBe("file:///lecture.m4a");
+  });
+
+  it("tells each segment how the one before ended for speakers", async () => {
+    await transcribeLongAudio("file:///meeting.m4a", { speakers: true });
+
+    expect(transcribeAudio.mock.calls.map(([, , options]) => options)).toEqual([
+      expect.objectContaining({ speakers: true }),
+      expect.objectContaining({ previousTranscript: texts[0] }),
+      expect.objectContaining({ previousTranscript: texts[170000] }),
+    ]);
+    expect(transcribeAudio.mock.calls[0][2].previousTranscript).toBeUndefined();
+  });
+
+  it("sends a recording it can't cut whole", async () => {
+    readRecordingTrack.mockResolvedValue(null);
+    transcribeAudio.mockResolvedValue("Short memo");
+
+    const result = await transcribeLongAudio("file:///memo.wav", {
+      mimeType: "audio/wav",
+    });
+
+    expect(cutRecordingSegment).not.toHaveBeenCalled();
+    expect(transcribeAudio).toHaveBeenCalledWith(
+      "file:///memo.wav",
+      "audio/wav",
+      expect.anything()
+    );
+    expect(result.transcription).toBe("Short memo");
+    expect(result.timeline[1]).toEqual({ offset: 10, ms: 400000 });
+  });
+});
@@ -0,0 +1,158 @@
+import { syncPendingNotesWithSupabase } from "../noteService";
+import {
+  SYNC_OPERATION_TYPES,
+  enqueueOperation,
+  getPendingOperations,
+  discardOperation,
+} from "../syncQueue";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+jest.mock("uuid", () => ({ v4: () => "generated-id" }));
+
+// Rows of the notes table, keyed by note ID
+const mockNotes = new Map();
+
+// Just enough of the supabase-js query builder for reading and updating notes
+jest.mock("../supabaseService", () => {
+  const query = () => {
+    const filters = [];
+    let patch = null;
+
+    const matching = () =>
+      [...mockNotes.values()].filter((row) =>
+        filters.every(([key, value]) => row[key] === value)
+      );
+
+    const run = () => {
+      if (!patch) return { data: matching(), error: null };
+
+      const updated = matching().map((row) => ({ ...row, ...patch }));
+      updated.forEach((row) => mockNotes.set(row.id, row));
+      return { data: updated, error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      update: (values) => {
+        patch = values;
+        return builder;
+      },
+      eq: (key, value) => {
+        filters.push([key, value]);
+        return builder;
+      },
+      single: async () => ({ data: matching()[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    };
+    return builder;
+  };
+
+  return { supabase: { from: query } };
+});
+
+const USER_ID = "user-1";
+const NOTE_ID = "note-1";
+
+const paragraph = (id, value) => ({
+  id,
+  type: "paragraph",
+  props: {},
+  content: [{ type: "text", text: value, styles: {} }],
+  children: [],
+});
+
+const storeNote = (revision, content) =>
+  mockNotes.set(NOTE_ID, {
+    id: NOTE_ID,
+    user_id: USER_ID,
+    title: "Plans",
+    icon: "📄",
+    content,
+    revision,
+    is_deleted: false,
+  });
+
+const queueUpdate = (content, baseSnapshot) =>
+  enqueueOperation(USER_ID, {
+    type: SYNC_OPERATION_TYPES.UPDATE,
+    noteId: NOTE_ID,
+    updates: { content },
+    baseRevision: 1,
+    baseSnapshot,
+  });
+
+const texts = (content) => content.map((block) => block.content[0].text);
+
+describe("syncPendingNotesWithSupabase replay merge", () => {
+  const base = [paragraph("a", "Monday"), paragraph("b", "Tuesday")];
+
+  beforeEach(async () => {
+    mockNotes.clear();
+    const queue = await getPendingOperations(USER_ID);
+    for (const entry of queue) {
+      await discardOperation(USER_ID, entry.id);
+    }
+  });
+
+  it("merges a queued edit with edits to other blocks", async () => {
+    storeNote(2, [paragraph("a", "Monday"), paragraph("b", "Tue (gym)")]);
+    await queueUpdate([paragraph("a", "Mon (dentist)"), base[1]], {
+      revision: 1,
+      content: base,
+    });
+
+    const result = await syncPendingNotesWithSupabase(USER_ID);
+
+    expect(result).toMatchObject({ success: true, synced: 1, conflicts: [] });
+    expect(texts(mockNotes.get(NOTE_ID).content)).toEqual([
+      "Mon (dentist)",
+      "Tue (gym)",
+    ]);
+    expect(mockNotes.get(NOTE_ID).revision).toBe(3);
+    expect(await getPendingOperations(USER_ID)).toEqual([]);
+  });
+
+  it("keeps a conflicting edit queued and reports the conflict", async () => {
+    storeNote(2, [paragraph("a", "Mon (gym)"), base[1]]);
+    await queueUpdate([paragraph("a", "Mon (dentist)"), base[1]], {
+      revision: 1,
+      content: base,
+    });
+
+    const result = await syncPendingNotesWithSupabase(USER_ID);
+
+    expect(result.success).toBe(false);
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0]).toMatchObject({
+      noteId: NOTE_ID,
+      remoteRevision: 2,
+      queued: true,
+    });
+    expect(result.conflicts[0].conflicts.map((item) => item.blockId)).toEqual([
+      "a",
+    ]);
+
+    // Nothing was written and the edit waits for the user
+    expect(texts(mockNotes.get(NOTE_ID).content)).toEqual([
+      "Mon (gym)",
+      "Tuesday",
+    ]);
+    expect(await getPendingOperations(USER_ID)).toHaveLength(1);
+  });
+
+  it("asks about remotely deleted blocks without a known base", async () => {
+    storeNote(2, [paragraph("a", "Monday")]);
+    await queueUpdate([paragraph("a", "Monday"), paragraph("b", "Tuesday")]);
+
+    const result = await syncPendingNotesWithSupabase(USER_ID);
+
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0].base).toBeNull();
+    expect(result.conflicts[0].conflicts).toEqual([
+      expect.objectContaining({ blockId: "b", type: "DELETED_REMOTELY" }),
+    ]);
+    expect(texts(mockNotes.get(NOTE_ID).content)).toEqual(["Monday"]);
+  });
+});
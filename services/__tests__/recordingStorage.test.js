@@ -0,0 +1,87 @@
+import * as FileSystem from "expo-file-system";
+import { removeUnusedRecordings } from "../recordingStorage";
+import { listRecordings, removeRecordings } from "../supabaseService";
+import { fetchSupabaseNotesOnly } from "../noteService";
+
+jest.mock("expo-file-system", () => ({
+  documentDirectory: "file:///documents/",
+  getInfoAsync: jest.fn(async () => ({ exists: true })),
+  readDirectoryAsync: jest.fn(),
+  deleteAsync: jest.fn(async () => {}),
+}));
+jest.mock("../supabaseService", () => ({
+  listRecordings: jest.fn(),
+  removeRecordings: jest.fn(async () => ({ data: [], error: null })),
+}));
+jest.mock("../noteService", () => ({ fetchSupabaseNotesOnly: jest.fn() }));
+
+const USER_ID = "user-1";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECORDINGS = "file:///documents/recordings/";
+
+// Names saveRecording gives recordings kept some days ago
+const keptDaysAgo = (days, name) => `${Date.now() - days * DAY_MS}-${name}`;
+const OLD_USED = keptDaysAgo(30, "used.m4a");
+const OLD_UNUSED = keptDaysAgo(30, "unused.m4a");
+const RECENT = keptDaysAgo(1, "recent.m4a");
+
+const pageWithAudio = (localUri, storagePath) => ({
+  id: "page-1",
+  contentJson: JSON.stringify([
+    {
+      id: "rec",
+      type: "audio",
+      props: { localUri, storagePath, segments: "[]" },
+      content: [],
+      children: [],
+    },
+  ]),
+});
+
+describe("removeUnusedRecordings", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    FileSystem.readDirectoryAsync.mockResolvedValue([
+      OLD_USED,
+      OLD_UNUSED,
+      RECENT,
+    ]);
+    listRecordings.mockResolvedValue({
+      data: [OLD_USED, OLD_UNUSED, RECENT],
+      error: null,
+    });
+  });
+
+  it("deletes old recordings no audio block uses", async () => {
+    fetchSupabaseNotesOnly.mockResolvedValue({
+      success: true,
+      notes: [
+        pageWithAudio(`${RECORDINGS}${OLD_USED}`, `${USER_ID}/${OLD_USED}`),
+      ],
+    });
+
+    const result = await removeUnusedRecordings(USER_ID);
+
+    expect(result).toEqual({ success: true, removed: 2 });
+    expect(FileSystem.deleteAsync.mock.calls).toEqual([
+      [`${RECORDINGS}${OLD_UNUSED}`, { idempotent: true }],
+    ]);
+    expect(removeRecordings).toHaveBeenCalledWith([
+      `${USER_ID}/${OLD_UNUSED}`,
+    ]);
+  });
+
+  it("deletes nothing while the pages are out of date", async () => {
+    fetchSupabaseNotesOnly.mockResolvedValue({
+      success: true,
+      notes: [],
+      offline: true,
+    });
+
+    const result = await removeUnusedRecordings(USER_ID);
+
+    expect(result.success).toBe(false);
+    expect(FileSystem.deleteAsync).not.toHaveBeenCalled();
+    expect(removeRecordings).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+import {
+  MAX_SYNC_ATTEMPTS,
+  SYNC_OPERATION_TYPES,
+  enqueueOperation,
+  getPendingOperations,
+  getFailedOperations,
+  recordOperationFailure,
+  retryOperation,
+  discardOperation,
+} from "../syncQueue";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+const USER_ID = "user-1";
+
+const queueUpdate = (noteId, title) =>
+  enqueueOperation(USER_ID, {
+    type: SYNC_OPERATION_TYPES.UPDATE,
+    noteId,
+    updates: { title },
+  });
+
+const failRepeatedly = async (operationId, times) => {
+  for (let attempt = 0; attempt < times; attempt++) {
+    await recordOperationFailure(USER_ID, operationId, "permission denied");
+  }
+};
+
+describe("syncQueue failures", () => {
+  beforeEach(async () => {
+    const queue = await getPendingOperations(USER_ID);
+    for (const entry of queue) {
+      await discardOperation(USER_ID, entry.id);
+    }
+  });
+
+  it("keeps an operation marked failed after the last attempt", async () => {
+    const entry = await queueUpdate("note-1", "Draft");
+    await failRepeatedly(entry.id, MAX_SYNC_ATTEMPTS);
+
+    const failed = await getFailedOperations(USER_ID);
+    expect(failed).toHaveLength(1);
+    expect(failed[0]).toMatchObject({
+      id: entry.id,
+      failed: true,
+      lastError: "permission denied",
+      updates: { title: "Draft" },
+    });
+  });
+
+  it("does not fold new updates into a failed operation", async () => {
+    const entry = await queueUpdate("note-1", "Draft");
+    await failRepeatedly(entry.id, MAX_SYNC_ATTEMPTS);
+    await queueUpdate("note-1", "Final");
+
+    const queue = await getPendingOperations(USER_ID);
+    expect(queue.map((item) => item.updates.title)).toEqual(["Draft", "Final"]);
+  });
+
+  it("puts a retried operation back in line", async () => {
+    const entry = await queueUpdate("note-1", "Draft");
+    await failRepeatedly(entry.id, MAX_SYNC_ATTEMPTS);
+    await retryOperation(USER_ID, entry.id);
+
+    expect(await getFailedOperations(USER_ID)).toEqual([]);
+    const [queued] = await getPendingOperations(USER_ID);
+    expect(queued).toMatchObject({ id: entry.id, failed: false, attempts: 0 });
+  });
+
+  it("removes a discarded operation", async () => {
+    const entry = await queueUpdate("note-1", "Draft");
+    await failRepeatedly(entry.id, MAX_SYNC_ATTEMPTS);
+    await discardOperation(USER_ID, entry.id);
+
+    expect(await getPendingOperations(USER_ID)).toEqual([]);
+  });
+});
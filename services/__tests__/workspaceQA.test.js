@@ -0,0 +1,160 @@
+import {
+  createLocalQABackend,
+  setQABackend,
+  syncEmbeddings,
+  askWorkspace,
+} from "../workspaceQA";
+
+jest.mock("expo-file-system", () => {
+  const files = {};
+  return {
+    documentDirectory: "file:///documents/",
+    getInfoAsync: async (uri) => ({ exists: uri in files, uri }),
+    readAsStringAsync: async (uri) => files[uri],
+    writeAsStringAsync: async (uri, data) => {
+      files[uri] = data;
+    },
+    makeDirectoryAsync: async () => {},
+  };
+});
+jest.mock("../geminiService", () => ({}));
+jest.mock("../aiProvider", () => ({ getEmbeddingModelId: () => "test" }));
+jest.mock("../aiSettings", () => ({ loadAISettings: async () => ({}) }));
+
+const page = (id, title, ...lines) => ({
+  id,
+  title,
+  icon: "📄",
+  revision: 1,
+  contentJson: JSON.stringify(
+    lines.map((text, index) => ({
+      id: `${id}-${index}`,
+      type: "paragraph",
+      props: {},
+      content: [{ type: "text", text, styles: {} }],
+      children: [],
+    }))
+  ),
+});
+
+const dot = (a, b) =>
+  a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+describe("createLocalQABackend", () => {
+  const backend = createLocalQABackend();
+
+  it("embeds the same text the same way every time", async () => {
+    const first = await backend.embed(["Launch the rockets"]);
+    const second = await backend.embed(["Launch the rockets"]);
+
+    expect(first.success).toBe(true);
+    expect(first.embeddings[0]).toHaveLength(256);
+    expect(first.embeddings).toEqual(second.embeddings);
+  });
+
+  it("puts texts that share words closer together", async () => {
+    const {
+      embeddings: [question, related, unrelated],
+    } = await backend.embed([
+      "when is the launch",
+      "The launch is on Friday",
+      "Buy milk and eggs",
+    ]);
+
+    expect(dot(question, related)).toBeGreaterThan(dot(question, unrelated));
+  });
+
+  it("answers with the sentences that best match the question", async () => {
+    const answer = await backend.answer("when is the product launch", [
+      { title: "Plans", text: "We talked. The product launch is in May." },
+      { title: "Shopping", text: "Shopping\nBuy milk." },
+      { title: "Roadmap", text: "Roadmap\nLaunch party after that." },
+    ]);
+
+    expect(answer).toEqual({
+      success: true,
+      paragraphs: [
+        "The product launch is in May. [1]",
+        "Launch party after that. [3]",
+      ],
+      citations: [1, 3],
+    });
+  });
+
+  it("says so when no excerpt matches", async () => {
+    const answer = await backend.answer("budget", [
+      { title: "Shopping", text: "Buy milk." },
+    ]);
+
+    expect(answer.citations).toEqual([]);
+    expect(answer.paragraphs).toEqual([
+      "I couldn't find anything about that in your notes.",
+    ]);
+  });
+});
+
+describe("askWorkspace with the local backend", () => {
+  beforeEach(() => setQABackend(createLocalQABackend()));
+  afterEach(() => setQABackend(null));
+
+  it("answers from the matching page and cites it", async () => {
+    const pages = [
+      page("plans", "Plans", "The launch is on Friday."),
+      page("shopping", "Shopping", "Buy milk and eggs."),
+    ];
+
+    const result = await askWorkspace("user-1", "when is the launch", pages);
+
+    expect(result.success).toBe(true);
+    expect(result.sources).toEqual([{ pageId: "plans", title: "Plans" }]);
+    expect(result.blocks[0].content[0].text).toBe(
+      "The launch is on Friday. [1]"
+    );
+    expect(result.blocks[result.blocks.length - 1]).toMatchObject({
+      type: "pageLink",
+      props: { pageId: "plans", pageTitle: "Plans" },
+    });
+  });
+});
+
+describe("syncEmbeddings", () => {
+  const embedded = [];
+
+  beforeEach(() => {
+    embedded.length = 0;
+    const local = createLocalQABackend();
+    setQABackend({
+      ...local,
+      id: "counting",
+      embed: (texts, options) => {
+        embedded.push(...texts);
+        return local.embed(texts, options);
+      },
+    });
+  });
+  afterEach(() => setQABackend(null));
+
+  it("shares one run between callers with the same pages", async () => {
+    const pages = [page("a", "Alpha", "First page")];
+
+    const results = await Promise.all([
+      syncEmbeddings("user-2", pages),
+      syncEmbeddings("user-2", [...pages]),
+    ]);
+
+    expect(results).toEqual([{ success: true }, { success: true }]);
+    expect(embedded).toEqual(["Alpha\nFirst page"]);
+  });
+
+  it("runs again for callers with other pages", async () => {
+    const alpha = page("a", "Alpha", "First page");
+    const beta = page("b", "Beta", "Second page");
+
+    await Promise.all([
+      syncEmbeddings("user-3", [alpha]),
+      syncEmbeddings("user-3", [alpha, beta]),
+    ]);
+
+    expect(embedded).toEqual(["Alpha\nFirst page", "Beta\nSecond page"]);
+  });
+});
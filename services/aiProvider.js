@@ -0,0 +1,192 @@
+/**
+ * AI Provider Service
+ *
+ * The one place the app reaches an AI model. Every request names a task
+ * (see AI_TASKS); the provider chosen in settings is called with that
+ * provider's endpoint and the task's model and parameters.
+ *
+ * A provider is an object with an id, a name and three methods, each
+ * throwing on failure:
+ * - transcribe({ uri, mimeType }, config) resolving to the spoken text
+ * - generate(messages, config) resolving to the reply text, where messages
+ *   are { role: "system"|"user"|"assistant", content }. When
+ *   config.responseSchema is set the reply must be JSON matching it; the
+ *   caller still validates what comes back.
+ * - embed(texts, config) resolving to one vector per text
+ * config holds the provider's settings, the task's parameters, the resolved
+ * model, the API key and the task name.
+ *
+ * When audio.speakers is set, a provider that can tell voices apart starts
+ * each change of speaker on a new line labelled "Speaker 1:", "Speaker 2:"
+ * and so on; others return plain text. A part of a long recording also
+ * comes with audio.previousTranscript, the end of the transcript of the
+ * part before, for keeping speakers' numbers. audio.language is the
+ * ISO 639-1 code of the language spoken, or "auto" to detect it; either
+ * way the transcript is in the language spoken, not translated.
+ */
+
+import {
+  AI_TASKS,
+  getAISettings,
+  loadAISettings,
+  getProviderApiKey,
+} from "./aiSettings";
+import geminiProvider from "./aiProviders/geminiProvider";
+import openAICompatibleProvider from "./aiProviders/openAICompatibleProvider";
+
+const PROVIDERS = {
+  [geminiProvider.id]: geminiProvider,
+  [openAICompatibleProvider.id]: openAICompatibleProvider,
+};
+
+// Provider setting holding the default model for tasks that use a
+// different kind of model
+const TASK_MODEL_SETTINGS = {
+  [AI_TASKS.TRANSCRIPTION]: "transcriptionModel",
+  [AI_TASKS.EMBEDDING]: "embeddingModel",
+};
+
+// Set by setAIProvider to bypass settings, e.g. with a fixture provider
+let providerOverride = null;
+
+/**
+ * Use a specific provider instead of the one chosen in settings
+ * @param {Object|null} provider - A provider, such as one made by
+ * createFixtureProvider, or null to go back to settings
+ */
+export const setAIProvider = (provider) => {
+  providerOverride = provider || null;
+};
+
+/**
+ * Providers that can be chosen in settings
+ * @returns {Array} - { id, name } for each provider
+ */
+export const getAvailableProviders = () =>
+  Object.values(PROVIDERS).map(({ id, name }) => ({ id, name }));
+
+const resolveModel = (task, providerSettings, taskSettings) =>
+  taskSettings.model ||
+  providerSettings[TASK_MODEL_SETTINGS[task]] ||
+  providerSettings.model;
+
+// Work out which provider handles a task and with what configuration
+const getTaskProvider = async (task) => {
+  const settings = await loadAISettings();
+  const provider = providerOverride || PROVIDERS[settings.provider];
+  const providerSettings = settings.providers[provider.id] || {};
+  const taskSettings = settings.tasks[task] || {};
+
+  return {
+    provider,
+    config: {
+      ...providerSettings,
+      ...taskSettings,
+      model: resolveModel(task, providerSettings, taskSettings),
+      apiKey: providerOverride ? "" : await getProviderApiKey(provider.id),
+      task,
+    },
+  };
+};
+
+// Accept a plain prompt as shorthand for a single user message
+const toMessages = (prompt) =>
+  typeof prompt === "string" ? [{ role: "user", content: prompt }] : prompt;
+
+/**
+ * Transcribe a recording
+ * @param {string} audioUri - URI of the recording
+ * @param {string} mimeType - Audio format; Expo records m4a by default
+ * @param {Object} options - { speakers, language, previousTranscript }:
+ * speakers to label who is speaking, language for the language spoken and
+ * previousTranscript for how the recording it carries on from ended
+ * @returns {Promise<string>} - Transcribed text
+ */
+export const transcribeAudio = async (
+  audioUri,
+  mimeType = "audio/m4a",
+  options = null
+) => {
+  const { provider, config } = await getTaskProvider(AI_TASKS.TRANSCRIPTION);
+  console.log(`Transcribing with ${provider.name}`);
+  return provider.transcribe({ uri: audioUri, mimeType, ...options }, config);
+};
+
+/**
+ * Generate text for a task, from a prompt or a conversation
+ * @param {string} task - One of AI_TASKS
+ * @param {string|Array} prompt - Prompt text, or messages as
+ * { role: "system"|"user"|"assistant", content }
+ * @param {Object} options - { responseSchema } to constrain the reply to
+ * JSON matching a schema
+ * @returns {Promise<string>} - Reply text, empty if the model sent none
+ */
+export const generateText = async (task, prompt, { responseSchema } = {}) => {
+  const { provider, config } = await getTaskProvider(task);
+  console.log(`Calling ${provider.name} (${config.model}) for ${task}`);
+  return provider.generate(toMessages(prompt), { ...config, responseSchema });
+};
+
+/**
+ * Embed texts for retrieval
+ * @param {Array} texts - Texts to embed
+ * @param {Object} options - { taskType: "document" | "query" }
+ * @returns {Promise<Array>} - One vector per text
+ */
+export const embedTexts = async (texts, { taskType = "document" } = {}) => {
+  const { provider, config } = await getTaskProvider(AI_TASKS.EMBEDDING);
+  return provider.embed(texts, { ...config, taskType });
+};
+
+/**
+ * Identify the embedding model currently in use
+ * Vectors from different models can't be compared, so stored embeddings
+ * are tagged with this and rebuilt when it changes. Reads the settings
+ * already loaded; call loadAISettings first to be sure they are current.
+ * @returns {string} - Provider, model and vector size
+ */
+export const getEmbeddingModelId = () => {
+  const settings = getAISettings();
+  const provider = providerOverride || PROVIDERS[settings.provider];
+  const providerSettings = settings.providers[provider.id] || {};
+  const taskSettings = settings.tasks[AI_TASKS.EMBEDDING] || {};
+
+  return [
+    provider.id,
+    resolveModel(AI_TASKS.EMBEDDING, providerSettings, taskSettings),
+    taskSettings.dimensions,
+  ].join("-");
+};
+
+/**
+ * Check that the chosen provider can be reached and replies
+ * @returns {Promise<Object>} - { success, reply, error }
+ */
+export const testAIProvider = async () => {
+  try {
+    const reply = await generateText(
+      AI_TASKS.ASK_AI,
+      "Reply with the single word OK."
+    );
+    if (!reply.trim()) {
+      return { success: false, error: "The model sent an empty reply" };
+    }
+    return { success: true, reply: reply.trim() };
+  } catch (error) {
+    console.error("Error testing AI provider:", error);
+    return {
+      success: false,
+      error: error?.response?.data?.error?.message || error.message,
+    };
+  }
+};
+
+export default {
+  setAIProvider,
+  getAvailableProviders,
+  transcribeAudio,
+  generateText,
+  embedTexts,
+  getEmbeddingModelId,
+  testAIProvider,
+};
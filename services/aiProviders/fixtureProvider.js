@@ -0,0 +1,66 @@
+/**
+ * Fixture Provider
+ *
+ * A deterministic stand-in for a real AI provider, for tests and demos.
+ * Replies come from fixtures keyed by task, embeddings are hashed bags of
+ * word stems and every call is recorded, so the same input always gives the
+ * same output and nothing touches the network.
+ */
+
+import { embedByHashing } from "../../utils/embeddingUtils";
+
+const DEFAULT_DIMENSIONS = 64;
+
+// A fixture is a string, an object to send as JSON, or a function of the
+// request returning either
+const resolveFixture = (fixture, ...args) => {
+  const value = typeof fixture === "function" ? fixture(...args) : fixture;
+  return typeof value === "string" ? value : JSON.stringify(value);
+};
+
+/**
+ * Create a fixture provider
+ * @param {Object} fixtures - What the provider answers with
+ * @param {string|Function} fixtures.transcription - Text every recording
+ * transcribes to, or (audio, config) => text
+ * @param {Object} fixtures.responses - Replies by task (see AI_TASKS); each
+ * a string, an object sent back as JSON, or (messages, config) => either
+ * @param {number} fixtures.dimensions - Length of embedding vectors
+ * @returns {Object} - Provider for setAIProvider, with a calls array
+ * recording { method, task, input } for each request
+ */
+export const createFixtureProvider = ({
+  transcription = "",
+  responses = {},
+  dimensions = DEFAULT_DIMENSIONS,
+} = {}) => {
+  const calls = [];
+
+  return {
+    id: "fixture",
+    name: "Fixtures",
+    calls,
+
+    transcribe: async (audio, config) => {
+      calls.push({ method: "transcribe", task: config.task, input: audio });
+      return resolveFixture(transcription, audio, config);
+    },
+
+    generate: async (messages, config) => {
+      calls.push({ method: "generate", task: config.task, input: messages });
+
+      if (!(config.task in responses)) {
+        throw new Error(`No fixture response for task "${config.task}"`);
+      }
+      return resolveFixture(responses[config.task], messages, config);
+    },
+
+    embed: async (texts, config) => {
+      calls.push({ method: "embed", task: config.task, input: texts });
+
+      return texts.map((text) => embedByHashing(text, dimensions));
+    },
+  };
+};
+
+export default createFixtureProvider;
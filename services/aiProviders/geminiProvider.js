@@ -0,0 +1,196 @@
+/**
+ * Gemini Provider
+ *
+ * Google's Gemini API: generateContent for text and for transcribing audio,
+ * and batchEmbedContents for embeddings.
+ */
+
+import axios from "axios";
+import * as FileSystem from "expo-file-system";
+import { getLanguage } from "../../utils/languageUtils";
+
+// Used until a key is saved in settings
+const ENV_API_KEY = process.env.EXPO_PUBLIC_GEMINI_API_KEY;
+
+const EMBEDDING_BATCH_SIZE = 100;
+
+const TRANSCRIPTION_PROMPT =
+  "Please transcribe the following audio file accurately. Return only the transcribed text without any additional comments or formatting.";
+
+const SPEAKERS_PROMPT =
+  'Start a new line each time the speaker changes, beginning it with a label like "Speaker 1:". Number speakers in the order they first speak and give each one the same number throughout. Write the labels in English whatever language is spoken.';
+
+// Left to itself, Gemini sometimes translates what it hears into English
+const DETECTED_LANGUAGE_PROMPT =
+  "Write the speech in the language it is spoken in, without translating it. If the speaker changes language, change with them.";
+
+const getApiKey = (config) => config.apiKey || ENV_API_KEY;
+
+// Parts of a long recording are sent separately, each with how the
+// transcript of the part before ended, so they agree on who is who
+const withSpeakers = (prompt, speakers, previousTranscript) => {
+  if (!speakers) return prompt;
+  if (!previousTranscript) return `${prompt} ${SPEAKERS_PROMPT}`;
+  return `${prompt} ${SPEAKERS_PROMPT} The audio carries on from a recording whose transcript ended like this:\n${previousTranscript}\nGive the speakers heard there the same numbers, and number anyone new after them. Don't repeat that transcript.`;
+};
+
+const withLanguage = (prompt, code) => {
+  const language = getLanguage(code);
+  return language
+    ? `${prompt} The speech is in ${language.name}. Write it in ${language.name}, without translating it.`
+    : `${prompt} ${DETECTED_LANGUAGE_PROMPT}`;
+};
+
+// Gemini's v1 API has no system role, so instructions are sent as the first
+// user message
+const toContents = (messages) =>
+  messages.map((message) => ({
+    role: message.role === "assistant" ? "model" : "user",
+    parts: [{ text: message.content }],
+  }));
+
+// Gemini takes an OpenAPI-style subset of JSON Schema: upper-case type
+// names, enums only on strings and no numeric bounds
+const toGeminiSchema = (schema) => {
+  const geminiSchema = { type: schema.type.toUpperCase() };
+
+  if (schema.enum && schema.type === "string") geminiSchema.enum = schema.enum;
+  if (schema.minItems !== undefined) geminiSchema.minItems = schema.minItems;
+  if (schema.items) geminiSchema.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    geminiSchema.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [
+        key,
+        toGeminiSchema(value),
+      ])
+    );
+  }
+  if (schema.required) geminiSchema.required = schema.required;
+
+  return geminiSchema;
+};
+
+const getGenerationConfig = (config) => {
+  const generationConfig = {};
+  ["temperature", "topP", "topK", "maxOutputTokens"].forEach((key) => {
+    if (typeof config[key] === "number") generationConfig[key] = config[key];
+  });
+  if (config.responseSchema) {
+    generationConfig.responseMimeType = "application/json";
+    generationConfig.responseSchema = toGeminiSchema(config.responseSchema);
+  }
+  return generationConfig;
+};
+
+const generateContent = async (contents, config) => {
+  const apiUrl = `${config.baseUrl}/v1/models/${config.model}:generateContent`;
+  const response = await axios.post(
+    `${apiUrl}?key=${getApiKey(config)}`,
+    {
+      contents,
+      generationConfig: getGenerationConfig(config),
+    },
+    {
+      headers: {
+        "Content-Type": "application/json",
+      },
+    }
+  );
+
+  return response.data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+};
+
+/**
+ * Transcribe a recording
+ * @param {Object} audio - { uri, mimeType } of the recording; speakers to
+ * label who is speaking, and previousTranscript for how the recording it
+ * carries on from ended; the language spoken, or "auto" to detect it
+ * @param {Object} config - Provider settings and task parameters
+ * @returns {Promise<string>} - Transcribed text
+ */
+const transcribe = async (
+  { uri, mimeType, speakers, previousTranscript, language },
+  config
+) => {
+  const base64Audio = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+
+  return generateContent(
+    [
+      {
+        role: "user",
+        parts: [
+          {
+            text: withSpeakers(
+              withLanguage(TRANSCRIPTION_PROMPT, language),
+              speakers,
+              previousTranscript
+            ),
+          },
+          { inline_data: { mime_type: mimeType, data: base64Audio } },
+        ],
+      },
+    ],
+    config
+  );
+};
+
+/**
+ * Generate a reply to a conversation
+ * @param {Array} messages - { role: "system"|"user"|"assistant", content }
+ * @param {Object} config - Provider settings and task parameters
+ * @returns {Promise<string>} - Reply text, empty if Gemini sent none
+ */
+const generate = (messages, config) =>
+  generateContent(toContents(messages), config);
+
+/**
+ * Embed texts for retrieval
+ * @param {Array} texts - Texts to embed
+ * @param {Object} config - Provider settings, task parameters and taskType
+ * ("document" or "query")
+ * @returns {Promise<Array>} - One vector per text
+ */
+const embed = async (texts, config) => {
+  const embeddings = [];
+  const apiUrl = `${config.baseUrl}/v1beta/models/${
+    config.model
+  }:batchEmbedContents?key=${getApiKey(config)}`;
+
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const response = await axios.post(apiUrl, {
+      requests: batch.map((text) => ({
+        model: `models/${config.model}`,
+        content: { parts: [{ text }] },
+        taskType:
+          config.taskType === "query"
+            ? "RETRIEVAL_QUERY"
+            : "RETRIEVAL_DOCUMENT",
+        outputDimensionality: config.dimensions,
+      })),
+    });
+
+    const batchEmbeddings = response.data && response.data.embeddings;
+    if (
+      !Array.isArray(batchEmbeddings) ||
+      batchEmbeddings.length !== batch.length
+    ) {
+      throw new Error("Unexpected embedding response");
+    }
+    embeddings.push(...batchEmbeddings.map((embedding) => embedding.values));
+  }
+
+  return embeddings;
+};
+
+const geminiProvider = {
+  id: "gemini",
+  name: "Google Gemini",
+  transcribe,
+  generate,
+  embed,
+};
+
+export default geminiProvider;
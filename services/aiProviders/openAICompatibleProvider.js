@@ -0,0 +1,133 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Any server speaking the OpenAI REST API: OpenAI itself, or a self-hosted
+ * llama.cpp server for text and embeddings and a whisper.cpp server for
+ * transcription. Self-hosted servers usually need no API key.
+ */
+
+import axios from "axios";
+import { getLanguage } from "../../utils/languageUtils";
+
+const EMBEDDING_BATCH_SIZE = 100;
+
+const getHeaders = (config, contentType = "application/json") => ({
+  "Content-Type": contentType,
+  ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+});
+
+// Servers often pick their loaded model when none is named, so only send a
+// model that was chosen
+const withModel = (body, config) =>
+  config.model ? { ...body, model: config.model } : body;
+
+/**
+ * Transcribe a recording
+ * whisper.cpp serves this on /inference unless started with
+ * --inference-path, so the URL can be set separately from the base URL.
+ * Whisper detects the language spoken unless it's told which one it is.
+ * @param {Object} audio - { uri, mimeType, language } of the recording
+ * @param {Object} config - Provider settings and task parameters
+ * @returns {Promise<string>} - Transcribed text
+ */
+const transcribe = async ({ uri, mimeType, language }, config) => {
+  const formData = new FormData();
+  formData.append("file", {
+    uri,
+    name: `recording.${mimeType.split("/")[1] || "m4a"}`,
+    type: mimeType,
+  });
+  if (config.model) formData.append("model", config.model);
+  formData.append("response_format", "json");
+  if (getLanguage(language)) formData.append("language", language);
+  if (typeof config.temperature === "number") {
+    formData.append("temperature", String(config.temperature));
+  }
+
+  const response = await axios.post(
+    config.transcriptionUrl || `${config.baseUrl}/audio/transcriptions`,
+    formData,
+    { headers: getHeaders(config, "multipart/form-data") }
+  );
+
+  return (response.data && response.data.text) || "";
+};
+
+/**
+ * Generate a reply to a conversation
+ * top_k isn't part of the OpenAI API and some servers reject it, so it is
+ * left out. A response schema is sent as a json_schema response format,
+ * which llama.cpp turns into a grammar.
+ * @param {Array} messages - { role: "system"|"user"|"assistant", content }
+ * @param {Object} config - Provider settings and task parameters
+ * @returns {Promise<string>} - Reply text, empty if the server sent none
+ */
+const generate = async (messages, config) => {
+  const body = { messages };
+  if (typeof config.temperature === "number") {
+    body.temperature = config.temperature;
+  }
+  if (typeof config.topP === "number") body.top_p = config.topP;
+  if (typeof config.maxOutputTokens === "number") {
+    body.max_tokens = config.maxOutputTokens;
+  }
+  if (config.responseSchema) {
+    body.response_format = {
+      type: "json_schema",
+      json_schema: {
+        name: `${config.task}_response`,
+        schema: config.responseSchema,
+      },
+    };
+  }
+
+  const response = await axios.post(
+    `${config.baseUrl}/chat/completions`,
+    withModel(body, config),
+    { headers: getHeaders(config) }
+  );
+
+  return response.data?.choices?.[0]?.message?.content || "";
+};
+
+/**
+ * Embed texts for retrieval
+ * The vector size is whatever the server's model produces.
+ * @param {Array} texts - Texts to embed
+ * @param {Object} config - Provider settings and task parameters
+ * @returns {Promise<Array>} - One vector per text
+ */
+const embed = async (texts, config) => {
+  const embeddings = [];
+
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const response = await axios.post(
+      `${config.baseUrl}/embeddings`,
+      withModel({ input: batch }, config),
+      { headers: getHeaders(config) }
+    );
+
+    const data = response.data && response.data.data;
+    if (!Array.isArray(data) || data.length !== batch.length) {
+      throw new Error("Unexpected embedding response");
+    }
+    embeddings.push(
+      ...[...data]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding)
+    );
+  }
+
+  return embeddings;
+};
+
+const openAICompatibleProvider = {
+  id: "openai",
+  name: "OpenAI-Compatible Server",
+  transcribe,
+  generate,
+  embed,
+};
+
+export default openAICompatibleProvider;
@@ -0,0 +1,238 @@
+/**
+ * AI Settings Service
+ *
+ * Which AI provider handles transcription, note formatting, commands and
+ * answers, where it is reached and the model parameters used for each task.
+ * Settings live on the device in AsyncStorage; API keys are kept apart in
+ * SecureStore so they never end up in plain storage or backups.
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as SecureStore from "expo-secure-store";
+
+const AI_SETTINGS_KEY = "sayNote_ai_settings";
+const API_KEY_PREFIX = "sayNote_ai_key_";
+
+// Everything the app asks an AI provider to do
+export const AI_TASKS = {
+  TRANSCRIPTION: "transcription",
+  NOTE_FORMATTING: "noteFormatting",
+  VOICE_COMMAND: "voiceCommand",
+  ASK_AI: "askAI",
+  SEARCH_QUERY: "searchQuery",
+  WORKSPACE_ANSWER: "workspaceAnswer",
+  MEETING_MINUTES: "meetingMinutes",
+  EMBEDDING: "embedding",
+};
+
+export const AI_TASK_LABELS = {
+  [AI_TASKS.TRANSCRIPTION]: "Transcription",
+  [AI_TASKS.NOTE_FORMATTING]: "Note Formatting",
+  [AI_TASKS.VOICE_COMMAND]: "Voice Commands",
+  [AI_TASKS.ASK_AI]: "Ask AI",
+  [AI_TASKS.SEARCH_QUERY]: "Voice Search",
+  [AI_TASKS.WORKSPACE_ANSWER]: "Answers From Notes",
+  [AI_TASKS.MEETING_MINUTES]: "Meeting Minutes",
+  [AI_TASKS.EMBEDDING]: "Note Embeddings",
+};
+
+export const AI_PROVIDER_IDS = {
+  GEMINI: "gemini",
+  OPENAI_COMPATIBLE: "openai",
+};
+
+// Low temperature and a narrow sampling window keep JSON output reliable
+const STRUCTURED_PARAMS = {
+  model: "",
+  temperature: 0.0,
+  topP: 0.1,
+  topK: 16,
+  maxOutputTokens: 1024,
+};
+
+export const DEFAULT_AI_SETTINGS = {
+  provider: AI_PROVIDER_IDS.GEMINI,
+  providers: {
+    [AI_PROVIDER_IDS.GEMINI]: {
+      baseUrl: "https://generativelanguage.googleapis.com",
+      model: "gemini-1.5-pro",
+      embeddingModel: "text-embedding-004",
+    },
+    [AI_PROVIDER_IDS.OPENAI_COMPATIBLE]: {
+      // llama.cpp's server and most self-hosted servers listen here
+      baseUrl: "http://localhost:8080/v1",
+      model: "",
+      transcriptionUrl: "",
+      transcriptionModel: "whisper-1",
+      embeddingModel: "",
+    },
+  },
+  // An empty model uses the provider's model for that task
+  tasks: {
+    [AI_TASKS.TRANSCRIPTION]: { ...STRUCTURED_PARAMS },
+    [AI_TASKS.NOTE_FORMATTING]: { ...STRUCTURED_PARAMS },
+    [AI_TASKS.VOICE_COMMAND]: { ...STRUCTURED_PARAMS },
+    [AI_TASKS.ASK_AI]: {
+      ...STRUCTURED_PARAMS,
+      temperature: 0.2,
+      maxOutputTokens: 2048,
+    },
+    [AI_TASKS.SEARCH_QUERY]: { ...STRUCTURED_PARAMS },
+    [AI_TASKS.WORKSPACE_ANSWER]: {
+      ...STRUCTURED_PARAMS,
+      temperature: 0.2,
+      maxOutputTokens: 2048,
+    },
+    // Minutes of an hour-long meeting run to a few pages
+    [AI_TASKS.MEETING_MINUTES]: {
+      ...STRUCTURED_PARAMS,
+      temperature: 0.2,
+      maxOutputTokens: 4096,
+    },
+    [AI_TASKS.EMBEDDING]: { model: "", dimensions: 256 },
+  },
+};
+
+let cachedSettings = null;
+let pendingLoad = null;
+const listeners = new Set();
+
+const getApiKeyKey = (providerId) => `${API_KEY_PREFIX}${providerId}`;
+
+// Fill in anything missing from stored settings with the defaults, so
+// settings saved by an older version keep working
+const mergeWithDefaults = (stored) => {
+  const settings = stored && typeof stored === "object" ? stored : {};
+  const providers = { ...DEFAULT_AI_SETTINGS.providers };
+  const tasks = { ...DEFAULT_AI_SETTINGS.tasks };
+
+  Object.keys(providers).forEach((id) => {
+    providers[id] = { ...providers[id], ...(settings.providers || {})[id] };
+  });
+  Object.keys(tasks).forEach((task) => {
+    tasks[task] = { ...tasks[task], ...(settings.tasks || {})[task] };
+  });
+
+  return {
+    provider: providers[settings.provider]
+      ? settings.provider
+      : DEFAULT_AI_SETTINGS.provider,
+    providers,
+    tasks,
+  };
+};
+
+/**
+ * Get the current AI settings without waiting for storage
+ * Returns the defaults until loadAISettings has finished once.
+ * @returns {Object} - AI settings
+ */
+export const getAISettings = () =>
+  cachedSettings || mergeWithDefaults(DEFAULT_AI_SETTINGS);
+
+/**
+ * Load AI settings from storage, once per app session
+ * @returns {Promise<Object>} - AI settings
+ */
+export const loadAISettings = async () => {
+  if (cachedSettings) return cachedSettings;
+  if (pendingLoad) return pendingLoad;
+
+  pendingLoad = (async () => {
+    try {
+      const stored = await AsyncStorage.getItem(AI_SETTINGS_KEY);
+      cachedSettings = mergeWithDefaults(stored ? JSON.parse(stored) : null);
+    } catch (error) {
+      console.error("Error loading AI settings:", error);
+      cachedSettings = mergeWithDefaults(null);
+    } finally {
+      pendingLoad = null;
+    }
+    return cachedSettings;
+  })();
+
+  return pendingLoad;
+};
+
+/**
+ * Save AI settings
+ * @param {Object} settings - Full or partial settings; missing values fall
+ * back to the defaults
+ * @returns {Promise<Object>} - { success, settings, error }
+ */
+export const saveAISettings = async (settings) => {
+  try {
+    const merged = mergeWithDefaults(settings);
+    await AsyncStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(merged));
+    cachedSettings = merged;
+    listeners.forEach((listener) => listener(merged));
+    return { success: true, settings: merged };
+  } catch (error) {
+    console.error("Error saving AI settings:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Restore the default AI settings; saved API keys are kept
+ * @returns {Promise<Object>} - { success, settings, error }
+ */
+export const resetAISettings = () => saveAISettings(DEFAULT_AI_SETTINGS);
+
+/**
+ * Be told when AI settings are saved
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToAISettings = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Get the API key saved for a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<string>} - The key, or "" if none was saved
+ */
+export const getProviderApiKey = async (providerId) => {
+  try {
+    return (await SecureStore.getItemAsync(getApiKeyKey(providerId))) || "";
+  } catch (error) {
+    console.error("Error reading API key:", error);
+    return "";
+  }
+};
+
+/**
+ * Save or clear the API key for a provider
+ * @param {string} providerId - Provider ID
+ * @param {string} apiKey - Key to save; empty clears it
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const setProviderApiKey = async (providerId, apiKey) => {
+  try {
+    if (apiKey) {
+      await SecureStore.setItemAsync(getApiKeyKey(providerId), apiKey);
+    } else {
+      await SecureStore.deleteItemAsync(getApiKeyKey(providerId));
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Error saving API key:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  AI_TASKS,
+  AI_TASK_LABELS,
+  AI_PROVIDER_IDS,
+  DEFAULT_AI_SETTINGS,
+  getAISettings,
+  loadAISettings,
+  saveAISettings,
+  resetAISettings,
+  subscribeToAISettings,
+  getProviderApiKey,
+  setProviderApiKey,
+};
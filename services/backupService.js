@@ -0,0 +1,379 @@
+/**
+ * Backup Service
+ *
+ * Exports the whole workspace (page tree, icons, tags and BlockNote content)
+ * to a zip archive holding a versioned JSON manifest, and restores such
+ * archives (or a bare manifest from older exports) into the current account
+ * without duplicating pages that already exist.
+ */
+
+import * as DocumentPicker from "expo-document-picker";
+import JSZip from "jszip";
+import { v4 as uuidv4 } from "uuid";
+import pageStorageService from "./pageStorage";
+import {
+  FILE_ENCODINGS,
+  saveAndShareFile,
+  readPickedText,
+  loadPickedZip,
+} from "./fileTransfer";
+import { getPageBlocks } from "../utils/contentUtils";
+
+export const BACKUP_FORMAT = "saynote-backup";
+export const BACKUP_VERSION = 1;
+
+// Name of the manifest inside a backup zip
+const MANIFEST_FILE = "saynote-backup.json";
+
+// Apply a function to every block in a tree
+const mapBlocks = (blocks, transform) =>
+  blocks.map((block) => {
+    const mapped = transform(block);
+    return {
+      ...mapped,
+      children: mapBlocks(mapped.children || [], transform),
+    };
+  });
+
+// Point pageLink blocks at the IDs the linked pages were restored under
+const remapPageLinks = (blocks, idMap) =>
+  mapBlocks(blocks, (block) => {
+    if (block.type !== "pageLink" || !block.props) return block;
+    const mappedId = idMap[block.props.pageId];
+    return mappedId
+      ? { ...block, props: { ...block.props, pageId: mappedId } }
+      : block;
+  });
+
+// Identify a page by what it contains, ignoring IDs that change on import
+const getPageFingerprint = (title, blocks, parentId) => {
+  const comparable = mapBlocks(blocks, (block) => {
+    const { id, ...rest } = block;
+    if (rest.type === "pageLink" && rest.props) {
+      const { pageId, ...props } = rest.props;
+      return { ...rest, props };
+    }
+    return rest;
+  });
+  return JSON.stringify([title || "", parentId || null, comparable]);
+};
+
+/**
+ * Check that an object is a backup archive this version can restore
+ * @param {Object} archive - Parsed archive
+ * @returns {Object} - { valid, errors }
+ */
+export const validateBackupArchive = (archive) => {
+  const errors = [];
+
+  if (!archive || typeof archive !== "object") {
+    return { valid: false, errors: ["Backup file is not a JSON object"] };
+  }
+
+  if (archive.format !== BACKUP_FORMAT) {
+    errors.push(`format must be "${BACKUP_FORMAT}"`);
+  }
+
+  if (typeof archive.version !== "number") {
+    errors.push("version must be a number");
+  } else if (archive.version > BACKUP_VERSION) {
+    errors.push(
+      `version ${archive.version} is newer than supported version ${BACKUP_VERSION}`
+    );
+  }
+
+  if (!Array.isArray(archive.pages)) {
+    errors.push("pages must be an array");
+    return { valid: false, errors };
+  }
+
+  const ids = new Set();
+  archive.pages.forEach((page, index) => {
+    const path = `pages[${index}]`;
+
+    if (!page || typeof page !== "object") {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (typeof page.id !== "string" || !page.id) {
+      errors.push(`${path}.id must be a non-empty string`);
+    } else if (ids.has(page.id)) {
+      errors.push(`${path}.id "${page.id}" is duplicated`);
+    } else {
+      ids.add(page.id);
+    }
+    if (typeof page.title !== "string") {
+      errors.push(`${path}.title must be a string`);
+    }
+    if (page.parentId !== null && typeof page.parentId !== "string") {
+      errors.push(`${path}.parentId must be a string or null`);
+    }
+    if (!Array.isArray(page.content)) {
+      errors.push(`${path}.content must be an array of blocks`);
+    } else if (
+      page.content.some((block) => !block || typeof block.type !== "string")
+    ) {
+      errors.push(`${path}.content contains a block without a type`);
+    }
+    if (page.tags !== undefined && !Array.isArray(page.tags)) {
+      errors.push(`${path}.tags must be an array`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Build a backup archive of every page the user owns
+ * @param {string} userId - Owner of the workspace
+ * @returns {Promise<Object>} - The archive object
+ */
+export const buildBackupArchive = async (userId) => {
+  const pages = await pageStorageService.loadAllPages(userId);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    pages: pages.map((page) => ({
+      id: page.id,
+      parentId: page.parentId || null,
+      title: page.title || "Untitled",
+      icon: page.icon || "📄",
+      tags: page.tags || [],
+      createdAt: page.createdAt || null,
+      updatedAt: page.updatedAt || null,
+      content: getPageBlocks(page),
+    })),
+  };
+};
+
+/**
+ * Export the workspace to a zip file and open the share sheet (or download it
+ * on web)
+ * @param {string} userId - Owner of the workspace
+ * @returns {Promise<Object>} - { success, fileUri, pageCount, error }
+ */
+export const exportWorkspace = async (userId) => {
+  try {
+    if (!userId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    const archive = await buildBackupArchive(userId);
+    const date = archive.exportedAt.slice(0, 10);
+
+    const zip = new JSZip();
+    zip.file(MANIFEST_FILE, JSON.stringify(archive, null, 2));
+    const data = await zip.generateAsync({
+      type: "base64",
+      compression: "DEFLATE",
+    });
+
+    const fileUri = await saveAndShareFile(`saynote-backup-${date}.zip`, data, {
+      encoding: FILE_ENCODINGS.BASE64,
+      mimeType: "application/zip",
+      dialogTitle: "Export sayNote backup",
+      UTI: "public.zip-archive",
+    });
+    console.log(`Exported ${archive.pages.length} pages to ${fileUri}`);
+
+    return { success: true, fileUri, pageCount: archive.pages.length };
+  } catch (error) {
+    console.error("Error exporting workspace:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Order pages so every parent comes before its children
+const sortParentsFirst = (pages) => {
+  const byId = new Map(pages.map((page) => [page.id, page]));
+  const sorted = [];
+  const visited = new Set();
+
+  const visit = (page, ancestors) => {
+    if (visited.has(page.id)) return;
+    const parent = byId.get(page.parentId);
+    // Skip parents that form a cycle; the page is restored at the root instead
+    if (parent && !ancestors.has(parent.id)) {
+      visit(parent, new Set([...ancestors, page.id]));
+    }
+    visited.add(page.id);
+    sorted.push(page);
+  };
+
+  pages.forEach((page) => visit(page, new Set([page.id])));
+  return sorted;
+};
+
+/**
+ * Restore a backup archive into the user's workspace
+ * Pages that already exist (same ID, or same title and content under the
+ * same parent) are skipped; new pages get fresh IDs and their parent links
+ * and pageLink blocks are remapped to match.
+ * @param {string} userId - Owner of the workspace
+ * @param {Object} archive - Parsed archive
+ * @returns {Promise<Object>} - { success, created, skipped, failed, errors }
+ */
+export const importWorkspace = async (userId, archive) => {
+  try {
+    if (!userId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    const { valid, errors } = validateBackupArchive(archive);
+    if (!valid) {
+      return { success: false, error: "Invalid backup file", errors };
+    }
+
+    const existingPages = await pageStorageService.loadAllPages(userId);
+    const existingById = new Map(existingPages.map((page) => [page.id, page]));
+    const existingByFingerprint = new Map(
+      existingPages.map((page) => [
+        getPageFingerprint(page.title, getPageBlocks(page), page.parentId),
+        page,
+      ])
+    );
+
+    const archiveIds = new Set(archive.pages.map((page) => page.id));
+    const orderedPages = sortParentsFirst(archive.pages);
+
+    // First pass: decide which pages to reuse and which IDs new pages get
+    const idMap = {};
+    const toCreate = [];
+    let skipped = 0;
+
+    orderedPages.forEach((page) => {
+      const parentId =
+        page.parentId && archiveIds.has(page.parentId)
+          ? idMap[page.parentId] || null
+          : null;
+
+      const sameId = existingById.get(page.id);
+      const sameContent = existingByFingerprint.get(
+        getPageFingerprint(page.title, page.content, parentId)
+      );
+      const existing =
+        sameId && (sameId.parentId || null) === parentId
+          ? sameId
+          : sameContent;
+
+      if (existing) {
+        idMap[page.id] = existing.id;
+        skipped++;
+        return;
+      }
+
+      idMap[page.id] = uuidv4();
+      toCreate.push({ page, parentId });
+    });
+
+    // Second pass: create new pages, parents first
+    let created = 0;
+    const failed = [];
+
+    for (const { page, parentId } of toCreate) {
+      const result = await pageStorageService.restorePage(
+        {
+          id: idMap[page.id],
+          title: page.title,
+          icon: page.icon,
+          tags: page.tags || [],
+          parentId,
+          content: remapPageLinks(page.content, idMap),
+        },
+        userId
+      );
+
+      if (result.success) {
+        created++;
+      } else {
+        console.error(`Failed to restore page ${page.id}:`, result.error);
+        failed.push({ pageId: page.id, title: page.title, error: result.error });
+      }
+    }
+
+    console.log(
+      `Backup restored: ${created} created, ${skipped} already present, ${failed.length} failed`
+    );
+
+    return {
+      success: failed.length === 0,
+      created,
+      skipped,
+      failed,
+      error:
+        failed.length > 0
+          ? `${failed.length} page(s) could not be restored`
+          : undefined,
+    };
+  } catch (error) {
+    console.error("Error importing workspace:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Read the manifest from a backup zip, or a bare manifest from older exports
+const readBackupFile = async (asset) => {
+  if (!/\.zip$/i.test(asset.name || asset.uri)) {
+    return readPickedText(asset);
+  }
+
+  const zip = await loadPickedZip(asset);
+  const manifest = zip.file(MANIFEST_FILE);
+  if (!manifest) return null;
+  return manifest.async("string");
+};
+
+/**
+ * Let the user pick a backup file and restore it
+ * @param {string} userId - Owner of the workspace
+ * @returns {Promise<Object>} - Import report, or { success: false, canceled: true }
+ */
+export const pickAndImportBackup = async (userId) => {
+  try {
+    const picked = await DocumentPicker.getDocumentAsync({
+      type: ["application/zip", "application/json", "text/plain"],
+      copyToCacheDirectory: true,
+    });
+
+    if (picked.canceled || !picked.assets || picked.assets.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const text = await readBackupFile(picked.assets[0]);
+    if (text === null) {
+      return {
+        success: false,
+        error: "Invalid backup file",
+        errors: [`Zip file has no ${MANIFEST_FILE}`],
+      };
+    }
+
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch (parseError) {
+      return {
+        success: false,
+        error: "Invalid backup file",
+        errors: ["File is not valid JSON"],
+      };
+    }
+
+    return await importWorkspace(userId, archive);
+  } catch (error) {
+    console.error("Error importing backup file:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  validateBackupArchive,
+  buildBackupArchive,
+  exportWorkspace,
+  importWorkspace,
+  pickAndImportBackup,
+};
@@ -0,0 +1,151 @@
+/**
+ * Export Service
+ *
+ * Renders a page as a themed standalone HTML document and shares it as an
+ * .html file or, through expo-print, as a PDF. On web the HTML file is
+ * downloaded and the PDF is saved from the browser's print dialog.
+ */
+
+import { Platform } from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as Print from "expo-print";
+import pageStorageService from "./pageStorage";
+import { saveAndShareFile, shareFile } from "./fileTransfer";
+import { getPageBlocks } from "../utils/contentUtils";
+import { renderPageHtml } from "../utils/htmlUtils";
+
+/**
+ * Turn a page title into a safe file or folder name
+ * @param {string} title - Page title
+ * @returns {string} - File name without extension
+ */
+export const toFileName = (title) =>
+  (title || "Untitled")
+    .replace(/[\\/:*?"<>|#%]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80) || "Untitled";
+
+// Load a page and render it to HTML
+const renderPage = async (userId, pageId, theme, isDark) => {
+  const page = await pageStorageService.getPageById(pageId, userId);
+  if (!page) return null;
+
+  return {
+    page,
+    html: renderPageHtml(
+      { title: page.title, icon: page.icon, blocks: getPageBlocks(page) },
+      theme,
+      isDark
+    ),
+  };
+};
+
+// expo-print can only print the current screen on web, so the page is
+// printed from a window of its own, where "Save as PDF" is offered
+const printHtmlOnWeb = (html) => {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) return false;
+
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
+
+/**
+ * Export a page as a standalone HTML file and open the share sheet (or
+ * download it on web)
+ * @param {string} userId - Owner of the page
+ * @param {string} pageId - Page to export
+ * @param {Object} theme - Theme colors from useTheme
+ * @param {boolean} isDark - Whether the dark theme is active
+ * @returns {Promise<Object>} - { success, fileUri, error }
+ */
+export const exportPageAsHtml = async (userId, pageId, theme, isDark) => {
+  try {
+    if (!userId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    const rendered = await renderPage(userId, pageId, theme, isDark);
+    if (!rendered) {
+      return { success: false, error: "Page not found" };
+    }
+
+    const fileUri = await saveAndShareFile(
+      `${toFileName(rendered.page.title)}.html`,
+      rendered.html,
+      {
+        mimeType: "text/html",
+        UTI: "public.html",
+        dialogTitle: "Export as HTML",
+      }
+    );
+    console.log(`Exported page ${pageId} as HTML to ${fileUri}`);
+
+    return { success: true, fileUri };
+  } catch (error) {
+    console.error("Error exporting page as HTML:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Export a page as a PDF and open the share sheet (or the print dialog on web)
+ * @param {string} userId - Owner of the page
+ * @param {string} pageId - Page to export
+ * @param {Object} theme - Theme colors from useTheme
+ * @param {boolean} isDark - Whether the dark theme is active
+ * @returns {Promise<Object>} - { success, fileUri, error }
+ */
+export const exportPageAsPdf = async (userId, pageId, theme, isDark) => {
+  try {
+    if (!userId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    const rendered = await renderPage(userId, pageId, theme, isDark);
+    if (!rendered) {
+      return { success: false, error: "Page not found" };
+    }
+
+    if (Platform.OS === "web") {
+      if (!printHtmlOnWeb(rendered.html)) {
+        return {
+          success: false,
+          error: "Allow pop-ups for this site to export as PDF",
+        };
+      }
+      return { success: true, fileUri: null };
+    }
+
+    const { uri } = await Print.printToFileAsync({ html: rendered.html });
+
+    // Give the file the page's name instead of the random one expo-print uses
+    const fileUri = `${FileSystem.cacheDirectory}${toFileName(
+      rendered.page.title
+    )}.pdf`;
+    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+    await FileSystem.moveAsync({ from: uri, to: fileUri });
+    console.log(`Exported page ${pageId} as PDF to ${fileUri}`);
+
+    await shareFile(fileUri, {
+      mimeType: "application/pdf",
+      UTI: "com.adobe.pdf",
+      dialogTitle: "Export as PDF",
+    });
+
+    return { success: true, fileUri };
+  } catch (error) {
+    console.error("Error exporting page as PDF:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  toFileName,
+  exportPageAsHtml,
+  exportPageAsPdf,
+};
@@ -0,0 +1,127 @@
+/**
+ * File Transfer Service
+ *
+ * Hands generated files to the user and reads the files they pick. Native
+ * builds go through the cache directory and the share sheet; on web, where
+ * expo-file-system has no directories, files are downloaded as Blobs and
+ * picked files are read with fetch.
+ */
+
+import { Platform } from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import JSZip from "jszip";
+
+export const FILE_ENCODINGS = {
+  UTF8: "utf8",
+  BASE64: "base64",
+};
+
+// Decode base64 file contents into bytes for a Blob
+const base64ToBytes = (data) =>
+  Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+
+// Let the browser download a file built in memory
+const downloadOnWeb = (fileName, data, { encoding, mimeType }) => {
+  const blob = new Blob(
+    [encoding === FILE_ENCODINGS.BASE64 ? base64ToBytes(data) : data],
+    { type: mimeType }
+  );
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before freeing the Blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Open the share sheet for a file that is already on the device
+ * @param {string} fileUri - Local file URI
+ * @param {Object} options - Options for Sharing.shareAsync
+ */
+export const shareFile = async (fileUri, options) => {
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(fileUri, options);
+  }
+};
+
+/**
+ * Save generated contents as a file and hand it to the user: a download on
+ * web, the share sheet elsewhere
+ * @param {string} fileName - Name of the file, with extension
+ * @param {string} data - File contents, as text or base64
+ * @param {Object} options - { encoding, mimeType, UTI, dialogTitle }
+ * @returns {Promise<string>} - URI of the written file (the file name on web)
+ */
+export const saveAndShareFile = async (fileName, data, options = {}) => {
+  const { encoding = FILE_ENCODINGS.UTF8, ...shareOptions } = options;
+
+  if (Platform.OS === "web") {
+    downloadOnWeb(fileName, data, { encoding, mimeType: options.mimeType });
+    return fileName;
+  }
+
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, data, {
+    encoding:
+      encoding === FILE_ENCODINGS.BASE64
+        ? FileSystem.EncodingType.Base64
+        : FileSystem.EncodingType.UTF8,
+  });
+
+  await shareFile(fileUri, shareOptions);
+  return fileUri;
+};
+
+// Contents of a file picked on web, as a Blob
+const getWebFileBlob = async (asset) => {
+  if (asset.file) return asset.file;
+
+  const response = await fetch(asset.uri);
+  return response.blob();
+};
+
+/**
+ * Read a file returned by expo-document-picker as text
+ * @param {Object} asset - Picked asset ({ uri, name, file? })
+ * @returns {Promise<string>} - File contents
+ */
+export const readPickedText = async (asset) => {
+  if (Platform.OS === "web") {
+    const blob = await getWebFileBlob(asset);
+    return blob.text();
+  }
+
+  return FileSystem.readAsStringAsync(asset.uri);
+};
+
+/**
+ * Open a zip file returned by expo-document-picker
+ * @param {Object} asset - Picked asset ({ uri, name, file? })
+ * @returns {Promise<JSZip>} - The loaded archive
+ */
+export const loadPickedZip = async (asset) => {
+  if (Platform.OS === "web") {
+    const blob = await getWebFileBlob(asset);
+    return JSZip.loadAsync(await blob.arrayBuffer());
+  }
+
+  const data = await FileSystem.readAsStringAsync(asset.uri, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return JSZip.loadAsync(data, { base64: true });
+};
+
+export default {
+  FILE_ENCODINGS,
+  shareFile,
+  saveAndShareFile,
+  readPickedText,
+  loadPickedZip,
+};
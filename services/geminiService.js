@@ -1,206 +1,88 @@
-import axios from "axios";
-import { Audio } from "expo-av";
 import * as FileSystem from "expo-file-system";
-
-// Replace this with your actual Gemini API key or use environment variable
-// In production, this should be handled server-side to protect the API key
-const GEMINI_API_KEY = process.env.EXPO_PUBLIC_GEMINI_API_KEY;
-console.log("Gemini API Key available:", !!GEMINI_API_KEY);
-
-// Use the latest Gemini 1.5 Pro model with improved instruction following
-const GEMINI_MODEL = "gemini-1.5-pro"; // Other options: "gemini-1.5-flash", "gemini-pro"
-const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1/models/${GEMINI_MODEL}:generateContent`;
-
-// Configuration for the Gemini API request
-const GEMINI_CONFIG = {
-  temperature: 0.0, // Low temperature for more deterministic responses
-  topP: 0.1, // Low top_p for more focused output
-  topK: 16, // Limited vocabulary diversity
-  maxOutputTokens: 1024, // Limit output size
-};
-
-// If still having issues, you can try these alternative models:
-// const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1/models/gemini-pro:generateContent";
-// const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1/models/gemini-pro-latest:generateContent";
+import { buildSearchQuery } from "../utils/searchUtils";
+import {
+  parseVoiceCommandLocally,
+  splitCompoundCommand,
+  LOCAL_CONFIDENCE_THRESHOLD,
+} from "../utils/localIntentParser";
+import {
+  COMPOUND_STEP_ACTIONS,
+  NOTE_BLOCKS_RESPONSE_SCHEMA,
+  ANSWER_BLOCKS_RESPONSE_SCHEMA,
+  MEETING_MINUTES_RESPONSE_SCHEMA,
+  SEARCH_QUERY_RESPONSE_SCHEMA,
+  VOICE_COMMAND_RESPONSE_SCHEMA,
+  SchemaValidationError,
+  validateBlocks,
+  validateNoteBlocksResponse,
+  validateMeetingMinutes,
+  validateSearchQuery,
+  validateVoiceCommand,
+} from "../utils/voiceCommandSchema";
+import { applySelectionToCommand } from "../utils/selectionUtils";
+import { withBlockIds } from "../utils/recordingUtils";
+import {
+  QUESTION_PATTERNS,
+  DELETE_AI_ANSWER_PATTERNS,
+  hasCommandWord,
+} from "../utils/languageUtils";
+import { AI_TASKS } from "./aiSettings";
+import { transcribeAudio, generateText, embedTexts } from "./aiProvider";
+import { isLongRecording, transcribeLongAudio } from "./longTranscription";
+import { loadVoiceSettings } from "./voiceSettings";
+
+// Every request goes through the AI provider layer, so the provider, model
+// and parameters for each task come from settings (Gemini by default)
 
 /**
- * Validate that blocks match BlockNote's expected structure
- * @param {Array} blocks - The blocks to validate
- * @returns {boolean} - Whether the blocks match BlockNote's format
+ * Parse a structured reply from the model
+ * Replies are constrained to JSON by the response schema; a code fence is
+ * the one wrapper tolerated, for servers that ignore the schema.
+ * @param {string} responseText - Reply text
+ * @returns {Object} - { success, value, error } with a SchemaValidationError
  */
-const validateBlockNoteFormat = (blocks) => {
-  if (!Array.isArray(blocks)) return false;
-
-  // Allowed block types and their required properties
-  const allowedTypes = {
-    paragraph: {},
-    heading: { level: [1, 2, 3] },
-    bulletListItem: {},
-    numberedListItem: {},
-    checkListItem: { checked: [true, false] },
-    quote: {},
-    code: {},
-    pageLink: {}, // We'll do custom validation for this type below
-  };
-
-  // Standard props all blocks should have
-  const standardProps = ["textColor", "backgroundColor", "textAlignment"];
-
-  // Check each block for required properties and structure
-  return blocks.every((block) => {
-    // Must have type, props, content, and children
-    if (
-      !block.type ||
-      !block.props ||
-      !Array.isArray(block.content) ||
-      !Array.isArray(block.children)
-    ) {
-      console.error("Block is missing required fields", block);
-      return false;
-    }
-
-    // Check if block type is allowed
-    if (!allowedTypes[block.type]) {
-      console.error(`Invalid block type: ${block.type}`);
-      return false;
-    }
-
-    // Special validation for pageLink blocks
-    if (block.type === "pageLink") {
-      // For pageLink, we need pageId, pageTitle, and pageIcon
-      const requiredProps = ["pageId", "pageTitle"];
-      for (const prop of requiredProps) {
-        if (typeof block.props[prop] !== "string") {
-          console.error(
-            `PageLink block missing required string property: ${prop}`
-          );
-          return false;
-        }
-      }
-
-      // pageIcon is optional and defaults to 📄
-      if (block.props.pageIcon && typeof block.props.pageIcon !== "string") {
-        console.error("PageLink pageIcon must be a string");
-        return false;
-      }
-
-      // Skip standard props validation for pageLink blocks
-      return (
-        block.content.length > 0 &&
-        typeof block.content[0].type === "string" &&
-        typeof block.content[0].text === "string" &&
-        typeof block.content[0].styles === "object"
-      );
-    }
-
-    // Check required properties for specific block types (except pageLink which was handled above)
-    const typeProps = allowedTypes[block.type];
-    for (const [prop, allowedValues] of Object.entries(typeProps)) {
-      if (block.props[prop] === undefined) {
-        console.error(
-          `Block type ${block.type} is missing required property ${prop}`
-        );
-        return false;
-      }
-
-      // If we have allowed values for this property, check them
-      if (
-        Array.isArray(allowedValues) &&
-        !allowedValues.includes(block.props[prop])
-      ) {
-        console.error(
-          `Invalid value for ${prop} in ${block.type}: ${block.props[prop]}`
-        );
-        return false;
-      }
-
-      // If we have a type requirement, check it
-      if (allowedValues === "string" && typeof block.props[prop] !== "string") {
-        console.error(`${prop} must be a string in ${block.type}`);
-        return false;
-      }
-    }
+const parseJSONResponse = (responseText) => {
+  const jsonText = responseText
+    .trim()
+    .replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, "$1");
 
-    // For all blocks except pageLink, check standard props
-    if (block.type !== "pageLink") {
-      for (const prop of standardProps) {
-        if (block.props[prop] === undefined) {
-          console.error(`Block is missing standard property: ${prop}`);
-          return false;
-        }
-      }
-    }
-
-    // Validate content format
-    if (block.content.length === 0) {
-      console.error("Block has empty content array");
-      return false;
-    }
-
-    // Check content items
-    return block.content.every((contentItem) => {
-      if (
-        !contentItem ||
-        typeof contentItem.type !== "string" ||
-        typeof contentItem.text !== "string" ||
-        typeof contentItem.styles !== "object"
-      ) {
-        console.error("Invalid content item structure", contentItem);
-        return false;
-      }
-      return true;
-    });
-  });
+  try {
+    return { success: true, value: JSON.parse(jsonText) };
+  } catch (parseError) {
+    return {
+      success: false,
+      error: new SchemaValidationError([
+        {
+          field: "",
+          message: `Response is not valid JSON: ${parseError.message}`,
+        },
+      ]),
+    };
+  }
 };
 
 /**
- * Process the response from Gemini and validate format
- * @param {Array|Object} parsedResponse - The response from Gemini (blocks array or object with createNewPage)
+ * Check a note-formatting reply against its schema
+ * @param {Object} parsedResponse - The reply, as { createNewPage, blocks }
  * @param {string} transcription - The original transcription
- * @returns {Object} - The processed result
+ * @returns {Object} - The processed result; on failure error names the
+ * offending field and validationError holds the SchemaValidationError
  */
 const processGeminiResponse = (parsedResponse, transcription) => {
-  // Handle new page creation format
-  if (
-    typeof parsedResponse === "object" &&
-    !Array.isArray(parsedResponse) &&
-    parsedResponse.createNewPage === true
-  ) {
-    // This is a create new page request
-    if (
-      !Array.isArray(parsedResponse.blocks) ||
-      parsedResponse.blocks.length === 0
-    ) {
-      console.error("Invalid new page format - blocks missing or empty");
-      return {
-        success: false,
-        error: "Invalid new page format",
-        rawText: transcription,
-      };
-    }
-
-    const blocks = parsedResponse.blocks;
-
-    // Validate blocks
-    if (!validateBlockNoteFormat(blocks)) {
-      console.error("Invalid blocks in new page request");
-      return {
-        success: false,
-        error: "Invalid block format in new page request",
-        rawText: transcription,
-      };
-    }
+  const validation = validateNoteBlocksResponse(parsedResponse);
+  if (!validation.success) {
+    console.error("Invalid note blocks from AI:", validation.error.message);
+    return {
+      success: false,
+      error: `Invalid response: ${validation.error.message}`,
+      validationError: validation.error,
+      rawText: transcription,
+    };
+  }
 
-    // Check if first block is pageLink
-    if (blocks[0].type !== "pageLink") {
-      console.error("New page request must start with pageLink block");
-      return {
-        success: false,
-        error: "Invalid new page format - missing pageLink",
-        rawText: transcription,
-      };
-    }
+  const { createNewPage, blocks } = parsedResponse;
 
+  if (createNewPage) {
     // Get page title and icon
     const pageTitle = blocks[0].props.pageTitle || "New Page";
     const pageIcon = blocks[0].props.pageIcon || "📄";
@@ -218,44 +100,15 @@ const processGeminiResponse = (parsedResponse, transcription) => {
     };
   }
 
-  // Regular blocks array processing
-  if (!Array.isArray(parsedResponse)) {
-    console.error("Response is not an array or new page format");
-    return {
-      success: false,
-      error: "Invalid response format",
-      rawText: transcription,
-    };
-  }
-
-  // Check if the format matches BlockNote's requirements
-  if (!validateBlockNoteFormat(parsedResponse)) {
-    console.warn(
-      "Response doesn't match BlockNote format, would need conversion"
-    );
-    console.log(
-      "Sample block structure:",
-      JSON.stringify(parsedResponse[0], null, 2)
-    );
-
-    // Return error with raw text for fallback
-    return {
-      success: false,
-      error: "Invalid block format",
-      rawText: transcription,
-    };
-  }
-
-  // All good!
   return {
     success: true,
-    blocks: parsedResponse,
+    blocks: blocks,
     rawText: transcription,
   };
 };
 
 /**
- * Process a voice transcription through Gemini API to get structured JSON blocks
+ * Process a voice transcription through the AI provider to get structured JSON blocks
  * @param {string} transcription - The raw text transcription from speech-to-text
  * @returns {Object} - Response containing either JSON blocks or error information
  */
@@ -269,14 +122,11 @@ export const processTranscriptionWithGemini = async (transcription) => {
 
     console.log("Processing transcription with Gemini:", transcription);
 
-    // Create the prompt for Gemini
-    const prompt = {
-      contents: [
-        {
-          role: "user", // First user message acts as system instruction
-          parts: [
-            {
-              text: `You are a specialized JSON formatter that transforms transcribed speech into BlockNote.js editor blocks. First analyze the context and intent of the voice transcription deeply, then output structured blocks that match BlockNote's exact JSON format.
+    // Instructions first, then the transcription to format
+    const messages = [
+      {
+        role: "system",
+        content: `You are a specialized JSON formatter that transforms transcribed speech into BlockNote.js editor blocks. First analyze the context and intent of the voice transcription deeply, then output structured blocks that match BlockNote's exact JSON format.
 
 REQUIRED BLOCK STRUCTURE FORMAT:
 Each block must have this exact structure:
@@ -308,6 +158,7 @@ ENHANCED CONTEXTUAL ANALYSIS INSTRUCTIONS:
 7. Convert narrative descriptions into structured content ("make a list of..." → bulletListItem blocks)
 8. Break long monologues into logical paragraph blocks
 9. Detect if the user wants to create a new page
+10. Keep the text in the language it was spoken in, whatever that is; never translate it. Cues like "bullet points" or "heading" can be spoken in any language, and headings you add are written in the language of the transcription
 
 ALL SUPPORTED BLOCK TYPES:
 - "paragraph" - For general text content (default for most content)
@@ -350,19 +201,20 @@ When this is detected, output one pageLink block followed by content blocks:
      "children": []
    }
 2. Following blocks should contain the content the user wants on the new page.
-3. Include a special property "createNewPage": true at the top level of your JSON response.
+3. Set "createNewPage" to true at the top level of your JSON response.
 
 RESPONSE REQUIREMENTS:
-1. ALWAYS output valid JSON - either an array of blocks or an object with createNewPage and blocks fields
+1. ALWAYS output a JSON object of the form {"createNewPage": false, "blocks": [...]}
 2. DO NOT include explanations or markdown syntax in your response
 3. The JSON must be properly formatted with no extra characters
-4. For new page requests, the response should be a JSON object with "createNewPage": true and "blocks": [...]
+4. For new page requests, set "createNewPage" to true; otherwise set it to false
+5. The examples below show the blocks for each input; wrap them in the object above
 
 DETAILED EXAMPLES:
 
 Example 1 - Meeting notes with implicit sections:
 Input: "Meeting with marketing team discussed the new campaign launch for next month. Key points were budget approval by finance, creative assets ready by next week, and social media plan needs revision."
-Output: [
+Blocks: [
   {
     "type": "heading",
     "props": {
@@ -465,7 +317,7 @@ Output: [
 
 Example 2 - To-do list with implied tasks:
 Input: "Need to remember to send the report by Friday, schedule meeting with the client, and prepare the presentation slides."
-Output: [
+Blocks: [
   {
     "type": "heading",
     "props": {
@@ -538,7 +390,7 @@ Output: [
 
 Example 3 - Mixed content with a quoted reference:
 Input: "The project plan has three phases. Phase 1 is research, phase 2 is development, and phase 3 is testing. As the CEO said quote we need to prioritize quality over speed end quote. Remember to document each phase carefully."
-Output: [
+Blocks: [
   {
     "type": "paragraph",
     "props": {
@@ -704,39 +556,20 @@ Output: {
     }
   ]
 }`,
-            },
-          ],
-        },
-        {
-          role: "user", // Second user message with the actual content to process
-          parts: [
-            {
-              text: `Raw Transcribed Text: "${transcription}"`,
-            },
-          ],
-        },
-      ],
-    };
+      },
+      {
+        role: "user",
+        content: `Raw Transcribed Text: "${transcription}"`,
+      },
+    ];
 
-    // Make the API request
-    console.log(`Calling Gemini API at ${GEMINI_API_URL}`);
     try {
-      const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        {
-          contents: prompt.contents,
-          generationConfig: GEMINI_CONFIG,
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-          },
-        }
+      const responseText = await generateText(
+        AI_TASKS.NOTE_FORMATTING,
+        messages,
+        { responseSchema: NOTE_BLOCKS_RESPONSE_SCHEMA }
       );
-
-      // Extract the response text from Gemini
-      const responseText = response.data.candidates[0]?.content?.parts[0]?.text;
-      console.log("Received successful response from Gemini API");
+      console.log("Received successful response from AI provider");
 
       if (!responseText) {
         console.error("Empty response from Gemini API");
@@ -749,67 +582,18 @@ Output: {
 
       console.log("Gemini response:", responseText);
 
-      // Try to parse the response as JSON
-      try {
-        // Remove markdown code block delimiters if present
-        let jsonText = responseText.trim();
-
-        // Check if response is wrapped in markdown code block
-        if (jsonText.startsWith("```") && jsonText.endsWith("```")) {
-          // Extract content between code block markers
-          jsonText = jsonText
-            .substring(jsonText.indexOf("\n") + 1, jsonText.lastIndexOf("```"))
-            .trim();
-
-          // If it started with ```json, the first line needs to be removed
-          if (jsonText.startsWith("json")) {
-            jsonText = jsonText.substring(jsonText.indexOf("\n") + 1).trim();
-          }
-          console.log("Cleaned JSON text from code blocks:", jsonText);
-        }
-
-        // Check for any remaining non-JSON characters
-        const nonJsonMatch = jsonText.match(/^[^[\{]+([\[{].*)/);
-        if (nonJsonMatch && nonJsonMatch[1]) {
-          console.log("Found non-JSON prefix, cleaning...");
-          jsonText = nonJsonMatch[1];
-        }
-
-        console.log(
-          "Attempting to parse JSON:",
-          jsonText.substring(0, 50) + "..."
-        );
-        const parsedResponse = JSON.parse(jsonText);
-
-        // Check if we have an object with createNewPage and blocks
-        if (
-          typeof parsedResponse === "object" &&
-          !Array.isArray(parsedResponse) &&
-          parsedResponse.createNewPage === true &&
-          Array.isArray(parsedResponse.blocks)
-        ) {
-          console.log("Detected new page creation request");
-          return processGeminiResponse(parsedResponse, transcription);
-        }
-        // Check if we have a regular blocks array
-        else if (Array.isArray(parsedResponse)) {
-          return processGeminiResponse(parsedResponse, transcription);
-        } else {
-          console.error("Gemini response has invalid format:", parsedResponse);
-          return {
-            success: false,
-            error: "Invalid response format",
-            rawText: transcription,
-          };
-        }
-      } catch (parseError) {
-        console.error("Failed to parse Gemini response as JSON:", parseError);
+      const parsed = parseJSONResponse(responseText);
+      if (!parsed.success) {
+        console.error("Failed to parse Gemini response:", parsed.error.message);
         return {
           success: false,
           error: "Failed to parse response",
+          validationError: parsed.error,
           rawText: transcription,
         };
       }
+
+      return processGeminiResponse(parsed.value, transcription);
     } catch (error) {
       console.error("Error calling Gemini API:", error);
 
@@ -937,14 +721,145 @@ Output: {
 };
 
 /**
- * Process a voice command through Gemini API to identify action and target blocks
+ * Describe the editor's cursor and selection for a voice command prompt
+ * @param {Object|null} selection - Selection context from the editor
+ * @returns {string} - Lines to add to the prompt, or "" with no cursor
+ */
+const describeSelection = (selection) => {
+  if (!selection?.cursorBlockId) return "";
+
+  let description = `\n\nCursor Block ID: ${selection.cursorBlockId}`;
+  if (selection.selectedBlockIds?.length > 0) {
+    description += `\nSelected Block IDs: ${JSON.stringify(
+      selection.selectedBlockIds
+    )}`;
+  }
+  if (selection.selectedText) {
+    description += `\nSelected Text: ${JSON.stringify(
+      selection.selectedText
+    )}`;
+  }
+  return description;
+};
+
+/**
+ * Give an INSERT_CONTENT step its blocks, with IDs, before later steps are
+ * parsed, so they can name the inserted blocks and the same blocks go in
+ * when the command runs
+ * @param {Object} command - A step's command
+ * @returns {Promise<Object>} - The command, with blocks if it inserts text
+ */
+const structureStepContent = async (command) => {
+  if (command.action !== "INSERT_CONTENT" || command.blocks) return command;
+
+  const result = await processTranscriptionWithGemini(command.content);
+  const blocks =
+    result.success && !result.createNewPage && result.blocks
+      ? result.blocks
+      : [
+          {
+            type: "paragraph",
+            props: {},
+            content: [{ type: "text", text: command.content, styles: {} }],
+            children: [],
+          },
+        ];
+  return { ...command, blocks: withBlockIds(blocks) };
+};
+
+// Ask about the step of a compound command that couldn't be used
+const explainStepProblem = (voiceCommand, steps, index, problem) => {
+  console.warn(`Compound step ${index + 1} failed:`, problem);
+  return {
+    success: false,
+    action: "CLARIFICATION",
+    message: `Step ${index + 1} ("${steps[index]}"): ${problem}`,
+    error: `Step ${index + 1} of the command couldn't be used`,
+    rawCommand: voiceCommand,
+  };
+};
+
+/**
+ * Parse each step of a compound command into a command of its own
+ * With applyCommands, each step is parsed against the page as the earlier
+ * steps leave it, so "add a heading called Risks, then make the heading
+ * called Risks bold" finds the new heading. Without it, every step is
+ * parsed against the page as it is now and can't name blocks an earlier
+ * step adds or moves.
+ * @param {string} voiceCommand - The whole voice command
+ * @param {Array} steps - The command text of each step
+ * @param {Array} editorContent - The current editor content with blocks
+ * @param {Object} options - { selection, applyCommands } where
+ * applyCommands is applyCommandsToContent from the voice command handlers
+ * @returns {Object} - COMPOUND command with the steps in order, or a
+ * CLARIFICATION naming the step that couldn't be used
+ */
+const processCompoundCommand = async (
+  voiceCommand,
+  steps,
+  editorContent,
+  options
+) => {
+  console.log(`Processing compound command with ${steps.length} steps`);
+  const { applyCommands, ...stepOptions } = options;
+  const commands = [];
+  let pageContent = editorContent;
+
+  for (let i = 0; i < steps.length; i++) {
+    const result = await processVoiceCommandWithGemini(
+      steps[i],
+      pageContent,
+      stepOptions
+    );
+
+    let problem = null;
+    if (!result.success) {
+      problem = result.message || "I couldn't work out what to do";
+    } else if (!COMPOUND_STEP_ACTIONS.includes(result.action)) {
+      problem = "that can't be combined with other commands";
+    } else if (result.candidateBlockIds) {
+      problem = "that matches more than one block, so name just one";
+    }
+    if (problem) return explainStepProblem(voiceCommand, steps, i, problem);
+
+    const { rawCommand, rawTranscription, ...parsed } = result;
+    let command = parsed;
+
+    // Run the step on a copy of the page for the steps after it to see
+    if (applyCommands) {
+      command = await structureStepContent(parsed);
+      const applied = await applyCommands(pageContent, [command]);
+      if (!applied.success) {
+        return explainStepProblem(voiceCommand, steps, i, applied.error);
+      }
+      pageContent = applied.content;
+    }
+
+    commands.push(command);
+  }
+
+  return {
+    success: true,
+    action: "COMPOUND",
+    commands,
+    rawCommand: voiceCommand,
+    rawTranscription: voiceCommand,
+  };
+};
+
+/**
+ * Process a voice command through the AI provider to identify action and target blocks
  * @param {string} voiceCommand - The raw text transcription of the voice command
  * @param {Array} editorContent - The current editor content with blocks
+ * @param {Object} options - { selection } context from the editor, so
+ * "this", "here" and "the selected text" can be resolved, and
+ * { applyCommands } for parsing the steps of a compound command in turn
  * @returns {Object} - Response containing action, targetBlockIds, and other necessary data
  */
 export const processVoiceCommandWithGemini = async (
   voiceCommand,
-  editorContent
+  editorContent,
+  options = {}
 ) => {
   try {
     // Validate input
@@ -957,12 +872,24 @@ export const processVoiceCommandWithGemini = async (
       };
     }
 
+    // "Do this, then that" becomes one COMPOUND command
+    const steps = splitCompoundCommand(voiceCommand);
+    if (steps.length > 1) {
+      return processCompoundCommand(
+        voiceCommand,
+        steps,
+        editorContent,
+        options
+      );
+    }
+
     // Special handling for AI answer deletion commands
     const aiAnswerDeletePatterns = [
       /delete\s+(?:the|this)?\s*ai\s+answer/i,
       /remove\s+(?:the|this)?\s*ai\s+answer/i,
       /clear\s+(?:the|this)?\s*ai\s+answer/i,
       /erase\s+(?:the|this)?\s*ai\s+answer/i,
+      ...DELETE_AI_ANSWER_PATTERNS,
     ];
 
     // Check if the command is specifically about deleting an AI answer
@@ -1029,153 +956,27 @@ export const processVoiceCommandWithGemini = async (
       }
     }
 
-    // Special handling for "delete last block/paragraph" commands with more precise matching
-    const deleteLastBlockPatterns = [
-      /delete\s+(?:the)?\s*last\s+block/i,
-      /remove\s+(?:the)?\s*last\s+block/i,
-      /erase\s+(?:the)?\s*last\s+block/i,
-    ];
-
-    const deleteLastParagraphPatterns = [
-      /delete\s+(?:the)?\s*last\s+paragraph/i,
-      /remove\s+(?:the)?\s*last\s+paragraph/i,
-      /erase\s+(?:the)?\s*last\s+paragraph/i,
-    ];
-
-    // Check if the command is specifically about deleting the last block
-    const isDeleteLastBlockCommand = deleteLastBlockPatterns.some((pattern) =>
-      pattern.test(voiceCommand)
+    // Common edits are matched against the local command grammar first so
+    // they don't wait on the API; only low-confidence parses go to Gemini
+    const localMatch = parseVoiceCommandLocally(
+      voiceCommand,
+      editorContent,
+      options
     );
 
-    // Check if the command is specifically about deleting the last paragraph
-    const isDeleteLastParagraphCommand = deleteLastParagraphPatterns.some(
-      (pattern) => pattern.test(voiceCommand)
-    );
-
-    if (
-      (isDeleteLastBlockCommand || isDeleteLastParagraphCommand) &&
-      editorContent &&
-      editorContent.length > 0
-    ) {
+    if (localMatch && localMatch.confidence >= LOCAL_CONFIDENCE_THRESHOLD) {
       console.log(
-        `Detected delete last ${
-          isDeleteLastParagraphCommand ? "paragraph" : "block"
-        } command`
+        `Matched command locally as ${localMatch.type} ` +
+          `(confidence ${localMatch.confidence})`
       );
-
-      if (isDeleteLastParagraphCommand) {
-        // Find the last paragraph block
-        let lastParagraphIndex = -1;
-
-        // Search from the end to find the last paragraph
-        for (let i = editorContent.length - 1; i >= 0; i--) {
-          if (editorContent[i].type === "paragraph") {
-            lastParagraphIndex = i;
-            break;
-          }
-        }
-
-        if (lastParagraphIndex >= 0) {
-          const lastParagraph = editorContent[lastParagraphIndex];
-          console.log(
-            "Found last paragraph to delete with ID:",
-            lastParagraph.id
-          );
-          return {
-            success: true,
-            action: "DELETE_BLOCK",
-            targetBlockIds: [lastParagraph.id],
-            rawCommand: voiceCommand,
-            rawTranscription: voiceCommand,
-          };
-        } else {
-          console.log("No paragraph blocks found to delete");
-          return {
-            success: false,
-            action: "CLARIFICATION",
-            message: "I couldn't find any paragraph blocks to delete.",
-            rawCommand: voiceCommand,
-          };
-        }
-      } else {
-        // Get the last block's ID (any type)
-        const lastBlock = editorContent[editorContent.length - 1];
-
-        if (lastBlock && lastBlock.id) {
-          console.log("Found last block to delete with ID:", lastBlock.id);
-          return {
-            success: true,
-            action: "DELETE_BLOCK",
-            targetBlockIds: [lastBlock.id],
-            rawCommand: voiceCommand,
-            rawTranscription: voiceCommand,
-          };
-        }
-      }
+      return localMatch.commandResult;
     }
 
-    // Special handling for "delete paragraph containing X" commands
-    const deleteParagraphWithContentPatterns = [
-      /delete\s+(?:the)?\s*paragraph\s+(?:that|which|with|containing)\s+(?:has|contains|says|saying|with|containing)\s+(.+)/i,
-      /remove\s+(?:the)?\s*paragraph\s+(?:that|which|with|containing)\s+(?:has|contains|says|saying|with|containing)\s+(.+)/i,
-      /erase\s+(?:the)?\s*paragraph\s+(?:that|which|with|containing)\s+(?:has|contains|says|saying|with|containing)\s+(.+)/i,
-    ];
-
-    // Check if the command is about deleting a paragraph with specific content
-    let contentToFind = null;
-    for (const pattern of deleteParagraphWithContentPatterns) {
-      const match = voiceCommand.match(pattern);
-      if (match && match[1]) {
-        contentToFind = match[1].trim();
-        break;
-      }
-    }
-
-    if (contentToFind && editorContent && editorContent.length > 0) {
+    if (localMatch) {
       console.log(
-        `Detected command to delete paragraph containing: "${contentToFind}"`
+        `Local match ${localMatch.type} too uncertain ` +
+          `(confidence ${localMatch.confidence}), asking Gemini`
       );
-
-      // Find blocks containing the specified content
-      const matchingBlockIds = [];
-
-      editorContent.forEach((block) => {
-        if (block.content && Array.isArray(block.content)) {
-          // Get the full text content of this block
-          const blockText = block.content
-            .filter((item) => item.type === "text")
-            .map((item) => item.text)
-            .join(" ")
-            .toLowerCase();
-
-          // Check if this block contains the content we're looking for
-          if (blockText.includes(contentToFind.toLowerCase())) {
-            matchingBlockIds.push(block.id);
-          }
-        }
-      });
-
-      if (matchingBlockIds.length > 0) {
-        console.log(
-          `Found ${matchingBlockIds.length} blocks containing "${contentToFind}":`,
-          matchingBlockIds
-        );
-        return {
-          success: true,
-          action: "DELETE_BLOCK",
-          targetBlockIds: matchingBlockIds,
-          rawCommand: voiceCommand,
-          rawTranscription: voiceCommand,
-        };
-      } else {
-        console.log(`No blocks found containing "${contentToFind}"`);
-        return {
-          success: false,
-          action: "CLARIFICATION",
-          message: `I couldn't find any paragraphs containing "${contentToFind}".`,
-          rawCommand: voiceCommand,
-        };
-      }
     }
 
     // Perform a quick pre-check for command words before calling the API
@@ -1226,9 +1027,9 @@ export const processVoiceCommandWithGemini = async (
       "every",
       "each",
     ];
-    const isLikelyCommand = commandWords.some((word) =>
-      voiceCommand.toLowerCase().includes(word)
-    );
+    const isLikelyCommand =
+      commandWords.some((word) => voiceCommand.toLowerCase().includes(word)) ||
+      hasCommandWord(voiceCommand);
 
     // If no command words are present, treat it as simple text input
     if (!isLikelyCommand) {
@@ -1276,6 +1077,7 @@ export const processVoiceCommandWithGemini = async (
       /^why\s+(?:is|are|was|were)\s+(.+)/i,
       /^how\s+(?:to|do|does|did)\s+(.+)/i,
       /^can\s+you\s+(?:tell|explain|describe)\s+(.+)/i,
+      ...QUESTION_PATTERNS,
     ];
 
     // Check if the command is an AI question
@@ -1380,13 +1182,11 @@ export const processVoiceCommandWithGemini = async (
     // Log content summary for debugging
     console.log(`Editor has ${processedContent.length} blocks to analyze`);
 
-    const prompt = {
-      contents: [
-        {
-          role: "user", // First user message acts as system instruction
-          parts: [
-            {
-              text: `You are an AI assistant specialized in parsing voice commands for a block-based note editor called sayNote. Your task is to analyze a voice command and the current editor content, then return a structured JSON response with the appropriate action to take.
+    // Instructions first, then the command and the page it applies to
+    const messages = [
+      {
+        role: "system",
+        content: `You are an AI assistant specialized in parsing voice commands for a block-based note editor called sayNote. Your task is to analyze a voice command and the current editor content, then return a structured JSON response with the appropriate action to take.
 
 AVAILABLE COMMAND TYPES:
 
@@ -1398,8 +1198,11 @@ AVAILABLE COMMAND TYPES:
 6. SELECT_TEXT - Select text or blocks
 7. REPLACE_TEXT - Replace text or content in blocks
 8. MODIFY_BLOCK - Change block type, properties, or color
-9. UNDO - Undo previous actions
-10. REDO - Redo previously undone actions
+9. MOVE_BLOCK - Move, nest, un-nest or swap blocks
+10. MOVE_TO_PAGE - Move blocks to a new page under this one
+11. NAVIGATE - Open another page or scroll to a block on this one
+12. UNDO - Undo previous actions
+13. REDO - Redo previously undone actions
 
 For each command type, return a different JSON structure:
 
@@ -1414,6 +1217,7 @@ For INSERT_CONTENT:
 {
   "action": "INSERT_CONTENT",
   "content": "raw text to insert",
+  "insertAfterBlockId": "block-id", // Optional, to insert after a block instead of at the end of the page
   "success": true
 }
 
@@ -1470,16 +1274,44 @@ For REPLACE_TEXT:
 For MODIFY_BLOCK:
 {
   "action": "MODIFY_BLOCK",
-  "modificationType": "CHANGE_TYPE|CHANGE_HEADING_LEVEL|CONVERT_TO_LIST|CHANGE_COLOR|CHANGE_TEXT_COLOR",
+  "modificationType": "CHANGE_TYPE|CHANGE_HEADING_LEVEL|CONVERT_TO_LIST|CHANGE_COLOR|CHANGE_TEXT_COLOR|CHANGE_CHECKED",
   "targetBlockIds": ["block-id-1"], // Optional, specific blocks to modify
   "targetBlockType": "heading|paragraph", // Optional, to target all blocks of a type (e.g., "all headings")
   "targetPosition": "last|first", // Optional, to target the last or first block of a certain type
   "newType": "heading|paragraph|bulletListItem|numberedListItem|checkListItem|quote|code",
-  "headingLevel": 1, // Only for heading blocks, 1-6
+  "headingLevel": 1, // Only for heading blocks, 1-3
   "listType": "bullet|numbered|todo", // Only for list conversions
-  "textColor": "blue|red|green|yellow|purple|default", // For color changes
-  "newColor": "blue|red|green|yellow|purple|default", // Alternative name for color
+  "textColor": "default|gray|brown|red|orange|yellow|green|blue|purple|pink", // For color changes
+  "newColor": "default|gray|brown|red|orange|yellow|green|blue|purple|pink", // Alternative name for color
   "formatType": "bold|italic|underline", // For applying formatting to blocks
+  "checked": true, // Only for CHANGE_CHECKED, whether to check or uncheck checklist items
+  "success": true
+}
+
+For MOVE_BLOCK:
+{
+  "action": "MOVE_BLOCK",
+  "moveType": "MOVE|INDENT|OUTDENT|SWAP",
+  "targetBlockIds": ["block-id-1"], // Blocks to move, in page order; their children move with them
+  "destination": "BEFORE|AFTER|TOP|BOTTOM", // Only for MOVE
+  "referenceBlockId": "block-id", // Only for MOVE with BEFORE or AFTER, the block to move them next to
+  "success": true
+}
+
+For MOVE_TO_PAGE:
+{
+  "action": "MOVE_TO_PAGE",
+  "pageTitle": "Title for the new page",
+  "targetBlockIds": ["block-id-1"], // Blocks to move onto the new page
+  "success": true
+}
+
+For NAVIGATE:
+{
+  "action": "NAVIGATE",
+  "navigationType": "OPEN_PAGE|PARENT_PAGE|BACK|SCROLL_TO_BLOCK|RECENT_PAGES",
+  "pageTitle": "Project Phoenix", // Only for OPEN_PAGE, the title as spoken
+  "targetBlockIds": ["block-id"], // Only for SCROLL_TO_BLOCK, the block to scroll to
   "success": true
 }
 
@@ -1543,6 +1375,41 @@ For text selection within the current block:
 - "current selection"
 Set both "useCurrentSelection": true AND "selectionType": "TEXT"
 
+The message gives the block the cursor is in and the selected blocks and text, when there are any. Use them to resolve "this", "here" and "the selected text":
+- "add buy milk here" → INSERT_CONTENT with "insertAfterBlockId" set to the cursor's block
+- "add a summary after this paragraph" → INSERT_CONTENT with "insertAfterBlockId" set to that paragraph's block
+- "make the selected text bold" → APPLY_FORMATTING with "useCurrentSelection": true and no targetText
+
+MOVING AND NESTING BLOCKS:
+
+Blocks can be nested in the "children" of the block above them. Use MOVE_BLOCK to change where blocks are:
+- "move this paragraph above the Risks heading" → moveType "MOVE", destination "BEFORE", referenceBlockId set to the Risks heading
+- "move this below the second paragraph" → moveType "MOVE", destination "AFTER"
+- "move the Action Items section to the top" → moveType "MOVE", destination "TOP", with targetBlockIds set to the Action Items heading and every block after it up to the next heading of the same or a higher level
+- "indent the last three bullets" → moveType "INDENT"; each block is nested under the block above it
+- "outdent this" → moveType "OUTDENT"; a nested block moves out to just after its parent
+- "swap the first two steps" → moveType "SWAP" with exactly two targetBlockIds
+To move blocks below a section, use the last block of that section as the referenceBlockId.
+
+CHECKLISTS:
+
+Checklist items are "checkListItem" blocks with props.checked, and can be nested in the "children" of other blocks. Match spoken task text loosely against every checklist item, nested ones included:
+- "check off buy groceries" → MODIFY_BLOCK, modificationType "CHANGE_CHECKED", "checked": true, targetBlockIds set to the item that best matches "buy groceries"
+- "uncheck the second task" → MODIFY_BLOCK, modificationType "CHANGE_CHECKED", "checked": false
+- "mark all tasks done" → MODIFY_BLOCK, modificationType "CHANGE_CHECKED", "checked": true, targetBlockType "checkListItem"
+- "remove completed tasks" → DELETE_BLOCK with the IDs of every checked item
+- "move unfinished tasks to a new page" → MOVE_TO_PAGE with the IDs of every unchecked item and a short pageTitle such as "Unfinished tasks"
+
+NAVIGATION:
+
+Use NAVIGATE when the user wants to go somewhere rather than change the page:
+- "open the Project Phoenix page" → navigationType "OPEN_PAGE", pageTitle "Project Phoenix"; other pages aren't listed here, so use the title as spoken
+- "go to the parent page" → navigationType "PARENT_PAGE"
+- "go back" → navigationType "BACK"
+- "scroll to the Decisions heading" → navigationType "SCROLL_TO_BLOCK", targetBlockIds set to that heading
+- "show me my recent notes" → navigationType "RECENT_PAGES"
+"Go to" a block on this page means SCROLL_TO_BLOCK; "go to" anything else means OPEN_PAGE.
+
 HANDLING POSITIONAL REFERENCES:
 
 1. When the command refers to "last paragraph", "last block", "latest block", etc., set:
@@ -1579,48 +1446,36 @@ ALWAYS set:
 - targetBlockType: "bulletListItem" (if converting from bullet list)
 
 COLOR MAPPING:
-Map color names to their standard values:
-- blue, red, green, yellow, purple, black, white, gray/grey, orange, pink, brown, cyan, magenta, teal, lime, violet, indigo, maroon, navy, olive, silver, gold
+Map color names to the closest of the editor's colors:
+- default, gray, brown, red, orange, yellow, green, blue, purple, pink
+- e.g. black/white → default, grey/silver → gray, maroon → brown, gold → yellow, lime/teal → green, cyan/navy/indigo → blue, violet/magenta → purple
+
+LANGUAGES:
+Commands can be spoken in English, French, Spanish, Arabic or another language, and mean the same in each:
+- "supprime le dernier paragraphe", "borra el último párrafo" and "احذف الفقرة الأخيرة" are all DELETE_BLOCK for the last paragraph
+- "mets le titre en rouge" → MODIFY_BLOCK, modificationType "CHANGE_TEXT_COLOR", textColor "red"
+- "abre la página Presupuesto" → NAVIGATE, navigationType "OPEN_PAGE", pageTitle "Presupuesto"
+Action names, types, colors and other fixed values stay in English. Text to insert, page titles and text to find or replace are kept in the language they were spoken in and never translated. Write CLARIFICATION messages in the language of the command.
 
 Return only the JSON object with no preamble or explanation.`,
-            },
-          ],
-        },
-        {
-          role: "user", // Second user message with the actual content to process
-          parts: [
-            {
-              text: `Voice Command: "${processedCommand}"
+      },
+      {
+        role: "user",
+        content: `Voice Command: "${processedCommand}"
               
-Editor Content: ${JSON.stringify(processedContent)}`,
-            },
-          ],
-        },
-      ],
-    };
+Editor Content: ${JSON.stringify(processedContent)}${describeSelection(
+          options.selection
+        )}`,
+      },
+    ];
 
-    // Make the API request
-    console.log(`Calling Gemini API for voice command processing`);
     try {
-      const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        {
-          contents: prompt.contents,
-          generationConfig: {
-            ...GEMINI_CONFIG,
-            temperature: 0.0, // Keep deterministic for command interpretation
-          },
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-          },
-        }
+      const responseText = await generateText(
+        AI_TASKS.VOICE_COMMAND,
+        messages,
+        { responseSchema: VOICE_COMMAND_RESPONSE_SCHEMA }
       );
-
-      // Extract the response text from Gemini
-      const responseText = response.data.candidates[0]?.content?.parts[0]?.text;
-      console.log("Received response from Gemini API for voice command");
+      console.log("Received response from AI provider for voice command");
 
       if (!responseText) {
         console.error("Empty response from Gemini API");
@@ -1633,82 +1488,39 @@ Editor Content: ${JSON.stringify(processedContent)}`,
         };
       }
 
-      // Try to parse the response as JSON
-      try {
-        // Clean up the response if needed (similar to other function)
-        let jsonText = responseText.trim();
-
-        // Check if response is wrapped in markdown code block
-        if (jsonText.startsWith("```") && jsonText.endsWith("```")) {
-          // Extract content between code block markers
-          jsonText = jsonText
-            .substring(jsonText.indexOf("\n") + 1, jsonText.lastIndexOf("```"))
-            .trim();
-
-          // If it started with ```json, the first line needs to be removed
-          if (jsonText.startsWith("json")) {
-            jsonText = jsonText.substring(jsonText.indexOf("\n") + 1).trim();
-          }
-          console.log("Cleaned JSON text from code blocks");
-        }
-
-        // Check for any remaining non-JSON characters
-        const nonJsonMatch = jsonText.match(/^[^{\[]+([\[{].*)/);
-        if (nonJsonMatch && nonJsonMatch[1]) {
-          console.log("Found non-JSON prefix, cleaning...");
-          jsonText = nonJsonMatch[1];
-        }
-
-        console.log("Parsing voice command response as JSON");
-        const parsedResponse = JSON.parse(jsonText);
+      const parsed = parseJSONResponse(responseText);
 
-        // Validate response has required fields
-        if (!parsedResponse.action) {
-          console.error("Invalid response format - missing action field");
-          // Default to INSERT_CONTENT for invalid responses
-          return {
-            success: true,
-            action: "INSERT_CONTENT",
-            content: voiceCommand,
-            rawCommand: voiceCommand,
-          };
-        }
-
-        // For DELETE_BLOCK actions, verify we have target blocks
-        if (parsedResponse.action === "DELETE_BLOCK") {
-          if (
-            !Array.isArray(parsedResponse.targetBlockIds) ||
-            parsedResponse.targetBlockIds.length === 0
-          ) {
-            console.warn(
-              "DELETE_BLOCK action received with empty targetBlockIds"
-            );
-            return {
-              success: false,
-              action: "CLARIFICATION",
-              message:
-                "I couldn't determine which block to delete. Please be more specific.",
-              rawCommand: voiceCommand,
-            };
-          }
-        }
+      // "this" and "here" point at the cursor and selection; filling them
+      // in first lets "delete this block" pass without targetBlockIds
+      if (parsed.success) {
+        parsed.value = applySelectionToCommand(parsed.value, options.selection);
+      }
+      const validation = parsed.success
+        ? validateVoiceCommand(parsed.value)
+        : parsed;
 
-        // Return the parsed response
-        return {
-          ...parsedResponse,
-          rawCommand: voiceCommand, // Include original command for reference
-          rawTranscription: voiceCommand, // For backward compatibility
-        };
-      } catch (parseError) {
-        console.error("Failed to parse Gemini response as JSON:", parseError);
-        // Default to INSERT_CONTENT for JSON parse errors
+      // Malformed commands stop here instead of reaching the handlers; the
+      // recorder falls back to inserting the transcription as text
+      if (!validation.success) {
+        console.error(
+          "Voice command response failed validation:",
+          validation.error.message
+        );
         return {
-          success: true,
-          action: "INSERT_CONTENT",
-          content: voiceCommand,
+          success: false,
+          action: "CLARIFICATION",
+          message: "I couldn't work out that command. Please try rephrasing it.",
+          error: `Invalid command: ${validation.error.message}`,
+          validationError: validation.error,
           rawCommand: voiceCommand,
         };
       }
+
+      return {
+        ...parsed.value,
+        rawCommand: voiceCommand, // Include original command for reference
+        rawTranscription: voiceCommand, // For backward compatibility
+      };
     } catch (error) {
       console.error("Error calling Gemini API for voice command:", error);
       // Default to INSERT_CONTENT for API errors
@@ -1732,7 +1544,7 @@ Editor Content: ${JSON.stringify(processedContent)}`,
 };
 
 /**
- * Process a user question through Gemini API and get an answer in BlockNote-compatible format
+ * Process a user question through the AI provider and get an answer in BlockNote-compatible format
  * @param {string} userQuestion - The user's question to answer
  * @param {Array} pageContent - The current page content to provide as context
  * @returns {Object} - Response containing BlockNote-compatible blocks as answer
@@ -1835,7 +1647,7 @@ ${
     // Add BlockNote format instructions
     promptText += `
 
-Your response should be a JSON array of blocks following this structure:
+Your response should be a JSON object whose "blocks" array holds blocks following this structure:
 [
   {
     "type": "paragraph|heading|bulletListItem|numberedListItem|quote|code",
@@ -1856,7 +1668,7 @@ Your response should be a JSON array of blocks following this structure:
   }
 ]
 
-For example, a simple answer might look like:
+For example, the blocks of a simple answer might look like:
 [
   {
     "type": "heading",
@@ -1893,74 +1705,55 @@ For example, a simple answer might look like:
   }
 ]
 
-Respond with ONLY the JSON array of blocks. Do not include any other text or explanation outside the JSON array.`;
-
-    const prompt = {
-      contents: [
-        {
-          role: "user",
-          parts: [
-            {
-              text: promptText,
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        ...GEMINI_CONFIG,
-        temperature: 0.2, // Slightly higher temperature for more natural answers
-        maxOutputTokens: 2048, // Allow longer answers
-      },
-    };
-
-    const apiUrl = `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`;
-    const response = await axios.post(apiUrl, prompt);
-
-    // Extract the response text
-    const responseText = response.data.candidates[0].content.parts[0].text;
+Write the answer in the language the user spoke in, even when the page is in another language.
 
-    // Try to parse the JSON response
-    try {
-      // Extract JSON array from the response if it contains other text
-      const jsonMatch = responseText.match(/\[\s*\{.*\}\s*\]/s);
-      const jsonText = jsonMatch ? jsonMatch[0] : responseText;
-
-      const blocks = JSON.parse(jsonText);
-
-      // Validate the blocks format
-      if (!validateBlockNoteFormat(blocks)) {
-        console.error("Invalid block format in AI answer");
-        return {
-          success: false,
-          message: "The AI response couldn't be formatted correctly.",
-          rawText: responseText,
-        };
-      }
+Respond with ONLY the JSON object {"blocks": [...]}. Do not include any other text or explanation outside the JSON object.`;
 
-      // Create an appropriate action type based on the request
-      let actionType = "INSERT_AI_ANSWER";
-      if (isSummarizeRequest) {
-        actionType = "INSERT_AI_SUMMARY";
-      } else if (isAutocompleteRequest) {
-        actionType = "INSERT_AI_COMPLETION";
-      } else if (isRewriteRequest) {
-        actionType = "INSERT_AI_REWRITE";
-      }
+    const responseText = await generateText(AI_TASKS.ASK_AI, promptText, {
+      responseSchema: ANSWER_BLOCKS_RESPONSE_SCHEMA,
+    });
 
+    const parsed = parseJSONResponse(responseText);
+    if (!parsed.success) {
+      console.error("Error parsing AI response:", parsed.error.message);
       return {
-        success: true,
-        action: actionType,
-        blocks: blocks,
+        success: false,
+        message: "Failed to parse the AI response.",
+        validationError: parsed.error,
         rawText: responseText,
       };
-    } catch (parseError) {
-      console.error("Error parsing AI response:", parseError);
+    }
+
+    const validation = validateBlocks(parsed.value && parsed.value.blocks);
+    if (!validation.success) {
+      console.error(
+        "Invalid block format in AI answer:",
+        validation.error.message
+      );
       return {
         success: false,
-        message: "Failed to parse the AI response.",
+        message: "The AI response couldn't be formatted correctly.",
+        validationError: validation.error,
         rawText: responseText,
       };
     }
+
+    // Create an appropriate action type based on the request
+    let actionType = "INSERT_AI_ANSWER";
+    if (isSummarizeRequest) {
+      actionType = "INSERT_AI_SUMMARY";
+    } else if (isAutocompleteRequest) {
+      actionType = "INSERT_AI_COMPLETION";
+    } else if (isRewriteRequest) {
+      actionType = "INSERT_AI_REWRITE";
+    }
+
+    return {
+      success: true,
+      action: actionType,
+      blocks: parsed.value.blocks,
+      rawText: responseText,
+    };
   } catch (error) {
     console.error("Error asking Gemini AI:", error);
 
@@ -1988,11 +1781,23 @@ Respond with ONLY the JSON array of blocks. Do not include any other text or exp
 };
 
 /**
- * Transcribe audio recording using Gemini API
+ * Transcribe audio recording using the AI provider chosen in settings
+ * Long recordings are transcribed in segments, carrying on from where an
+ * unfinished transcription of the same recording stopped.
  * @param {string} audioUri - URI to the audio file to transcribe
- * @returns {Object} - Response containing transcription or error information
+ * @param {Object} options - { onProgress } called with { completed, total }
+ * segments while a long recording is transcribed, { speakers } to label
+ * who is speaking and { mimeType } for audio that isn't m4a. Speech is
+ * transcribed in the language chosen in voice settings, or the one spoken
+ * when that's automatic
+ * @returns {Object} - Response containing transcription or error
+ * information; long recordings also have a timeline of where each segment
+ * starts in the transcription, and the audioUri the recording is at now
  */
-export const transcribeAudioWithGemini = async (audioUri) => {
+export const transcribeAudioWithGemini = async (
+  audioUri,
+  { onProgress, speakers = false, mimeType = "audio/m4a" } = {}
+) => {
   try {
     // Validate input
     if (!audioUri || typeof audioUri !== "string") {
@@ -2011,57 +1816,27 @@ export const transcribeAudioWithGemini = async (audioUri) => {
         throw new Error("Audio file does not exist");
       }
 
-      // Read the audio file as base64
-      const base64Audio = await FileSystem.readAsStringAsync(audioUri, {
-        encoding: FileSystem.EncodingType.Base64,
-      });
-
-      // Create the API request to Gemini API
-      const apiUrl = `https://generativelanguage.googleapis.com/v1/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
-
-      const requestData = {
-        contents: [
-          {
-            role: "user",
-            parts: [
-              {
-                text: "Please transcribe the following audio file accurately. Return only the transcribed text without any additional comments or formatting.",
-              },
-              {
-                inline_data: {
-                  mime_type: "audio/m4a", // Expo Audio uses .m4a format by default
-                  data: base64Audio,
-                },
-              },
-            ],
-          },
-        ],
-        generationConfig: {
-          temperature: 0.0,
-          topP: 0.1,
-          topK: 16,
-          maxOutputTokens: 1024,
-        },
-      };
+      const { language } = await loadVoiceSettings();
 
-      // Make the API request
-      const response = await axios.post(apiUrl, requestData);
-
-      // Extract the transcription from the response
-      let transcription = "";
-      if (
-        response.data &&
-        response.data.candidates &&
-        response.data.candidates.length > 0 &&
-        response.data.candidates[0].content &&
-        response.data.candidates[0].content.parts &&
-        response.data.candidates[0].content.parts.length > 0
-      ) {
-        transcription = response.data.candidates[0].content.parts[0].text;
-      } else {
-        throw new Error("No transcription results returned");
+      if (isLongRecording(audioInfo.size)) {
+        const transcribed = await transcribeLongAudio(audioUri, {
+          onProgress,
+          speakers,
+          language,
+        });
+        console.log(
+          "Long transcription successful:",
+          transcribed.transcription.length
+        );
+        return { success: true, ...transcribed };
       }
 
+      // Empty when nothing was said; callers tell the user
+      const transcription = await transcribeAudio(audioUri, mimeType, {
+        speakers,
+        language,
+      });
+
       console.log("Transcription successful:", transcription);
 
       return {
@@ -2084,6 +1859,256 @@ export const transcribeAudioWithGemini = async (audioUri) => {
   }
 };
 
+/**
+ * Turn a naturally phrased search into the search screen's query syntax
+ * e.g. "notes about the budget from last week tagged finance" becomes
+ * `budget tag:finance updated:>=2026-10-05 updated:<2026-10-12`
+ * @param {string} spokenQuery - What the user said
+ * @param {Object} context - What the user's workspace contains
+ * @param {Array} context.tags - Tags in use, so spoken tags map onto them
+ * @param {Array} context.pageTitles - Page titles, for "in" filters
+ * @returns {Object} - { success, query, error }
+ */
+export const interpretSearchQueryWithGemini = async (
+  spokenQuery,
+  { tags = [], pageTitles = [] } = {}
+) => {
+  try {
+    if (!spokenQuery || typeof spokenQuery !== "string") {
+      return { success: false, error: "Invalid search input" };
+    }
+
+    console.log("Interpreting search query with Gemini:", spokenQuery);
+
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(now.getDate()).padStart(2, "0")}`;
+    const weekday = now.toLocaleDateString("en-US", { weekday: "long" });
+
+    const promptText = `You turn spoken search requests for a note-taking app into search filters.
+
+Today is ${weekday}, ${today}.
+Tags in use: ${tags.slice(0, 100).join(", ") || "(none)"}
+Page titles: ${pageTitles.slice(0, 100).join(" | ") || "(none)"}
+
+Search request: "${spokenQuery}"
+
+Respond with ONLY a JSON object with these fields:
+{
+  "text": "keywords to search for, without filler like 'notes about' or 'find'",
+  "phrases": ["exact phrases the user quoted or said word for word"],
+  "exclude": ["words the user does not want, e.g. 'not drafts' -> 'draft'"],
+  "tags": ["tags the page must have, using a tag from the list above when one fits"],
+  "excludeTags": ["tags the page must not have"],
+  "in": "title of the page the results must be inside, from the list above, or an empty string",
+  "types": ["block types the page must contain: todo, heading, bullet, numbered, code, quote, table, image, link"],
+  "updated": ["date conditions on when the page was last edited, each an operator (>, >=, <, <=) followed by YYYY-MM-DD worked out from today's date, e.g. 'last week' gives a >= condition for last Monday and a < condition for this Monday"],
+  "has": ["any of: unchecked (open to-dos), checked (finished to-dos), tags, subpages"]
+}
+
+Leave fields empty when the request doesn't mention them. Do not invent filters.`;
+
+    const responseText = await generateText(
+      AI_TASKS.SEARCH_QUERY,
+      promptText,
+      { responseSchema: SEARCH_QUERY_RESPONSE_SCHEMA }
+    );
+
+    const parsed = parseJSONResponse(responseText);
+    const validation = parsed.success
+      ? validateSearchQuery(parsed.value)
+      : parsed;
+    if (!validation.success) {
+      console.error("Invalid search filters:", validation.error.message);
+      return {
+        success: false,
+        error: `Invalid response: ${validation.error.message}`,
+      };
+    }
+
+    const query = buildSearchQuery(parsed.value);
+
+    if (!query) {
+      return { success: false, error: "No search terms found" };
+    }
+
+    console.log("Interpreted search query:", query);
+    return { success: true, query };
+  } catch (error) {
+    console.error("Error interpreting search query:", error);
+    return {
+      success: false,
+      error: `Search interpretation error: ${error.message || "Unknown error"}`,
+    };
+  }
+};
+
+/**
+ * Embed texts with the embedding model chosen in settings
+ * @param {Array} texts - Texts to embed
+ * @param {Object} options - Embedding options
+ * @param {string} options.taskType - "document" for stored text, "query" for
+ * questions
+ * @returns {Object} - { success, embeddings, error }
+ */
+export const embedTextsWithGemini = async (
+  texts,
+  { taskType = "document" } = {}
+) => {
+  try {
+    if (!Array.isArray(texts)) {
+      return { success: false, error: "Invalid texts input" };
+    }
+
+    const embeddings = await embedTexts(texts, { taskType });
+    return { success: true, embeddings };
+  } catch (error) {
+    console.error("Error embedding texts with Gemini:", error);
+    return {
+      success: false,
+      error: `Embedding error: ${error.message || "Unknown error"}`,
+    };
+  }
+};
+
+/**
+ * Answer a question using only numbered excerpts from the user's notes
+ * @param {string} question - The user's question
+ * @param {Array} sources - Excerpts as { title, text }, cited as [1], [2]...
+ * in the order given
+ * @returns {Object} - { success, paragraphs, citations, error } where
+ * citations are the source numbers the answer relies on
+ */
+export const answerFromNotesWithGemini = async (question, sources = []) => {
+  try {
+    if (!question || typeof question !== "string") {
+      return { success: false, error: "Invalid question input" };
+    }
+
+    const excerpts = sources
+      .map(
+        (source, index) =>
+          `[${index + 1}] From the page "${source.title}":\n${source.text}`
+      )
+      .join("\n\n");
+
+    const promptText = `You answer questions about the user's own notes using only the numbered excerpts below.
+
+Question: ${question}
+
+Excerpts:
+${excerpts || "(no matching notes)"}
+
+Rules:
+- Only use facts from the excerpts. If they don't answer the question, say so briefly.
+- After each statement, cite the excerpts it came from like [1] or [2][3].
+- Keep the answer short: one to four paragraphs of plain text.
+- Answer in the language of the question, even when the excerpts are in another language.
+
+Respond with ONLY a JSON object:
+{
+  "paragraphs": ["answer paragraph with citations [1]"],
+  "citations": [1]
+}`;
+
+    const responseText = await generateText(
+      AI_TASKS.WORKSPACE_ANSWER,
+      promptText
+    );
+
+    // Extract the JSON object from the response if it contains other text
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    const result = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
+
+    if (!Array.isArray(result.paragraphs)) {
+      throw new Error("Answer is missing paragraphs");
+    }
+
+    return {
+      success: true,
+      paragraphs: result.paragraphs.filter(
+        (paragraph) => typeof paragraph === "string" && paragraph.trim()
+      ),
+      citations: Array.isArray(result.citations) ? result.citations : [],
+    };
+  } catch (error) {
+    console.error("Error answering from notes with Gemini:", error);
+    return {
+      success: false,
+      error: `Answer error: ${error.message || "Unknown error"}`,
+    };
+  }
+};
+
+/**
+ * Write the minutes of a meeting from its transcript
+ * Speakers are referred to by their labels, so the names the user gives
+ * them can be put in afterwards.
+ * @param {string} transcript - Transcript with each change of speaker
+ * labelled "Speaker 1:", "Speaker 2:" and so on
+ * @returns {Object} - { success, minutes, error }, where minutes is
+ * { title, attendees, topics, decisions, actionItems } as in
+ * MEETING_MINUTES_RESPONSE_SCHEMA
+ */
+export const generateMeetingMinutesWithGemini = async (transcript) => {
+  try {
+    if (!transcript || typeof transcript !== "string") {
+      return { success: false, error: "Invalid transcript input" };
+    }
+
+    console.log("Writing meeting minutes with Gemini:", transcript.length);
+
+    const promptText = `You write the minutes of a meeting from its transcript. Each change of speaker in the transcript starts with a label like "Speaker 1:".
+
+Transcript:
+${transcript}
+
+Respond with ONLY a JSON object with these fields:
+{
+  "title": "a short title for the meeting, from what it was about",
+  "attendees": [{ "speaker": "Speaker 1", "name": "the speaker's name if someone says it in the meeting, otherwise an empty string" }],
+  "topics": [{ "title": "a topic discussed", "summary": "two or three sentences on what was said about it and by whom" }],
+  "decisions": ["each decision the meeting reached"],
+  "actionItems": [{ "task": "something someone agreed to do, starting with a verb", "owner": "who will do it, or an empty string if nobody took it on" }]
+}
+
+Rules:
+- List every speaker label in the transcript as an attendee, in order.
+- Refer to speakers by their label, like "Speaker 2", everywhere except the attendees' names, even when you know their name. Other people can be named as they are in the transcript.
+- Give topics in the order they were discussed.
+- Only include decisions and action items the transcript states. Leave the lists empty if there are none.
+- Write everything in the language of the meeting. If more than one language was spoken, use the one spoken most. Keep the speaker labels in English.`;
+
+    const responseText = await generateText(
+      AI_TASKS.MEETING_MINUTES,
+      promptText,
+      { responseSchema: MEETING_MINUTES_RESPONSE_SCHEMA }
+    );
+
+    const parsed = parseJSONResponse(responseText);
+    const validation = parsed.success
+      ? validateMeetingMinutes(parsed.value)
+      : parsed;
+    if (!validation.success) {
+      console.error("Invalid meeting minutes:", validation.error.message);
+      return {
+        success: false,
+        error: `Invalid response: ${validation.error.message}`,
+      };
+    }
+
+    return { success: true, minutes: parsed.value };
+  } catch (error) {
+    console.error("Error writing meeting minutes with Gemini:", error);
+    return {
+      success: false,
+      error: `Minutes error: ${error.message || "Unknown error"}`,
+    };
+  }
+};
+
 /**
  * Process a voice command with Gemini API
  * This is an alias for processVoiceCommandWithGemini to fix the function name mismatch
@@ -2092,10 +2117,13 @@ export const processCommandWithGemini = processVoiceCommandWithGemini;
 
 export default {
   processTranscriptionWithGemini,
-  validateBlockNoteFormat,
   processGeminiResponse,
   processVoiceCommandWithGemini,
   processCommandWithGemini,
   transcribeAudioWithGemini,
+  interpretSearchQueryWithGemini,
+  embedTextsWithGemini,
+  answerFromNotesWithGemini,
+  generateMeetingMinutesWithGemini,
   askGeminiAI,
 };
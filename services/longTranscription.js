@@ -0,0 +1,480 @@
+/**
+ * Long Transcription Service
+ *
+ * Transcribes recordings too long for one request, like lectures and
+ * meetings. A request's reply is capped by the transcription task's
+ * maxOutputTokens, so long recordings are cut into overlapping segments,
+ * each copied into a file of its own and transcribed a few at a time (see
+ * recordingSegments). The segment transcripts are stitched back together
+ * with the words repeated in each overlap taken out. When speakers are
+ * labelled, segments go one at a time, each told how the one before ended
+ * so speakers keep their numbers.
+ *
+ * Progress is saved after every segment, so a transcription cut short by
+ * the app closing or the network dropping carries on from the last finished
+ * segment. Only one unfinished transcription is kept; starting another
+ * replaces it.
+ *
+ * Along with the text comes a timeline of where each segment's words start
+ * in it, for playing the recording back from a point in the transcript (see
+ * utils/recordingUtils).
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as FileSystem from "expo-file-system";
+import { Audio } from "expo-av";
+import { transcribeAudio } from "./aiProvider";
+import { readRecordingTrack, cutRecordingSegment } from "./recordingSegments";
+import { tokenize } from "../utils/searchUtils";
+import { createEvenTimeline } from "../utils/recordingUtils";
+import { AUTO_LANGUAGE } from "../utils/languageUtils";
+
+const JOB_KEY = "sayNote_long_transcription";
+// Recordings are kept here until they're transcribed, since the cache
+// directory they're recorded to can be cleared while the app is closed
+const RECORDINGS_DIRECTORY = `${FileSystem.documentDirectory}long-recordings/`;
+
+// Recordings smaller than this, about two minutes long, are never split
+const LONG_RECORDING_BYTES = 2 * 1024 * 1024;
+// About 450 words, well inside the transcription task's reply limit, and
+// about 3 MB of audio to send
+export const SEGMENT_MS = 3 * 60 * 1000;
+// Each segment starts this far before the previous one ends, so no words
+// are lost at the cuts
+export const OVERLAP_MS = 10 * 1000;
+const CONCURRENCY = 3;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+// How much of the previous segment's transcript a segment is told about
+const PREVIOUS_TRANSCRIPT_CHARS = 1000;
+// Words compared at the end of one segment and the start of the next
+const STITCH_WINDOW_WORDS = 60;
+// Fewer repeated words than this could be chance rather than the overlap
+const MIN_OVERLAP_WORDS = 3;
+
+// Serialize saves so a slower one can't overwrite newer progress
+let jobLock = Promise.resolve();
+
+const withJobLock = (task) => {
+  const run = jobLock.then(task, task);
+  jobLock = run.catch(() => {});
+  return run;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const readJob = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(JOB_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("Error reading long transcription:", error);
+    return null;
+  }
+};
+
+// The job is serialized when the save runs, so it saves the latest progress
+const saveJob = (job) =>
+  withJobLock(() => AsyncStorage.setItem(JOB_KEY, JSON.stringify(job)));
+
+// The job's copy of the recording goes too, unless keepAudio is set
+const removeJob = async (job, { keepAudio = false } = {}) => {
+  await withJobLock(() => AsyncStorage.removeItem(JOB_KEY));
+  if (!keepAudio) {
+    await FileSystem.deleteAsync(job.audioUri, { idempotent: true });
+  }
+};
+
+const isJobFor = (job, audioUri) =>
+  !!job && (job.sourceUri === audioUri || job.audioUri === audioUri);
+
+// Finish a job. Its copy of the recording is deleted, unless the copy is
+// what's being transcribed (a resumed job); that moves to the cache
+// directory, where the caller can keep it or the system clear it. Says
+// where the recording being transcribed is now.
+const finishJob = async (job, audioUri) => {
+  if (job.audioUri !== audioUri) {
+    await removeJob(job);
+    return audioUri;
+  }
+
+  await removeJob(job, { keepAudio: true });
+  const cachedUri = `${FileSystem.cacheDirectory}${audioUri.split("/").pop()}`;
+  await FileSystem.moveAsync({ from: audioUri, to: cachedUri });
+  return cachedUri;
+};
+
+// Copy a recording somewhere it will still be if the app is closed. Copies
+// left by earlier jobs are cleared out first, since only one job is kept.
+const keepRecording = async (audioUri) => {
+  await FileSystem.deleteAsync(RECORDINGS_DIRECTORY, { idempotent: true });
+  await FileSystem.makeDirectoryAsync(RECORDINGS_DIRECTORY, {
+    intermediates: true,
+  });
+  const keptUri = `${RECORDINGS_DIRECTORY}${Date.now()}-${audioUri
+    .split("/")
+    .pop()}`;
+  await FileSystem.copyAsync({ from: audioUri, to: keptUri });
+  return keptUri;
+};
+
+const getAudioDuration = async (audioUri) => {
+  const { sound, status } = await Audio.Sound.createAsync(
+    { uri: audioUri },
+    { shouldPlay: false }
+  );
+  await sound.unloadAsync();
+
+  if (!status.isLoaded || !status.durationMillis) {
+    throw new Error("Couldn't read the recording's length");
+  }
+  return status.durationMillis;
+};
+
+// Run a request again after a growing delay when it fails
+const withRetries = async (task) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) throw error;
+      console.log(
+        `Request failed, retrying (${attempt}/${MAX_ATTEMPTS}):`,
+        error.message
+      );
+      await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// Cut a segment out of the job's recording and transcribe it. The cut is
+// deleted afterwards, whether or not that worked.
+const transcribeSegment = async (job, track, segment, previousText) => {
+  const cut = await cutRecordingSegment(
+    job.audioUri,
+    track,
+    segment.startMs,
+    segment.endMs
+  );
+  if (!cut) return "";
+
+  try {
+    return await withRetries(() =>
+      transcribeAudio(cut.uri, cut.mimeType, {
+        speakers: job.speakers,
+        language: job.language,
+        previousTranscript:
+          job.speakers && previousText
+            ? previousText.slice(-PREVIOUS_TRANSCRIPT_CHARS)
+            : undefined,
+      })
+    );
+  } finally {
+    await FileSystem.deleteAsync(cut.uri, { idempotent: true });
+  }
+};
+
+/**
+ * Check whether a recording could be too long to transcribe in one go
+ * @param {number} fileSize - Size of the recording in bytes
+ * @returns {boolean} - Whether to use transcribeLongAudio
+ */
+export const isLongRecording = (fileSize) =>
+  typeof fileSize === "number" && fileSize >= LONG_RECORDING_BYTES;
+
+/**
+ * Split a recording into overlapping segments
+ * @param {number} durationMs - Length of the recording
+ * @returns {Array} - { startMs, endMs } for each segment, in order
+ */
+export const planSegments = (durationMs) => {
+  const segments = [{ startMs: 0, endMs: Math.min(SEGMENT_MS, durationMs) }];
+
+  while (segments[segments.length - 1].endMs < durationMs) {
+    const startMs = segments[segments.length - 1].endMs - OVERLAP_MS;
+    segments.push({
+      startMs,
+      endMs: Math.min(startMs + SEGMENT_MS, durationMs),
+    });
+  }
+
+  return segments;
+};
+
+// Join two neighbouring transcripts, leaving out the words at the start of
+// the second that repeat the end of the first. The overlap is the longest
+// run of words found in both; it isn't always at the very edges, since a
+// word cut in half at a segment boundary comes out differently each time.
+// Also says where the second's words start in the joined text, and whether
+// an overlap was found.
+const joinOverlapping = (first, second) => {
+  const tail = tokenize(first).slice(-STITCH_WINDOW_WORDS);
+  const head = tokenize(second).slice(0, STITCH_WINDOW_WORDS);
+
+  let best = { length: 0, tailEnd: 0, headEnd: 0 };
+  let previous = new Array(head.length + 1).fill(0);
+  tail.forEach((token, i) => {
+    const current = new Array(head.length + 1).fill(0);
+    head.forEach((other, j) => {
+      if (token.word !== other.word) return;
+      current[j + 1] = previous[j] + 1;
+      if (current[j + 1] > best.length) {
+        best = { length: current[j + 1], tailEnd: i, headEnd: j };
+      }
+    });
+    previous = current;
+  });
+
+  if (best.length < MIN_OVERLAP_WORDS) {
+    return {
+      text: `${first} ${second}`,
+      joinedAt: first.length + 1,
+      overlapped: false,
+    };
+  }
+
+  const kept = first.slice(0, tail[best.tailEnd].end);
+  const rest = second.slice(head[best.headEnd].end);
+  return {
+    text: `${kept}${rest}`,
+    joinedAt: kept.length + rest.length - rest.trimStart().length,
+    overlapped: true,
+  };
+};
+
+/**
+ * Stitch segment transcripts back into one, without the overlaps twice
+ * @param {Array} segments - { text, startMs, endMs } for each segment, in
+ * order
+ * @returns {Object} - { transcription, timeline }, where timeline has an
+ * { offset, ms } point for where each segment's words start in the
+ * transcription, and one for its end
+ */
+export const stitchTranscripts = (segments) => {
+  let transcription = "";
+  const timeline = [];
+
+  segments.forEach((segment) => {
+    const text = (segment.text || "").trim();
+    if (!text) return;
+
+    if (!transcription) {
+      transcription = text;
+      timeline.push({ offset: 0, ms: segment.startMs });
+      return;
+    }
+
+    const joined = joinOverlapping(transcription, text);
+    transcription = joined.text;
+    // Words repeated from the previous segment were heard in the overlap,
+    // so the ones kept start where it ends
+    timeline.push({
+      offset: joined.joinedAt,
+      ms: joined.overlapped
+        ? Math.min(segment.startMs + OVERLAP_MS, segment.endMs)
+        : segment.startMs,
+    });
+  });
+
+  if (segments.length > 0) {
+    timeline.push({
+      offset: transcription.length,
+      ms: segments[segments.length - 1].endMs,
+    });
+  }
+  return { transcription, timeline };
+};
+
+/**
+ * Transcribe a long recording a segment at a time
+ * Picks up an unfinished transcription of the same recording where it left
+ * off. Recordings that turn out to fit in one segment, and ones that can't
+ * be cut (anything but MP4 audio), get a single request. The recording passed
+ * in is left where it is. A resumed transcription labels speakers if it did
+ * when it started, and keeps the language it started with. Its recording
+ * moves out of where unfinished transcriptions' recordings are kept.
+ * @param {string} audioUri - URI of the recording, or of an unfinished
+ * transcription's recording
+ * @param {Object} options - { mimeType, onProgress, speakers, language },
+ * where onProgress is called with { completed, total } segments as they
+ * finish, speakers labels who is speaking and language is the language
+ * spoken, or "auto" to detect it
+ * @returns {Promise<Object>} - { transcription, timeline, audioUri }, with
+ * timeline as from stitchTranscripts and audioUri where the recording is
+ * now
+ */
+export const transcribeLongAudio = async (
+  audioUri,
+  {
+    mimeType = "audio/m4a",
+    onProgress,
+    speakers = false,
+    language = AUTO_LANGUAGE,
+  } = {}
+) => {
+  let job = await readJob();
+  let track;
+
+  if (isJobFor(job, audioUri)) {
+    track = await readRecordingTrack(job.audioUri);
+    if (!track) throw new Error("Couldn't read the recording");
+  } else {
+    track = await readRecordingTrack(audioUri);
+    const durationMs = track
+      ? track.durationMs
+      : await getAudioDuration(audioUri);
+    const segments = planSegments(durationMs);
+    if (!track || segments.length === 1) {
+      const transcription = await transcribeAudio(audioUri, mimeType, {
+        speakers,
+        language,
+      });
+      return {
+        transcription,
+        timeline: createEvenTimeline(transcription, durationMs),
+        audioUri,
+      };
+    }
+
+    if (job) await removeJob(job);
+    job = {
+      sourceUri: audioUri,
+      audioUri: await keepRecording(audioUri),
+      speakers,
+      language,
+      segments: segments.map((segment) => ({ ...segment, text: null })),
+      startedAt: new Date().toISOString(),
+    };
+    await saveJob(job);
+  }
+
+  const total = job.segments.length;
+  const pending = [];
+  job.segments.forEach((segment, index) => {
+    if (segment.text === null) pending.push(index);
+  });
+  let completed = total - pending.length;
+  let failure = null;
+
+  console.log(
+    `Transcribing ${total} segments, ${completed} already done:`,
+    job.audioUri
+  );
+  if (onProgress) onProgress({ completed, total });
+
+  // Each worker takes the next segment until none are left or one fails;
+  // segments already being transcribed still finish and are saved
+  const transcribeSegments = async () => {
+    while (pending.length > 0 && !failure) {
+      const index = pending.shift();
+      const segment = job.segments[index];
+      try {
+        const text = await transcribeSegment(
+          job,
+          track,
+          segment,
+          index > 0 ? job.segments[index - 1].text : null
+        );
+        segment.text = text.trim();
+        completed += 1;
+        const progress = { completed, total };
+        await saveJob(job);
+        if (onProgress) onProgress(progress);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  // Segments that carry on the previous one's speakers wait for it
+  const workers = job.speakers ? 1 : CONCURRENCY;
+  await Promise.all(
+    Array.from(
+      { length: Math.min(workers, pending.length) },
+      transcribeSegments
+    )
+  );
+  if (failure) throw failure;
+
+  return {
+    ...stitchTranscripts(job.segments),
+    audioUri: await finishJob(job, audioUri),
+  };
+};
+
+/**
+ * Find a long transcription that didn't finish
+ * @returns {Promise<Object|null>} - { audioUri, completed, total,
+ * speakers }, where audioUri can be passed to transcribeLongAudio to carry
+ * on and speakers says whether it's a meeting, or null if there isn't one
+ */
+export const getUnfinishedTranscription = async () => {
+  const job = await readJob();
+  if (!job) return null;
+
+  const audioInfo = await FileSystem.getInfoAsync(job.audioUri);
+  if (!audioInfo.exists) {
+    await removeJob(job);
+    return null;
+  }
+
+  return {
+    audioUri: job.audioUri,
+    completed: job.segments.filter((segment) => segment.text !== null).length,
+    total: job.segments.length,
+    speakers: !!job.speakers,
+  };
+};
+
+/**
+ * Give up on an unfinished long transcription and delete its recording
+ */
+export const discardUnfinishedTranscription = async () => {
+  try {
+    const job = await readJob();
+    if (job) await removeJob(job);
+  } catch (error) {
+    console.error("Error discarding long transcription:", error);
+  }
+};
+
+/**
+ * Delete kept recordings that no unfinished transcription needs, such as
+ * one left by the app closing just as a transcription finished
+ */
+export const removeOrphanedRecordings = async () => {
+  try {
+    // There's nowhere to keep recordings on the web
+    if (!FileSystem.documentDirectory) return;
+
+    const info = await FileSystem.getInfoAsync(RECORDINGS_DIRECTORY);
+    if (!info.exists) return;
+
+    const job = await readJob();
+    const names = await FileSystem.readDirectoryAsync(RECORDINGS_DIRECTORY);
+    const orphans = names
+      .map((name) => `${RECORDINGS_DIRECTORY}${name}`)
+      .filter((uri) => !job || uri !== job.audioUri);
+
+    await Promise.all(
+      orphans.map((uri) => FileSystem.deleteAsync(uri, { idempotent: true }))
+    );
+    if (orphans.length > 0) {
+      console.log(`Removed ${orphans.length} kept recording(s)`);
+    }
+  } catch (error) {
+    console.error("Error removing kept recordings:", error);
+  }
+};
+
+export default {
+  SEGMENT_MS,
+  OVERLAP_MS,
+  isLongRecording,
+  planSegments,
+  stitchTranscripts,
+  transcribeLongAudio,
+  getUnfinishedTranscription,
+  discardUnfinishedTranscription,
+  removeOrphanedRecordings,
+};
@@ -0,0 +1,338 @@
+/**
+ * Markdown Service
+ *
+ * Exports a page, or a page and all of its descendants, as Markdown files
+ * with relative links between them, and imports Markdown files (or a zip of
+ * them) back as pages.
+ */
+
+import * as DocumentPicker from "expo-document-picker";
+import JSZip from "jszip";
+import { v4 as uuidv4 } from "uuid";
+import pageStorageService from "./pageStorage";
+import { toFileName } from "./exportService";
+import {
+  FILE_ENCODINGS,
+  saveAndShareFile,
+  readPickedText,
+  loadPickedZip,
+} from "./fileTransfer";
+import { getPageBlocks } from "../utils/contentUtils";
+import {
+  blocksToMarkdown,
+  markdownToBlocks,
+  getMarkdownTitle,
+} from "../utils/markdownUtils";
+
+const MARKDOWN_EXTENSIONS = /\.(md|markdown)$/i;
+const APP_LINK = /^sayNote:\/\/note\/([\w-]+)$/i;
+
+// Path from one exported file to another, e.g. "../Other/Page.md"
+const getRelativeHref = (fromPath, toPath) => {
+  const fromDirs = fromPath.split("/").slice(0, -1);
+  const toParts = toPath.split("/");
+
+  let common = 0;
+  while (
+    common < fromDirs.length &&
+    common < toParts.length - 1 &&
+    fromDirs[common] === toParts[common]
+  ) {
+    common++;
+  }
+
+  const up = fromDirs.slice(common).map(() => "..");
+  const parts = [...up, ...toParts.slice(common)].map(encodeURIComponent);
+  return up.length > 0 ? parts.join("/") : `./${parts.join("/")}`;
+};
+
+// Resolve a relative href against the file it appears in
+const resolveRelativePath = (fromPath, href) => {
+  const parts = fromPath.split("/").slice(0, -1);
+
+  let decoded = href.split("#")[0];
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch (error) {
+    // Not percent-encoded; use the href as written
+  }
+
+  decoded
+    .split("/")
+    .forEach((part) => {
+      if (part === "..") parts.pop();
+      else if (part && part !== ".") parts.push(part);
+    });
+
+  return parts.join("/");
+};
+
+/**
+ * Assign every exported page a file path that mirrors the page tree:
+ * a page's children live in a folder named after it
+ * @param {Array} pages - Pages being exported, parents before children
+ * @param {string} rootId - ID of the top page of the export
+ * @returns {Object} - Map of page ID to file path
+ */
+const buildExportPaths = (pages, rootId) => {
+  const paths = {};
+  const usedNames = {};
+
+  pages.forEach((page) => {
+    const folder =
+      page.id === rootId ? "" : paths[page.parentId].replace(/\.md$/, "/");
+    const taken = usedNames[folder] || (usedNames[folder] = new Set());
+
+    let name = toFileName(page.title);
+    for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+      name = `${toFileName(page.title)} ${suffix}`;
+    }
+    taken.add(name.toLowerCase());
+
+    paths[page.id] = `${folder}${name}.md`;
+  });
+
+  return paths;
+};
+
+/**
+ * Export a page as Markdown and open the share sheet (or download it on web)
+ * A single page is shared as a .md file; with descendants the pages are
+ * shared as a .zip of .md files whose page links point at each other.
+ * @param {string} userId - Owner of the page
+ * @param {string} pageId - Page to export
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeDescendants - Also export all subpages
+ * @returns {Promise<Object>} - { success, fileUri, pageCount, error }
+ */
+export const exportPageAsMarkdown = async (
+  userId,
+  pageId,
+  { includeDescendants = false } = {}
+) => {
+  try {
+    if (!userId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    const allPages = await pageStorageService.loadAllPages(userId);
+    const pagesById = new Map(allPages.map((page) => [page.id, page]));
+
+    if (!pagesById.has(pageId)) {
+      return { success: false, error: "Page not found" };
+    }
+
+    // collectPageAndDescendantIds walks the tree, so parents come first
+    const ids = includeDescendants
+      ? pageStorageService.collectPageAndDescendantIds(allPages, pageId)
+      : [pageId];
+    const pages = ids.map((id) => pagesById.get(id)).filter(Boolean);
+    const paths = buildExportPaths(pages, pageId);
+
+    const files = pages.map((page) => ({
+      path: paths[page.id],
+      markdown: blocksToMarkdown(getPageBlocks(page), {
+        getPageLinkHref: (linkedId) =>
+          paths[linkedId]
+            ? getRelativeHref(paths[page.id], paths[linkedId])
+            : `sayNote://note/${linkedId}`,
+      }),
+    }));
+
+    const baseName = toFileName(pagesById.get(pageId).title);
+    let fileUri;
+
+    if (files.length === 1) {
+      fileUri = await saveAndShareFile(`${baseName}.md`, files[0].markdown, {
+        mimeType: "text/markdown",
+        UTI: "net.daringfireball.markdown",
+        dialogTitle: "Export as Markdown",
+      });
+    } else {
+      const zip = new JSZip();
+      files.forEach((file) => zip.file(file.path, file.markdown));
+      const data = await zip.generateAsync({ type: "base64" });
+
+      fileUri = await saveAndShareFile(`${baseName}.zip`, data, {
+        encoding: FILE_ENCODINGS.BASE64,
+        mimeType: "application/zip",
+        UTI: "public.zip-archive",
+        dialogTitle: "Export as Markdown",
+      });
+    }
+
+    console.log(`Exported ${files.length} page(s) as Markdown to ${fileUri}`);
+
+    return { success: true, fileUri, pageCount: files.length };
+  } catch (error) {
+    console.error("Error exporting page as Markdown:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Create pages from Markdown files
+ * A file at "Parent/Child.md" becomes a subpage of "Parent.md" when both are
+ * imported together, and relative links between imported files become page
+ * links.
+ * @param {string} userId - Owner of the new pages
+ * @param {Array} files - Array of { path, markdown }
+ * @param {Object} options - Import options
+ * @param {string|null} options.parentId - Page to import top-level files under
+ * @returns {Promise<Object>} - { success, created, failed, pages, error }
+ */
+export const importMarkdownFiles = async (
+  userId,
+  files,
+  { parentId = null } = {}
+) => {
+  try {
+    if (!userId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    const existingPages = await pageStorageService.loadAllPages(userId);
+    const existingById = new Map(existingPages.map((page) => [page.id, page]));
+
+    // Parents have shorter paths, so they are created first
+    const entries = [...files]
+      .sort((a, b) => a.path.split("/").length - b.path.split("/").length)
+      .map((file) => {
+        const fileName = file.path
+          .split("/")
+          .pop()
+          .replace(MARKDOWN_EXTENSIONS, "");
+        return {
+          ...file,
+          id: uuidv4(),
+          title: getMarkdownTitle(file.markdown) || fileName,
+        };
+      });
+    const entriesByPath = new Map(entries.map((entry) => [entry.path, entry]));
+
+    const created = [];
+    const failed = [];
+
+    for (const entry of entries) {
+      const parentEntry = entriesByPath.get(
+        entry.path.replace(/\/[^/]+$/, ".md")
+      );
+
+      const content = markdownToBlocks(entry.markdown, {
+        resolvePageLink: (href) => {
+          const appLink = href.match(APP_LINK);
+          const target = appLink
+            ? existingById.get(appLink[1])
+            : /^[a-z][\w+.-]*:/i.test(href)
+              ? null
+              : entriesByPath.get(resolveRelativePath(entry.path, href));
+
+          return target
+            ? {
+                pageId: target.id,
+                pageTitle: target.title || "Untitled Page",
+                pageIcon: target.icon || "📄",
+              }
+            : null;
+        },
+      });
+
+      const result = await pageStorageService.restorePage(
+        {
+          id: entry.id,
+          title: entry.title,
+          parentId:
+            parentEntry && parentEntry !== entry ? parentEntry.id : parentId,
+          content,
+        },
+        userId
+      );
+
+      if (result.success) {
+        created.push({ id: entry.id, title: entry.title });
+      } else {
+        console.error(`Failed to import ${entry.path}:`, result.error);
+        failed.push({ path: entry.path, error: result.error });
+      }
+    }
+
+    return {
+      success: failed.length === 0,
+      created: created.length,
+      failed,
+      pages: created,
+      error:
+        failed.length > 0
+          ? `${failed.length} file(s) could not be imported`
+          : undefined,
+    };
+  } catch (error) {
+    console.error("Error importing Markdown:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Let the user pick Markdown files or a zip of them and import them as pages
+ * @param {string} userId - Owner of the new pages
+ * @param {Object} options - Passed to importMarkdownFiles
+ * @returns {Promise<Object>} - Import report, or { success: false, canceled: true }
+ */
+export const pickAndImportMarkdown = async (userId, options = {}) => {
+  try {
+    const picked = await DocumentPicker.getDocumentAsync({
+      type: "*/*",
+      multiple: true,
+      copyToCacheDirectory: true,
+    });
+
+    if (picked.canceled || !picked.assets || picked.assets.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const files = [];
+
+    for (const asset of picked.assets) {
+      if (/\.zip$/i.test(asset.name)) {
+        const zip = await loadPickedZip(asset);
+
+        for (const entry of Object.values(zip.files)) {
+          if (
+            entry.dir ||
+            entry.name.startsWith("__MACOSX/") ||
+            !MARKDOWN_EXTENSIONS.test(entry.name)
+          ) {
+            continue;
+          }
+          files.push({
+            path: entry.name,
+            markdown: await entry.async("string"),
+          });
+        }
+      } else if (MARKDOWN_EXTENSIONS.test(asset.name)) {
+        files.push({
+          path: asset.name,
+          markdown: await readPickedText(asset),
+        });
+      }
+    }
+
+    if (files.length === 0) {
+      return {
+        success: false,
+        error: "No Markdown (.md) files found in the selection",
+      };
+    }
+
+    return await importMarkdownFiles(userId, files, options);
+  } catch (error) {
+    console.error("Error importing Markdown files:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  exportPageAsMarkdown,
+  importMarkdownFiles,
+  pickAndImportMarkdown,
+};
@@ -1,5 +1,22 @@
 import { supabase } from "./supabaseService";
 import { v4 as uuidv4 } from "uuid";
+import {
+  SYNC_OPERATION_TYPES,
+  isNetworkError,
+  enqueueOperation,
+  rebaseOperations,
+  getPendingOperations,
+  hasPendingOperations,
+  setInFlightOperation,
+  removeOperation,
+  recordOperationFailure,
+  applyPendingOperations,
+  saveNotesSnapshot,
+  updateNotesSnapshot,
+  loadNotesSnapshot,
+  setLastSyncTime,
+} from "./syncQueue";
+import { mergeBlocks, mergeField } from "../utils/mergeUtils";
 
 // Generate a unique note ID as fallback when UUID fails
 const generateNoteId = () => {
@@ -30,6 +47,7 @@ export const supabaseToLocalNote = (note) => {
     folderId: note.folder_id,
     isDeleted: note.is_deleted,
     icon: note.icon || "📄", // Add icon field
+    revision: note.revision || 0,
   };
 
   // console.log("Local note format:", JSON.stringify(localNote));
@@ -56,6 +74,7 @@ export const localToSupabaseNote = (note, userId) => {
     folder_id: note.folderId,
     is_deleted: note.isDeleted || false,
     icon: note.icon || "📄", // Add icon field
+    revision: note.revision || 0,
   };
 
   console.log("Supabase note format:", JSON.stringify(supabaseNote));
@@ -168,62 +187,144 @@ export const deleteLocalNote = async (noteId, userId) => {
   }
 };
 
-// Create a new note
-export const createNote = async (userId, noteData = {}) => {
-  try {
-    if (!userId) {
-      return { success: false, error: "User not authenticated" };
+// Normalize the content of an update into a BlockNote block array
+const normalizeUpdatedContent = (updates) => {
+  // IMPORTANT: We want to REPLACE content, not merge
+  let updatedContent = null;
+
+  // If content is provided directly, use it
+  if (updates.content) {
+    updatedContent = updates.content;
+    console.log("Using provided content object for update");
+  }
+  // Otherwise try to parse contentJson if available
+  else if (updates.contentJson) {
+    console.log("Parsing contentJson for update");
+    try {
+      if (typeof updates.contentJson === "string") {
+        updatedContent = JSON.parse(updates.contentJson);
+      } else {
+        updatedContent = updates.contentJson;
+      }
+    } catch (parseError) {
+      console.error("Error parsing contentJson:", parseError);
+      // Use empty array as fallback for BlockNote content
+      updatedContent = [];
     }
+  }
 
-    // Try to use the provided ID or generate a new one with fallback
-    let noteId = noteData.id;
-    if (!noteId) {
+  // Ensure content is an array for BlockNote format
+  if (updatedContent && !Array.isArray(updatedContent)) {
+    console.warn("Content is not an array, converting to array format");
+    if (typeof updatedContent === "string") {
       try {
-        noteId = uuidv4();
-      } catch (uuidError) {
-        console.warn(
-          "UUID generation failed, using fallback:",
-          uuidError.message
-        );
-        noteId = generateNoteId();
+        updatedContent = JSON.parse(updatedContent);
+      } catch (parseError) {
+        console.error("Error parsing content string:", parseError);
+        updatedContent = [];
       }
+    } else {
+      // If it's an object but not an array, wrap it in an array
+      updatedContent = [updatedContent];
     }
+  }
 
-    const note = {
-      id: noteId,
-      title: noteData.title || "Untitled",
-      content: noteData.content || {},
-      parentId: noteData.parentId || null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      tags: noteData.tags || [],
-      folderId: noteData.folderId || null,
-      isDeleted: false,
-    };
+  // Process content to ensure all blocks have valid content
+  if (Array.isArray(updatedContent)) {
+    updatedContent = updatedContent.map((block) => {
+      // If the block has no content array or empty content, add a default text node
+      if (
+        !block.content ||
+        !Array.isArray(block.content) ||
+        block.content.length === 0
+      ) {
+        return {
+          ...block,
+          content: [{ type: "text", text: "", styles: {} }],
+        };
+      }
+      return block;
+    });
+  }
 
-    // Save to Supabase
-    const supabaseNote = localToSupabaseNote(note, userId);
+  return updatedContent;
+};
 
-    const { error } = await supabase.from("notes").insert(supabaseNote);
+// Insert a note into Supabase
+const pushNoteCreate = async (userId, note) => {
+  const supabaseNote = localToSupabaseNote(note, userId);
 
-    if (error) throw error;
+  const { error } = await supabase.from("notes").insert(supabaseNote);
 
-    return { success: true, note };
-  } catch (error) {
-    console.error("Error creating note:", error);
-    return { success: false, error: error.message };
-  }
+  // A replayed insert may already have landed before the app was interrupted
+  if (error && error.code !== "23505") throw error;
+
+  rememberRevision(note);
+  await updateNotesSnapshot(userId, {
+    ...note,
+    contentJson: JSON.stringify(note.content || []),
+  });
+  return { success: true, note };
 };
 
-// Update a note
-export const updateNote = async (userId, noteId, updates) => {
-  try {
-    if (!userId) {
-      return { success: false, error: "User not authenticated" };
-    }
+// Retries when another device writes between our read and our write
+const MAX_WRITE_ATTEMPTS = 3;
 
-    console.log(`Updating note ${noteId} for user ${userId}`);
+// Recent server revisions per note, used as the base for three-way merges
+const knownRevisions = {};
+const MAX_KNOWN_REVISIONS = 5;
+
+// Remember the server state of a note at its current revision
+const rememberRevision = (note) => {
+  if (!note || !note.id) return;
+
+  const history = (knownRevisions[note.id] || []).filter(
+    (entry) => entry.revision !== note.revision
+  );
+  history.push({
+    revision: note.revision,
+    title: note.title,
+    icon: note.icon,
+    content: Array.isArray(note.content) ? note.content : [],
+  });
+  knownRevisions[note.id] = history.slice(-MAX_KNOWN_REVISIONS);
+};
 
+// Look up the server state of a note at a given revision
+const getKnownRevision = (noteId, revision) =>
+  (knownRevisions[noteId] || []).find((entry) => entry.revision === revision) ||
+  null;
+
+// Find the base of a merge, falling back to the stored notes snapshot so it
+// is still there after the app restarts
+const findBaseSnapshot = async (userId, noteId, revision) => {
+  if (typeof revision !== "number") return null;
+
+  const known = getKnownRevision(noteId, revision);
+  if (known) return known;
+
+  const note = (await loadNotesSnapshot(userId)).find(
+    (entry) => entry.id === noteId && entry.revision === revision
+  );
+  if (!note) return null;
+
+  rememberRevision(note);
+  return getKnownRevision(noteId, revision);
+};
+
+/**
+ * Apply an update to the note stored in Supabase
+ * When the note changed on the server since `base.revision`, the update is
+ * three-way merged against the remote content. Overlapping block edits are
+ * returned as a conflict instead of being written.
+ * @param {string} userId - Owner of the note
+ * @param {string} noteId - Note to update
+ * @param {Object} updates - Fields to update
+ * @param {Object} base - { revision, snapshot } the local edit started from
+ * @returns {Promise<Object>} - { success, note, merged } or { success: false, error, conflict }
+ */
+const pushNoteUpdate = async (userId, noteId, updates, base = {}) => {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
     // Get the current note from Supabase
     const { data, error: fetchError } = await supabase
       .from("notes")
@@ -242,71 +343,77 @@ export const updateNote = async (userId, noteId, updates) => {
       return { success: false, error: "Note not found" };
     }
 
-    // Process content field - IMPORTANT: We want to REPLACE content, not merge
-    let updatedContent = null;
+    const currentNote = supabaseToLocalNote(data);
+    rememberRevision(currentNote);
+
+    let updatedContent = normalizeUpdatedContent(updates);
+    let title = updates.title;
+    let icon = updates.icon;
+    let merged = false;
+
+    // Someone else saved since our edit started: merge instead of overwriting
+    if (
+      typeof base.revision === "number" &&
+      base.revision !== currentNote.revision
+    ) {
+      const baseNote =
+        base.snapshot ||
+        (await findBaseSnapshot(userId, noteId, base.revision));
+      const remoteContent = Array.isArray(currentNote.content)
+        ? currentNote.content
+        : [];
+
+      console.log(
+        `Note ${noteId} changed remotely (revision ${base.revision} -> ${currentNote.revision}), merging`
+      );
+
+      if (updatedContent) {
+        const { merged: mergedContent, conflicts } = mergeBlocks(
+          baseNote ? baseNote.content : null,
+          updatedContent,
+          remoteContent
+        );
 
-    // If content is provided directly, use it
-    if (updates.content) {
-      updatedContent = updates.content;
-      console.log("Using provided content object for update");
-    }
-    // Otherwise try to parse contentJson if available
-    else if (updates.contentJson) {
-      console.log("Parsing contentJson for update");
-      try {
-        if (typeof updates.contentJson === "string") {
-          updatedContent = JSON.parse(updates.contentJson);
-        } else {
-          updatedContent = updates.contentJson;
+        if (conflicts.length > 0) {
+          console.log(
+            `Found ${conflicts.length} conflicting block(s) in note ${noteId}`
+          );
+          return {
+            success: false,
+            error: "Note was changed on another device",
+            conflict: {
+              noteId,
+              baseRevision: base.revision,
+              remoteRevision: currentNote.revision,
+              base: baseNote ? baseNote.content : null,
+              remote: currentNote,
+              merged: mergedContent,
+              conflicts,
+            },
+          };
         }
-      } catch (parseError) {
-        console.error("Error parsing contentJson:", parseError);
-        // Use empty array as fallback for BlockNote content
-        updatedContent = [];
-      }
-    }
 
-    // Ensure content is an array for BlockNote format
-    if (updatedContent && !Array.isArray(updatedContent)) {
-      console.warn("Content is not an array, converting to array format");
-      if (typeof updatedContent === "string") {
-        try {
-          updatedContent = JSON.parse(updatedContent);
-        } catch (parseError) {
-          console.error("Error parsing content string:", parseError);
-          updatedContent = [];
-        }
-      } else {
-        // If it's an object but not an array, wrap it in an array
-        updatedContent = [updatedContent];
+        updatedContent = mergedContent;
       }
-    }
 
-    // Process content to ensure all blocks have valid content
-    if (Array.isArray(updatedContent)) {
-      updatedContent = updatedContent.map((block) => {
-        // If the block has no content array or empty content, add a default text node
-        if (
-          !block.content ||
-          !Array.isArray(block.content) ||
-          block.content.length === 0
-        ) {
-          return {
-            ...block,
-            content: [{ type: "text", text: "", styles: {} }],
-          };
-        }
-        return block;
-      });
+      if (baseNote) {
+        title = mergeField(baseNote.title, title, currentNote.title);
+        icon = mergeField(baseNote.icon, icon, currentNote.icon);
+      }
+      merged = true;
     }
 
     // Create a new note object with updated fields
     const updatedNote = {
-      ...supabaseToLocalNote(data),
+      ...currentNote,
       ...updates,
+      title: title !== undefined ? title : currentNote.title,
+      icon: icon !== undefined ? icon : currentNote.icon,
       content: updatedContent || [], // Always use the new content, completely replacing old content
       updatedAt: new Date().toISOString(),
+      revision: currentNote.revision + 1,
     };
+    delete updatedNote.contentJson;
 
     // Log the updated note for debugging
     console.log(
@@ -315,6 +422,7 @@ export const updateNote = async (userId, noteId, updates) => {
         id: updatedNote.id,
         title: updatedNote.title,
         icon: updatedNote.icon,
+        revision: updatedNote.revision,
         contentSize: updatedContent ? JSON.stringify(updatedContent).length : 0,
         contentBlockCount: Array.isArray(updatedContent)
           ? updatedContent.length
@@ -325,19 +433,196 @@ export const updateNote = async (userId, noteId, updates) => {
     // Convert to Supabase format
     const supabaseNote = localToSupabaseNote(updatedNote, userId);
 
-    // Save to Supabase
-    const { error: updateError } = await supabase
+    // Only write if nobody saved since we read the note
+    const { data: savedRows, error: updateError } = await supabase
       .from("notes")
       .update(supabaseNote)
-      .eq("id", noteId);
+      .eq("id", noteId)
+      .eq("revision", currentNote.revision)
+      .select();
 
     if (updateError) {
       console.error("Supabase update error:", updateError);
       throw updateError;
     }
 
+    if (!savedRows || savedRows.length === 0) {
+      console.log(
+        `Note ${noteId} was saved elsewhere during the update, retrying (${attempt}/${MAX_WRITE_ATTEMPTS})`
+      );
+      base = { revision: currentNote.revision, snapshot: null };
+      // Our own content is now the local side of the next merge
+      updates = { ...updates, title, icon, content: updatedContent };
+      continue;
+    }
+
+    const savedNote = supabaseToLocalNote(savedRows[0]);
+    rememberRevision(savedNote);
+    await updateNotesSnapshot(userId, savedNote);
+
     console.log("Note successfully updated in Supabase");
-    return { success: true, note: updatedNote };
+    return { success: true, note: savedNote, merged };
+  }
+
+  return {
+    success: false,
+    error: "Note is being edited elsewhere, please try again",
+  };
+};
+
+// Delete a note in Supabase
+const pushNoteDelete = async (userId, noteId, hardDelete) => {
+  if (hardDelete) {
+    // Hard delete - completely remove from Supabase
+    console.log(`Hard deleting note ${noteId} for user ${userId}`);
+    const { error } = await supabase
+      .from("notes")
+      .delete()
+      .eq("id", noteId)
+      .eq("user_id", userId);
+
+    if (error) throw error;
+  } else {
+    // Soft delete - set is_deleted flag to true
+    console.log(`Soft deleting note ${noteId} for user ${userId}`);
+    const { error } = await supabase
+      .from("notes")
+      .update({ is_deleted: true })
+      .eq("id", noteId)
+      .eq("user_id", userId);
+
+    if (error) throw error;
+  }
+
+  return { success: true };
+};
+
+// Create a new note
+export const createNote = async (userId, noteData = {}) => {
+  try {
+    if (!userId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    // Try to use the provided ID or generate a new one with fallback
+    let noteId = noteData.id;
+    if (!noteId) {
+      try {
+        noteId = uuidv4();
+      } catch (uuidError) {
+        console.warn(
+          "UUID generation failed, using fallback:",
+          uuidError.message
+        );
+        noteId = generateNoteId();
+      }
+    }
+
+    const note = {
+      id: noteId,
+      title: noteData.title || "Untitled",
+      content: noteData.content || {},
+      parentId: noteData.parentId || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      tags: noteData.tags || [],
+      folderId: noteData.folderId || null,
+      isDeleted: false,
+      icon: noteData.icon || "📄",
+      revision: 0,
+    };
+
+    // Keep ordering intact: once something is queued, everything is queued
+    if (await hasPendingOperations(userId)) {
+      await enqueueOperation(userId, {
+        type: SYNC_OPERATION_TYPES.CREATE,
+        noteId,
+        note,
+      });
+      syncPendingNotesWithSupabase(userId);
+      return { success: true, note, queued: true };
+    }
+
+    try {
+      return await pushNoteCreate(userId, note);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+
+      console.log(`Offline, queueing creation of note ${noteId}`);
+      await enqueueOperation(userId, {
+        type: SYNC_OPERATION_TYPES.CREATE,
+        noteId,
+        note,
+      });
+      return { success: true, note, queued: true };
+    }
+  } catch (error) {
+    console.error("Error creating note:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Update a note
+ * Pass `baseRevision` (the revision the edit started from) to detect edits
+ * made on other devices in the meantime. Non-overlapping changes are merged
+ * and returned with `merged: true`; overlapping block edits come back as
+ * `{ success: false, conflict }` for the user to resolve.
+ * @param {string} userId - Owner of the note
+ * @param {string} noteId - Note to update
+ * @param {Object} updates - Fields to update, plus optional baseRevision
+ * @returns {Promise<Object>} - { success, note, merged, queued, conflict, error }
+ */
+export const updateNote = async (userId, noteId, updates) => {
+  try {
+    if (!userId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    console.log(`Updating note ${noteId} for user ${userId}`);
+
+    const { baseRevision, ...fields } = updates;
+
+    // Queue the update with its content already normalized
+    const queueUpdate = async () => {
+      const { contentJson, ...queuedUpdates } = fields;
+      const content = normalizeUpdatedContent(fields);
+      if (content) queuedUpdates.content = content;
+      queuedUpdates.updatedAt = new Date().toISOString();
+
+      // Keep the base with the operation so it can still be merged after a restart
+      await enqueueOperation(userId, {
+        type: SYNC_OPERATION_TYPES.UPDATE,
+        noteId,
+        updates: queuedUpdates,
+        baseRevision,
+        baseSnapshot: await findBaseSnapshot(userId, noteId, baseRevision),
+      });
+
+      return {
+        success: true,
+        note: { id: noteId, ...queuedUpdates },
+        queued: true,
+      };
+    };
+
+    // Keep ordering intact: once something is queued, everything is queued
+    if (await hasPendingOperations(userId)) {
+      const result = await queueUpdate();
+      syncPendingNotesWithSupabase(userId);
+      return result;
+    }
+
+    try {
+      return await pushNoteUpdate(userId, noteId, fields, {
+        revision: baseRevision,
+      });
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+
+      console.log(`Offline, queueing update of note ${noteId}`);
+      return await queueUpdate();
+    }
   } catch (error) {
     console.error("Error updating note:", error);
     return { success: false, error: error.message };
@@ -351,29 +636,28 @@ export const deleteNote = async (userId, noteId, hardDelete = false) => {
       return { success: false, error: "User not authenticated" };
     }
 
-    if (hardDelete) {
-      // Hard delete - completely remove from Supabase
-      console.log(`Hard deleting note ${noteId} for user ${userId}`);
-      const { error } = await supabase
-        .from("notes")
-        .delete()
-        .eq("id", noteId)
-        .eq("user_id", userId);
-
-      if (error) throw error;
-    } else {
-      // Soft delete - set is_deleted flag to true
-      console.log(`Soft deleting note ${noteId} for user ${userId}`);
-      const { error } = await supabase
-        .from("notes")
-        .update({ is_deleted: true })
-        .eq("id", noteId)
-        .eq("user_id", userId);
+    const operation = {
+      type: SYNC_OPERATION_TYPES.DELETE,
+      noteId,
+      hardDelete,
+    };
 
-      if (error) throw error;
+    // Keep ordering intact: once something is queued, everything is queued
+    if (await hasPendingOperations(userId)) {
+      await enqueueOperation(userId, operation);
+      syncPendingNotesWithSupabase(userId);
+      return { success: true, queued: true };
     }
 
-    return { success: true };
+    try {
+      return await pushNoteDelete(userId, noteId, hardDelete);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+
+      console.log(`Offline, queueing deletion of note ${noteId}`);
+      await enqueueOperation(userId, operation);
+      return { success: true, queued: true };
+    }
   } catch (error) {
     console.error("Error deleting note:", error);
     return { success: false, error: error.message };
@@ -442,30 +726,228 @@ export const fetchSupabaseNotesOnly = async (userId) => {
 
     // Convert to local format
     const notes = data.map((note) => supabaseToLocalNote(note));
+    notes.forEach(rememberRevision);
+    await saveNotesSnapshot(userId, notes);
 
-    return { success: true, notes };
+    // Show changes that are still waiting in the sync queue
+    const pending = await getPendingOperations(userId);
+    return { success: true, notes: applyPendingOperations(notes, pending) };
   } catch (error) {
+    if (isNetworkError(error)) {
+      console.log("Offline, serving notes from the last snapshot");
+      const [snapshot, pending] = await Promise.all([
+        loadNotesSnapshot(userId),
+        getPendingOperations(userId),
+      ]);
+      return {
+        success: true,
+        notes: applyPendingOperations(snapshot, pending),
+        offline: true,
+      };
+    }
+
     console.error("Error fetching Supabase notes:", error);
     return { success: false, error: error.message };
   }
 };
 
-// Sync pending notes with Supabase before logout
-export const syncPendingNotesWithSupabase = async (userId) => {
+// The note as this device left it after a replayed change, at the revision
+// the server gave it; later queued updates to the note were made on top of it
+const getReplayedBase = (operation, result) => {
+  if (operation.type === SYNC_OPERATION_TYPES.CREATE) {
+    const { note } = operation;
+    return {
+      revision: note.revision || 0,
+      title: note.title,
+      icon: note.icon,
+      content: Array.isArray(note.content) ? note.content : [],
+    };
+  }
+
+  if (operation.type === SYNC_OPERATION_TYPES.UPDATE && result.note) {
+    const { updates } = operation;
+    const saved = result.note;
+    return {
+      revision: saved.revision,
+      title: updates.title !== undefined ? updates.title : saved.title,
+      icon: updates.icon !== undefined ? updates.icon : saved.icon,
+      content: Array.isArray(updates.content) ? updates.content : saved.content,
+    };
+  }
+
+  return null;
+};
+
+// Replay a single queued operation against Supabase
+const replayOperation = async (userId, operation) => {
+  switch (operation.type) {
+    case SYNC_OPERATION_TYPES.CREATE:
+      return pushNoteCreate(userId, operation.note);
+    case SYNC_OPERATION_TYPES.UPDATE:
+      return pushNoteUpdate(userId, operation.noteId, operation.updates, {
+        revision: operation.baseRevision,
+        snapshot: operation.baseSnapshot,
+      });
+    case SYNC_OPERATION_TYPES.DELETE:
+      return pushNoteDelete(userId, operation.noteId, operation.hardDelete);
+    default:
+      return {
+        success: false,
+        error: `Unknown sync operation type: ${operation.type}`,
+      };
+  }
+};
+
+// Sync runs currently in progress, keyed by user
+const activeSyncs = {};
+
+/**
+ * Replay queued note changes against Supabase in the order they were made
+ * Stops at the first network error and leaves the rest queued. An operation
+ * rejected by the server is retried on later runs; after MAX_SYNC_ATTEMPTS it
+ * is marked failed and waits for the user to retry or discard it. An update
+ * that clashes with edits from another device stays queued and its conflict
+ * is returned for the user to resolve. Further changes to the note wait
+ * behind it either way.
+ * @param {string} userId - The user whose queue to sync
+ * @returns {Promise<Object>} - { success, synced, failed, pending, stuck, conflicts, offline, results }
+ */
+export const syncPendingNotesWithSupabase = (userId) => {
+  if (!userId) {
+    return Promise.resolve({ success: false, error: "User not authenticated" });
+  }
+
+  // Concurrent callers share the run already in progress
+  if (!activeSyncs[userId]) {
+    activeSyncs[userId] = runSync(userId).finally(() => {
+      delete activeSyncs[userId];
+    });
+  }
+
+  return activeSyncs[userId];
+};
+
+const runSync = async (userId) => {
+  const results = [];
+  const conflicts = [];
+  const blockedNotes = new Set();
+  let offline = false;
+
   try {
-    console.log("Syncing pending notes before logout for user:", userId);
+    console.log("Syncing pending notes for user:", userId);
+
+    while (true) {
+      const queue = await getPendingOperations(userId);
+      queue
+        .filter((entry) => entry.failed)
+        .forEach((entry) => blockedNotes.add(entry.noteId));
+      const operation = queue.find((entry) => !blockedNotes.has(entry.noteId));
+      if (!operation) break;
+
+      setInFlightOperation(operation.id);
+      let error = null;
+      let replayResult = null;
+
+      try {
+        replayResult = await replayOperation(userId, operation);
+        if (!replayResult.success) error = new Error(replayResult.error);
+      } catch (replayError) {
+        error = replayError;
+      } finally {
+        setInFlightOperation(null);
+      }
+
+      if (!error) {
+        await removeOperation(userId, operation.id);
+        const base = getReplayedBase(operation, replayResult);
+        if (base) await rebaseOperations(userId, operation.noteId, base);
+        results.push({
+          operationId: operation.id,
+          noteId: operation.noteId,
+          type: operation.type,
+          success: true,
+        });
+        continue;
+      }
+
+      if (replayResult && replayResult.conflict) {
+        console.log(
+          `Keeping ${operation.type} for note ${operation.noteId} queued until its conflict is resolved`
+        );
+        conflicts.push({ ...replayResult.conflict, queued: true });
+        results.push({
+          operationId: operation.id,
+          noteId: operation.noteId,
+          type: operation.type,
+          success: false,
+          error: error.message,
+          conflict: true,
+        });
+        blockedNotes.add(operation.noteId);
+        continue;
+      }
+
+      if (isNetworkError(error)) {
+        console.log("Still offline, keeping remaining changes queued");
+        offline = true;
+        break;
+      }
+
+      console.error(
+        `Failed to sync ${operation.type} for note ${operation.noteId}:`,
+        error
+      );
+      const retained = await recordOperationFailure(
+        userId,
+        operation.id,
+        error.message
+      );
+      results.push({
+        operationId: operation.id,
+        noteId: operation.noteId,
+        type: operation.type,
+        success: false,
+        error: error.message,
+        gaveUp: Boolean(retained && retained.failed),
+      });
+
+      // Later changes to this note depend on the failed one
+      blockedNotes.add(operation.noteId);
+    }
 
-    // This is a placeholder function that doesn't actually sync anything yet
-    // In a real implementation, you would:
-    // 1. Check for any unsaved/pending notes in local storage
-    // 2. Save them to Supabase
-    // 3. Clear the pending notes queue
+    const remaining = await getPendingOperations(userId);
+    const pending = remaining.length;
+    const stuck = remaining.filter((entry) => entry.failed).length;
+    const synced = results.filter((result) => result.success).length;
+    const failed = results.length - synced - conflicts.length;
 
-    // For now, we just return success to fix the logout error
-    return { success: true };
+    if (!offline) {
+      await setLastSyncTime(userId);
+    }
+
+    console.log(
+      `Sync finished: ${synced} synced, ${failed} failed, ${conflicts.length} conflicted, ${pending} pending`
+    );
+
+    return {
+      success: !offline && failed === 0 && conflicts.length === 0,
+      synced,
+      failed,
+      pending,
+      stuck,
+      conflicts,
+      offline,
+      results,
+      error: offline
+        ? "Supabase is unreachable"
+        : failed > 0
+        ? `${failed} change(s) could not be synced`
+        : conflicts.length > 0
+        ? `${conflicts.length} note(s) were changed on another device`
+        : undefined,
+    };
   } catch (error) {
     console.error("Error syncing pending notes:", error);
-    // Return success anyway to not block logout
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, results, conflicts };
   }
 };
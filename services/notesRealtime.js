@@ -0,0 +1,100 @@
+/**
+ * Notes Realtime Service
+ *
+ * Shares one Supabase realtime subscription per user between every screen
+ * that wants to hear about notes changed on other devices, and turns raw
+ * postgres_changes payloads into local-format note events.
+ */
+
+import { subscribeToNotes, supabase } from "./supabaseService";
+import { supabaseToLocalNote } from "./noteService";
+
+export const REMOTE_CHANGE_TYPES = {
+  INSERT: "INSERT",
+  UPDATE: "UPDATE",
+  DELETE: "DELETE",
+};
+
+// userId -> { subscription, listeners: Set }
+const channels = {};
+
+// Convert a postgres_changes payload into a note event
+const toRemoteChange = (payload) => {
+  const { eventType } = payload;
+  const record = payload.new && payload.new.id ? payload.new : null;
+
+  if (eventType === "DELETE" || !record) {
+    return {
+      type: REMOTE_CHANGE_TYPES.DELETE,
+      noteId: payload.old ? payload.old.id : null,
+      note: null,
+    };
+  }
+
+  // Soft deletes arrive as updates
+  if (record.is_deleted) {
+    return {
+      type: REMOTE_CHANGE_TYPES.DELETE,
+      noteId: record.id,
+      note: null,
+    };
+  }
+
+  return {
+    type:
+      eventType === "INSERT"
+        ? REMOTE_CHANGE_TYPES.INSERT
+        : REMOTE_CHANGE_TYPES.UPDATE,
+    noteId: record.id,
+    note: supabaseToLocalNote(record),
+  };
+};
+
+/**
+ * Listen for notes created, updated or deleted on any device
+ * @param {string} userId - User whose notes to watch
+ * @param {Function} listener - Called with { type, noteId, note }
+ * @returns {Function} - Call to stop listening
+ */
+export const addNotesListener = (userId, listener) => {
+  if (!userId || typeof listener !== "function") {
+    return () => {};
+  }
+
+  if (!channels[userId]) {
+    const listeners = new Set();
+    const subscription = subscribeToNotes(userId, (payload) => {
+      const change = toRemoteChange(payload);
+      if (!change.noteId) return;
+
+      console.log(`Realtime ${change.type} for note ${change.noteId}`);
+      listeners.forEach((notify) => {
+        try {
+          notify(change);
+        } catch (error) {
+          console.error("Error in notes listener:", error);
+        }
+      });
+    });
+
+    channels[userId] = { subscription, listeners };
+  }
+
+  const channel = channels[userId];
+  channel.listeners.add(listener);
+
+  return () => {
+    channel.listeners.delete(listener);
+
+    // Close the subscription once nobody is listening
+    if (channel.listeners.size === 0 && channels[userId] === channel) {
+      supabase.removeChannel(channel.subscription);
+      delete channels[userId];
+    }
+  };
+};
+
+export default {
+  REMOTE_CHANGE_TYPES,
+  addNotesListener,
+};
@@ -10,8 +10,10 @@ import {
   updateNote,
   deleteNote,
   fetchSupabaseNotesOnly,
+  syncPendingNotesWithSupabase,
 } from "./noteService";
 import { supabase } from "./supabaseService";
+import { indexPage, removePagesFromIndex } from "./searchIndex";
 
 // Generate a unique ID for a page
 const generateId = () => {
@@ -122,6 +124,7 @@ const createPage = async (
       throw new Error("Failed to create note in Supabase");
     }
 
+    indexPage(userId, page);
     return page;
   } catch (error) {
     console.error("Error creating page:", error);
@@ -129,6 +132,26 @@ const createPage = async (
   }
 };
 
+/**
+ * Create a page that already has content, such as one restored from a backup
+ * or imported from a file
+ * @param {Object} pageData - { id, parentId, title, icon, tags, content }
+ * @param {string|null} userId - User ID for authenticated users
+ * @returns {Promise<Object>} - { success, page, error }
+ */
+const restorePage = async (pageData, userId = null) => {
+  const noteResult = await createNote(userId, pageData);
+  if (!noteResult.success) {
+    return { success: false, error: noteResult.error };
+  }
+
+  const { content, ...note } = noteResult.note;
+  const page = { ...note, contentJson: JSON.stringify(content) };
+
+  indexPage(userId, page);
+  return { success: true, page };
+};
+
 /**
  * Get a page by ID
  * @param {string} id - Page ID to retrieve
@@ -202,6 +225,7 @@ const savePage = async (page, userId = null) => {
       content: contentToSave,
       parentId: page.parentId,
       icon: page.icon,
+      baseRevision: page.revision,
     };
 
     console.log(
@@ -217,13 +241,48 @@ const savePage = async (page, userId = null) => {
 
     if (!noteResult.success) {
       console.warn("Failed to update note in Supabase:", noteResult.error);
+
+      if (noteResult.conflict) {
+        const conflictError = new Error(noteResult.error);
+        conflictError.conflict = noteResult.conflict;
+        throw conflictError;
+      }
+
       throw new Error("Failed to save page to Supabase");
     }
 
+    // Queued changes keep the revision they were based on
+    if (noteResult.queued) {
+      console.log("Page saved offline, queued for sync");
+      indexPage(userId, updatedPage);
+      return updatedPage;
+    }
+
     console.log("Page successfully saved to Supabase");
-    return updatedPage;
+
+    if (noteResult.merged) {
+      // Changes from another device were merged in; hand back the merged page
+      const mergedPage = {
+        ...updatedPage,
+        title: noteResult.note.title,
+        icon: noteResult.note.icon,
+        contentJson: noteResult.note.contentJson,
+        revision: noteResult.note.revision,
+        mergedRemoteChanges: true,
+      };
+      indexPage(userId, mergedPage);
+      return mergedPage;
+    }
+
+    const savedPage = { ...updatedPage, revision: noteResult.note.revision };
+    indexPage(userId, savedPage);
+    return savedPage;
   } catch (error) {
     console.error("Error saving page:", error);
+
+    // Let callers offer conflict resolution
+    if (error.conflict) throw error;
+
     throw new Error("Failed to save page");
   }
 };
@@ -250,6 +309,8 @@ const deletePage = async (id, userId = null) => {
       `Deleting page ${id} and ${idsToDelete.length - 1} descendants`
     );
 
+    removePagesFromIndex(userId, idsToDelete);
+
     // Delete notes in Supabase - use hard delete to completely remove them
     for (const pageId of idsToDelete) {
       const deleteResult = await deleteNote(userId, pageId, true); // true for hard delete
@@ -316,6 +377,19 @@ const loadAllPages = async (userId = null) => {
   }
 };
 
+/**
+ * Push changes queued while offline to Supabase
+ * @param {string|null} userId - User ID for authenticated users
+ * @returns {Promise<Object>} - Sync report from syncPendingNotesWithSupabase
+ */
+const syncPendingChanges = async (userId = null) => {
+  if (!userId) {
+    return { success: false, error: "User not authenticated" };
+  }
+
+  return syncPendingNotesWithSupabase(userId);
+};
+
 /**
  * Get root pages (pages without a parent)
  * @param {string|null} userId - User ID for authenticated users
@@ -428,6 +502,7 @@ const createTestPages = async (userId = null) => {
 
 export default {
   createPage,
+  restorePage,
   getPageById,
   savePage,
   deletePage,
@@ -435,4 +510,6 @@ export default {
   getRootPages,
   getChildPages,
   createTestPages,
+  syncPendingChanges,
+  collectPageAndDescendantIds,
 };
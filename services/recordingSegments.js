@@ -0,0 +1,116 @@
+/**
+ * Recording Segments Service
+ *
+ * Cuts stretches out of a finished recording into files of their own, so a
+ * recording too long for one request can be sent a stretch at a time.
+ * Recordings are the MP4 files the recorder makes; their AAC frames are
+ * copied into ADTS files as they are, without decoding them. See
+ * utils/audioClips.
+ */
+
+import * as FileSystem from "expo-file-system";
+import {
+  CLIP_FORMATS,
+  base64ToBytes,
+  bytesToBase64,
+  readMp4BoxHeader,
+  readMp4AudioTrack,
+  createAdtsClip,
+} from "../utils/audioClips";
+
+// Enough to hold any box's header
+const BOX_HEADER_READ_BYTES = 16;
+
+const readBytes = async (uri, position, length) =>
+  base64ToBytes(
+    await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position,
+      length,
+    })
+  );
+
+/**
+ * Find the audio frames of a recording
+ * @param {string} uri - The recording
+ * @returns {Promise<Object|null>} - The track, as from readMp4AudioTrack,
+ * or null if the recording isn't MP4 audio that can be cut
+ */
+export const readRecordingTrack = async (uri) => {
+  const info = await FileSystem.getInfoAsync(uri, { size: true });
+  if (!info.exists) return null;
+
+  // The moov box says where the frames are; it's at the start of some
+  // files and the end of others
+  let position = 0;
+  while (position < info.size) {
+    const header = await readBytes(
+      uri,
+      position,
+      Math.min(BOX_HEADER_READ_BYTES, info.size - position)
+    );
+    const box = readMp4BoxHeader(header, 0, info.size - position);
+    // MP4 files start with an ftyp box
+    if (!box || (position === 0 && box.type !== "ftyp")) return null;
+
+    if (box.type === "moov") {
+      return readMp4AudioTrack(
+        await readBytes(
+          uri,
+          position + box.headerSize,
+          box.size - box.headerSize
+        )
+      );
+    }
+    position += box.size;
+  }
+
+  return null;
+};
+
+/**
+ * Copy a stretch of a recording into a file of its own
+ * @param {string} uri - The recording
+ * @param {Object} track - Its track, from readRecordingTrack
+ * @param {number} startMs - Start of the stretch
+ * @param {number} endMs - End of the stretch
+ * @returns {Promise<Object|null>} - { uri, mimeType } of the new file, in
+ * the cache directory, or null if the recording doesn't reach that stretch
+ */
+export const cutRecordingSegment = async (uri, track, startMs, endMs) => {
+  const kept = [];
+  let ms = 0;
+  for (const sample of track.samples) {
+    if (ms >= endMs) break;
+    if (ms + sample.ms > startMs) kept.push(sample);
+    ms += sample.ms;
+  }
+  if (kept.length === 0) return null;
+
+  // A track's frames are stored in order, so the stretch is read in one go
+  const start = kept[0].offset;
+  const last = kept[kept.length - 1];
+  const bytes = await readBytes(uri, start, last.offset + last.length - start);
+  const clip = createAdtsClip(
+    track,
+    kept.map((sample) =>
+      bytes.subarray(
+        sample.offset - start,
+        sample.offset - start + sample.length
+      )
+    )
+  );
+
+  const segmentUri =
+    `${FileSystem.cacheDirectory}segment-${Date.now()}-${startMs}` +
+    CLIP_FORMATS.ADTS.extension;
+  await FileSystem.writeAsStringAsync(segmentUri, bytesToBase64(clip), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return { uri: segmentUri, mimeType: CLIP_FORMATS.ADTS.mimeType };
+};
+
+export default {
+  readRecordingTrack,
+  cutRecordingSegment,
+};
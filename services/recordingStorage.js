@@ -0,0 +1,186 @@
+/**
+ * Recording Storage Service
+ *
+ * Keeps the recordings dictated text was transcribed from, for audio blocks
+ * to play back. Recordings are copied into the app's documents and, when
+ * signed in, uploaded to the "recordings" bucket in Supabase Storage so
+ * they can be played on the user's other devices too. On the web there's
+ * no documents directory, so recordings are only kept once uploaded.
+ * Recordings no audio block uses any more are removed from both.
+ */
+
+import * as FileSystem from "expo-file-system";
+import { Platform } from "react-native";
+import {
+  getCurrentUser,
+  uploadRecording,
+  createRecordingUrl,
+  listRecordings,
+  removeRecordings,
+} from "./supabaseService";
+import { fetchSupabaseNotesOnly } from "./noteService";
+import { getPageBlocks } from "../utils/contentUtils";
+import { getBlockRecordings } from "../utils/recordingUtils";
+
+const RECORDINGS_DIRECTORY = `${FileSystem.documentDirectory}recordings/`;
+
+// Long enough to listen to a whole lecture without the link running out
+const SIGNED_URL_SECONDS = 6 * 60 * 60;
+
+// Recordings this recent are kept even if no page uses them, since the
+// page they went into may still be waiting to sync from another device
+const UNUSED_RECORDING_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// saveRecording starts file names with the time the recording was kept
+const isPastGrace = (fileName) =>
+  Date.now() - (parseInt(fileName, 10) || 0) > UNUSED_RECORDING_GRACE_MS;
+
+/**
+ * Keep a recording for playback
+ * A recording that can't be uploaded is still kept on this device, except
+ * on the web.
+ * @param {string} audioUri - URI of the recording
+ * @param {string} mimeType - Audio format
+ * @returns {Promise<Object>} - { success, recording, error }, where
+ * recording is { localUri, storagePath }; localUri is empty on the web and
+ * storagePath is empty if the recording wasn't uploaded
+ */
+export const saveRecording = async (audioUri, mimeType = "audio/m4a") => {
+  try {
+    const fileName = `${Date.now()}-${audioUri.split("/").pop()}`;
+
+    let localUri = "";
+    if (Platform.OS !== "web") {
+      await FileSystem.makeDirectoryAsync(RECORDINGS_DIRECTORY, {
+        intermediates: true,
+      });
+      localUri = `${RECORDINGS_DIRECTORY}${fileName}`;
+      await FileSystem.copyAsync({ from: audioUri, to: localUri });
+    }
+
+    let storagePath = "";
+    const user = await getCurrentUser().catch(() => null);
+    if (user) {
+      const { data, error } = await uploadRecording(
+        `${user.id}/${fileName}`,
+        localUri || audioUri,
+        mimeType
+      );
+      if (error) {
+        console.error("Error uploading recording:", error);
+      } else {
+        storagePath = data.path;
+      }
+    }
+
+    if (!localUri && !storagePath) {
+      return {
+        success: false,
+        error: "Recordings can only be kept on the web once they're uploaded",
+      };
+    }
+
+    return { success: true, recording: { localUri, storagePath } };
+  } catch (error) {
+    console.error("Error saving recording:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get a URL an audio block can play its recording from
+ * The copy on this device is used when there is one, so playback works
+ * offline; otherwise the uploaded copy is streamed.
+ * @param {Object} recording - { localUri, storagePath } from an audio block
+ * @returns {Promise<string|null>} - URL of the recording, or null if it
+ * can't be reached from this device
+ */
+export const getRecordingUrl = async ({ localUri, storagePath }) => {
+  try {
+    // Copies made on a phone can't be read from the web
+    if (localUri && Platform.OS !== "web") {
+      const audioInfo = await FileSystem.getInfoAsync(localUri);
+      if (audioInfo.exists) return localUri;
+    }
+
+    if (storagePath) {
+      const { data, error } = await createRecordingUrl(
+        storagePath,
+        SIGNED_URL_SECONDS
+      );
+      if (error) throw error;
+      return data.signedUrl;
+    }
+  } catch (error) {
+    console.error("Error getting recording URL:", error);
+  }
+  return null;
+};
+
+/**
+ * Delete the recordings that no audio block on the user's pages uses, on
+ * this device and in Supabase Storage
+ * Pages are read from Supabase with any queued edits on top, and nothing
+ * is deleted while offline, when the pages may be out of date.
+ * @param {string} userId - The signed-in user
+ * @returns {Promise<Object>} - { success, removed, error } with the number
+ * of recordings removed
+ */
+export const removeUnusedRecordings = async (userId) => {
+  try {
+    const result = await fetchSupabaseNotesOnly(userId);
+    if (!result.success || result.offline) {
+      return { success: false, error: "Pages couldn't be loaded" };
+    }
+
+    const used = result.notes.flatMap((page) =>
+      getBlockRecordings(getPageBlocks(page))
+    );
+    const usedUris = new Set(used.map((recording) => recording.localUri));
+    const usedPaths = new Set(used.map((recording) => recording.storagePath));
+
+    let removed = 0;
+    if (Platform.OS !== "web") {
+      const info = await FileSystem.getInfoAsync(RECORDINGS_DIRECTORY);
+      const names = info.exists
+        ? await FileSystem.readDirectoryAsync(RECORDINGS_DIRECTORY)
+        : [];
+      const unusedUris = names
+        .filter(isPastGrace)
+        .map((name) => `${RECORDINGS_DIRECTORY}${name}`)
+        .filter((uri) => !usedUris.has(uri));
+
+      await Promise.all(
+        unusedUris.map((uri) =>
+          FileSystem.deleteAsync(uri, { idempotent: true })
+        )
+      );
+      removed += unusedUris.length;
+    }
+
+    const { data: names, error: listError } = await listRecordings(userId);
+    if (listError) throw listError;
+
+    const unusedPaths = names
+      .filter(isPastGrace)
+      .map((name) => `${userId}/${name}`)
+      .filter((path) => !usedPaths.has(path));
+    if (unusedPaths.length > 0) {
+      const { error } = await removeRecordings(unusedPaths);
+      if (error) throw error;
+      removed += unusedPaths.length;
+    }
+
+    if (removed > 0) console.log(`Removed ${removed} unused recording(s)`);
+    return { success: true, removed };
+  } catch (error) {
+    console.error("Error removing unused recordings:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  saveRecording,
+  getRecordingUrl,
+  removeUnusedRecordings,
+};
@@ -0,0 +1,607 @@
+/**
+ * Search Index Service
+ *
+ * Keeps an in-memory inverted index of every page's title and blocks per
+ * user. Pages are indexed incrementally as they are saved, created, deleted
+ * or changed remotely, so a search only looks up the query terms instead of
+ * scanning every page. Queries can also carry phrases, exclusions and
+ * filters (see parseSearchQuery), which are checked against the page data
+ * kept alongside the terms.
+ */
+
+import {
+  tokenize,
+  stem,
+  editDistance,
+  getTypoTolerance,
+  normalizeText,
+  parseSearchQuery,
+  QUERY_FILTERS,
+} from "../utils/searchUtils";
+import { getPageBlocks } from "../utils/contentUtils";
+
+export const SEARCH_FIELDS = {
+  ALL: "all",
+  TITLE: "title",
+  CONTENT: "content",
+};
+
+// How much a match counts for depending on where it is
+const FIELD_WEIGHTS = { title: 10, heading: 4, body: 1 };
+
+// How much a match counts for depending on how the word matched
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+
+const MAX_PREFIX_TERMS = 50;
+const MAX_FUZZY_TERMS = 20;
+const SNIPPET_LENGTH = 140;
+const SNIPPET_CONTEXT = 40;
+
+// userId -> { docs, postings, vocabulary }
+const indexes = {};
+
+const getIndex = (userId) => {
+  if (!indexes[userId]) {
+    indexes[userId] = {
+      // pageId -> { stamp, revision, title, parentId, tags, updatedAt,
+      //   blocks, blockTypes, checkState, terms }
+      docs: new Map(),
+      // term -> Map(pageId -> { title, heading, body })
+      postings: new Map(),
+      // Sorted list of terms, rebuilt lazily after changes
+      vocabulary: null,
+    };
+  }
+  return indexes[userId];
+};
+
+// Changes whenever a page's searchable content may have changed
+const getPageStamp = (page) =>
+  `${page.revision || 0}:${page.updatedAt || 0}:${page.title || ""}:${
+    (page.contentJson || "").length
+  }:${page.parentId || ""}:${(page.tags || []).join(",")}`;
+
+// updatedAt is a number for local pages and an ISO string for synced ones
+const toTime = (value) => (value ? new Date(value).getTime() || 0 : 0);
+
+// Plain text of inline content, including link text
+const getInlineText = (content) => {
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((item) =>
+      item && item.type === "link"
+        ? getInlineText(item.content)
+        : (item && item.text) || ""
+    )
+    .join("");
+};
+
+// Flatten a page's block tree into searchable text blocks, noting which
+// block types and check list states the page contains
+const getSearchableBlocks = (blocks) => {
+  const result = [];
+  const blockTypes = new Set();
+  const checkState = { checked: false, unchecked: false };
+
+  const visit = (block) => {
+    if (!block) return;
+
+    blockTypes.add(block.type);
+    if (block.type === "checkListItem") {
+      if (block.props && block.props.checked) checkState.checked = true;
+      else checkState.unchecked = true;
+    }
+
+    let text;
+    if (block.type === "pageLink") {
+      text = (block.props && block.props.pageTitle) || "";
+    } else if (block.type === "table") {
+      const rows = (block.content && block.content.rows) || [];
+      text = rows
+        .map((row) =>
+          row.cells
+            .map((cell) =>
+              getInlineText(Array.isArray(cell) ? cell : cell && cell.content)
+            )
+            .join(" ")
+        )
+        .join("\n");
+    } else {
+      text = getInlineText(block.content);
+    }
+
+    if (text.trim()) {
+      result.push({
+        id: block.id,
+        type: block.type,
+        checked: !!(block.props && block.props.checked),
+        field: block.type === "heading" ? "heading" : "body",
+        text,
+      });
+    }
+
+    (block.children || []).forEach(visit);
+  };
+
+  (blocks || []).forEach(visit);
+  return { blocks: result, blockTypes, checkState };
+};
+
+const removeFromIndex = (index, pageId) => {
+  const doc = index.docs.get(pageId);
+  if (!doc) return;
+
+  doc.terms.forEach((term) => {
+    const posting = index.postings.get(term);
+    if (!posting) return;
+    posting.delete(pageId);
+    if (posting.size === 0) {
+      index.postings.delete(term);
+      index.vocabulary = null;
+    }
+  });
+
+  index.docs.delete(pageId);
+};
+
+const addToIndex = (index, page) => {
+  const { blocks, blockTypes, checkState } = getSearchableBlocks(
+    getPageBlocks(page)
+  );
+  const terms = new Set();
+
+  const addTerm = (word, field) => {
+    const term = stem(word);
+    terms.add(term);
+
+    let posting = index.postings.get(term);
+    if (!posting) {
+      posting = new Map();
+      index.postings.set(term, posting);
+      index.vocabulary = null;
+    }
+
+    let entry = posting.get(page.id);
+    if (!entry) {
+      entry = { title: 0, heading: 0, body: 0 };
+      posting.set(page.id, entry);
+    }
+
+    entry[field]++;
+  };
+
+  tokenize(page.title).forEach(({ word }) => addTerm(word, "title"));
+  blocks.forEach((block) =>
+    tokenize(block.text).forEach(({ word }) => addTerm(word, block.field))
+  );
+
+  index.docs.set(page.id, {
+    stamp: getPageStamp(page),
+    revision: page.revision || 0,
+    title: page.title || "",
+    parentId: page.parentId || null,
+    tags: (page.tags || []).map((tag) => normalizeText(tag)),
+    updatedAt: toTime(page.updatedAt),
+    blocks,
+    blockTypes,
+    checkState,
+    terms,
+  });
+};
+
+/**
+ * Add or refresh a page in the user's index
+ * @param {string} userId - Owner of the page
+ * @param {Object} page - Page object as returned by pageStorage
+ */
+export const indexPage = (userId, page) => {
+  if (!userId || !page || !page.id) return;
+
+  const index = getIndex(userId);
+  const existing = index.docs.get(page.id);
+  if (existing && existing.stamp === getPageStamp(page)) return;
+
+  // Don't let a late realtime echo replace a newer saved version
+  if (existing && existing.revision > (page.revision || 0)) return;
+
+  removeFromIndex(index, page.id);
+  addToIndex(index, page);
+};
+
+/**
+ * Remove pages from the user's index
+ * @param {string} userId - Owner of the pages
+ * @param {Array|string} pageIds - ID or IDs of removed pages
+ */
+export const removePagesFromIndex = (userId, pageIds) => {
+  if (!userId || !indexes[userId]) return;
+
+  const index = indexes[userId];
+  (Array.isArray(pageIds) ? pageIds : [pageIds]).forEach((pageId) =>
+    removeFromIndex(index, pageId)
+  );
+};
+
+/**
+ * Bring the index in line with a full list of pages
+ * Only pages that are new or changed since they were indexed are processed,
+ * yielding to the UI every so often so a large first build doesn't freeze it.
+ * @param {string} userId - Owner of the pages
+ * @param {Array} pages - Every page the user has
+ * @returns {Promise<void>}
+ */
+export const syncIndex = async (userId, pages) => {
+  if (!userId || !Array.isArray(pages)) return;
+
+  const index = getIndex(userId);
+  const pageIds = new Set(pages.map((page) => page.id));
+
+  [...index.docs.keys()].forEach((pageId) => {
+    if (!pageIds.has(pageId)) removeFromIndex(index, pageId);
+  });
+
+  let processed = 0;
+  for (const page of pages) {
+    const existing = index.docs.get(page.id);
+    if (existing && existing.stamp === getPageStamp(page)) continue;
+
+    removeFromIndex(index, page.id);
+    addToIndex(index, page);
+
+    processed++;
+    if (processed % 100 === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  if (processed > 0) {
+    console.log(`Search index updated with ${processed} page(s)`);
+  }
+};
+
+const getVocabulary = (index) => {
+  if (!index.vocabulary) {
+    index.vocabulary = [...index.postings.keys()].sort();
+  }
+  return index.vocabulary;
+};
+
+// Terms in the sorted vocabulary that start with a prefix
+const findPrefixTerms = (vocabulary, prefix) => {
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (vocabulary[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const terms = [];
+  for (
+    let i = low;
+    i < vocabulary.length &&
+    vocabulary[i].startsWith(prefix) &&
+    terms.length < MAX_PREFIX_TERMS;
+    i++
+  ) {
+    terms.push(vocabulary[i]);
+  }
+  return terms;
+};
+
+// Every indexed term a query word could refer to, with how well it matches
+const expandQueryWord = (index, word) => {
+  const candidates = new Map();
+  const exact = stem(word);
+
+  if (index.postings.has(exact)) {
+    candidates.set(exact, MATCH_WEIGHTS.exact);
+  }
+
+  if (word.length >= 2) {
+    const vocabulary = getVocabulary(index);
+    new Set([
+      ...findPrefixTerms(vocabulary, word),
+      ...findPrefixTerms(vocabulary, exact),
+    ]).forEach((term) => {
+      if (!candidates.has(term)) candidates.set(term, MATCH_WEIGHTS.prefix);
+    });
+  }
+
+  const tolerance = getTypoTolerance(exact);
+  if (tolerance > 0) {
+    let fuzzyCount = 0;
+    for (const term of getVocabulary(index)) {
+      if (fuzzyCount >= MAX_FUZZY_TERMS) break;
+      if (candidates.has(term) || term[0] !== exact[0]) continue;
+      if (editDistance(exact, term, tolerance) <= tolerance) {
+        candidates.set(term, MATCH_WEIGHTS.fuzzy);
+        fuzzyCount++;
+      }
+    }
+  }
+
+  return candidates;
+};
+
+// Ranges of words in text whose stems are among the matched terms
+const findHighlights = (text, matchedTerms) =>
+  tokenize(text)
+    .filter(({ word }) => matchedTerms.has(stem(word)))
+    .map(({ start, end }) => [start, end]);
+
+// Cut a window of text around the first match
+const buildSnippet = (block, matchedTerms) => {
+  const highlights = findHighlights(block.text, matchedTerms);
+  let start = 0;
+
+  if (highlights.length > 0 && highlights[0][0] > SNIPPET_CONTEXT) {
+    start = block.text.lastIndexOf(" ", highlights[0][0] - SNIPPET_CONTEXT) + 1;
+  }
+
+  const end = Math.min(block.text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < block.text.length ? "…" : "";
+  const text = `${prefix}${block.text.slice(start, end)}${suffix}`;
+
+  return {
+    blockId: block.id,
+    blockType: block.type,
+    text,
+    highlights: findHighlights(text, matchedTerms),
+  };
+};
+
+// Score pages against the query words; only pages matching every word are kept
+const scoreQueryWords = (index, words, fieldWeights) => {
+  const docCount = Math.max(index.docs.size, 1);
+
+  // pageId -> { score, terms }
+  let scores = null;
+
+  for (const word of words) {
+    const wordScores = new Map();
+
+    expandQueryWord(index, word).forEach((matchWeight, term) => {
+      const posting = index.postings.get(term);
+      const idf = Math.log(1 + docCount / posting.size);
+
+      posting.forEach((entry, pageId) => {
+        const fieldScore = ["title", "heading", "body"].reduce(
+          (sum, key) =>
+            entry[key] > 0
+              ? sum + fieldWeights[key] * (1 + Math.log(entry[key]))
+              : sum,
+          0
+        );
+        if (fieldScore === 0) return;
+
+        const score = fieldScore * idf * matchWeight;
+        const current = wordScores.get(pageId);
+        if (!current) {
+          wordScores.set(pageId, { score, terms: [term] });
+        } else {
+          current.score = Math.max(current.score, score);
+          current.terms.push(term);
+        }
+      });
+    });
+
+    // Keep only pages that matched every word so far
+    const nextScores = new Map();
+    wordScores.forEach((wordScore, pageId) => {
+      const previous = scores ? scores.get(pageId) : { score: 0, terms: [] };
+      if (!previous) return;
+      nextScores.set(pageId, {
+        score: previous.score + wordScore.score,
+        terms: [...previous.terms, ...wordScore.terms],
+      });
+    });
+    scores = nextScores;
+
+    if (scores.size === 0) break;
+  }
+
+  return scores;
+};
+
+// Whether a page is somewhere below a page with this (normalised) title
+const isInsidePage = (index, doc, title) => {
+  const visited = new Set();
+  let parentId = doc.parentId;
+
+  while (parentId && !visited.has(parentId)) {
+    visited.add(parentId);
+    const parent = index.docs.get(parentId);
+    if (!parent) return false;
+    if (normalizeText(parent.title).trim() === title) return true;
+    parentId = parent.parentId;
+  }
+
+  return false;
+};
+
+const matchesFilter = (index, pageId, doc, filter, parentIds) => {
+  switch (filter.key) {
+    case QUERY_FILTERS.TAG:
+      return doc.tags.includes(filter.value);
+    case QUERY_FILTERS.IN:
+      return isInsidePage(index, doc, filter.value);
+    case QUERY_FILTERS.TYPE:
+      return doc.blockTypes.has(filter.value);
+    case QUERY_FILTERS.UPDATED:
+      return (
+        (filter.from === null || doc.updatedAt >= filter.from) &&
+        (filter.to === null || doc.updatedAt < filter.to)
+      );
+    case QUERY_FILTERS.HAS:
+      if (filter.value === "tags") return doc.tags.length > 0;
+      if (filter.value === "subpages") return parentIds.has(pageId);
+      return doc.checkState[filter.value];
+    default:
+      return true;
+  }
+};
+
+// Words of a text joined by single spaces, for finding phrases
+const getPhraseText = (text) =>
+  ` ${tokenize(text)
+    .map(({ word }) => word)
+    .join(" ")} `;
+
+// Whether a filtered-for block type or check state applies to a block
+const isPreferredBlock = (block, filters) =>
+  filters.some(
+    (filter) =>
+      !filter.negated &&
+      ((filter.key === QUERY_FILTERS.TYPE && block.type === filter.value) ||
+        (filter.key === QUERY_FILTERS.HAS &&
+          block.type === "checkListItem" &&
+          ((filter.value === "checked" && block.checked) ||
+            (filter.value === "unchecked" && !block.checked))))
+  );
+
+/**
+ * Search the user's pages
+ * Every query word has to match (exactly, as a prefix, or with a typo) in
+ * the title or content. Title matches rank above heading matches, which
+ * rank above body matches. Phrases must appear word for word, excluded
+ * words and phrases must not appear, and every filter must hold. A query
+ * with only filters lists the matching pages, most recently updated first.
+ * @param {string} userId - Owner of the pages
+ * @param {string|Object} query - Search text, or the result of
+ * parseSearchQuery
+ * @param {Object} options - Search options
+ * @param {string} options.field - One of SEARCH_FIELDS
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Array} - Array of { pageId, score, titleHighlights, snippet }
+ */
+export const searchPages = (
+  userId,
+  query,
+  { field = SEARCH_FIELDS.ALL, limit = 50 } = {}
+) => {
+  const index = indexes[userId];
+  const parsed = typeof query === "string" ? parseSearchQuery(query) : query;
+  if (!index) return [];
+
+  // Phrase words have to match like any other word; their order is checked
+  // once the candidates are known
+  const words = [
+    ...new Set([
+      ...parsed.words,
+      ...parsed.phrases.flatMap((phrase) => phrase.split(" ")),
+    ]),
+  ];
+  if (words.length === 0 && parsed.filters.length === 0) return [];
+
+  const fieldWeights = {
+    title: field === SEARCH_FIELDS.CONTENT ? 0 : FIELD_WEIGHTS.title,
+    heading: field === SEARCH_FIELDS.TITLE ? 0 : FIELD_WEIGHTS.heading,
+    body: field === SEARCH_FIELDS.TITLE ? 0 : FIELD_WEIGHTS.body,
+  };
+
+  const scores =
+    words.length > 0
+      ? scoreQueryWords(index, words, fieldWeights)
+      : new Map(
+          [...index.docs.keys()].map((pageId) => [
+            pageId,
+            { score: 0, terms: [] },
+          ])
+        );
+
+  const excludedTerms = parsed.excludedWords.map((word) => stem(word));
+  const parentIds = new Set(
+    [...index.docs.values()].map((doc) => doc.parentId).filter(Boolean)
+  );
+
+  const matches = [];
+  scores.forEach(({ score, terms }, pageId) => {
+    const doc = index.docs.get(pageId);
+
+    if (excludedTerms.some((term) => doc.terms.has(term))) return;
+    if (
+      !parsed.filters.every(
+        (filter) =>
+          matchesFilter(index, pageId, doc, filter, parentIds) !==
+          filter.negated
+      )
+    ) {
+      return;
+    }
+
+    if (parsed.phrases.length > 0 || parsed.excludedPhrases.length > 0) {
+      const titleText = getPhraseText(doc.title);
+      const blockTexts = doc.blocks.map((block) => getPhraseText(block.text));
+      const fieldTexts = [
+        ...(field !== SEARCH_FIELDS.CONTENT ? [titleText] : []),
+        ...(field !== SEARCH_FIELDS.TITLE ? blockTexts : []),
+      ];
+      const contains = (texts, phrase) =>
+        texts.some((text) => text.includes(` ${phrase} `));
+
+      if (!parsed.phrases.every((phrase) => contains(fieldTexts, phrase))) {
+        return;
+      }
+      if (
+        parsed.excludedPhrases.some((phrase) =>
+          contains([titleText, ...blockTexts], phrase)
+        )
+      ) {
+        return;
+      }
+    }
+
+    matches.push({ pageId, score, matchedTerms: new Set(terms), doc });
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score || b.doc.updatedAt - a.doc.updatedAt)
+    .slice(0, limit)
+    .map(({ pageId, score, matchedTerms, doc }) => {
+      // Prefer the block that matches the most query terms, headings and
+      // blocks the filters ask for first
+      let bestBlock = null;
+      let bestHits = 0;
+      if (field !== SEARCH_FIELDS.TITLE) {
+        doc.blocks.forEach((block) => {
+          const hits = findHighlights(block.text, matchedTerms).length;
+          const weighted =
+            hits +
+            (block.field === "heading" ? 0.5 : 0) +
+            (isPreferredBlock(block, parsed.filters) ? 1 : 0);
+          if (hits > 0 && weighted > bestHits) {
+            bestBlock = block;
+            bestHits = weighted;
+          }
+        });
+      }
+
+      const preferredBlock = doc.blocks.find((block) =>
+        isPreferredBlock(block, parsed.filters)
+      );
+      const firstBlock = doc.blocks.find((block) => block.field === "body");
+
+      return {
+        pageId,
+        score,
+        titleHighlights: findHighlights(doc.title, matchedTerms),
+        snippet: bestBlock
+          ? buildSnippet(bestBlock, matchedTerms)
+          : preferredBlock
+            ? buildSnippet(preferredBlock, new Set())
+            : firstBlock
+              ? { ...buildSnippet(firstBlock, new Set()), blockId: null }
+              : null,
+      };
+    });
+};
+
+export default {
+  SEARCH_FIELDS,
+  indexPage,
+  removePagesFromIndex,
+  syncIndex,
+  searchPages,
+};
@@ -1,6 +1,7 @@
 import { createClient } from "@supabase/supabase-js";
 import * as SecureStore from "expo-secure-store";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as FileSystem from "expo-file-system";
 import { Platform, Linking } from "react-native";
 import * as WebBrowser from "expo-web-browser";
 
@@ -242,10 +243,93 @@ export const deleteNote = async (noteId) => {
   return { error };
 };
 
+// Storage functions for recordings
+const RECORDINGS_BUCKET = "recordings";
+
+export const uploadRecording = async (path, localUri, mimeType) => {
+  try {
+    const session = await getSession();
+    if (!session) {
+      return { data: null, error: new Error("Not signed in") };
+    }
+
+    // The web has no file system to upload from; recordings there are
+    // blob URLs
+    if (Platform.OS === "web") {
+      const blob = await (await fetch(localUri)).blob();
+      const { error } = await supabase.storage
+        .from(RECORDINGS_BUCKET)
+        .upload(path, blob, { contentType: blob.type || mimeType });
+      return error ? { data: null, error } : { data: { path }, error: null };
+    }
+
+    // Sent straight from the file, since a lecture can run to tens of
+    // megabytes
+    const response = await FileSystem.uploadAsync(
+      `${supabaseUrl}/storage/v1/object/${RECORDINGS_BUCKET}/${path}`,
+      localUri,
+      {
+        httpMethod: "POST",
+        uploadType: FileSystem.FileSystemUploadType.BINARY_CONTENT,
+        headers: {
+          Authorization: `Bearer ${session.access_token}`,
+          apikey: supabaseAnonKey,
+          "Content-Type": mimeType,
+        },
+      }
+    );
+
+    if (response.status >= 400) {
+      return {
+        data: null,
+        error: new Error(`Upload failed with status ${response.status}`),
+      };
+    }
+    return { data: { path }, error: null };
+  } catch (err) {
+    return { data: null, error: err };
+  }
+};
+
+export const createRecordingUrl = async (path, expiresIn) => {
+  const { data, error } = await supabase.storage
+    .from(RECORDINGS_BUCKET)
+    .createSignedUrl(path, expiresIn);
+
+  return { data, error };
+};
+
+// Names of the recordings in a folder, a page of the listing at a time
+const RECORDINGS_PAGE_SIZE = 100;
+
+export const listRecordings = async (folder) => {
+  const names = [];
+
+  for (let offset = 0; ; offset += RECORDINGS_PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(RECORDINGS_BUCKET)
+      .list(folder, { limit: RECORDINGS_PAGE_SIZE, offset });
+    if (error) return { data: null, error };
+
+    names.push(...data.map((file) => file.name));
+    if (data.length < RECORDINGS_PAGE_SIZE) break;
+  }
+
+  return { data: names, error: null };
+};
+
+export const removeRecordings = async (paths) => {
+  const { data, error } = await supabase.storage
+    .from(RECORDINGS_BUCKET)
+    .remove(paths);
+
+  return { data, error };
+};
+
 // Subscribe to realtime changes
 export const subscribeToNotes = (userId, callback) => {
   const subscription = supabase
-    .channel("notes_channel")
+    .channel(`notes_channel_${userId}`)
     .on(
       "postgres_changes",
       {
@@ -0,0 +1,428 @@
+/**
+ * Sync Queue Service
+ *
+ * Local write-ahead queue for note changes made while Supabase is unreachable.
+ * Every create/update/delete that cannot reach the server is appended here and
+ * replayed in order by syncPendingNotesWithSupabase once we are back online.
+ * A snapshot of the last fetched notes is kept alongside so pages can still be
+ * listed and opened offline.
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const SYNC_QUEUE_KEY_PREFIX = "sayNote_sync_queue_";
+const NOTES_SNAPSHOT_KEY_PREFIX = "sayNote_notes_snapshot_";
+const LAST_SYNC_KEY_PREFIX = "sayNote_last_sync_";
+
+// Operations that keep failing for non-network reasons are marked failed after
+// this and wait for the user to retry or discard them
+export const MAX_SYNC_ATTEMPTS = 5;
+
+export const SYNC_OPERATION_TYPES = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+};
+
+// Serialize read-modify-write cycles on the queue so concurrent saves
+// cannot overwrite each other's entries
+let queueLock = Promise.resolve();
+
+const withQueueLock = (task) => {
+  const run = queueLock.then(task, task);
+  queueLock = run.catch(() => {});
+  return run;
+};
+
+// Operation currently being replayed; never merge new changes into it
+let inFlightOperationId = null;
+
+const getQueueKey = (userId) => `${SYNC_QUEUE_KEY_PREFIX}${userId}`;
+const getSnapshotKey = (userId) => `${NOTES_SNAPSHOT_KEY_PREFIX}${userId}`;
+const getLastSyncKey = (userId) => `${LAST_SYNC_KEY_PREFIX}${userId}`;
+
+const generateOperationId = () =>
+  "op_" +
+  Date.now().toString(36) +
+  Math.random().toString(36).substring(2, 10);
+
+const readQueue = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(getQueueKey(userId));
+    const queue = stored ? JSON.parse(stored) : [];
+    return Array.isArray(queue) ? queue : [];
+  } catch (error) {
+    console.error("Error reading sync queue:", error);
+    return [];
+  }
+};
+
+const writeQueue = async (userId, queue) => {
+  if (queue.length > 0) {
+    await AsyncStorage.setItem(getQueueKey(userId), JSON.stringify(queue));
+  } else {
+    await AsyncStorage.removeItem(getQueueKey(userId));
+  }
+};
+
+/**
+ * Check whether an error means the server could not be reached at all
+ * (as opposed to the server rejecting the request)
+ * @param {Object|Error} error - Error thrown by fetch or returned by supabase-js
+ * @returns {boolean} - Whether the error is a connectivity problem
+ */
+export const isNetworkError = (error) => {
+  if (!error) return false;
+
+  const message = `${error.message || ""} ${error.details || ""}`;
+  return /network request failed|failed to fetch|fetch failed|network ?error|timed? ?out|offline|ENOTFOUND|ECONNREFUSED/i.test(
+    message
+  );
+};
+
+/**
+ * Append an operation to the user's sync queue
+ * Consecutive updates to the same note are merged into one entry.
+ * @param {string} userId - Owner of the queue
+ * @param {Object} operation - { type, noteId, note?, updates?, hardDelete? }
+ * @returns {Promise<Object>} - The stored queue entry
+ */
+export const enqueueOperation = (userId, operation) =>
+  withQueueLock(async () => {
+    const queue = await readQueue(userId);
+    const last = queue[queue.length - 1];
+
+    if (
+      operation.type === SYNC_OPERATION_TYPES.UPDATE &&
+      last &&
+      last.noteId === operation.noteId &&
+      last.id !== inFlightOperationId &&
+      !last.failed &&
+      (last.type === SYNC_OPERATION_TYPES.UPDATE ||
+        last.type === SYNC_OPERATION_TYPES.CREATE)
+    ) {
+      // Fold the update into the pending entry instead of growing the queue
+      if (last.type === SYNC_OPERATION_TYPES.CREATE) {
+        last.note = { ...last.note, ...operation.updates };
+      } else {
+        last.updates = { ...last.updates, ...operation.updates };
+      }
+      last.queuedAt = new Date().toISOString();
+      await writeQueue(userId, queue);
+      console.log(`Merged queued update for note ${operation.noteId}`);
+      return last;
+    }
+
+    const entry = {
+      id: generateOperationId(),
+      ...operation,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null,
+    };
+
+    queue.push(entry);
+    await writeQueue(userId, queue);
+    console.log(
+      `Queued ${entry.type} for note ${entry.noteId} (${queue.length} pending)`
+    );
+    return entry;
+  });
+
+/**
+ * Move a note's queued updates onto the state an earlier change just left it
+ * in, so they are merged against that rather than the revision they were
+ * queued at, which already includes the earlier change
+ * @param {string} userId - Owner of the queue
+ * @param {string} noteId - Note whose updates to rebase
+ * @param {Object} base - { revision, title, icon, content } of the note
+ */
+export const rebaseOperations = (userId, noteId, base) =>
+  withQueueLock(async () => {
+    const queue = await readQueue(userId);
+    const updates = queue.filter(
+      (entry) =>
+        entry.noteId === noteId && entry.type === SYNC_OPERATION_TYPES.UPDATE
+    );
+    if (updates.length === 0) return;
+
+    updates.forEach((entry) => {
+      entry.baseRevision = base.revision;
+      entry.baseSnapshot = base;
+    });
+    await writeQueue(userId, queue);
+  });
+
+/**
+ * Get all pending operations in replay order
+ * @param {string} userId - Owner of the queue
+ * @returns {Promise<Array>} - Pending operations
+ */
+export const getPendingOperations = (userId) =>
+  withQueueLock(() => readQueue(userId));
+
+/**
+ * Check whether the user has any changes waiting to be synced
+ * @param {string} userId - Owner of the queue
+ * @returns {Promise<boolean>}
+ */
+export const hasPendingOperations = async (userId) => {
+  if (!userId) return false;
+  const queue = await getPendingOperations(userId);
+  return queue.length > 0;
+};
+
+/**
+ * Mark an operation as being replayed so it is no longer merged into
+ * @param {string|null} operationId - Operation ID or null when done
+ */
+export const setInFlightOperation = (operationId) => {
+  inFlightOperationId = operationId;
+};
+
+/**
+ * Remove a replayed operation from the queue
+ * @param {string} userId - Owner of the queue
+ * @param {string} operationId - ID of the operation to remove
+ */
+export const removeOperation = (userId, operationId) =>
+  withQueueLock(async () => {
+    const queue = await readQueue(userId);
+    await writeQueue(
+      userId,
+      queue.filter((entry) => entry.id !== operationId)
+    );
+  });
+
+/**
+ * Record a failed replay attempt for an operation
+ * After MAX_SYNC_ATTEMPTS the entry is marked failed and kept in the queue;
+ * sync skips it until the user retries or discards it.
+ * @param {string} userId - Owner of the queue
+ * @param {string} operationId - ID of the operation that failed
+ * @param {string} errorMessage - Reason for the failure
+ * @returns {Promise<Object|null>} - The updated entry, or null if not queued
+ */
+export const recordOperationFailure = (userId, operationId, errorMessage) =>
+  withQueueLock(async () => {
+    const queue = await readQueue(userId);
+    const entry = queue.find((item) => item.id === operationId);
+    if (!entry) return null;
+
+    entry.attempts += 1;
+    entry.lastError = errorMessage;
+
+    if (entry.attempts >= MAX_SYNC_ATTEMPTS && !entry.failed) {
+      console.warn(
+        `Giving up on ${entry.type} for note ${entry.noteId} after ${entry.attempts} failed attempts`
+      );
+      entry.failed = true;
+    }
+
+    await writeQueue(userId, queue);
+    return entry;
+  });
+
+/**
+ * Get the operations that gave up syncing and need the user to decide
+ * @param {string} userId - Owner of the queue
+ * @returns {Promise<Array>} - Failed operations in replay order
+ */
+export const getFailedOperations = async (userId) => {
+  const queue = await getPendingOperations(userId);
+  return queue.filter((entry) => entry.failed);
+};
+
+/**
+ * Put a failed operation back in line for the next sync
+ * @param {string} userId - Owner of the queue
+ * @param {string} operationId - ID of the failed operation
+ * @returns {Promise<Object|null>} - The updated entry, or null if not queued
+ */
+export const retryOperation = (userId, operationId) =>
+  withQueueLock(async () => {
+    const queue = await readQueue(userId);
+    const entry = queue.find((item) => item.id === operationId);
+    if (!entry) return null;
+
+    entry.failed = false;
+    entry.attempts = 0;
+    await writeQueue(userId, queue);
+    return entry;
+  });
+
+/**
+ * Throw away a queued change the user no longer wants synced
+ * @param {string} userId - Owner of the queue
+ * @param {string} operationId - ID of the operation to discard
+ */
+export const discardOperation = async (userId, operationId) => {
+  console.log(`Discarding queued operation ${operationId}`);
+  await removeOperation(userId, operationId);
+};
+
+/**
+ * Drop every queued update to a note, e.g. once a replay conflict has been
+ * resolved and the resolved page replaces them
+ * @param {string} userId - Owner of the queue
+ * @param {string} noteId - Note whose queued updates to drop
+ */
+export const discardNoteUpdates = (userId, noteId) =>
+  withQueueLock(async () => {
+    const queue = await readQueue(userId);
+    await writeQueue(
+      userId,
+      queue.filter(
+        (entry) =>
+          entry.noteId !== noteId ||
+          entry.type !== SYNC_OPERATION_TYPES.UPDATE ||
+          entry.id === inFlightOperationId
+      )
+    );
+  });
+
+/**
+ * Apply pending operations on top of a list of notes so the UI reflects
+ * changes that have not reached the server yet
+ * @param {Array} notes - Notes in local format
+ * @param {Array} operations - Pending operations in replay order
+ * @returns {Array} - Notes with pending changes applied
+ */
+export const applyPendingOperations = (notes, operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return notes;
+  }
+
+  const notesById = new Map(notes.map((note) => [note.id, note]));
+
+  operations.forEach((operation) => {
+    switch (operation.type) {
+      case SYNC_OPERATION_TYPES.CREATE:
+        notesById.set(operation.noteId, {
+          ...operation.note,
+          contentJson: JSON.stringify(operation.note.content || []),
+        });
+        break;
+
+      case SYNC_OPERATION_TYPES.UPDATE: {
+        const existing = notesById.get(operation.noteId);
+        if (!existing) break;
+
+        const updated = { ...existing, ...operation.updates };
+        if (operation.updates.content) {
+          updated.contentJson = JSON.stringify(operation.updates.content);
+        }
+        notesById.set(operation.noteId, updated);
+        break;
+      }
+
+      case SYNC_OPERATION_TYPES.DELETE:
+        notesById.delete(operation.noteId);
+        break;
+
+      default:
+        console.warn("Unknown sync operation type:", operation.type);
+    }
+  });
+
+  return Array.from(notesById.values());
+};
+
+/**
+ * Store the last list of notes fetched from Supabase
+ * @param {string} userId - Owner of the notes
+ * @param {Array} notes - Notes in local format
+ */
+export const saveNotesSnapshot = async (userId, notes) => {
+  try {
+    await AsyncStorage.setItem(getSnapshotKey(userId), JSON.stringify(notes));
+  } catch (error) {
+    console.error("Error saving notes snapshot:", error);
+  }
+};
+
+/**
+ * Replace one note in the stored snapshot with its latest server state
+ * Keeps the snapshot usable as the base of a merge after our own saves.
+ * @param {string} userId - Owner of the notes
+ * @param {Object} note - Note in local format, as saved to Supabase
+ */
+export const updateNotesSnapshot = (userId, note) =>
+  withQueueLock(async () => {
+    try {
+      const stored = await AsyncStorage.getItem(getSnapshotKey(userId));
+      const notes = stored ? JSON.parse(stored) : [];
+      await AsyncStorage.setItem(
+        getSnapshotKey(userId),
+        JSON.stringify([...notes.filter((entry) => entry.id !== note.id), note])
+      );
+    } catch (error) {
+      console.error("Error updating notes snapshot:", error);
+    }
+  });
+
+/**
+ * Load the last list of notes fetched from Supabase
+ * @param {string} userId - Owner of the notes
+ * @returns {Promise<Array>} - Notes in local format, empty if none stored
+ */
+export const loadNotesSnapshot = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(getSnapshotKey(userId));
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error("Error loading notes snapshot:", error);
+    return [];
+  }
+};
+
+/**
+ * Store the time of the last successful sync
+ * @param {string} userId - Owner of the queue
+ * @param {Date} date - Time of the sync
+ */
+export const setLastSyncTime = async (userId, date = new Date()) => {
+  try {
+    await AsyncStorage.setItem(getLastSyncKey(userId), date.toISOString());
+  } catch (error) {
+    console.error("Error saving last sync time:", error);
+  }
+};
+
+/**
+ * Get the time of the last successful sync
+ * @param {string} userId - Owner of the queue
+ * @returns {Promise<Date|null>}
+ */
+export const getLastSyncTime = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(getLastSyncKey(userId));
+    return stored ? new Date(stored) : null;
+  } catch (error) {
+    console.error("Error loading last sync time:", error);
+    return null;
+  }
+};
+
+export default {
+  SYNC_OPERATION_TYPES,
+  MAX_SYNC_ATTEMPTS,
+  isNetworkError,
+  enqueueOperation,
+  rebaseOperations,
+  getPendingOperations,
+  hasPendingOperations,
+  setInFlightOperation,
+  removeOperation,
+  recordOperationFailure,
+  getFailedOperations,
+  retryOperation,
+  discardOperation,
+  discardNoteUpdates,
+  applyPendingOperations,
+  saveNotesSnapshot,
+  updateNotesSnapshot,
+  loadNotesSnapshot,
+  setLastSyncTime,
+  getLastSyncTime,
+};
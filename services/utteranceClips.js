@@ -0,0 +1,125 @@
+/**
+ * Utterance Clips Service
+ *
+ * Cuts the utterances heard while listening hands-free out of the one
+ * recording that runs the whole time, into files of their own that can be
+ * transcribed. See utils/audioClips for the formats that allows.
+ */
+
+import * as FileSystem from "expo-file-system";
+import {
+  CLIP_FORMATS,
+  base64ToBytes,
+  bytesToBase64,
+  readAdtsFrames,
+  readWavFormat,
+  getWavRange,
+  createWavHeader,
+} from "../utils/audioClips";
+
+// Enough of the start of a WAV recording to reach its data chunk; iOS
+// pads the header out to 4 KB
+const WAV_HEADER_READ_BYTES = 8192;
+
+const readBytes = async (uri, position, length) =>
+  base64ToBytes(
+    await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position,
+      length,
+    })
+  );
+
+const getFileSize = async (uri) => {
+  const info = await FileSystem.getInfoAsync(uri, { size: true });
+  return info.exists ? info.size : 0;
+};
+
+const writeClip = async (bytes, clipFormat) => {
+  const uri =
+    `${FileSystem.cacheDirectory}utterance-${Date.now()}` +
+    clipFormat.extension;
+  await FileSystem.writeAsStringAsync(uri, bytesToBase64(bytes), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return uri;
+};
+
+/**
+ * Start cutting clips out of a recording that's still being written
+ * Clips are cut in order, and each starts where the one before it ended at
+ * the earliest, so no speech is sent twice.
+ * @param {string} uri - The recording
+ * @param {Object} clipFormat - Its format, one of CLIP_FORMATS
+ * @returns {Object} - { cut(startMs, endMs) } resolving to the URI of the
+ * clip, or null when the recording doesn't hold any of that stretch
+ */
+export const createClipCutter = (uri, clipFormat) => {
+  // Where the last clip ended, in the recording and in the file
+  let cursor = { ms: 0, offset: 0 };
+  let wavFormat = null;
+
+  const cutAdts = async (startMs, endMs) => {
+    const size = await getFileSize(uri);
+    if (size <= cursor.offset) return null;
+
+    const bytes = await readBytes(uri, cursor.offset, size - cursor.offset);
+    const kept = [];
+    let ms = cursor.ms;
+    let offset = 0;
+
+    for (const frame of readAdtsFrames(bytes)) {
+      if (ms >= endMs) break;
+      if (ms + frame.ms > startMs) kept.push(frame);
+      ms += frame.ms;
+      offset = frame.offset + frame.length;
+    }
+
+    cursor = { ms, offset: cursor.offset + offset };
+    if (kept.length === 0) return null;
+
+    const last = kept[kept.length - 1];
+    return writeClip(
+      bytes.subarray(kept[0].offset, last.offset + last.length),
+      CLIP_FORMATS.ADTS
+    );
+  };
+
+  const cutWav = async (startMs, endMs) => {
+    const size = await getFileSize(uri);
+    if (!wavFormat) {
+      wavFormat = readWavFormat(
+        await readBytes(uri, 0, Math.min(size, WAV_HEADER_READ_BYTES))
+      );
+      if (!wavFormat) throw new Error("The recording isn't a PCM WAV file");
+    }
+
+    const frameBytes = (wavFormat.channels * wavFormat.bitsPerSample) / 8;
+    const range = getWavRange(
+      wavFormat,
+      Math.max(startMs, cursor.ms),
+      endMs
+    );
+    // Only whole samples that have been written so far
+    const written = size - ((size - wavFormat.dataOffset) % frameBytes);
+    const end = Math.min(range.end, written);
+    if (end <= range.start) return null;
+
+    const samples = await readBytes(uri, range.start, end - range.start);
+    cursor = { ms: endMs, offset: end };
+
+    const header = createWavHeader(wavFormat, samples.length);
+    const clip = new Uint8Array(header.length + samples.length);
+    clip.set(header);
+    clip.set(samples, header.length);
+    return writeClip(clip, CLIP_FORMATS.WAV);
+  };
+
+  return {
+    cut: clipFormat === CLIP_FORMATS.WAV ? cutWav : cutAdts,
+  };
+};
+
+export default {
+  createClipCutter,
+};
@@ -0,0 +1,66 @@
+/**
+ * Voice Settings Service
+ *
+ * How recorded voice input is handled once it's understood. Settings live
+ * on the device in AsyncStorage.
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { AUTO_LANGUAGE } from "../utils/languageUtils";
+
+const VOICE_SETTINGS_KEY = "sayNote_voice_settings";
+
+export const DEFAULT_VOICE_SETTINGS = {
+  // Show transcripts and the changes they would make before applying them
+  reviewResults: false,
+  // Keep dictation recordings in audio blocks above their transcripts
+  keepRecordings: true,
+  // Language recordings are spoken in, a code from LANGUAGES, or
+  // AUTO_LANGUAGE to detect it from each recording
+  language: AUTO_LANGUAGE,
+};
+
+let cachedSettings = null;
+
+/**
+ * Load voice settings from storage
+ * @returns {Promise<Object>} - Voice settings
+ */
+export const loadVoiceSettings = async () => {
+  if (cachedSettings) return cachedSettings;
+
+  try {
+    const stored = await AsyncStorage.getItem(VOICE_SETTINGS_KEY);
+    cachedSettings = {
+      ...DEFAULT_VOICE_SETTINGS,
+      ...(stored ? JSON.parse(stored) : {}),
+    };
+  } catch (error) {
+    console.error("Error loading voice settings:", error);
+    return { ...DEFAULT_VOICE_SETTINGS };
+  }
+  return cachedSettings;
+};
+
+/**
+ * Save voice settings
+ * @param {Object} settings - Settings to change; others keep their values
+ * @returns {Promise<Object>} - { success, settings, error }
+ */
+export const saveVoiceSettings = async (settings) => {
+  try {
+    const merged = { ...(await loadVoiceSettings()), ...settings };
+    await AsyncStorage.setItem(VOICE_SETTINGS_KEY, JSON.stringify(merged));
+    cachedSettings = merged;
+    return { success: true, settings: merged };
+  } catch (error) {
+    console.error("Error saving voice settings:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  DEFAULT_VOICE_SETTINGS,
+  loadVoiceSettings,
+  saveVoiceSettings,
+};
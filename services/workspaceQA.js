@@ -0,0 +1,518 @@
+/**
+ * Workspace Q&A Service
+ *
+ * Answers questions from everything in the user's workspace rather than just
+ * the open page. Every page's text is split into chunks, each chunk is
+ * embedded and the embeddings are stored on the device. A question is
+ * embedded the same way, the closest chunks are handed to the answering
+ * model, and the answer comes back as BlockNote blocks that end with
+ * pageLink citations to the pages it was drawn from.
+ *
+ * Embedding and answering go through a swappable backend (the configured
+ * AI provider by default) so a deterministic local stand-in can be used
+ * instead.
+ */
+
+import * as FileSystem from "expo-file-system";
+import geminiService from "./geminiService";
+import { getEmbeddingModelId } from "./aiProvider";
+import { loadAISettings } from "./aiSettings";
+import { extractAllText } from "../utils/blockOperations";
+import { getPageBlocks } from "../utils/contentUtils";
+import { getStems, embedByHashing } from "../utils/embeddingUtils";
+
+const STORE_VERSION = 1;
+const STORE_DIRECTORY = `${FileSystem.documentDirectory}saynote-embeddings/`;
+
+// Roughly a few paragraphs per chunk
+const MAX_CHUNK_LENGTH = 1000;
+const DEFAULT_TOP_K = 6;
+
+// "My notes" in English, French, Spanish and Arabic
+const WORKSPACE_QUESTION = [
+  /\b(?:my|all (?:of )?my|across my|in my) (?:notes|pages|workspace)\b/i,
+  /\b(?:mes|toutes mes|dans mes) (?:notes|pages)\b/i,
+  /\b(?:mis|todas mis|en mis) (?:notas|páginas)/i,
+  /(?:ملاحظاتي|صفحاتي)/,
+];
+
+/**
+ * Default backend: the AI provider and embedding model chosen in settings
+ * A backend has an id (stored with the embeddings, so switching backends
+ * or embedding models re-embeds everything), embed(texts, { taskType })
+ * returning { success, embeddings, error } and answer(question, sources)
+ * returning { success, paragraphs, citations, error }. It may also have
+ * ready(), awaited before the id is read.
+ */
+export const providerQABackend = {
+  get id() {
+    return getEmbeddingModelId();
+  },
+  ready: loadAISettings,
+  embed: (texts, options) => geminiService.embedTextsWithGemini(texts, options),
+  answer: (question, sources) =>
+    geminiService.answerFromNotesWithGemini(question, sources),
+};
+
+const LOCAL_DIMENSIONS = 256;
+
+/**
+ * Create a deterministic backend that needs no network
+ * Embeddings are hashed bags of word stems and answers are the excerpt
+ * sentences sharing the most words with the question, so the same notes and
+ * question always give the same result.
+ * @returns {Object} - Backend for setQABackend
+ */
+export const createLocalQABackend = () => ({
+  id: "local-hashed-stems",
+  embed: async (texts) => ({
+    success: true,
+    embeddings: texts.map((text) => embedByHashing(text, LOCAL_DIMENSIONS)),
+  }),
+  answer: async (question, sources) => {
+    const questionStems = new Set(getStems(question));
+
+    const sentences = [];
+    sources.forEach((source, index) => {
+      source.text
+        .replace(/([.!?])\s+/g, "$1\n")
+        .split(/\n+/)
+        .map((sentence) => sentence.trim())
+        .filter(Boolean)
+        .forEach((sentence) => {
+          const overlap = new Set(
+            getStems(sentence).filter((term) => questionStems.has(term))
+          ).size;
+          if (overlap > 0) {
+            sentences.push({ sentence, overlap, citation: index + 1 });
+          }
+        });
+    });
+
+    const best = sentences
+      .sort((a, b) => b.overlap - a.overlap || a.citation - b.citation)
+      .slice(0, 3);
+
+    if (best.length === 0) {
+      return {
+        success: true,
+        paragraphs: ["I couldn't find anything about that in your notes."],
+        citations: [],
+      };
+    }
+
+    return {
+      success: true,
+      paragraphs: best.map(
+        ({ sentence, citation }) => `${sentence} [${citation}]`
+      ),
+      citations: [...new Set(best.map(({ citation }) => citation))],
+    };
+  },
+});
+
+let activeBackend = providerQABackend;
+
+/**
+ * Choose the embedding and answering backend
+ * @param {Object} backend - providerQABackend, createLocalQABackend() or any
+ * object with the same shape
+ */
+export const setQABackend = (backend) => {
+  activeBackend = backend || providerQABackend;
+};
+
+/**
+ * Whether a spoken or typed question is about the whole workspace
+ * e.g. "ask my notes when the launch is" or "what do my notes say about
+ * the budget", or "my notes" said in French, Spanish or Arabic
+ * @param {string} question - The user's question
+ * @returns {boolean} - True if the question should search every page
+ */
+export const isWorkspaceQuestion = (question) =>
+  WORKSPACE_QUESTION.some((pattern) => pattern.test(question || ""));
+
+// Changes whenever a page's text may have changed
+const getPageStamp = (page) =>
+  `${page.revision || 0}:${page.updatedAt || 0}:${page.title || ""}:${
+    (page.contentJson || "").length
+  }`;
+
+// Every block in document order, children after their parent
+const flattenBlocks = (blocks, result = []) => {
+  (blocks || []).forEach((block) => {
+    if (!block) return;
+    result.push(block);
+    flattenBlocks(block.children, result);
+  });
+  return result;
+};
+
+/**
+ * Split a page's text into chunks for embedding
+ * @param {Object} page - Page object as returned by pageStorage
+ * @returns {Array} - Array of { blockId, text }, where blockId is the first
+ * block in the chunk
+ */
+export const chunkPage = (page) => {
+  const title = page.title || "Untitled";
+  const chunks = [];
+  let current = null;
+
+  flattenBlocks(getPageBlocks(page)).forEach((block) => {
+    const text = extractAllText([block]).trim();
+    if (!text) return;
+
+    if (current && current.text.length + text.length > MAX_CHUNK_LENGTH) {
+      chunks.push(current);
+      current = null;
+    }
+
+    if (!current) {
+      current = { blockId: block.id || null, text: `${title}\n${text}` };
+    } else {
+      current.text += `\n${text}`;
+    }
+  });
+
+  if (current) chunks.push(current);
+
+  // A page with only a title can still answer "where did I put X"
+  if (chunks.length === 0 && page.title) {
+    chunks.push({ blockId: null, text: page.title });
+  }
+
+  return chunks;
+};
+
+// userId -> { version, backendId, pages: { pageId: { stamp, chunks } } }
+const stores = {};
+// userId -> { key, promise } of the last sync started
+const pendingSyncs = {};
+
+const getStoreUri = (userId) => `${STORE_DIRECTORY}${userId}.json`;
+
+const loadStore = async (userId) => {
+  // The backend's id may depend on settings that are still loading
+  if (activeBackend.ready) await activeBackend.ready();
+  if (stores[userId]) return stores[userId];
+
+  let store = null;
+  try {
+    const info = await FileSystem.getInfoAsync(getStoreUri(userId));
+    if (info.exists) {
+      store = JSON.parse(await FileSystem.readAsStringAsync(info.uri));
+    }
+  } catch (error) {
+    console.error("Error reading embedding store:", error);
+  }
+
+  if (
+    !store ||
+    store.version !== STORE_VERSION ||
+    store.backendId !== activeBackend.id
+  ) {
+    store = { version: STORE_VERSION, backendId: activeBackend.id, pages: {} };
+  }
+
+  stores[userId] = store;
+  return store;
+};
+
+const saveStore = async (userId, store) => {
+  try {
+    await FileSystem.makeDirectoryAsync(STORE_DIRECTORY, {
+      intermediates: true,
+    });
+    await FileSystem.writeAsStringAsync(
+      getStoreUri(userId),
+      JSON.stringify(store)
+    );
+  } catch (error) {
+    console.error("Error saving embedding store:", error);
+  }
+};
+
+// Scale a vector to unit length, rounding to keep the stored file small
+const normalizeVector = (vector) => {
+  const length = Math.sqrt(
+    vector.reduce((sum, value) => sum + value * value, 0)
+  );
+  if (!length) return vector.map(() => 0);
+  return vector.map((value) => Math.round((value / length) * 1e5) / 1e5);
+};
+
+const runSync = async (userId, pages) => {
+  let store = await loadStore(userId);
+
+  // The backend changed since the store was loaded
+  if (store.backendId !== activeBackend.id) {
+    store = { version: STORE_VERSION, backendId: activeBackend.id, pages: {} };
+    stores[userId] = store;
+  }
+
+  const pageIds = new Set(pages.map((page) => page.id));
+  let changed = false;
+
+  Object.keys(store.pages).forEach((pageId) => {
+    if (!pageIds.has(pageId)) {
+      delete store.pages[pageId];
+      changed = true;
+    }
+  });
+
+  const stalePages = pages.filter((page) => {
+    const entry = store.pages[page.id];
+    return !entry || entry.stamp !== getPageStamp(page);
+  });
+
+  const pending = stalePages.map((page) => ({
+    page,
+    chunks: chunkPage(page),
+  }));
+  const texts = pending.flatMap(({ chunks }) => chunks.map(({ text }) => text));
+
+  let result = { success: true };
+  if (texts.length > 0) {
+    const embedded = await activeBackend.embed(texts, {
+      taskType: "document",
+    });
+
+    if (embedded.success) {
+      let offset = 0;
+      pending.forEach(({ page, chunks }) => {
+        store.pages[page.id] = {
+          stamp: getPageStamp(page),
+          chunks: chunks.map((chunk, index) => ({
+            ...chunk,
+            vector: normalizeVector(embedded.embeddings[offset + index]),
+          })),
+        };
+        offset += chunks.length;
+      });
+      changed = true;
+    } else {
+      result = { success: false, error: embedded.error };
+    }
+  } else if (pending.length > 0) {
+    // Pages that are now empty
+    pending.forEach(({ page }) => {
+      store.pages[page.id] = { stamp: getPageStamp(page), chunks: [] };
+    });
+    changed = true;
+  }
+
+  if (changed) {
+    await saveStore(userId, store);
+  }
+
+  return result;
+};
+
+// Identifies a list of pages in the state they are in
+const getPagesKey = (pages) =>
+  pages
+    .map((page) => `${page.id}@${getPageStamp(page)}`)
+    .sort()
+    .join("|");
+
+/**
+ * Bring the stored embeddings in line with the user's pages
+ * Only new and changed pages are embedded again. Callers passing the same
+ * pages share one sync; a sync for other pages waits for the one running.
+ * @param {string} userId - Owner of the pages
+ * @param {Array} pages - Every page the user has
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const syncEmbeddings = async (userId, pages) => {
+  if (!userId || !Array.isArray(pages)) {
+    return { success: false, error: "No pages to index" };
+  }
+
+  const key = getPagesKey(pages);
+  const latest = pendingSyncs[userId];
+  if (latest && latest.key === key) return latest.promise;
+
+  // Syncs share the store, so they run one after another
+  const previous = latest ? latest.promise.catch(() => {}) : Promise.resolve();
+  const entry = { key };
+  entry.promise = previous
+    .then(() => runSync(userId, pages))
+    .finally(() => {
+      if (pendingSyncs[userId] === entry) delete pendingSyncs[userId];
+    });
+
+  pendingSyncs[userId] = entry;
+  return entry.promise;
+};
+
+/**
+ * Find the chunks most relevant to a question
+ * Pages that aren't in pageIds are skipped, in case they were deleted since
+ * the store was last synced.
+ * @param {string} userId - Owner of the pages
+ * @param {string} question - The user's question
+ * @param {Set} pageIds - IDs of the user's current pages
+ * @param {number} topK - Maximum number of chunks
+ * @returns {Promise<Object>} - { success, chunks, error } with chunks as
+ * { pageId, blockId, text, score }, best first
+ */
+const retrieveChunks = async (userId, question, pageIds, topK) => {
+  const store = await loadStore(userId);
+  const embedded = await activeBackend.embed([question], {
+    taskType: "query",
+  });
+  if (!embedded.success) {
+    return { success: false, error: embedded.error };
+  }
+
+  const queryVector = normalizeVector(embedded.embeddings[0]);
+  const scored = [];
+
+  Object.entries(store.pages).forEach(([pageId, entry]) => {
+    if (!pageIds.has(pageId)) return;
+    entry.chunks.forEach((chunk) => {
+      const score = chunk.vector.reduce(
+        (sum, value, index) => sum + value * (queryVector[index] || 0),
+        0
+      );
+      if (score > 0) {
+        scored.push({
+          pageId,
+          blockId: chunk.blockId,
+          text: chunk.text,
+          score,
+        });
+      }
+    });
+  });
+
+  return {
+    success: true,
+    chunks: scored.sort((a, b) => b.score - a.score).slice(0, topK),
+  };
+};
+
+const createParagraphBlock = (text, styles = {}) => ({
+  type: "paragraph",
+  props: {
+    textColor: "default",
+    backgroundColor: "default",
+    textAlignment: "left",
+  },
+  content: [{ type: "text", text, styles }],
+  children: [],
+});
+
+/**
+ * Answer a question from every page in the workspace
+ * @param {string} userId - Owner of the pages
+ * @param {string} question - The user's question
+ * @param {Array} pages - Every page the user has
+ * @param {Object} options - Options
+ * @param {number} options.topK - How many chunks to give the model
+ * @returns {Promise<Object>} - { success, blocks, sources, error } where
+ * blocks are the answer paragraphs followed by pageLink citations and
+ * sources lists the cited pages
+ */
+export const askWorkspace = async (
+  userId,
+  question,
+  pages = [],
+  { topK = DEFAULT_TOP_K } = {}
+) => {
+  try {
+    if (!userId || !question || !question.trim()) {
+      return { success: false, error: "No question to answer" };
+    }
+
+    const synced = await syncEmbeddings(userId, pages);
+    if (!synced.success) {
+      return { success: false, error: synced.error };
+    }
+
+    const pagesById = new Map(pages.map((page) => [page.id, page]));
+    const retrieved = await retrieveChunks(
+      userId,
+      question,
+      new Set(pagesById.keys()),
+      topK
+    );
+    if (!retrieved.success) {
+      return { success: false, error: retrieved.error };
+    }
+
+    const { chunks } = retrieved;
+
+    const answer = await activeBackend.answer(
+      question,
+      chunks.map((chunk) => ({
+        title: pagesById.get(chunk.pageId).title || "Untitled",
+        text: chunk.text,
+      }))
+    );
+    if (!answer.success) {
+      return { success: false, error: answer.error };
+    }
+
+    // Number cited pages in the order they're first cited and point the
+    // answer's [n] markers at that numbering
+    const sourcePageIds = [];
+    const sourceNumberFor = (citation) => {
+      const chunk = chunks[citation - 1];
+      if (!chunk) return null;
+      if (!sourcePageIds.includes(chunk.pageId)) {
+        sourcePageIds.push(chunk.pageId);
+      }
+      return sourcePageIds.indexOf(chunk.pageId) + 1;
+    };
+
+    const paragraphs = answer.paragraphs.map((paragraph) =>
+      paragraph.replace(/\[(\d+)\]/g, (marker, citation) => {
+        const number = sourceNumberFor(Number(citation));
+        return number ? `[${number}]` : "";
+      })
+    );
+    answer.citations.forEach((citation) => sourceNumberFor(Number(citation)));
+
+    const sources = sourcePageIds.map((pageId) => pagesById.get(pageId));
+
+    const blocks = [
+      ...paragraphs.map((paragraph) => createParagraphBlock(paragraph)),
+      ...(sources.length > 0
+        ? [
+            createParagraphBlock("Sources", { bold: true }),
+            ...sources.map((page) => ({
+              type: "pageLink",
+              props: {
+                pageId: page.id,
+                pageTitle: page.title,
+                pageIcon: page.icon || "📄",
+              },
+              content: [],
+              children: [],
+            })),
+          ]
+        : []),
+    ];
+
+    return {
+      success: true,
+      blocks,
+      sources: sources.map((page) => ({ pageId: page.id, title: page.title })),
+    };
+  } catch (error) {
+    console.error("Error answering from workspace:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  providerQABackend,
+  createLocalQABackend,
+  setQABackend,
+  isWorkspaceQuestion,
+  chunkPage,
+  syncEmbeddings,
+  askWorkspace,
+};
@@ -0,0 +1,235 @@
+import {
+  base64ToBytes,
+  bytesToBase64,
+  readAdtsFrames,
+  readWavFormat,
+  getWavRange,
+  createWavHeader,
+  readMp4BoxHeader,
+  readMp4AudioTrack,
+  createAdtsClip,
+} from "../audioClips";
+
+// An ADTS frame of one block at 44.1 kHz with a payload of the given size
+const adtsFrame = (payloadLength) => {
+  const length = 7 + payloadLength;
+  return [
+    0xff,
+    0xf1,
+    (1 << 6) | (4 << 2),
+    0x80 | ((length >> 11) & 0x03),
+    (length >> 3) & 0xff,
+    ((length & 0x07) << 5) | 0x1f,
+    0xfc,
+    ...new Array(payloadLength).fill(0x21),
+  ];
+};
+
+const uint16 = (value) => [(value >> 8) & 0xff, value & 0xff];
+const uint32 = (value) => [...uint16(value >>> 16), ...uint16(value)];
+const text = (value) => value.split("").map((char) => char.charCodeAt(0));
+
+// An MP4 box holding the given bytes, and one with a version and flags
+const box = (type, ...contents) => {
+  const body = contents.flat(Infinity);
+  return [...uint32(8 + body.length), ...text(type), ...body];
+};
+const fullBox = (type, ...contents) => box(type, [0, 0, 0, 0], ...contents);
+
+// What the moov box of a recording holds: a video track, then an AAC-LC
+// track at 44.1 kHz in stereo with five frames in three chunks
+const moov = Uint8Array.from([
+  ...box(
+    "trak",
+    box("mdia", fullBox("hdlr", uint32(0), text("vide"), new Array(12).fill(0)))
+  ),
+  ...box(
+    "trak",
+    box(
+      "mdia",
+      fullBox("mdhd", uint32(0), uint32(0), uint32(44100), uint32(5120)),
+      fullBox("hdlr", uint32(0), text("soun"), new Array(12).fill(0)),
+      box(
+        "minf",
+        box(
+          "stbl",
+          fullBox(
+            "stsd",
+            uint32(1),
+            box(
+              "mp4a",
+              new Array(6).fill(0),
+              uint16(1),
+              new Array(8).fill(0),
+              uint16(2),
+              uint16(16),
+              uint32(0),
+              uint32(44100 << 16),
+              fullBox(
+                "esds",
+                // A length written in four bytes
+                [0x03, 0x80, 0x80, 0x80, 25, 0, 1, 0],
+                [0x04, 17, 0x40, 0x15, ...new Array(11).fill(0)],
+                [0x05, 2, 0x12, 0x10]
+              )
+            )
+          ),
+          fullBox("stts", uint32(1), uint32(5), uint32(1024)),
+          fullBox(
+            "stsc",
+            uint32(2),
+            [uint32(1), uint32(2), uint32(1)],
+            [uint32(3), uint32(1), uint32(1)]
+          ),
+          fullBox(
+            "stsz",
+            uint32(0),
+            uint32(5),
+            [10, 20, 30, 40, 50].map(uint32)
+          ),
+          fullBox("stco", uint32(3), uint32(100), uint32(200), uint32(300))
+        )
+      )
+    )
+  ),
+]);
+
+describe("base64ToBytes and bytesToBase64", () => {
+  it("round-trip bytes, including long runs", () => {
+    const bytes = Uint8Array.from({ length: 70000 }, (_, i) => i % 256);
+
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+  });
+});
+
+describe("readAdtsFrames", () => {
+  it("reads each whole frame and how long it plays", () => {
+    const bytes = Uint8Array.from([...adtsFrame(10), ...adtsFrame(20)]);
+
+    expect(readAdtsFrames(bytes)).toEqual([
+      { offset: 0, length: 17, ms: (1024 * 1000) / 44100 },
+      { offset: 17, length: 27, ms: (1024 * 1000) / 44100 },
+    ]);
+  });
+
+  it("stops at a frame that hasn't been fully written", () => {
+    const bytes = Uint8Array.from([...adtsFrame(10), ...adtsFrame(20)]);
+
+    expect(readAdtsFrames(bytes.subarray(0, 30))).toHaveLength(1);
+    expect(readAdtsFrames(Uint8Array.from([1, 2, 3, 4, 5, 6, 7]))).toEqual(
+      []
+    );
+  });
+});
+
+describe("WAV clips", () => {
+  const format = { channels: 1, sampleRate: 16000, bitsPerSample: 16 };
+
+  it("reads back the format of a header it built", () => {
+    const header = createWavHeader(format, 3200);
+
+    expect(header).toHaveLength(44);
+    expect(readWavFormat(header)).toEqual({ ...format, dataOffset: 44 });
+  });
+
+  it("skips chunks before the samples", () => {
+    const header = createWavHeader(format, 0);
+    // A padding chunk between the format and the data, as iOS writes
+    const filler = [..."FLLR"].map((char) => char.charCodeAt(0));
+    const bytes = Uint8Array.from([
+      ...header.subarray(0, 36),
+      ...filler,
+      ...[5, 0, 0, 0],
+      // Five bytes, padded to an even length
+      ...new Array(6).fill(0),
+      ...header.subarray(36),
+    ]);
+
+    expect(readWavFormat(bytes).dataOffset).toBe(44 + 14);
+  });
+
+  it("finds the bytes between two moments", () => {
+    const wav = { ...format, dataOffset: 44 };
+
+    // 16 kHz of 2-byte samples is 32 bytes a millisecond
+    expect(getWavRange(wav, 1000, 1500)).toEqual({
+      start: 44 + 32000,
+      end: 44 + 48000,
+    });
+    expect(getWavRange(wav, -300, 10).start).toBe(44);
+  });
+
+  it("rejects files that aren't WAV", () => {
+    expect(readWavFormat(Uint8Array.from(adtsFrame(40)))).toBeNull();
+  });
+});
+
+describe("MP4 audio", () => {
+  const frameMs = (1024 * 1000) / 44100;
+
+  it("reads box headers, including 64-bit and open-ended sizes", () => {
+    const large = Uint8Array.from([
+      ...uint32(1),
+      ...text("mdat"),
+      ...uint32(1),
+      ...uint32(16),
+    ]);
+    const open = Uint8Array.from([...uint32(0), ...text("mdat")]);
+    const small = Uint8Array.from(box("ftyp", [1, 2]));
+
+    expect(readMp4BoxHeader(small, 0, 10)).toEqual({
+      type: "ftyp",
+      size: 10,
+      headerSize: 8,
+    });
+    expect(readMp4BoxHeader(large, 0, 16)).toEqual({
+      type: "mdat",
+      size: 2 ** 32 + 16,
+      headerSize: 16,
+    });
+    expect(readMp4BoxHeader(open, 0, 500)).toEqual({
+      type: "mdat",
+      size: 500,
+      headerSize: 8,
+    });
+    expect(readMp4BoxHeader(open.subarray(0, 6), 0, 500)).toBeNull();
+  });
+
+  it("finds each frame of the audio track in the file", () => {
+    const track = readMp4AudioTrack(moov);
+
+    expect(track).toMatchObject({
+      objectType: 2,
+      sampleRateIndex: 4,
+      channels: 2,
+      durationMs: 5 * frameMs,
+    });
+    expect(track.samples).toEqual([
+      { offset: 100, length: 10, ms: frameMs },
+      { offset: 110, length: 20, ms: frameMs },
+      { offset: 200, length: 30, ms: frameMs },
+      { offset: 230, length: 40, ms: frameMs },
+      { offset: 300, length: 50, ms: frameMs },
+    ]);
+  });
+
+  it("finds nothing without an audio track", () => {
+    expect(readMp4AudioTrack(moov.subarray(0, 40))).toBeNull();
+  });
+
+  it("puts frames into ADTS that reads back the same", () => {
+    const track = readMp4AudioTrack(moov);
+    const clip = createAdtsClip(track, [
+      new Uint8Array(10).fill(1),
+      new Uint8Array(300).fill(2),
+    ]);
+
+    expect(readAdtsFrames(clip)).toEqual([
+      { offset: 0, length: 17, ms: frameMs },
+      { offset: 17, length: 307, ms: frameMs },
+    ]);
+    expect(clip.subarray(7, 17)).toEqual(new Uint8Array(10).fill(1));
+    expect(clip[2]).toBe((1 << 6) | (4 << 2));
+    expect(clip[3] >> 6).toBe(2);
+  });
+});
@@ -0,0 +1,159 @@
+import {
+  removeBlocksFromTree,
+  insertBlocksNextTo,
+  indentBlock,
+  outdentBlock,
+  swapBlocks,
+} from "../blockOperations";
+
+const block = (id, children = []) => ({
+  id,
+  type: "bulletListItem",
+  props: {},
+  content: [{ type: "text", text: `Item ${id}`, styles: {} }],
+  children,
+});
+
+// IDs of the blocks, nested as they are on the page
+const shape = (blocks) =>
+  blocks.map((item) =>
+    item.children.length > 0 ? [item.id, shape(item.children)] : item.id
+  );
+
+describe("indentBlock", () => {
+  it("nests a block as the last child of the block above it", () => {
+    const content = [block("a", [block("a1")]), block("b"), block("c")];
+
+    expect(shape(indentBlock(content, "b"))).toEqual([
+      ["a", ["a1", "b"]],
+      "c",
+    ]);
+  });
+
+  it("indents nested blocks within their parent", () => {
+    const content = [block("a", [block("a1"), block("a2", [block("x")])])];
+
+    expect(shape(indentBlock(content, "a2"))).toEqual([
+      ["a", [["a1", [["a2", ["x"]]]]]],
+    ]);
+  });
+
+  it("refuses the first block at its level", () => {
+    const content = [block("a", [block("a1")]), block("b")];
+
+    expect(indentBlock(content, "a")).toBeNull();
+    expect(indentBlock(content, "a1")).toBeNull();
+    expect(indentBlock(content, "missing")).toBeNull();
+  });
+});
+
+describe("outdentBlock", () => {
+  it("lifts a block to just after its parent", () => {
+    const content = [block("a", [block("a1")]), block("b")];
+
+    expect(shape(outdentBlock(content, "a1"))).toEqual(["a", "a1", "b"]);
+  });
+
+  it("takes the blocks below it in the same parent in under it", () => {
+    const content = [
+      block("a", [block("a1"), block("a2", [block("x")]), block("a3")]),
+    ];
+
+    expect(shape(outdentBlock(content, "a2"))).toEqual([
+      ["a", ["a1"]],
+      ["a2", ["x", "a3"]],
+    ]);
+  });
+
+  it("refuses blocks that aren't nested", () => {
+    expect(outdentBlock([block("a")], "a")).toBeNull();
+    expect(outdentBlock([block("a")], "missing")).toBeNull();
+  });
+});
+
+describe("swapBlocks", () => {
+  it("trades the places of two blocks, each with its children", () => {
+    const content = [block("a", [block("a1")]), block("b"), block("c")];
+
+    expect(shape(swapBlocks(content, "a", "c"))).toEqual([
+      "c",
+      "b",
+      ["a", ["a1"]],
+    ]);
+  });
+
+  it("swaps blocks at different levels", () => {
+    const content = [block("a", [block("a1")]), block("b")];
+
+    expect(shape(swapBlocks(content, "a1", "b"))).toEqual([
+      ["a", ["b"]],
+      "a1",
+    ]);
+  });
+
+  it("refuses a block nested in the other", () => {
+    const content = [block("a", [block("a1", [block("x")])]), block("b")];
+
+    expect(swapBlocks(content, "a", "x")).toBeNull();
+    expect(swapBlocks(content, "x", "a")).toBeNull();
+  });
+
+  it("refuses missing blocks and a block swapped with itself", () => {
+    const content = [block("a"), block("b")];
+
+    expect(swapBlocks(content, "a", "missing")).toBeNull();
+    expect(swapBlocks(content, "a", "a")).toBeNull();
+  });
+});
+
+describe("removeBlocksFromTree", () => {
+  const content = [
+    block("a", [block("a1"), block("a2", [block("x")])]),
+    block("b"),
+  ];
+
+  it("removes blocks wherever they are, with their children", () => {
+    const result = removeBlocksFromTree(content, ["a2", "b"]);
+
+    expect(shape(result.content)).toEqual([["a", ["a1"]]]);
+    expect(result.removed.map((item) => item.id)).toEqual(["a2", "b"]);
+    expect(shape(result.removed)).toEqual([["a2", ["x"]], "b"]);
+  });
+
+  it("keeps the children a callback picks in the removed block's place", () => {
+    const result = removeBlocksFromTree(
+      content,
+      ["a"],
+      (removedBlock) => removedBlock.children
+    );
+
+    expect(shape(result.content)).toEqual(["a1", ["a2", ["x"]], "b"]);
+    expect(result.removed.map((item) => item.id)).toEqual(["a"]);
+  });
+
+  it("leaves the page alone when no block matches", () => {
+    const result = removeBlocksFromTree(content, ["missing"]);
+
+    expect(result.content).toEqual(content);
+    expect(result.removed).toEqual([]);
+  });
+});
+
+describe("insertBlocksNextTo", () => {
+  const content = [block("a", [block("a1"), block("a2")]), block("b")];
+
+  it("inserts before or after a block at its level", () => {
+    expect(
+      shape(insertBlocksNextTo(content, [block("n")], "a1", "after"))
+    ).toEqual([["a", ["a1", "n", "a2"]], "b"]);
+    expect(
+      shape(insertBlocksNextTo(content, [block("n")], "a", "before"))
+    ).toEqual(["n", ["a", ["a1", "a2"]], "b"]);
+  });
+
+  it("returns null when the block isn't on the page", () => {
+    expect(
+      insertBlocksNextTo(content, [block("n")], "missing", "after")
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+import { LISTENING_MODES, routeUtterance } from "../handsFreeListening";
+
+const { DICTATION, COMMAND, NEXT_COMMAND } = LISTENING_MODES;
+
+describe("routeUtterance", () => {
+  it("adds what's said in dictation mode as it was said", () => {
+    expect(routeUtterance("Buy milk, eggs and bread.", DICTATION)).toEqual({
+      type: "dictation",
+      text: "Buy milk, eggs and bread.",
+      mode: DICTATION,
+      stop: false,
+    });
+  });
+
+  it("runs what's said in command mode", () => {
+    expect(routeUtterance("Make the last paragraph bold.", COMMAND)).toEqual({
+      type: "command",
+      text: "Make the last paragraph bold",
+      mode: COMMAND,
+      stop: false,
+    });
+  });
+
+  it.each([
+    ["Command mode.", DICTATION, COMMAND],
+    ["Switch to command mode", DICTATION, COMMAND],
+    ["Dictation mode", COMMAND, DICTATION],
+    ["Back to dictation.", COMMAND, DICTATION],
+    ["Command.", DICTATION, NEXT_COMMAND],
+    // French
+    ["Mode commande.", DICTATION, COMMAND],
+    ["Passe en mode dictée", COMMAND, DICTATION],
+    ["Commande", DICTATION, NEXT_COMMAND],
+    // Spanish
+    ["Modo comandos", DICTATION, COMMAND],
+    ["Modo dictado.", COMMAND, DICTATION],
+    ["Comando", DICTATION, NEXT_COMMAND],
+    // Arabic
+    ["وضع الأوامر", DICTATION, COMMAND],
+    ["وضع الإملاء", COMMAND, DICTATION],
+    ["أمر", DICTATION, NEXT_COMMAND],
+  ])("switches modes on %p", (transcription, mode, nextMode) => {
+    expect(routeUtterance(transcription, mode)).toEqual({
+      type: null,
+      text: "",
+      mode: nextMode,
+      stop: false,
+    });
+  });
+
+  it("makes only the utterance after command on its own a command", () => {
+    const command = routeUtterance("Undo that", NEXT_COMMAND);
+    expect(command).toMatchObject({ type: "command", mode: DICTATION });
+
+    expect(routeUtterance("Then we left", command.mode).type).toBe(
+      "dictation"
+    );
+  });
+
+  it.each([
+    ["Command: make this bold", "make this bold"],
+    ["Commande : mets ceci en gras", "mets ceci en gras"],
+    ["Comando, borra esto", "borra esto"],
+    ["أمر: احذف هذا", "احذف هذا"],
+  ])("runs one command from dictation on %p", (transcription, text) => {
+    expect(routeUtterance(transcription, DICTATION)).toEqual({
+      type: "command",
+      text,
+      mode: DICTATION,
+      stop: false,
+    });
+  });
+
+  it.each([
+    ["Dictate: call the bank", "call the bank"],
+    ["Dicte : appeler la banque", "appeler la banque"],
+    ["Escribe: llamar al banco", "llamar al banco"],
+    ["اكتب: اتصل بالبنك", "اتصل بالبنك"],
+  ])("adds one utterance as text from command mode on %p", (said, text) => {
+    expect(routeUtterance(said, COMMAND)).toEqual({
+      type: "dictation",
+      text,
+      mode: COMMAND,
+      stop: false,
+    });
+  });
+
+  it("only reads dictate prefixes outside dictation", () => {
+    expect(routeUtterance("Type: ideas for the trip", DICTATION)).toEqual({
+      type: "dictation",
+      text: "Type: ideas for the trip",
+      mode: DICTATION,
+      stop: false,
+    });
+  });
+
+  it.each([
+    "Stop listening.",
+    "Please stop dictating",
+    "Arrête d'écouter",
+    "Deja de escuchar.",
+    "توقف عن الاستماع",
+  ])("stops on %p", (transcription) => {
+    expect(routeUtterance(transcription, DICTATION)).toEqual({
+      type: null,
+      text: "",
+      mode: DICTATION,
+      stop: true,
+    });
+  });
+
+  it("keeps what was said before stop listening", () => {
+    expect(
+      routeUtterance("Pick up the cake, stop listening.", DICTATION)
+    ).toEqual({
+      type: "dictation",
+      text: "Pick up the cake",
+      mode: DICTATION,
+      stop: true,
+    });
+    expect(
+      routeUtterance("Supprime ceci. Arrête la dictée", COMMAND)
+    ).toMatchObject({ type: "command", text: "Supprime ceci", stop: true });
+  });
+
+  it("ignores empty transcripts", () => {
+    expect(routeUtterance("", COMMAND)).toEqual({
+      type: null,
+      text: "",
+      mode: COMMAND,
+      stop: false,
+    });
+    expect(routeUtterance(null, DICTATION).type).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+import { blocksToHtml } from "../htmlUtils";
+
+const withLink = (href) => [
+  {
+    id: "p",
+    type: "paragraph",
+    props: {},
+    content: [
+      { type: "text", text: "See ", styles: {} },
+      {
+        type: "link",
+        href,
+        content: [{ type: "text", text: "this", styles: {} }],
+      },
+    ],
+    children: [],
+  },
+];
+
+describe("blocksToHtml links", () => {
+  it.each([
+    "https://example.com/a?b=1&c=2",
+    "http://example.com",
+    "mailto:someone@example.com",
+  ])("keeps %s as a link", (href) => {
+    expect(blocksToHtml(withLink(href))).toContain(
+      `<a href="${href.replace(/&/g, "&amp;")}">this</a>`
+    );
+  });
+
+  it.each([
+    "javascript:alert(1)",
+    " JavaScript:alert(1)",
+    "data:text/html,<script>alert(1)</script>",
+    "sayNote://note/123",
+    "",
+    undefined,
+  ])("renders %p as plain text", (href) => {
+    const html = blocksToHtml(withLink(href));
+
+    expect(html).not.toContain("<a");
+    expect(html).toContain("See this");
+  });
+});
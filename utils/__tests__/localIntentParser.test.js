@@ -0,0 +1,207 @@
+import {
+  LOCAL_CONFIDENCE_THRESHOLD,
+  parseVoiceCommandLocally,
+  splitCompoundCommand,
+} from "../localIntentParser";
+import { COMMAND_PATTERNS, COMMAND_TYPES } from "../voiceCommandPatterns";
+
+const block = (id, type, text, props = {}) => ({
+  id,
+  type,
+  props,
+  content: [{ type: "text", text, styles: {} }],
+  children: [],
+});
+
+const page = [
+  block("h1", "heading", "Project timeline", { level: 1 }),
+  block("p1", "paragraph", "Timeline is tight. Customer feedback was good."),
+  block("h2", "heading", "Action items", { level: 2 }),
+  block("l1", "bulletListItem", "Call Sam"),
+  block("l2", "bulletListItem", "Email the deadline date"),
+  block("l3", "bulletListItem", "Important notes"),
+  block("t1", "checkListItem", "Buy milk", { checked: false }),
+  block("t2", "checkListItem", "Send the report", { checked: true }),
+  block("p2", "paragraph", "Last paragraph here."),
+];
+
+// Command types the parser has a rule for; the rest always go to Gemini
+const LOCAL_TYPES = [
+  "APPLY_BOLD",
+  "APPLY_ITALIC",
+  "APPLY_UNDERLINE",
+  "REMOVE_FORMATTING",
+  "CHANGE_TEXT_COLOR",
+  "INSERT_AT_POSITION",
+  "CHANGE_BLOCK_TYPE",
+  "CHANGE_HEADING_LEVEL",
+  "CONVERT_TO_LIST",
+  "UNDO",
+  "REDO",
+  "UNDO_MULTIPLE",
+  "DELETE_BLOCK",
+  "MOVE_BEFORE",
+  "MOVE_AFTER",
+  "MOVE_TO_TOP",
+  "MOVE_TO_BOTTOM",
+  "INDENT_BLOCK",
+  "OUTDENT_BLOCK",
+  "SWAP_BLOCKS",
+  "MOVE_TO_NEW_PAGE",
+  "CHECK_TASK",
+  "UNCHECK_TASK",
+  "SCROLL_TO_BLOCK",
+  "OPEN_PAGE",
+  "OPEN_PARENT_PAGE",
+  "GO_BACK",
+  "SHOW_RECENT_PAGES",
+];
+
+// Examples whose target isn't a kind of block, so they're left to Gemini
+const GEMINI_EXAMPLES = [
+  "Apply italic to the last sentence",
+  "Make the deadline date underlined",
+  "Apply underline to the important notes",
+];
+
+// Examples that a more specific rule reads as another type
+const OTHER_TYPE_EXAMPLES = {
+  "Change the first paragraph to a bullet list": "CONVERT_TO_LIST",
+};
+
+const examplesOf = (types) =>
+  COMMAND_PATTERNS.filter(({ type }) => types.includes(type)).flatMap(
+    ({ type, examples }) => examples.map((example) => [example, type])
+  );
+
+describe("parseVoiceCommandLocally", () => {
+  it.each(
+    examplesOf(LOCAL_TYPES).filter(
+      ([example]) => !GEMINI_EXAMPLES.includes(example)
+    )
+  )("reads %p as %s", (example, type) => {
+    const result = parseVoiceCommandLocally(example, page);
+
+    expect(result).not.toBeNull();
+    expect(result.type).toBe(OTHER_TYPE_EXAMPLES[example] || type);
+    expect(result.commandResult.rawCommand).toBe(example);
+  });
+
+  it.each(GEMINI_EXAMPLES)("leaves %p to Gemini", (example) => {
+    expect(parseVoiceCommandLocally(example, page)).toBeNull();
+  });
+
+  it.each(
+    examplesOf(
+      Object.values(COMMAND_TYPES).filter(
+        (type) =>
+          !LOCAL_TYPES.includes(type) &&
+          type !== COMMAND_TYPES.DELETE_SELECTION
+      )
+    )
+  )("has no rule for %p (%s)", (example) => {
+    expect(parseVoiceCommandLocally(example, page)).toBeNull();
+  });
+
+  it("deletes whole blocks for selection deletes that name them", () => {
+    const result = parseVoiceCommandLocally(
+      "Remove the text about customer feedback",
+      page
+    );
+
+    expect(result.type).toBe(COMMAND_TYPES.DELETE_BLOCK);
+    expect(result.commandResult).toMatchObject({
+      action: "DELETE_BLOCK",
+      targetBlockIds: ["p1"],
+    });
+  });
+
+  it("resolves ordinals, positions and block kinds", () => {
+    const targetsOf = (command) =>
+      parseVoiceCommandLocally(command, page).commandResult.targetBlockIds;
+
+    expect(targetsOf("Make the last paragraph bold")).toEqual(["p2"]);
+    expect(targetsOf("Apply bold to the first heading")).toEqual(["h1"]);
+    expect(targetsOf("Delete all headings")).toEqual(["h1", "h2"]);
+    expect(targetsOf("Remove completed tasks")).toEqual(["t2"]);
+    expect(targetsOf("Swap the first two steps")).toEqual(["l1", "l2"]);
+    expect(targetsOf("Move unfinished tasks to a new page")).toEqual(["t1"]);
+  });
+
+  it("is confident when the target is on the page", () => {
+    const result = parseVoiceCommandLocally("Uncheck the second task", page);
+
+    expect(result.confidence).toBeGreaterThanOrEqual(
+      LOCAL_CONFIDENCE_THRESHOLD
+    );
+    expect(result.commandResult).toMatchObject({
+      action: "MODIFY_BLOCK",
+      modificationType: "CHANGE_CHECKED",
+      checked: false,
+      targetBlockIds: ["t2"],
+    });
+  });
+
+  it("is unsure when the target can't be found", () => {
+    const missingTask = parseVoiceCommandLocally(
+      "Check off buy groceries",
+      page
+    );
+    const noCursor = parseVoiceCommandLocally("Delete this block", page);
+
+    expect(missingTask.confidence).toBeLessThan(LOCAL_CONFIDENCE_THRESHOLD);
+    expect(noCursor.confidence).toBeLessThan(LOCAL_CONFIDENCE_THRESHOLD);
+    expect(noCursor.commandResult.action).toBe("CLARIFICATION");
+  });
+
+  it("reads this as the block the cursor is in", () => {
+    const result = parseVoiceCommandLocally("Delete this block", page, {
+      selection: {
+        cursorBlockId: "l2",
+        selectedBlockIds: [],
+        selectionRanges: [],
+      },
+    });
+
+    expect(result.confidence).toBeGreaterThanOrEqual(
+      LOCAL_CONFIDENCE_THRESHOLD
+    );
+    expect(result.commandResult.targetBlockIds).toEqual(["l2"]);
+  });
+});
+
+describe("splitCompoundCommand", () => {
+  it("splits on joins followed by a command verb", () => {
+    expect(
+      splitCompoundCommand(
+        "Add a heading called Risks, then make the last paragraph bold"
+      )
+    ).toEqual(["Add a heading called Risks", "make the last paragraph bold"]);
+    expect(
+      splitCompoundCommand(
+        "Delete the last block and undo that; indent this after that " +
+          "swap the first two steps"
+      )
+    ).toEqual([
+      "Delete the last block",
+      "undo that",
+      "indent this",
+      "swap the first two steps",
+    ]);
+  });
+
+  it("keeps joins inside a single command", () => {
+    const heading = "Add a heading called Risks and Issues";
+
+    expect(splitCompoundCommand(heading)).toEqual([heading]);
+    expect(splitCompoundCommand("Add buy milk, eggs and bread here")).toEqual([
+      "Add buy milk, eggs and bread here",
+    ]);
+  });
+
+  it("leaves every single example whole", () => {
+    COMMAND_PATTERNS.flatMap(({ examples }) => examples).forEach((example) =>
+      expect(splitCompoundCommand(example)).toEqual([example])
+    );
+  });
+});
@@ -0,0 +1,60 @@
+import { blocksToMarkdown, markdownToBlocks } from "../markdownUtils";
+
+const text = (value) => [{ type: "text", text: value, styles: {} }];
+
+const paragraph = (value, children = []) => ({
+  type: "paragraph",
+  props: {},
+  content: text(value),
+  children,
+});
+
+const bullet = (value, children = []) => ({
+  type: "bulletListItem",
+  props: {},
+  content: text(value),
+  children,
+});
+
+// Type, text and children of each block, ignoring props
+const outline = (blocks) =>
+  blocks.map((block) => ({
+    type: block.type,
+    text: (block.content || []).map((item) => item.text).join(""),
+    children: outline(block.children || []),
+  }));
+
+const roundTrip = (blocks) => markdownToBlocks(blocksToMarkdown(blocks));
+
+describe("markdownUtils round trip", () => {
+  it("keeps paragraphs that look like horizontal rules", () => {
+    const blocks = [
+      paragraph("---"),
+      paragraph("***"),
+      paragraph("___"),
+      paragraph("- - -"),
+    ];
+
+    expect(outline(roundTrip(blocks))).toEqual(outline(blocks));
+  });
+
+  it("keeps paragraphs nested under list items as children", () => {
+    const blocks = [
+      bullet("Groceries", [paragraph("From the corner shop")]),
+      bullet("Chores", [
+        bullet("Laundry", [paragraph("Whites first"), paragraph("---")]),
+        paragraph("Before Sunday"),
+      ]),
+    ];
+
+    expect(outline(roundTrip(blocks))).toEqual(outline(blocks));
+  });
+
+  it("still continues a list item on the lines right after it", () => {
+    const blocks = markdownToBlocks("- First line\n  second line\n");
+
+    expect(outline(blocks)).toEqual([
+      { type: "bulletListItem", text: "First line\nsecond line", children: [] },
+    ]);
+  });
+});
@@ -0,0 +1,136 @@
+import {
+  getTimeAtOffset,
+  timestampBlocks,
+  createAudioBlock,
+  getAudioSegments,
+  findRecordingMoment,
+  getBlockRecordings,
+} from "../recordingUtils";
+
+const paragraph = (id, text, children = []) => ({
+  id,
+  type: "paragraph",
+  props: {},
+  content: [{ type: "text", text, styles: {} }],
+  children,
+});
+
+const audio = (id, segments, recording = {}) => ({
+  ...createAudioBlock({ durationMs: 60000, ...recording }, segments),
+  id,
+});
+
+describe("getTimeAtOffset", () => {
+  const timeline = [
+    { offset: 0, ms: 0 },
+    { offset: 100, ms: 10000 },
+    { offset: 300, ms: 50000 },
+  ];
+
+  it("estimates moments between the timeline's points", () => {
+    expect(getTimeAtOffset(timeline, 0)).toBe(0);
+    expect(getTimeAtOffset(timeline, 50)).toBe(5000);
+    expect(getTimeAtOffset(timeline, 200)).toBe(30000);
+  });
+
+  it("stops at the last point", () => {
+    expect(getTimeAtOffset(timeline, 400)).toBe(50000);
+    expect(getTimeAtOffset([], 10)).toBe(0);
+  });
+});
+
+describe("timestampBlocks", () => {
+  it("finds where each block's words start in the transcript", () => {
+    const transcription =
+      "First we open the doors. Then the band plays a song. Finally " +
+      "everyone goes home.";
+    const blocks = [
+      paragraph("a", "First we open the doors."),
+      paragraph("b", "Then the band plays a song.", [
+        paragraph("c", "Finally everyone goes home."),
+      ]),
+      paragraph("heading", "Running order"),
+    ];
+    const timeline = [
+      { offset: 0, ms: 0 },
+      { offset: transcription.length, ms: 8000 },
+    ];
+
+    const segments = timestampBlocks(blocks, transcription, timeline);
+
+    expect(segments.map((segment) => segment.blockId)).toEqual([
+      "a",
+      "b",
+      "c",
+    ]);
+    expect(segments[0].ms).toBe(0);
+    expect(segments[1].ms).toBeGreaterThan(0);
+    expect(segments[2].ms).toBeGreaterThan(segments[1].ms);
+    expect(segments[2].ms).toBeLessThan(8000);
+  });
+});
+
+describe("findRecordingMoment", () => {
+  const page = [
+    audio("rec-1", [
+      { blockId: "a", ms: 0 },
+      { blockId: "b", ms: 4200 },
+    ]),
+    paragraph("a", "Opening"),
+    paragraph("b", "Middle", [paragraph("b1", "Nested")]),
+    paragraph("toggle", "Later", [
+      audio("rec-2", [{ blockId: "b1", ms: 9000 }]),
+    ]),
+    paragraph("typed", "Typed by hand"),
+  ];
+
+  it("finds the recording and moment a block was heard at", () => {
+    expect(findRecordingMoment(page, "b")).toEqual({
+      audioBlockId: "rec-1",
+      ms: 4200,
+    });
+  });
+
+  it("looks in audio blocks nested in other blocks", () => {
+    expect(findRecordingMoment(page, "b1")).toEqual({
+      audioBlockId: "rec-2",
+      ms: 9000,
+    });
+  });
+
+  it("returns null for blocks that weren't transcribed", () => {
+    expect(findRecordingMoment(page, "typed")).toBeNull();
+    expect(findRecordingMoment([], "a")).toBeNull();
+  });
+
+  it("skips audio blocks with unreadable segments", () => {
+    const broken = {
+      ...audio("rec-0", []),
+      props: { segments: "not json" },
+    };
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(getAudioSegments(broken)).toEqual([]);
+    expect(findRecordingMoment([broken, ...page], "a")).toEqual({
+      audioBlockId: "rec-1",
+      ms: 0,
+    });
+    console.error.mockRestore();
+  });
+});
+
+describe("getBlockRecordings", () => {
+  it("lists the recording of every audio block, nested or not", () => {
+    const blocks = [
+      audio("rec-1", [], { localUri: "file:///rec-1.m4a" }),
+      paragraph("a", "Text", [
+        audio("rec-2", [], { storagePath: "user-1/rec-2.m4a" }),
+      ]),
+    ];
+
+    expect(getBlockRecordings(blocks)).toEqual([
+      { localUri: "file:///rec-1.m4a", storagePath: "" },
+      { localUri: "", storagePath: "user-1/rec-2.m4a" },
+    ]);
+  });
+});
@@ -0,0 +1,220 @@
+import {
+  deleteBlocksFromContent,
+  applyCommandsToContent,
+  handleCompoundCommand,
+} from "../voiceCommandHandlers";
+import { parseVoiceCommandLocally } from "../localIntentParser";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+jest.mock("../../services/geminiService", () => ({}));
+jest.mock("../../services/recordingStorage", () => ({}));
+jest.mock("react-native-toast-message", () => ({ show: jest.fn() }));
+
+const task = (id, checked, children = []) => ({
+  id,
+  type: "checkListItem",
+  props: { checked },
+  content: [{ type: "text", text: `Task ${id}`, styles: {} }],
+  children,
+});
+
+const paragraph = (id, children = []) => ({
+  id,
+  type: "paragraph",
+  props: {},
+  content: [{ type: "text", text: `Note ${id}`, styles: {} }],
+  children,
+});
+
+// IDs of the blocks, nested as they are on the page
+const shape = (blocks) =>
+  blocks.map((block) =>
+    block.children.length > 0 ? [block.id, shape(block.children)] : block.id
+  );
+
+describe("deleteBlocksFromContent", () => {
+  it("keeps open subtasks when completed tasks are removed", () => {
+    const content = [
+      task("a", true, [
+        task("a1", false, [task("a1x", true)]),
+        task("a2", true, [task("a2x", false)]),
+        paragraph("a3"),
+      ]),
+      task("b", false, [task("b1", true)]),
+    ];
+
+    const parsed = parseVoiceCommandLocally("remove completed tasks", content);
+    expect(parsed.commandResult.action).toBe("DELETE_BLOCK");
+
+    const result = deleteBlocksFromContent(
+      content,
+      parsed.commandResult.targetBlockIds
+    );
+    expect(shape(result)).toEqual(["a1", "a2x", "b"]);
+  });
+
+  it("removes other blocks with everything nested in them", () => {
+    const content = [paragraph("p", [task("open", false)]), paragraph("q")];
+
+    expect(shape(deleteBlocksFromContent(content, ["p"]))).toEqual(["q"]);
+  });
+});
+
+describe("applyCommandsToContent", () => {
+  const content = [paragraph("a"), paragraph("b"), paragraph("c")];
+  const text = (block) => block.content[0].text;
+
+  it("runs each step on the blocks the steps before it left", async () => {
+    const result = await applyCommandsToContent(content, [
+      {
+        action: "INSERT_CONTENT",
+        content: "Inserted",
+        blocks: [{ ...paragraph("new"), content: [] }],
+        insertAfterBlockId: "a",
+      },
+      {
+        action: "MOVE_BLOCK",
+        moveType: "MOVE",
+        destination: "TOP",
+        targetBlockIds: ["new"],
+      },
+      { action: "DELETE_BLOCK", targetBlockIds: ["c"] },
+      {
+        action: "APPLY_FORMATTING",
+        formattingType: "BOLD",
+        targetBlockIds: ["b"],
+      },
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(shape(result.content)).toEqual(["new", "a", "b"]);
+    expect(result.content[2].content[0].styles).toEqual({ bold: true });
+  });
+
+  it("turns inserted text into a paragraph without a structurer", async () => {
+    const result = await applyCommandsToContent(content, [
+      {
+        action: "INSERT_CONTENT",
+        content: "Buy milk",
+        insertAfterBlockId: "c",
+      },
+    ]);
+
+    expect(result.content.map(text)).toEqual([
+      "Note a",
+      "Note b",
+      "Note c",
+      "Buy milk",
+    ]);
+  });
+
+  it("changes nothing when a later step fails", async () => {
+    const before = JSON.stringify(content);
+
+    const result = await applyCommandsToContent(content, [
+      { action: "DELETE_BLOCK", targetBlockIds: ["a"] },
+      { action: "DELETE_BLOCK", targetBlockIds: ["a"] },
+      { action: "DELETE_BLOCK", targetBlockIds: ["b"] },
+    ]);
+
+    expect(result).toEqual({
+      success: false,
+      failedStep: 1,
+      error: "The blocks to delete are no longer on the page",
+    });
+    expect(JSON.stringify(content)).toBe(before);
+  });
+
+  it("refuses steps that can't be part of a compound command", async () => {
+    const result = await applyCommandsToContent(content, [
+      { action: "NAVIGATE", navigationType: "GO_BACK" },
+    ]);
+
+    expect(result).toMatchObject({ success: false, failedStep: 0 });
+    expect(result.error).toBe("NAVIGATE can't be part of a compound command");
+  });
+});
+
+describe("handleCompoundCommand", () => {
+  const content = [paragraph("a"), paragraph("b")];
+
+  // Run a compound command the way the note screen does
+  const run = (commands, storageSavePage) => {
+    const editor = {
+      editorRef: { current: { setContent: jest.fn() } },
+      setEditorContent: jest.fn(),
+      setCurrentPage: jest.fn(),
+      setUndoStack: jest.fn(),
+    };
+    const result = handleCompoundCommand(
+      { action: "COMPOUND", commands },
+      content,
+      content,
+      editor.editorRef,
+      editor.setEditorContent,
+      jest.fn(),
+      { id: "page-1", contentJson: JSON.stringify(content) },
+      storageSavePage,
+      editor.setCurrentPage,
+      jest.fn(),
+      jest.fn(),
+      editor.setUndoStack,
+      jest.fn(),
+      jest.fn()
+    );
+    return { result, editor };
+  };
+
+  it("saves every step at once as one undo step", async () => {
+    const storageSavePage = jest.fn(async (page) => page);
+    const { result, editor } = run(
+      [
+        { action: "DELETE_BLOCK", targetBlockIds: ["a"] },
+        {
+          action: "APPLY_FORMATTING",
+          formattingType: "ITALIC",
+          targetBlockIds: ["b"],
+        },
+      ],
+      storageSavePage
+    );
+
+    await expect(result).resolves.toBe(true);
+    expect(storageSavePage).toHaveBeenCalledTimes(1);
+    const saved = JSON.parse(storageSavePage.mock.calls[0][0].contentJson);
+    expect(shape(saved)).toEqual(["b"]);
+    expect(saved[0].content[0].styles).toEqual({ italic: true });
+    expect(editor.setUndoStack).toHaveBeenCalledTimes(1);
+    expect(editor.editorRef.current.setContent).toHaveBeenCalledWith(saved);
+  });
+
+  it("leaves the page alone when a step fails", async () => {
+    const storageSavePage = jest.fn(async (page) => page);
+    const { result, editor } = run(
+      [
+        { action: "DELETE_BLOCK", targetBlockIds: ["a"] },
+        { action: "DELETE_BLOCK", targetBlockIds: ["missing"] },
+      ],
+      storageSavePage
+    );
+
+    await expect(result).resolves.toBe(false);
+    expect(storageSavePage).not.toHaveBeenCalled();
+    expect(editor.setEditorContent).not.toHaveBeenCalled();
+    expect(editor.setUndoStack).not.toHaveBeenCalled();
+  });
+
+  it("leaves the editor alone when the save fails", async () => {
+    const { result, editor } = run(
+      [{ action: "DELETE_BLOCK", targetBlockIds: ["a"] }],
+      jest.fn().mockRejectedValue(new Error("offline"))
+    );
+
+    await expect(result).resolves.toBe(false);
+    expect(editor.setEditorContent).not.toHaveBeenCalled();
+    expect(editor.editorRef.current.setContent).not.toHaveBeenCalled();
+    expect(editor.setUndoStack).not.toHaveBeenCalled();
+  });
+});
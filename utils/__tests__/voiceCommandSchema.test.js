@@ -0,0 +1,55 @@
+import { validateBlocks } from "../voiceCommandSchema";
+
+const props = {
+  textColor: "default",
+  backgroundColor: "default",
+  textAlignment: "left",
+};
+
+const bullet = (text, children = []) => ({
+  type: "bulletListItem",
+  props,
+  content: [{ type: "text", text, styles: {} }],
+  children,
+});
+
+// A list nested four deep, with the innermost item replaced by `deepest`
+const nestWith = (deepest) => [
+  bullet("One", [bullet("Two", [bullet("Three", [deepest])])]),
+];
+
+const DEEPEST_PATH = "blocks[0].children[0].children[0].children[0]";
+
+describe("validateBlocks", () => {
+  it("accepts blocks nested deeper than the response schema", () => {
+    expect(validateBlocks(nestWith(bullet("Four")))).toEqual({
+      success: true,
+    });
+  });
+
+  it("reports a child three levels down that has no content", () => {
+    const { content, ...withoutContent } = bullet("Four");
+    const result = validateBlocks(nestWith(withoutContent));
+
+    expect(result.success).toBe(false);
+    expect(result.error.field).toBe(`${DEEPEST_PATH}.content`);
+  });
+
+  it("reports a child three levels down with content that isn't a list", () => {
+    const result = validateBlocks(
+      nestWith({ ...bullet("Four"), content: "Four" })
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error.field).toBe(`${DEEPEST_PATH}.content`);
+  });
+
+  it("reports a child three levels down with an unknown type", () => {
+    const result = validateBlocks(
+      nestWith({ ...bullet("Four"), type: "toggle" })
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error.field).toBe(`${DEEPEST_PATH}.type`);
+  });
+});
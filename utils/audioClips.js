@@ -0,0 +1,479 @@
+/**
+ * Utility functions for cutting clips out of a recording
+ *
+ * Hands-free listening keeps one recording running and cuts each utterance
+ * out of it by time, so nothing said while a recording restarts is lost.
+ * Recordings are in formats that can be read while they're still being
+ * written: AAC in ADTS frames on Android, where each frame carries its own
+ * header, and 16-bit PCM WAV on iOS, where a moment is a fixed byte offset.
+ *
+ * Long recordings are finished MP4 files, whose AAC frames are found from
+ * the tables in the file's moov box and copied out into ADTS clips.
+ */
+
+export const CLIP_FORMATS = {
+  ADTS: { extension: ".aac", mimeType: "audio/aac" },
+  WAV: { extension: ".wav", mimeType: "audio/wav" },
+};
+
+// Sample rates by the index ADTS headers give them as
+const ADTS_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025,
+  8000, 7350,
+];
+const ADTS_SAMPLES_PER_BLOCK = 1024;
+const ADTS_HEADER_BYTES = 7;
+const WAV_HEADER_BYTES = 44;
+const MP4_BOX_HEADER_BYTES = 8;
+// Box sizes too big for 32 bits follow the type as 64 bits
+const MP4_LARGE_BOX_HEADER_BYTES = 16;
+// The fields of an MP4 audio sample description before its own boxes, and
+// what QuickTime's version 1 and 2 descriptions add to them
+const MP4_AUDIO_ENTRY_BYTES = 28;
+const MP4_AUDIO_ENTRY_EXTRA_BYTES = [0, 16, 36];
+
+// Bytes are turned into base64 a chunk at a time to keep the argument
+// list of String.fromCharCode short
+const BASE64_CHUNK = 0x8000;
+
+/**
+ * Decode base64 file contents into bytes
+ * @param {string} data - Base64 text
+ * @returns {Uint8Array} - The bytes
+ */
+export const base64ToBytes = (data) =>
+  Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+
+/**
+ * Encode bytes as base64 for writing to a file
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} - Base64 text
+ */
+export const bytesToBase64 = (bytes) => {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    text += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(text);
+};
+
+/**
+ * Read the whole ADTS frames at the start of some AAC audio
+ * Reading stops at a frame that's cut off, as the last one is while the
+ * recording is still being written.
+ * @param {Uint8Array} bytes - Audio starting at a frame
+ * @returns {Array} - { offset, length, ms } of each frame, where ms is how
+ * long the frame plays for
+ */
+export const readAdtsFrames = (bytes) => {
+  const frames = [];
+  let offset = 0;
+
+  while (offset + ADTS_HEADER_BYTES <= bytes.length) {
+    // Every frame starts with 12 set bits and layer 0
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xf6) !== 0xf0) break;
+
+    const sampleRate = ADTS_SAMPLE_RATES[(bytes[offset + 2] >> 2) & 0x0f];
+    const length =
+      ((bytes[offset + 3] & 0x03) << 11) |
+      (bytes[offset + 4] << 3) |
+      (bytes[offset + 5] >> 5);
+    const blocks = (bytes[offset + 6] & 0x03) + 1;
+    if (
+      !sampleRate ||
+      length < ADTS_HEADER_BYTES ||
+      offset + length > bytes.length
+    ) {
+      break;
+    }
+
+    frames.push({
+      offset,
+      length,
+      ms: (blocks * ADTS_SAMPLES_PER_BLOCK * 1000) / sampleRate,
+    });
+    offset += length;
+  }
+
+  return frames;
+};
+
+const readText = (bytes, offset, length) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+const readUint32 = (bytes, offset) =>
+  (readUint16(bytes, offset) | (readUint16(bytes, offset + 2) << 16)) >>> 0;
+
+/**
+ * Find the format of a WAV recording and where its samples start
+ * @param {Uint8Array} bytes - The start of the file, up to its data chunk
+ * @returns {Object|null} - { channels, sampleRate, bitsPerSample,
+ * dataOffset }, or null if it isn't PCM WAV or the data chunk wasn't read
+ */
+export const readWavFormat = (bytes) => {
+  if (readText(bytes, 0, 4) !== "RIFF" || readText(bytes, 8, 4) !== "WAVE") {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = readText(bytes, offset, 4);
+    const size = readUint32(bytes, offset + 4);
+
+    if (id === "fmt ") {
+      format = {
+        channels: readUint16(bytes, offset + 10),
+        sampleRate: readUint32(bytes, offset + 12),
+        bitsPerSample: readUint16(bytes, offset + 22),
+      };
+    } else if (id === "data") {
+      return format ? { ...format, dataOffset: offset + 8 } : null;
+    }
+
+    // Chunks are padded to an even length
+    offset += 8 + size + (size % 2);
+  }
+
+  return null;
+};
+
+/**
+ * Find the bytes of a WAV recording's samples between two moments
+ * @param {Object} format - Format from readWavFormat
+ * @param {number} startMs - Start of the clip
+ * @param {number} endMs - End of the clip
+ * @returns {Object} - { start, end } byte offsets in the file
+ */
+export const getWavRange = (format, startMs, endMs) => {
+  const frameBytes = (format.channels * format.bitsPerSample) / 8;
+  const toOffset = (ms) =>
+    format.dataOffset +
+    Math.max(0, Math.round((ms * format.sampleRate) / 1000)) * frameBytes;
+
+  return { start: toOffset(startMs), end: toOffset(endMs) };
+};
+
+/**
+ * Build the header of a WAV file for samples cut from a recording
+ * @param {Object} format - { channels, sampleRate, bitsPerSample }
+ * @param {number} dataLength - Length of the samples in bytes
+ * @returns {Uint8Array} - The header
+ */
+export const createWavHeader = (format, dataLength) => {
+  const header = new Uint8Array(WAV_HEADER_BYTES);
+  const view = new DataView(header.buffer);
+  const frameBytes = (format.channels * format.bitsPerSample) / 8;
+  const writeText = (offset, text) =>
+    text.split("").forEach((char, i) => {
+      header[offset + i] = char.charCodeAt(0);
+    });
+
+  writeText(0, "RIFF");
+  view.setUint32(4, WAV_HEADER_BYTES - 8 + dataLength, true);
+  writeText(8, "WAVE");
+  writeText(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, format.channels, true);
+  view.setUint32(24, format.sampleRate, true);
+  view.setUint32(28, format.sampleRate * frameBytes, true);
+  view.setUint16(32, frameBytes, true);
+  view.setUint16(34, format.bitsPerSample, true);
+  writeText(36, "data");
+  view.setUint32(40, dataLength, true);
+
+  return header;
+};
+
+const readUint16BE = (bytes, offset) =>
+  (bytes[offset] << 8) | bytes[offset + 1];
+
+const readUint32BE = (bytes, offset) =>
+  ((readUint16BE(bytes, offset) << 16) | readUint16BE(bytes, offset + 2)) >>>
+  0;
+
+const readUint64BE = (bytes, offset) =>
+  readUint32BE(bytes, offset) * 2 ** 32 + readUint32BE(bytes, offset + 4);
+
+/**
+ * Read the header of an MP4 box
+ * @param {Uint8Array} bytes - Bytes holding the box's header
+ * @param {number} offset - Where the box starts
+ * @param {number} end - Where what holds the box ends, for a box that runs
+ * to the end
+ * @returns {Object|null} - { type, size, headerSize }, or null if there
+ * isn't a whole header there
+ */
+export const readMp4BoxHeader = (bytes, offset, end) => {
+  if (offset + MP4_BOX_HEADER_BYTES > bytes.length) return null;
+
+  let size = readUint32BE(bytes, offset);
+  let headerSize = MP4_BOX_HEADER_BYTES;
+  if (size === 1) {
+    if (offset + MP4_LARGE_BOX_HEADER_BYTES > bytes.length) return null;
+    size = readUint64BE(bytes, offset + MP4_BOX_HEADER_BYTES);
+    headerSize = MP4_LARGE_BOX_HEADER_BYTES;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+  if (size < headerSize) return null;
+
+  return { type: readText(bytes, offset + 4, 4), size, headerSize };
+};
+
+// The boxes between two offsets, as { type, start, end } of what each holds
+const readMp4Boxes = (bytes, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset < end) {
+    const box = readMp4BoxHeader(bytes, offset, end);
+    if (!box || offset + box.size > end) break;
+    boxes.push({
+      type: box.type,
+      start: offset + box.headerSize,
+      end: offset + box.size,
+    });
+    offset += box.size;
+  }
+
+  return boxes;
+};
+
+// Follow a path of box types down from a box
+const findMp4Box = (bytes, box, path) =>
+  path.reduce(
+    (parent, type) =>
+      parent &&
+      readMp4Boxes(bytes, parent.start, parent.end).find(
+        (child) => child.type === type
+      ),
+    box
+  );
+
+// The AAC settings in a track's sample description, which ADTS headers
+// repeat, or null if they can't be put in one
+const readMp4AudioConfig = (bytes, stsd) => {
+  const [entry] = readMp4Boxes(bytes, stsd.start + 8, stsd.end);
+  if (!entry || entry.type !== "mp4a") return null;
+
+  const version = readUint16BE(bytes, entry.start + 8);
+  const extraBytes = MP4_AUDIO_ENTRY_EXTRA_BYTES[version];
+  if (extraBytes === undefined) return null;
+  const esds = readMp4Boxes(
+    bytes,
+    entry.start + MP4_AUDIO_ENTRY_BYTES + extraBytes,
+    entry.end
+  ).find((box) => box.type === "esds");
+  if (!esds) return null;
+
+  // Descriptors start with a tag and a length of up to four bytes, each
+  // but the last with its top bit set
+  let offset = esds.start + 4;
+  const readDescriptorTag = () => {
+    const tag = bytes[offset];
+    offset += 1;
+    for (let i = 0; i < 3 && bytes[offset] & 0x80; i++) offset += 1;
+    offset += 1;
+    return tag;
+  };
+
+  if (readDescriptorTag() !== 0x03) return null;
+  // The stream's ID, then flags for the optional fields that follow
+  const flags = bytes[offset + 2];
+  offset += 3;
+  if (flags & 0x80) offset += 2;
+  if (flags & 0x40) offset += bytes[offset] + 1;
+  if (flags & 0x20) offset += 2;
+
+  if (readDescriptorTag() !== 0x04) return null;
+  // The codec, stream type, buffer size and bitrates
+  offset += 13;
+  if (readDescriptorTag() !== 0x05 || offset + 2 > esds.end) return null;
+
+  const config = {
+    objectType: bytes[offset] >> 3,
+    sampleRateIndex: ((bytes[offset] & 0x07) << 1) | (bytes[offset + 1] >> 7),
+    channels: (bytes[offset + 1] >> 3) & 0x0f,
+  };
+  // ADTS only has room for the first four AAC profiles
+  return config.objectType >= 1 &&
+    config.objectType <= 4 &&
+    ADTS_SAMPLE_RATES[config.sampleRateIndex]
+    ? config
+    : null;
+};
+
+// Where each frame of a track is in the file and how long it plays for,
+// from the track's sample tables
+const readMp4Samples = (bytes, tables, timescale) => {
+  const { stts, stsc, stsz } = tables;
+  const chunkOffsets = tables.stco || tables.co64;
+
+  const durations = [];
+  const timeEntries = readUint32BE(bytes, stts.start + 4);
+  for (let i = 0; i < timeEntries; i++) {
+    const entry = stts.start + 8 + i * 8;
+    const ms = (readUint32BE(bytes, entry + 4) * 1000) / timescale;
+    for (let j = readUint32BE(bytes, entry); j > 0; j--) durations.push(ms);
+  }
+
+  const fixedSize = readUint32BE(bytes, stsz.start + 4);
+  const sampleCount = readUint32BE(bytes, stsz.start + 8);
+  const getSize = (index) =>
+    fixedSize || readUint32BE(bytes, stsz.start + 12 + index * 4);
+
+  const chunkCount = readUint32BE(bytes, chunkOffsets.start + 4);
+  const getChunkOffset = (index) =>
+    tables.stco
+      ? readUint32BE(bytes, chunkOffsets.start + 8 + index * 4)
+      : readUint64BE(bytes, chunkOffsets.start + 8 + index * 8);
+
+  // Runs of chunks holding the same number of frames, by their first chunk
+  const runCount = readUint32BE(bytes, stsc.start + 4);
+  const getRun = (index) => ({
+    firstChunk: readUint32BE(bytes, stsc.start + 8 + index * 12),
+    samplesPerChunk: readUint32BE(bytes, stsc.start + 12 + index * 12),
+  });
+
+  const samples = [];
+  let run = 0;
+  for (
+    let chunk = 0;
+    chunk < chunkCount && run < runCount && samples.length < sampleCount;
+    chunk++
+  ) {
+    // Chunks are numbered from 1
+    while (run + 1 < runCount && getRun(run + 1).firstChunk <= chunk + 1) {
+      run += 1;
+    }
+
+    let offset = getChunkOffset(chunk);
+    const { samplesPerChunk } = getRun(run);
+    for (let i = 0; i < samplesPerChunk && samples.length < sampleCount; i++) {
+      const length = getSize(samples.length);
+      samples.push({ offset, length, ms: durations[samples.length] || 0 });
+      offset += length;
+    }
+  }
+
+  return samples;
+};
+
+/**
+ * Find the AAC frames of an MP4 recording's audio track
+ * @param {Uint8Array} moov - What the file's moov box holds
+ * @returns {Object|null} - { objectType, sampleRateIndex, channels,
+ * samples, durationMs }, where samples has the { offset, length, ms } of
+ * each frame in the file, or null if there's no AAC track that fits in
+ * ADTS
+ */
+export const readMp4AudioTrack = (moov) => {
+  const trak = readMp4Boxes(moov, 0, moov.length).find((box) => {
+    if (box.type !== "trak") return false;
+    const hdlr = findMp4Box(moov, box, ["mdia", "hdlr"]);
+    return !!hdlr && readText(moov, hdlr.start + 8, 4) === "soun";
+  });
+  const mdia = trak && findMp4Box(moov, trak, ["mdia"]);
+  const mdhd = mdia && findMp4Box(moov, mdia, ["mdhd"]);
+  const stbl = mdia && findMp4Box(moov, mdia, ["minf", "stbl"]);
+  if (!mdhd || !stbl) return null;
+
+  const tables = {};
+  readMp4Boxes(moov, stbl.start, stbl.end).forEach((box) => {
+    tables[box.type] = tables[box.type] || box;
+  });
+  if (
+    !tables.stsd ||
+    !tables.stts ||
+    !tables.stsc ||
+    !tables.stsz ||
+    !(tables.stco || tables.co64)
+  ) {
+    return null;
+  }
+
+  const config = readMp4AudioConfig(moov, tables.stsd);
+  if (!config) return null;
+
+  // Version 1 headers have 64-bit creation and modification times
+  const timescale = readUint32BE(
+    moov,
+    mdhd.start + (moov[mdhd.start] === 1 ? 20 : 12)
+  );
+  if (!timescale) return null;
+
+  const samples = readMp4Samples(moov, tables, timescale);
+  return {
+    ...config,
+    samples,
+    durationMs: samples.reduce((total, sample) => total + sample.ms, 0),
+  };
+};
+
+/**
+ * Build the header of an ADTS frame
+ * @param {Object} config - { objectType, sampleRateIndex, channels }, as
+ * from readMp4AudioTrack
+ * @param {number} dataLength - Length of the frame's AAC data in bytes
+ * @returns {Uint8Array} - The header
+ */
+export const createAdtsHeader = (config, dataLength) => {
+  const length = ADTS_HEADER_BYTES + dataLength;
+
+  return Uint8Array.of(
+    0xff,
+    // MPEG-4, with no checksum
+    0xf1,
+    ((config.objectType - 1) << 6) |
+      (config.sampleRateIndex << 2) |
+      (config.channels >> 2),
+    ((config.channels & 0x03) << 6) | (length >> 11),
+    (length >> 3) & 0xff,
+    // The rest of the buffer fullness bits say the bitrate varies, and the
+    // last two that the frame holds one block
+    ((length & 0x07) << 5) | 0x1f,
+    0xfc
+  );
+};
+
+/**
+ * Put AAC frames into an ADTS clip
+ * @param {Object} config - { objectType, sampleRateIndex, channels }
+ * @param {Array} frames - Each frame's AAC data, as Uint8Arrays
+ * @returns {Uint8Array} - The clip
+ */
+export const createAdtsClip = (config, frames) => {
+  const clip = new Uint8Array(
+    frames.reduce(
+      (total, frame) => total + ADTS_HEADER_BYTES + frame.length,
+      0
+    )
+  );
+
+  let offset = 0;
+  frames.forEach((frame) => {
+    clip.set(createAdtsHeader(config, frame.length), offset);
+    clip.set(frame, offset + ADTS_HEADER_BYTES);
+    offset += ADTS_HEADER_BYTES + frame.length;
+  });
+
+  return clip;
+};
+
+export default {
+  CLIP_FORMATS,
+  base64ToBytes,
+  bytesToBase64,
+  readAdtsFrames,
+  readWavFormat,
+  getWavRange,
+  createWavHeader,
+  readMp4BoxHeader,
+  readMp4AudioTrack,
+  createAdtsHeader,
+  createAdtsClip,
+};
@@ -229,6 +229,267 @@ export const cleanInvalidPageLinks = (content, validPageIds) => {
   });
 };
 
+/**
+ * Insert blocks after a block, or at the end of the page
+ * A nested block's blocks go after the top-level block that contains it.
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Array} blocks - Blocks to insert
+ * @param {string|null} afterBlockId - Block to insert after
+ * @returns {Array} - New content; the blocks are appended when the block
+ * isn't on the page
+ */
+export const insertBlocksAfter = (content, blocks, afterBlockId) => {
+  const index = afterBlockId
+    ? content.findIndex(
+        (block) =>
+          block.id === afterBlockId ||
+          findBlockById(block.children, afterBlockId)
+      )
+    : -1;
+
+  if (index === -1) {
+    return [...content, ...blocks];
+  }
+
+  return [
+    ...content.slice(0, index + 1),
+    ...blocks,
+    ...content.slice(index + 1),
+  ];
+};
+
+/**
+ * Restyle part of a block's text
+ * Text is split where the range starts and ends so only the characters in
+ * the range change. Offsets count characters the way the editor does: link
+ * text counts, other inline content counts as one character.
+ * @param {Object} block - Block to restyle
+ * @param {number} startOffset - First character of the range
+ * @param {number} endOffset - Character after the end of the range
+ * @param {Function} updateStyles - Returns new styles for the given styles
+ * @returns {Object} - { block, changed } with a new block if it changed
+ */
+export const updateStylesInRange = (
+  block,
+  startOffset,
+  endOffset,
+  updateStyles
+) => {
+  if (!block || !Array.isArray(block.content)) {
+    return { block, changed: false };
+  }
+
+  let position = 0;
+  let changed = false;
+
+  const restyle = (items) =>
+    items.flatMap((item) => {
+      if (item.type === "link" && Array.isArray(item.content)) {
+        return [{ ...item, content: restyle(item.content) }];
+      }
+      if (item.type !== "text") {
+        position += 1;
+        return [item];
+      }
+
+      const itemStart = position;
+      position += item.text.length;
+      const from = Math.max(startOffset, itemStart) - itemStart;
+      const to = Math.min(endOffset, position) - itemStart;
+      if (to <= from) {
+        return [item];
+      }
+
+      changed = true;
+      return [
+        { ...item, text: item.text.slice(0, from) },
+        {
+          ...item,
+          text: item.text.slice(from, to),
+          styles: updateStyles({ ...(item.styles || {}) }),
+        },
+        { ...item, text: item.text.slice(to) },
+      ].filter((part) => part.text.length > 0);
+    });
+
+  const content = restyle(block.content);
+  return { block: changed ? { ...block, content } : block, changed };
+};
+
+// Replace the list of blocks that holds a block, wherever it is in the
+// tree; update gets the list and the block's index and may return null
+const updateSiblings = (content, id, update) => {
+  const index = content.findIndex((block) => block.id === id);
+  if (index !== -1) {
+    return update(content, index);
+  }
+
+  for (let i = 0; i < content.length; i++) {
+    const children = content[i].children;
+    if (!Array.isArray(children) || children.length === 0) continue;
+
+    const updated = updateSiblings(children, id, update);
+    if (updated) {
+      return content.map((block, j) =>
+        j === i ? { ...block, children: updated } : block
+      );
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find the block that a block is nested in
+ * @param {Array} content - Top-level blocks of the page
+ * @param {string} id - Block ID to find
+ * @returns {Object|null} - The parent block, or null for top-level blocks
+ * and blocks that aren't on the page
+ */
+export const findParentBlock = (content, id) => {
+  for (const block of content) {
+    const children = Array.isArray(block.children) ? block.children : [];
+    if (children.some((child) => child.id === id)) {
+      return block;
+    }
+    const found = findParentBlock(children, id);
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Remove blocks from anywhere in the block tree
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Array} ids - IDs of the blocks to remove
+ * @param {Function} getKeptChildren - Returns the blocks nested in a removed
+ * block that stay on the page, in its place; by default none do
+ * @returns {Object} - { content, removed } with the removed blocks in page
+ * order; they keep their children, so blocks nested in a removed block
+ * aren't listed on their own
+ */
+export const removeBlocksFromTree = (content, ids, getKeptChildren = null) => {
+  const idSet = new Set(ids);
+  const removed = [];
+
+  const remove = (blocks) =>
+    blocks.flatMap((block) => {
+      if (idSet.has(block.id)) {
+        removed.push(block);
+        return getKeptChildren ? remove(getKeptChildren(block)) : [];
+      }
+      return Array.isArray(block.children) && block.children.length > 0
+        ? [{ ...block, children: remove(block.children) }]
+        : [block];
+    });
+
+  return { content: remove(content), removed };
+};
+
+/**
+ * Insert blocks next to a block, at the same nesting level
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Array} blocks - Blocks to insert
+ * @param {string} referenceId - Block to insert next to
+ * @param {string} placement - "before" or "after"
+ * @returns {Array|null} - New content, or null if the block isn't on the
+ * page
+ */
+export const insertBlocksNextTo = (content, blocks, referenceId, placement) =>
+  updateSiblings(content, referenceId, (siblings, index) => {
+    const at = placement === "before" ? index : index + 1;
+    return [...siblings.slice(0, at), ...blocks, ...siblings.slice(at)];
+  });
+
+/**
+ * Nest a block under the block above it, as that block's last child
+ * @param {Array} content - Top-level blocks of the page
+ * @param {string} id - Block to nest
+ * @returns {Array|null} - New content, or null if there's no block above
+ * it at its level
+ */
+export const indentBlock = (content, id) =>
+  updateSiblings(content, id, (siblings, index) => {
+    if (index === 0) return null;
+
+    const parent = siblings[index - 1];
+    return [
+      ...siblings.slice(0, index - 1),
+      {
+        ...parent,
+        children: [...(parent.children || []), siblings[index]],
+      },
+      ...siblings.slice(index + 1),
+    ];
+  });
+
+/**
+ * Lift a nested block out of its parent, to just after the parent
+ * Blocks nested below it in the same parent move in under it, the way the
+ * editor does it.
+ * @param {Array} content - Top-level blocks of the page
+ * @param {string} id - Block to lift
+ * @returns {Array|null} - New content, or null if the block isn't nested
+ */
+export const outdentBlock = (content, id) => {
+  const parent = findParentBlock(content, id);
+  if (!parent) return null;
+
+  return updateSiblings(content, parent.id, (siblings, index) => {
+    const childIndex = parent.children.findIndex((child) => child.id === id);
+    const block = parent.children[childIndex];
+    return [
+      ...siblings.slice(0, index),
+      { ...parent, children: parent.children.slice(0, childIndex) },
+      {
+        ...block,
+        children: [
+          ...(block.children || []),
+          ...parent.children.slice(childIndex + 1),
+        ],
+      },
+      ...siblings.slice(index + 1),
+    ];
+  });
+};
+
+/**
+ * Trade the places of two blocks; each keeps its children
+ * @param {Array} content - Top-level blocks of the page
+ * @param {string} firstId - One of the blocks
+ * @param {string} secondId - The other block
+ * @returns {Array|null} - New content, or null if a block isn't on the page
+ * or one is nested in the other
+ */
+export const swapBlocks = (content, firstId, secondId) => {
+  const first = findBlockById(content, firstId);
+  const second = findBlockById(content, secondId);
+  if (
+    !first ||
+    !second ||
+    first === second ||
+    findBlockById(first.children, secondId) ||
+    findBlockById(second.children, firstId)
+  ) {
+    return null;
+  }
+
+  const swap = (blocks) =>
+    blocks.map((block) => {
+      const replacement =
+        block.id === firstId ? second : block.id === secondId ? first : block;
+      return Array.isArray(replacement.children) &&
+        replacement.children.length > 0
+        ? { ...replacement, children: swap(replacement.children) }
+        : replacement;
+    });
+
+  return swap(content);
+};
+
 export default {
   validateBlockFormat,
   createBlock,
@@ -237,4 +498,12 @@ export default {
   extractTextFromBlock,
   extractAllText,
   cleanInvalidPageLinks,
+  insertBlocksAfter,
+  updateStylesInRange,
+  findParentBlock,
+  removeBlocksFromTree,
+  insertBlocksNextTo,
+  indentBlock,
+  outdentBlock,
+  swapBlocks,
 };
@@ -0,0 +1,135 @@
+/**
+ * Utility functions for checklists
+ *
+ * Checklist items are checkListItem blocks. They can be nested under any
+ * block, so everything here walks the whole block tree.
+ */
+import {
+  normalizeText,
+  tokenize,
+  stem,
+  editDistance,
+  getTypoTolerance,
+} from "./searchUtils";
+import { extractTextFromBlock } from "./blockOperations";
+
+// Share of a spoken task's words a checklist item needs to match it
+const MIN_MATCH_SCORE = 0.6;
+
+// Words that don't help tell tasks apart
+const IGNORED_WORDS = new Set(["the", "a", "an", "to", "my", "and", "of"]);
+
+/**
+ * Find the checklist items on a page
+ * @param {Array} content - Top-level blocks of the page
+ * @returns {Array} - checkListItem blocks in page order, nested ones after
+ * their parent
+ */
+export const findChecklistItems = (content) =>
+  (content || []).flatMap((block) => [
+    ...(block.type === "checkListItem" ? [block] : []),
+    ...findChecklistItems(block.children),
+  ]);
+
+/**
+ * Score how well a checklist item's text matches a spoken task
+ * Words match when they share a stem or are a typo apart, so "grocery
+ * shoping" finds "Do the groceries shopping".
+ * @param {string} itemText - Text of the checklist item
+ * @param {string} phrase - Spoken task
+ * @returns {number} - Share of the spoken words found, from 0 to 1
+ */
+export const scoreTaskMatch = (itemText, phrase) => {
+  const words = tokenize(phrase)
+    .map(({ word }) => word)
+    .filter((word) => !IGNORED_WORDS.has(word));
+  if (words.length === 0) return 0;
+
+  const itemWords = tokenize(itemText).map(({ word }) => word);
+  const matched = words.filter((word) => {
+    const tolerance = getTypoTolerance(word);
+    return itemWords.some(
+      (itemWord) =>
+        stem(itemWord) === stem(word) ||
+        editDistance(itemWord, word, tolerance) <= tolerance
+    );
+  });
+
+  return matched.length / words.length;
+};
+
+/**
+ * Find the checklist items a spoken task refers to
+ * Items containing the phrase win; otherwise the best fuzzy matches do.
+ * @param {Array} items - Checklist items to search
+ * @param {string} phrase - Spoken task, e.g. "buy groceries"
+ * @returns {Object} - { blockIds, confidence } where several blockIds means
+ * the phrase fits more than one item equally well
+ */
+export const matchChecklistItems = (items, phrase) => {
+  const text = normalizeText(phrase).trim();
+  if (!text) return { blockIds: [], confidence: 0 };
+
+  const exact = items.filter((item) =>
+    normalizeText(extractTextFromBlock(item)).includes(text)
+  );
+  if (exact.length > 0) {
+    return { blockIds: exact.map((item) => item.id), confidence: 1 };
+  }
+
+  let bestScore = 0;
+  let best = [];
+  items.forEach((item) => {
+    const score = scoreTaskMatch(extractTextFromBlock(item), phrase);
+    if (score > bestScore) {
+      bestScore = score;
+      best = [item];
+    } else if (score === bestScore && score > 0) {
+      best.push(item);
+    }
+  });
+
+  if (bestScore < MIN_MATCH_SCORE) return { blockIds: [], confidence: 0 };
+  return {
+    blockIds: best.map((item) => item.id),
+    confidence: bestScore === 1 ? 1 : 0.8,
+  };
+};
+
+/**
+ * Check or uncheck checklist items anywhere on the page
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Array|null} blockIds - Items to change, or null for every item
+ * @param {boolean} checked - Whether the items should be checked
+ * @returns {Object} - { content, changed } where changed is false if no
+ * item needed changing
+ */
+export const setChecklistItemsChecked = (content, blockIds, checked) => {
+  let changed = false;
+
+  const update = (blocks) =>
+    blocks.map((block) => {
+      let updated = block;
+      if (
+        block.type === "checkListItem" &&
+        (!blockIds || blockIds.includes(block.id)) &&
+        Boolean(block.props?.checked) !== checked
+      ) {
+        updated = { ...block, props: { ...block.props, checked } };
+        changed = true;
+      }
+      return Array.isArray(block.children) && block.children.length > 0
+        ? { ...updated, children: update(block.children) }
+        : updated;
+    });
+
+  const updatedContent = update(content);
+  return { content: changed ? updatedContent : content, changed };
+};
+
+export default {
+  findChecklistItems,
+  scoreTaskMatch,
+  matchChecklistItems,
+  setChecklistItemsChecked,
+};
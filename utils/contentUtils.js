@@ -1,6 +1,8 @@
 /**
  * Utility functions for handling editor content
  */
+import { insertBlocksAfter } from "./blockOperations";
+import { alignBlocksToText } from "./languageUtils";
 
 /**
  * Sanitize content to fix any malformed blocks, particularly pageLink blocks
@@ -110,6 +112,14 @@ export const sanitizeContentBlocks = (content, title = "New note") => {
         }
 
         // BlockNote expects blocks with content: "none" to have empty content and children arrays
+        block.content = [];
+        block.children = [];
+      } else if (block.type === "audio") {
+        // AudioBlock uses content: "none" too; its props have defaults
+        if (!block.props) {
+          block.props = {};
+        }
+
         block.content = [];
         block.children = [];
       } else {
@@ -208,6 +218,23 @@ export const sanitizeContentBlocks = (content, title = "New note") => {
   }
 };
 
+/**
+ * Get a page's blocks from its contentJson, falling back to content
+ * @param {Object} page - Page object
+ * @returns {Array} - The page's blocks
+ */
+export const getPageBlocks = (page) => {
+  if (page.contentJson) {
+    try {
+      const parsed = JSON.parse(page.contentJson);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      console.warn(`Invalid contentJson for page ${page.id}:`, error);
+    }
+  }
+  return Array.isArray(page.content) ? page.content : [];
+};
+
 /**
  * Create a default content block for a new page
  * @param {string} title - Page title
@@ -251,6 +278,8 @@ export const createDefaultContent = (title) => {
  * @param {Function} setIsSaving - State setter for saving state
  * @param {Function} createParagraphBlock - Function to create a paragraph block
  * @param {Function} validateBlockFormat - Function to validate block format
+ * @param {string|null} insertAfterBlockId - Block to insert after; the
+ * content goes at the end of the page without one
  * @returns {boolean} - Whether the operation was successful
  */
 export const insertContentDirectly = (
@@ -267,7 +296,8 @@ export const insertContentDirectly = (
   setCurrentPage,
   setIsSaving,
   createParagraphBlock,
-  validateBlockFormat
+  validateBlockFormat,
+  insertAfterBlockId = null
 ) => {
   try {
     // Ensure we have valid current content
@@ -329,14 +359,17 @@ export const insertContentDirectly = (
       }
     }
 
-    // Validate all blocks before inserting them
-    const validBlocks = newBlocks.filter((block) => {
-      const isValid = validateBlockFormat(block);
-      if (!isValid) {
-        console.warn("Skipping invalid block:", block);
-      }
-      return isValid;
-    });
+    // Validate all blocks before inserting them, right-aligning any in a
+    // right-to-left language like Arabic
+    const validBlocks = alignBlocksToText(
+      newBlocks.filter((block) => {
+        const isValid = validateBlockFormat(block);
+        if (!isValid) {
+          console.warn("Skipping invalid block:", block);
+        }
+        return isValid;
+      })
+    );
 
     if (validBlocks.length === 0) {
       // Show a user-friendly toast if nothing was spoken or no valid block
@@ -365,8 +398,12 @@ export const insertContentDirectly = (
       return false;
     }
 
-    // Create a copy of current content with new blocks appended
-    const updatedContent = [...currentContent, ...validBlocks];
+    // Create a copy of current content with the new blocks added
+    const updatedContent = insertBlocksAfter(
+      currentContent,
+      validBlocks,
+      insertAfterBlockId
+    );
 
     // Store the recent transcription (for UI feedback)
     if (isRawText && typeof transcriptionData === "string") {
@@ -416,6 +453,7 @@ export const insertContentDirectly = (
 
 export default {
   sanitizeContentBlocks,
+  getPageBlocks,
   createDefaultContent,
   insertContentDirectly,
 };
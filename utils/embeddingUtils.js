@@ -0,0 +1,48 @@
+/**
+ * Utility functions for deterministic local embeddings
+ *
+ * Used where a real embedding model is not wanted, such as the local
+ * workspace Q&A backend and the fixture AI provider: a text becomes a hashed
+ * bag of its word stems, so texts sharing words point the same way and the
+ * same text always gives the same vector.
+ */
+import { tokenize, stem } from "./searchUtils";
+
+// Stable 32-bit hash of a string (FNV-1a)
+export const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Stems of the words in a text, in order
+ * @param {string} text - Text to split
+ * @returns {Array} - Word stems, e.g. "Running late" -> ["run", "late"]
+ */
+export const getStems = (text) => tokenize(text).map(({ word }) => stem(word));
+
+/**
+ * Embed a text as a hashed bag of its word stems
+ * Each stem adds or subtracts one in the slot its hash picks.
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Length of the vector
+ * @returns {Array} - The (unnormalized) vector
+ */
+export const embedByHashing = (text, dimensions) => {
+  const vector = new Array(dimensions).fill(0);
+  getStems(text).forEach((term) => {
+    const hash = hashString(term);
+    vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+  });
+  return vector;
+};
+
+export default {
+  hashString,
+  getStems,
+  embedByHashing,
+};
@@ -0,0 +1,101 @@
+/**
+ * Utility functions for hands-free listening
+ *
+ * While listening hands-free, each utterance is either dictation, added to
+ * the page as it was said, or a command. Spoken keywords switch between the
+ * two: "command mode" and "dictation mode" switch for good, "command" on its
+ * own makes just the next utterance a command, "command: make this bold"
+ * runs one command without switching, "dictate: ..." adds one utterance as
+ * text while in command mode, and "stop listening" ends it all. The same
+ * keywords work in French, Spanish and Arabic: "mode commande", "modo
+ * dictado", "أمر: ..." and "توقف عن الاستماع", for example.
+ */
+
+export const LISTENING_MODES = {
+  DICTATION: "DICTATION",
+  COMMAND: "COMMAND",
+  // The next utterance is a command, then it's back to dictation
+  NEXT_COMMAND: "NEXT_COMMAND",
+};
+
+// Text before the stop phrase is kept, but not a "please" leading into it
+const STOP =
+  /^(?:(.*?)[\s,.،]+)??(?:please )?(?:stop (?:listening|dictating|dictation)|arr[eê]te (?:d['’] ?[eé]couter|la dict[eé]e)|deja de (?:escuchar|dictar)|توقف عن (?:الاستماع|الإملاء))$/i;
+// "Command" on its own, in each language
+const COMMAND_WORD = /^(?:commands?|commandes?|comandos?|أمر|الأوامر)$/i;
+const COMMAND_MODE =
+  /^(?:(?:switch to |go to |start )?commands?(?: mode)?|(?:passe en )?(?:mode )?commandes?|(?:cambia a )?(?:modo )?comandos?|(?:وضع )?(?:أمر|الأوامر))$/i;
+const DICTATION_MODE =
+  /^(?:(?:switch to |go to |back to |start )?(?:dictation(?: mode)?|dictating)|(?:passe en |retour en )?mode dict[eé]e|dict[eé]e|(?:cambia a |vuelve al? )?modo dictado|dictado|(?:وضع )?الإملاء)$/i;
+const COMMAND_PREFIX =
+  /^(?:commands?|commandes?|comandos?|أمر)\s*[:,.،-]\s*(.+)$/i;
+const DICTATION_PREFIX =
+  /^(?:dictate|dictation|type|dicte|dict[eé]e|tape|dicta|dictado|escribe|اكتب|إملاء)\s*[:,.،-]\s*(.+)$/i;
+
+// Trailing punctuation the transcription adds to short phrases
+const stripEnd = (text) => text.trim().replace(/[\s.!?؟]+$/, "");
+
+/**
+ * Decide what an utterance heard while listening hands-free is for
+ * @param {string} transcription - Transcript of the utterance
+ * @param {string} mode - Current mode, one of LISTENING_MODES
+ * @returns {Object} - { type, text, mode, stop } where type is "dictation",
+ * "command" or null when there's nothing to run, mode is the mode for the
+ * next utterance and stop is true when listening should end after this one
+ */
+export const routeUtterance = (transcription, mode) => {
+  let text = stripEnd(transcription || "");
+  let stop = false;
+
+  const stopMatch = text.match(STOP);
+  if (stopMatch) {
+    stop = true;
+    text = stripEnd(stopMatch[1] || "");
+  }
+
+  if (!text) return { type: null, text: "", mode, stop };
+
+  if (COMMAND_MODE.test(text)) {
+    // "Command" on its own is usually followed by the command after a pause
+    const next = COMMAND_WORD.test(text)
+      ? LISTENING_MODES.NEXT_COMMAND
+      : LISTENING_MODES.COMMAND;
+    return { type: null, text: "", mode: next, stop };
+  }
+  if (DICTATION_MODE.test(text)) {
+    return { type: null, text: "", mode: LISTENING_MODES.DICTATION, stop };
+  }
+
+  // A one-off command uses up "command" said on its own
+  const nextMode =
+    mode === LISTENING_MODES.NEXT_COMMAND ? LISTENING_MODES.DICTATION : mode;
+
+  const commandMatch = text.match(COMMAND_PREFIX);
+  if (commandMatch) {
+    return { type: "command", text: commandMatch[1], mode: nextMode, stop };
+  }
+
+  // Only checked outside dictation, where "type" could start a sentence
+  const dictationMatch =
+    mode !== LISTENING_MODES.DICTATION && text.match(DICTATION_PREFIX);
+  if (dictationMatch) {
+    return { type: "dictation", text: dictationMatch[1], mode: nextMode, stop };
+  }
+
+  if (mode !== LISTENING_MODES.DICTATION) {
+    return { type: "command", text, mode: nextMode, stop };
+  }
+
+  // Dictation keeps the transcript's own punctuation
+  return {
+    type: "dictation",
+    text: stop ? text : transcription.trim(),
+    mode,
+    stop,
+  };
+};
+
+export default {
+  LISTENING_MODES,
+  routeUtterance,
+};
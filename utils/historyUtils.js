@@ -39,6 +39,28 @@ const persistHistoryStacks = async (pageId, undoStack, redoStack) => {
   }
 };
 
+/**
+ * Record a change made outside the editor as a single undo step
+ * The editor's own change tracking is pointed at the new content, so it
+ * doesn't record the same change again when the editor reloads.
+ * @param {Array} previousContent - Content before the change
+ * @param {Array} newContent - Content after the change
+ * @param {Function} setUndoStack - State setter for undo stack
+ * @param {Function} setRedoStack - State setter for redo stack
+ * @param {Function} setLastMajorChange - State setter for last major change
+ */
+export const recordHistoryEntry = (
+  previousContent,
+  newContent,
+  setUndoStack,
+  setRedoStack,
+  setLastMajorChange
+) => {
+  setUndoStack((prevUndoStack) => [...prevUndoStack, previousContent]);
+  setRedoStack([]);
+  setLastMajorChange(newContent);
+};
+
 /**
  * Handle undo operation
  * @param {Array} undoStack - Current undo stack
@@ -364,6 +386,7 @@ export const handleRedoCommand = async (
 };
 
 export default {
+  recordHistoryEntry,
   handleUndo,
   handleRedo,
   handleUndoCommand,
@@ -0,0 +1,347 @@
+/**
+ * Utility functions for rendering editor content as standalone HTML
+ */
+import { formatRecordingTime } from "./recordingUtils";
+
+// BlockNote's named colors, so exported pages look like they do in the editor
+const COLORS = {
+  light: {
+    text: {
+      gray: "#9b9a97",
+      brown: "#64473a",
+      red: "#e03e3e",
+      orange: "#d9730d",
+      yellow: "#dfab01",
+      green: "#4d6461",
+      blue: "#0b6e99",
+      purple: "#6940a5",
+      pink: "#ad1a72",
+    },
+    background: {
+      gray: "#ebeced",
+      brown: "#e9e5e3",
+      red: "#fbe4e4",
+      orange: "#f6e9d9",
+      yellow: "#fbf3db",
+      green: "#ddedea",
+      blue: "#ddebf1",
+      purple: "#eae4f2",
+      pink: "#f4dfeb",
+    },
+  },
+  dark: {
+    text: {
+      gray: "#bebdb8",
+      brown: "#8e6552",
+      red: "#ec4040",
+      orange: "#e3790d",
+      yellow: "#dfab01",
+      green: "#6b8b87",
+      blue: "#0e87bc",
+      purple: "#8552d7",
+      pink: "#da208f",
+    },
+    background: {
+      gray: "#9b9a97",
+      brown: "#64473a",
+      red: "#be3434",
+      orange: "#b7600a",
+      yellow: "#b58b00",
+      green: "#4d6461",
+      blue: "#0b6e99",
+      purple: "#6940a5",
+      pink: "#ad1a72",
+    },
+  },
+};
+
+const LIST_TAGS = {
+  bulletListItem: "ul",
+  numberedListItem: "ol",
+  checkListItem: "ul",
+};
+
+// Link schemes exported pages may point at; anything else (javascript:,
+// data:, app links, ...) is rendered as plain text
+const SAFE_LINK_SCHEMES = /^(https?|mailto):/i;
+
+/**
+ * Check whether a link may be kept as a link in exported HTML
+ * @param {string} href - Link target
+ * @returns {boolean} - Whether it uses http, https or mailto
+ */
+export const isSafeLinkHref = (href) =>
+  typeof href === "string" && SAFE_LINK_SCHEMES.test(href.trim());
+
+export const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Inline CSS for a block's or text run's color and alignment props
+const getColorStyle = (props, palette) => {
+  const rules = [];
+  if (props.textColor && props.textColor !== "default") {
+    rules.push(`color: ${palette.text[props.textColor] || props.textColor}`);
+  }
+  if (props.backgroundColor && props.backgroundColor !== "default") {
+    rules.push(
+      `background-color: ${
+        palette.background[props.backgroundColor] || props.backgroundColor
+      }`
+    );
+  }
+  if (props.textAlignment && props.textAlignment !== "left") {
+    rules.push(`text-align: ${props.textAlignment}`);
+  }
+  return rules.length > 0 ? ` style="${escapeHtml(rules.join("; "))}"` : "";
+};
+
+// Convert inline content to HTML
+const inlineToHtml = (content, palette) => {
+  if (typeof content === "string") {
+    return escapeHtml(content).replace(/\n/g, "<br />");
+  }
+  if (!Array.isArray(content)) return "";
+
+  return content
+    .map((item) => {
+      if (!item) return "";
+
+      if (item.type === "link") {
+        const text = inlineToHtml(item.content, palette);
+        return isSafeLinkHref(item.href)
+          ? `<a href="${escapeHtml(item.href.trim())}">${text}</a>`
+          : text;
+      }
+
+      const styles = item.styles || {};
+      let html = escapeHtml(item.text || "").replace(/\n/g, "<br />");
+      if (!html) return "";
+
+      if (styles.code) html = `<code>${html}</code>`;
+      if (styles.bold) html = `<strong>${html}</strong>`;
+      if (styles.italic) html = `<em>${html}</em>`;
+      if (styles.underline) html = `<u>${html}</u>`;
+      if (styles.strike) html = `<s>${html}</s>`;
+
+      const colorStyle = getColorStyle(styles, palette);
+      return colorStyle ? `<span${colorStyle}>${html}</span>` : html;
+    })
+    .join("");
+};
+
+// Plain text of inline content, used for code blocks
+const inlineToText = (content) => {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((item) =>
+      item && item.type === "link"
+        ? inlineToText(item.content)
+        : (item && item.text) || ""
+    )
+    .join("");
+};
+
+const tableToHtml = (block, palette) => {
+  const rows = (block.content && block.content.rows) || [];
+  const toCell = (cell, tag) => {
+    const content = Array.isArray(cell) ? cell : (cell && cell.content) || [];
+    return `<${tag}>${inlineToHtml(content, palette)}</${tag}>`;
+  };
+
+  return `<table>${rows
+    .map(
+      (row, index) =>
+        `<tr>${row.cells
+          .map((cell) => toCell(cell, index === 0 ? "th" : "td"))
+          .join("")}</tr>`
+    )
+    .join("")}</table>`;
+};
+
+/**
+ * Convert BlockNote blocks to HTML
+ * @param {Array} blocks - Editor blocks
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.isDark - Use the dark color palette
+ * @returns {string} - HTML fragment
+ */
+export const blocksToHtml = (blocks, { isDark = false } = {}) => {
+  const palette = isDark ? COLORS.dark : COLORS.light;
+
+  const renderChildren = (block) =>
+    block.children && block.children.length > 0
+      ? renderBlocks(block.children)
+      : "";
+
+  const renderBlock = (block) => {
+    const props = block.props || {};
+    const style = getColorStyle(props, palette);
+    const content = inlineToHtml(block.content, palette);
+
+    switch (block.type) {
+      case "heading": {
+        const level = Math.min(Math.max(props.level || 1, 1), 6);
+        return `<h${level}${style}>${content}</h${level}>${nested(block)}`;
+      }
+      case "bulletListItem":
+      case "numberedListItem":
+        return `<li${style}>${content}${renderChildren(block)}</li>`;
+      case "checkListItem":
+        return `<li class="check-item${
+          props.checked ? " checked" : ""
+        }"${style}><span class="checkbox">${
+          props.checked ? "☑" : "☐"
+        }</span><span>${content}</span>${renderChildren(block)}</li>`;
+      case "quote":
+        return `<blockquote${style}>${content}</blockquote>${nested(block)}`;
+      case "code":
+      case "codeBlock":
+        return `<pre${style}><code>${escapeHtml(
+          inlineToText(block.content)
+        )}</code></pre>${nested(block)}`;
+      case "pageLink":
+        return `<p class="page-link">${escapeHtml(
+          `${props.pageIcon || "📄"} ${props.pageTitle || "Untitled Page"}`
+        )}</p>${nested(block)}`;
+      case "audio":
+        return `<p class="recording">🎙️ Recording (${formatRecordingTime(
+          props.durationMs
+        )})</p>${nested(block)}`;
+      case "image":
+        return `<figure><img src="${escapeHtml(props.url || "")}" alt="${escapeHtml(
+          props.caption || props.name || ""
+        )}" />${
+          props.caption
+            ? `<figcaption>${escapeHtml(props.caption)}</figcaption>`
+            : ""
+        }</figure>${nested(block)}`;
+      case "table":
+        return `${tableToHtml(block, palette)}${nested(block)}`;
+      default:
+        return `<p${style}>${content || "<br />"}</p>${nested(block)}`;
+    }
+  };
+
+  // Children of non-list blocks are indented, as in the editor
+  const nested = (block) => {
+    const children = renderChildren(block);
+    return children ? `<div class="nested">${children}</div>` : "";
+  };
+
+  const renderBlocks = (list) => {
+    let html = "";
+    let openList = null;
+
+    (list || []).forEach((block) => {
+      if (!block) return;
+
+      const listTag = LIST_TAGS[block.type];
+      const listKey = listTag ? `${listTag}:${block.type}` : null;
+
+      if (openList && openList.key !== listKey) {
+        html += `</${openList.tag}>`;
+        openList = null;
+      }
+      if (listTag && !openList) {
+        const className =
+          block.type === "checkListItem" ? ' class="checklist"' : "";
+        html += `<${listTag}${className}>`;
+        openList = { key: listKey, tag: listTag };
+      }
+
+      html += renderBlock(block);
+    });
+
+    if (openList) html += `</${openList.tag}>`;
+    return html;
+  };
+
+  return renderBlocks(blocks);
+};
+
+/**
+ * Render a page as a standalone HTML document styled with the app theme
+ * @param {Object} page - Page with title, icon and blocks
+ * @param {string} page.title - Page title
+ * @param {string} page.icon - Page icon
+ * @param {Array} page.blocks - Editor blocks
+ * @param {Object} theme - Theme colors from useTheme
+ * @param {boolean} isDark - Whether the dark theme is active
+ * @returns {string} - HTML document
+ */
+export const renderPageHtml = ({ title, icon, blocks }, theme, isDark) => {
+  const pageTitle = title || "Untitled";
+
+  // Most pages start with their title as a heading; don't repeat it
+  const first = blocks[0];
+  const startsWithTitle =
+    first &&
+    first.type === "heading" &&
+    inlineToText(first.content).trim() === pageTitle.trim();
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(pageTitle)}</title>
+<style>
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body {
+    margin: 0;
+    padding: 32px;
+    background: ${theme.background};
+    color: ${theme.text};
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    font-size: 16px;
+    line-height: 1.6;
+  }
+  .page-header { display: flex; align-items: center; gap: 12px; margin-bottom: 16px; }
+  .page-icon { font-size: 32px; }
+  .page-title { margin: 0; }
+  h1, h2, h3, h4, h5, h6 { line-height: 1.3; margin: 24px 0 8px; }
+  p { margin: 4px 0; }
+  a { color: ${theme.primary}; }
+  ul, ol { margin: 4px 0; padding-left: 24px; }
+  ul.checklist { list-style: none; padding-left: 4px; }
+  .check-item .checkbox { margin-right: 8px; }
+  .check-item > ul, .check-item > ol { padding-left: 24px; }
+  blockquote { margin: 8px 0; padding: 4px 16px; border-left: 3px solid ${theme.border}; color: ${theme.secondaryText}; }
+  pre { background: ${theme.surface}; border-radius: 6px; padding: 12px; overflow-x: auto; }
+  code { font-family: Menlo, Consolas, monospace; font-size: 14px; }
+  p code, li code { background: ${theme.surface}; border-radius: 4px; padding: 1px 4px; }
+  table { border-collapse: collapse; margin: 8px 0; }
+  th, td { border: 1px solid ${theme.border}; padding: 6px 10px; text-align: left; }
+  th { background: ${theme.surface}; }
+  figure { margin: 12px 0; }
+  img { max-width: 100%; border-radius: 6px; }
+  figcaption { color: ${theme.secondaryText}; font-size: 14px; }
+  .nested { padding-left: 24px; }
+  .page-link { font-weight: 500; }
+</style>
+</head>
+<body>
+${
+  startsWithTitle
+    ? ""
+    : `<div class="page-header"><span class="page-icon">${escapeHtml(
+        icon || "📄"
+      )}</span><h1 class="page-title">${escapeHtml(pageTitle)}</h1></div>`
+}
+${blocksToHtml(blocks, { isDark })}
+</body>
+</html>`;
+};
+
+export default {
+  escapeHtml,
+  isSafeLinkHref,
+  blocksToHtml,
+  renderPageHtml,
+};
@@ -0,0 +1,260 @@
+/**
+ * Utility functions for the languages voice input is spoken in
+ *
+ * Recordings are transcribed in the language chosen in voice settings, or
+ * in whatever language is spoken when it's left on automatic. Commands are
+ * understood in English, French, Spanish and Arabic: the words and phrases
+ * here let commands in the other three past the checks that run before the
+ * model is asked. Right-to-left text is right-aligned when it's added to a
+ * page.
+ */
+
+// Voice setting for detecting the spoken language from the recording
+export const AUTO_LANGUAGE = "auto";
+
+// Languages that can be chosen in voice settings, by ISO 639-1 code
+export const LANGUAGES = [
+  { code: "en", name: "English", nativeName: "English", direction: "ltr" },
+  { code: "fr", name: "French", nativeName: "Français", direction: "ltr" },
+  { code: "es", name: "Spanish", nativeName: "Español", direction: "ltr" },
+  { code: "ar", name: "Arabic", nativeName: "العربية", direction: "rtl" },
+];
+
+// Words that suggest an utterance is a command rather than dictation
+const COMMAND_WORDS = {
+  fr: [
+    "supprime",
+    "efface",
+    "enlève",
+    "retire",
+    "crée",
+    "nouvelle page",
+    "gras",
+    "italique",
+    "souligne",
+    "sélectionne",
+    "convertis",
+    "transforme",
+    "change",
+    "annule",
+    "rétablis",
+    "refais",
+    "remplace",
+    "ajoute",
+    "couleur",
+    "bleu",
+    "rouge",
+    "vert",
+    "titre",
+    "paragraphe",
+    "liste",
+    "puce",
+    "numérot",
+    "tâche",
+    "coche",
+    "citation",
+    "déplace",
+    "indente",
+    "ouvre",
+    "retourne",
+    "fais défiler",
+    "tous les",
+    "toutes les",
+  ],
+  es: [
+    "borra",
+    "elimina",
+    "quita",
+    "crea",
+    "nueva página",
+    "negrita",
+    "cursiva",
+    "subraya",
+    "selecciona",
+    "convierte",
+    "cambia",
+    "deshaz",
+    "deshacer",
+    "rehaz",
+    "rehacer",
+    "reemplaza",
+    "sustituye",
+    "añade",
+    "agrega",
+    "color",
+    "azul",
+    "rojo",
+    "verde",
+    "título",
+    "encabezado",
+    "párrafo",
+    "lista",
+    "viñeta",
+    "numerada",
+    "tarea",
+    "marca",
+    "cita",
+    "mueve",
+    "sangría",
+    "abre",
+    "vuelve",
+    "desplázate",
+    "todos los",
+    "todas las",
+  ],
+  ar: [
+    "احذف",
+    "امسح",
+    "أزل",
+    "أنشئ",
+    "صفحة جديدة",
+    "عريض",
+    "غامق",
+    "مائل",
+    "تسطير",
+    "حدد",
+    "حوّل إلى",
+    "تراجع",
+    "أعد التنفيذ",
+    "استبدل",
+    "أضف",
+    "لون",
+    "أزرق",
+    "أحمر",
+    "أخضر",
+    "عنوان",
+    "فقرة",
+    "قائمة",
+    "مهمة",
+    "اقتباس",
+    "انقل",
+    "افتح",
+    "اذهب",
+    "ارجع",
+    "مرر",
+  ],
+};
+
+// Questions for the AI in French, Spanish and Arabic, with the question
+// itself as the first group like the English ones
+export const QUESTION_PATTERNS = [
+  /^demande\s+(?:à\s+)?(?:l['’]\s*)?(?:ia|assistant|gemini)\s+(.+)/i,
+  /^qu['’]est[- ]ce\s+qu(?:e\s+|['’]\s*)(.+)/i,
+  /^(?:qui|quand|où|pourquoi|comment)\s+(?:est|sont|était|étaient)\s+(.+)/i,
+  /^peux[- ]tu\s+(?:me\s+)?(?:dire|expliquer|décrire)\s+(.+)/i,
+  /^pregunta\s+(?:a\s+)?(?:la\s+)?(?:ia|asistente|gemini)\s+(.+)/i,
+  /^¿?\s*(?:qué|quién|quiénes|cuándo|dónde|por\s+qué|cómo)\s+(?:es|son|era|eran|fue|fueron|está|están)\s+(.+)/i,
+  /^¿?\s*puedes\s+(?:decirme|explicar(?:me)?|describir(?:me)?)\s+(.+)/i,
+  /^[اأإ]س[أا]ل\s+(?:ال)?(?:ذكاء\s+الاصطناعي|مساعد|جيميني)\s+(.+)/,
+  /^(?:ما\s+هو|ما\s+هي|من\s+هو|من\s+هي|متى|[أا]ين|لماذا|كيف)\s+(.+)/,
+  /^هل\s+يمكنك\s+(?:[أا]ن\s+)?(?:تخبرني|تشرح|تصف)\s+(.+)/,
+];
+
+// "Delete the AI answer" in French, Spanish and Arabic
+export const DELETE_AI_ANSWER_PATTERNS = [
+  /(?:supprime|efface|enl[eè]ve|retire)\s+(?:la|cette)?\s*r[eé]ponse\s+(?:de\s+l['’]\s*)?ia/i,
+  /(?:borra|elimina|quita)\s+(?:la|esta)?\s*respuesta\s+(?:de\s+(?:la\s+)?)?ia/i,
+  /(?:احذف|امسح|[أا]زل)\s+(?:ال)?(?:[إا]جابة|رد)\s+(?:ال)?ذكاء\s+الاصطناعي/,
+];
+
+// Block types with a textAlignment prop
+const ALIGNABLE_TYPES = [
+  "paragraph",
+  "heading",
+  "bulletListItem",
+  "numberedListItem",
+  "checkListItem",
+  "quote",
+];
+
+const RTL_LETTER = /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufeff]/g;
+const LTR_LETTER = /[A-Za-z\u00c0-\u024f\u0370-\u03ff\u0400-\u04ff]/g;
+
+/**
+ * Fold text for matching spoken words: lower case, without accents or
+ * Arabic vowel marks, so "Crée" matches "cree" and "أزل" matches "ازل"
+ * @param {string} text - Text to fold
+ * @returns {string} - Folded text
+ */
+export const foldText = (text) =>
+  (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f\u0610-\u061a\u064b-\u065f\u0670]/g, "")
+    .toLowerCase();
+
+const FOLDED_COMMAND_WORDS = Object.values(COMMAND_WORDS).flat().map(foldText);
+
+/**
+ * Find a language that can be chosen in voice settings
+ * @param {string} code - ISO 639-1 code, like "fr"
+ * @returns {Object|null} - { code, name, nativeName, direction }, or null
+ * for AUTO_LANGUAGE and languages not in LANGUAGES
+ */
+export const getLanguage = (code) =>
+  LANGUAGES.find((language) => language.code === code) || null;
+
+/**
+ * Check whether an utterance has a French, Spanish or Arabic command word
+ * @param {string} text - What was said
+ * @returns {boolean} - Whether it may be a command
+ */
+export const hasCommandWord = (text) => {
+  const folded = foldText(text);
+  return FOLDED_COMMAND_WORDS.some((word) => folded.includes(word));
+};
+
+/**
+ * Work out which way text runs from the letters in it
+ * @param {string} text - Text to check
+ * @returns {string} - "rtl" when most letters are from a right-to-left
+ * script like Arabic, otherwise "ltr"
+ */
+export const getTextDirection = (text) => {
+  const rtl = (text || "").match(RTL_LETTER);
+  const ltr = (text || "").match(LTR_LETTER);
+  return rtl && rtl.length > (ltr ? ltr.length : 0) ? "rtl" : "ltr";
+};
+
+/**
+ * Right-align blocks written in a right-to-left language
+ * Blocks that were given another alignment keep it.
+ * @param {Array} blocks - Blocks about to be added to a page
+ * @returns {Array} - The blocks, with right-to-left ones and their children
+ * right-aligned
+ */
+export const alignBlocksToText = (blocks) =>
+  blocks.map((block) => {
+    const children = Array.isArray(block.children)
+      ? alignBlocksToText(block.children)
+      : block.children;
+
+    const text = Array.isArray(block.content)
+      ? block.content.map((item) => item.text || "").join("")
+      : "";
+    const alignment = block.props && block.props.textAlignment;
+    if (
+      !ALIGNABLE_TYPES.includes(block.type) ||
+      (alignment && alignment !== "left") ||
+      getTextDirection(text) !== "rtl"
+    ) {
+      return { ...block, children };
+    }
+
+    return {
+      ...block,
+      props: { ...block.props, textAlignment: "right" },
+      children,
+    };
+  });
+
+export default {
+  AUTO_LANGUAGE,
+  LANGUAGES,
+  QUESTION_PATTERNS,
+  DELETE_AI_ANSWER_PATTERNS,
+  foldText,
+  getLanguage,
+  hasCommandWord,
+  getTextDirection,
+  alignBlocksToText,
+};
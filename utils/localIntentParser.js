@@ -0,0 +1,1257 @@
+/**
+ * Local intent parser for voice commands
+ *
+ * Compiles the wildcard patterns in COMMAND_PATTERNS into a grammar and
+ * matches spoken edits against it without calling Gemini. The wildcards are
+ * read as slots (target, color, level, block type, count, content and the
+ * block a move is measured against), targets are resolved against the page's
+ * top-level blocks and the editor's selection, and every match is scored so
+ * the caller can fall back to Gemini when the parse is a guess.
+ */
+
+import { COMMAND_PATTERNS, COMMAND_TYPES } from "./voiceCommandPatterns";
+import { normalizeText } from "./searchUtils";
+import { extractTextFromBlock, findBlockById } from "./blockOperations";
+import {
+  findChecklistItems,
+  matchChecklistItems,
+} from "./checklistUtils";
+import {
+  hasTextSelection,
+  getSelectionTargetIds,
+  appliesToSelectedText,
+} from "./selectionUtils";
+
+// Local matches scoring below this are left to Gemini
+export const LOCAL_CONFIDENCE_THRESHOLD = 0.75;
+
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+};
+
+const ORDINAL_WORDS = {
+  first: 1,
+  second: 2,
+  third: 3,
+  fourth: 4,
+  fifth: 5,
+  sixth: 6,
+  seventh: 7,
+  eighth: 8,
+  ninth: 9,
+  tenth: 10,
+};
+
+const LIST_TYPES = ["bulletListItem", "numberedListItem", "checkListItem"];
+
+// Spoken names for blocks; null types means any block
+const BLOCK_NOUNS = [
+  {
+    pattern: /^(?:bullet(?:ed)? (?:list )?(?:items?|points?)|bullets?)$/,
+    types: ["bulletListItem"],
+  },
+  {
+    pattern: /^(?:numbered|ordered) (?:list )?(?:items?|points?)$/,
+    types: ["numberedListItem"],
+  },
+  {
+    pattern:
+      /^(?:to-?dos?|to dos?|tasks?|check ?list items?|check items?|checkbox(?:es)?)(?: items?)?$/,
+    types: ["checkListItem"],
+  },
+  { pattern: /^(?:list items?|lists?|items?|steps?)$/, types: LIST_TYPES },
+  { pattern: /^paragraphs?$/, types: ["paragraph"] },
+  {
+    pattern: /^(?:headings?|headers?|titles?|subtitles?|subheadings?)$/,
+    types: ["heading"],
+  },
+  { pattern: /^(?:quotes?|quotations?)$/, types: ["quote"] },
+  { pattern: /^code(?: blocks?)?$/, types: ["codeBlock"] },
+  { pattern: /^(?:blocks?|lines?|text)$/, types: null },
+  // A heading and the blocks under it
+  { pattern: /^sections?$/, types: ["heading"], section: true },
+];
+
+// Block types a block can be converted to
+const NEW_BLOCK_TYPES = [
+  {
+    pattern: /^(?:bullet(?:ed)?|unordered) (?:lists?|points?)(?: items?)?$/,
+    type: "bulletListItem",
+  },
+  {
+    pattern: /^(?:numbered|ordered) lists?(?: items?)?$/,
+    type: "numberedListItem",
+  },
+  {
+    pattern:
+      /^(?:to-?do|to do|task|check ?list|checkbox|check)(?: lists?)?(?: items?)?$/,
+    type: "checkListItem",
+  },
+  { pattern: /^(?:block ?)?(?:quote|quotation)(?: block)?$/, type: "quote" },
+  { pattern: /^code(?: block)?$/, type: "codeBlock" },
+  {
+    pattern: /^(?:paragraph|plain text|normal text|text)$/,
+    type: "paragraph",
+  },
+];
+
+// BlockNote's text colors, with the spoken names that map onto them
+const TEXT_COLORS = {
+  default: "default",
+  black: "default",
+  normal: "default",
+  gray: "gray",
+  grey: "gray",
+  silver: "gray",
+  brown: "brown",
+  maroon: "brown",
+  red: "red",
+  orange: "orange",
+  yellow: "yellow",
+  gold: "yellow",
+  green: "green",
+  lime: "green",
+  olive: "green",
+  blue: "blue",
+  navy: "blue",
+  cyan: "blue",
+  teal: "blue",
+  purple: "purple",
+  violet: "purple",
+  indigo: "purple",
+  pink: "pink",
+  magenta: "pink",
+};
+
+// Polite or filler words around a command that don't change its meaning
+const LEADING_FILLER =
+  /^(?:(?:please|ok(?:ay)?|hey|now|and|then|can you|could you|would you|will you)\s+)+/;
+const TRAILING_FILLER = /\s+(?:please|for me|thanks|thank you)$/;
+
+// Ways of pointing at a block by what it says
+const TEXT_REFERENCE =
+  /^(.*?)\s*\b(?:(?:that|which) (?:says|contains|mentions|has|is about|talks about)|saying|containing|mentioning|about|called|named|with(?: the)?(?: text| words?)?)\s+(.+)$/;
+const QUOTED_TEXT = /^(.*?)\s*["“‘'](.+)["”’']$/;
+
+const SELECTED =
+  /^(?:(?:the )?(?:selected|highlighted)(?: (.+))?|(?:the |my )?(?:current )?selection|what i(?:'ve| have)? (?:selected|highlighted))$/;
+const CURRENT_BLOCK = /^(?:the )?(?:this|that|it|here|current)(?: (.+))?$/;
+// Nouns that mean the selected text rather than the blocks around it
+const TEXT_NOUN = /^(?:text|words?)$/;
+// "completed tasks", "all the unfinished to-dos"
+const TASK_STATE =
+  /^(?:(?:all|every|each)(?: (?:of )?the)? |the |my )?(completed|complete|finished|done|checked|ticked|unfinished|incomplete|open|unchecked|remaining|outstanding|pending) (.+)$/;
+const CHECKED_STATE = /^(?:completed|complete|finished|done|checked|ticked)$/;
+const WHOLE_PAGE =
+  /^(?:everything|all|all text|the whole (?:page|note)|the entire (?:page|note))$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Strip a leading article so "the last paragraph" reads as "last paragraph"
+const stripArticle = (text) => text.replace(/^(?:the|a|an|my)\s+/, "");
+
+/**
+ * Parse a spoken number such as "3", "three" or "3rd"
+ * @param {string} text - Spoken number
+ * @returns {number|null} - The number, or null if it isn't one
+ */
+const parseNumber = (text) => {
+  const value = (text || "").trim();
+  if (/^\d+(?:st|nd|rd|th)?$/.test(value)) return parseInt(value, 10);
+  return NUMBER_WORDS[value] || ORDINAL_WORDS[value] || null;
+};
+
+/**
+ * Parse a spoken ordinal such as "third" or "3rd"
+ * @param {string} text - Spoken ordinal
+ * @returns {number|null} - The position, or null if it isn't one
+ */
+const parseOrdinal = (text) =>
+  ORDINAL_WORDS[text] ||
+  (/^\d+(?:st|nd|rd|th)$/.test(text) ? parseInt(text, 10) : null);
+
+/**
+ * Parse the name of a kind of block, e.g. "headings" or "bullet points"
+ * @param {string} text - Spoken block name
+ * @returns {Object|null} - { types, section } where null types means any
+ * block and section is set for "section", or null if the text doesn't name
+ * a block
+ */
+const parseBlockNoun = (text) => {
+  const noun = BLOCK_NOUNS.find(({ pattern }) => pattern.test(text));
+  if (!noun) return null;
+
+  const { pattern, ...parsed } = noun;
+  return parsed;
+};
+
+/**
+ * Parse a spoken count of blocks such as "3" or "three"
+ * @param {string} text - Spoken count
+ * @returns {number|null} - The count, or null if it isn't one
+ */
+const parseBlockCount = (text) =>
+  /^\d+$/.test(text) ? parseInt(text, 10) : NUMBER_WORDS[text] || null;
+
+/**
+ * Parse a heading level such as "2", "two", "level 2" or "h2"
+ * Levels stop at 3 because that's as deep as the editor's headings go.
+ * @param {string} text - Spoken level
+ * @returns {number|null} - Heading level from 1 to 3, or null
+ */
+const parseHeadingLevel = (text) => {
+  const match = (text || "")
+    .trim()
+    .match(/^(?:h|heading |level |heading level )?(\w+)$/);
+  const level = match ? parseNumber(match[1]) : null;
+  return level >= 1 && level <= 3 ? level : null;
+};
+
+/**
+ * Parse the block type something should become, e.g. "a bullet list"
+ * @param {string} text - Spoken block type
+ * @returns {Object|null} - { type, headingLevel } or null
+ */
+const parseNewBlockType = (text) => {
+  const value = stripArticle((text || "").trim());
+
+  const heading = value.match(
+    /^(?:level (\w+) )?(?:heading|header|title|subheading)(?: (?:level )?(\w+))?$/
+  );
+  if (heading) {
+    const spokenLevel = heading[1] || heading[2];
+    const headingLevel = spokenLevel ? parseHeadingLevel(spokenLevel) : null;
+    if (spokenLevel && !headingLevel) return null;
+    return {
+      type: "heading",
+      headingLevel:
+        headingLevel || (value.startsWith("subheading") ? 2 : null),
+    };
+  }
+
+  const shortHeading = parseHeadingLevel(value);
+  if (shortHeading && /^h\d$/.test(value)) {
+    return { type: "heading", headingLevel: shortHeading };
+  }
+
+  const match = NEW_BLOCK_TYPES.find(({ pattern }) => pattern.test(value));
+  return match ? { type: match.type, headingLevel: null } : null;
+};
+
+/**
+ * Parse a spoken color into one of BlockNote's text colors
+ * @param {string} text - Spoken color, e.g. "dark blue"
+ * @returns {string|null} - Text color, or null if it isn't one
+ */
+const parseColor = (text) => {
+  const words = stripArticle((text || "").trim())
+    .replace(/\s+(?:color|colour)$/, "")
+    .split(/\s+/);
+  if (words.length > 2) return null;
+
+  // Allow a shade in front ("dark blue") but nothing else
+  if (words.length === 2 && !/^(?:dark|light|bright|pale)$/.test(words[0])) {
+    return null;
+  }
+
+  return TEXT_COLORS[words[words.length - 1]] || null;
+};
+
+/**
+ * Parse a spoken count of changes, e.g. "the last two"
+ * @param {string} text - Spoken count
+ * @returns {number|null} - Count, or null
+ */
+const parseCount = (text) =>
+  parseNumber(
+    (text || "")
+      .trim()
+      .replace(/^(?:the )?(?:last|previous) /, "")
+  );
+
+/**
+ * Parse a spoken reference to one or more blocks
+ * @param {string} phrase - The target slot, e.g. "the second heading"
+ * @returns {Object|null} - Target description, or null if it isn't one
+ */
+export const parseTarget = (phrase) => {
+  const text = (phrase || "").trim();
+  if (!text) return null;
+
+  // "the heading 'Old Section'" or "the paragraph about the budget"
+  const reference = text.match(QUOTED_TEXT) || text.match(TEXT_REFERENCE);
+  if (reference && reference[2].trim()) {
+    let head = reference[1].trim();
+    const multiple = /^(?:all|every|each)\b/.test(head);
+    head = stripArticle(head.replace(/^(?:all|every|each)(?: the)?\s*/, ""));
+
+    const noun = head ? parseBlockNoun(head) : { types: null };
+    if (!noun) return null;
+
+    return {
+      scope: "text",
+      ...noun,
+      text: reference[2].trim(),
+      multiple,
+    };
+  }
+
+  // "the selected text", "the highlighted paragraph", "my selection"
+  const selected = text.match(SELECTED);
+  if (selected) {
+    if (!selected[1] || TEXT_NOUN.test(selected[1])) {
+      return { scope: "selection", types: null, precise: true };
+    }
+    const noun = parseBlockNoun(selected[1]);
+    return noun ? { scope: "selection", ...noun, precise: false } : null;
+  }
+
+  // "this", "this block", "the current paragraph". "this" and "this text"
+  // mean the selected text when there is some.
+  const current = text.match(CURRENT_BLOCK);
+  if (current) {
+    if (!current[1] || current[1] === "one" || TEXT_NOUN.test(current[1])) {
+      return { scope: "current", types: null, precise: true };
+    }
+    const noun = parseBlockNoun(current[1]);
+    return noun ? { scope: "current", ...noun, precise: false } : null;
+  }
+
+  if (WHOLE_PAGE.test(text)) {
+    return { scope: "all", types: null };
+  }
+
+  // Checklist items in a state, wherever they're nested
+  const taskState = text.match(TASK_STATE);
+  const taskNoun = taskState ? parseBlockNoun(taskState[2]) : null;
+  if (
+    taskNoun &&
+    (!taskNoun.types || taskNoun.types.includes("checkListItem"))
+  ) {
+    return {
+      scope: "all",
+      types: ["checkListItem"],
+      checked: CHECKED_STATE.test(taskState[1]),
+      nested: true,
+    };
+  }
+
+  // "all headings", "every to-do"
+  const all = text.match(/^(?:all|every|each)(?: (?:of )?the)? (.+)$/);
+  if (all) {
+    const noun = parseBlockNoun(all[1]);
+    return noun ? { scope: "all", ...noun } : null;
+  }
+
+  const value = stripArticle(text);
+
+  // "the first two steps", "the last three bullets"
+  const range = value.match(/^(first|last) (\w+)(?: (.+))?$/);
+  const count = range ? parseBlockCount(range[2]) : null;
+  if (count > 1) {
+    const noun = range[3] ? parseBlockNoun(range[3]) : { types: null };
+    return noun
+      ? { scope: "range", ...noun, count, fromEnd: range[1] === "last" }
+      : null;
+  }
+
+  // "the last paragraph", "second to last block", "third heading"
+  const ordinal = value.match(
+    /^(last|latest|final|second (?:to )?last|next to last|penultimate|\w+)(?: (.+))?$/
+  );
+  if (ordinal) {
+    const position = ordinal[1];
+    let fromEnd = null;
+    if (/^(?:last|latest|final)$/.test(position)) fromEnd = 1;
+    if (/^(?:second (?:to )?last|next to last|penultimate)$/.test(position)) {
+      fromEnd = 2;
+    }
+
+    const index = fromEnd ? null : parseOrdinal(position);
+
+    if (fromEnd || index) {
+      const noun = ordinal[2] ? parseBlockNoun(ordinal[2]) : { types: null };
+      return noun ? { scope: "ordinal", ...noun, index, fromEnd } : null;
+    }
+  }
+
+  // "paragraph 2", "block number three"
+  const numbered = value.match(/^(.+?) (?:number )?(\w+)$/);
+  if (numbered && parseNumber(numbered[2])) {
+    const noun = parseBlockNoun(numbered[1]);
+    if (noun) {
+      return {
+        scope: "ordinal",
+        ...noun,
+        index: parseNumber(numbered[2]),
+        fromEnd: null,
+      };
+    }
+  }
+
+  // "the heading" - only certain if the page has just one
+  const noun = parseBlockNoun(value);
+  if (noun) return { scope: "single", ...noun };
+
+  // "the Risks heading", "the Action Items section". The words could be
+  // something else entirely, so a miss is left to Gemini.
+  const words = value.split(" ");
+  for (let length = Math.min(3, words.length - 1); length > 0; length--) {
+    const named = parseBlockNoun(words.slice(-length).join(" "));
+    if (named) {
+      return {
+        scope: "text",
+        ...named,
+        text: words.slice(0, -length).join(" "),
+        multiple: false,
+        loose: true,
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a spoken reference to checklist items
+ * They can be nested anywhere, and anything that doesn't name blocks is read
+ * as the text of a task, as in "check off buy groceries".
+ * @param {string} phrase - The target slot
+ * @returns {Object} - Target description for resolveTarget
+ */
+const parseTaskTarget = (phrase) => {
+  const target = parseTarget(phrase);
+  if (target && target.scope !== "text") {
+    return { ...target, types: ["checkListItem"], nested: true };
+  }
+
+  return {
+    scope: "task",
+    types: ["checkListItem"],
+    text: target ? target.text : stripArticle(phrase.trim()),
+    nested: true,
+  };
+};
+
+/**
+ * Check whether a block's text contains every word of a spoken phrase
+ * @param {string} blockText - Normalised block text
+ * @param {string} phrase - Normalised phrase
+ * @returns {boolean} - Whether all words appear
+ */
+const containsAllWords = (blockText, phrase) =>
+  phrase
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => blockText.includes(word));
+
+// Every block of the page in page order, nested blocks after their parent
+const flattenBlocks = (blocks) =>
+  blocks.flatMap((block) => [block, ...flattenBlocks(block.children || [])]);
+
+// Resolve a target to the blocks it names; see resolveTarget
+const resolveBlocks = (target, blocks, selection) => {
+  const candidates = blocks.filter(
+    (block) =>
+      (!target.types || target.types.includes(block.type)) &&
+      (target.checked === undefined ||
+        Boolean(block.props?.checked) === target.checked)
+  );
+
+  switch (target.scope) {
+    case "current":
+    case "selection": {
+      if (
+        target.scope === "selection" &&
+        target.precise &&
+        !hasTextSelection(selection)
+      ) {
+        return {
+          targetBlockIds: [],
+          confidence: 1,
+          message: "Nothing is selected. Select some text and try again.",
+        };
+      }
+
+      // The cursor can be in a nested block, which "outdent this" needs
+      const selectedIds = getSelectionTargetIds(selection);
+      const selected = flattenBlocks(blocks).filter((block) =>
+        selectedIds.includes(block.id)
+      );
+      if (selected.length === 0) return { targetBlockIds: [], confidence: 0 };
+
+      // "this paragraph" said while the cursor is in a heading
+      const typeMatches =
+        !target.types ||
+        selected.every((block) => target.types.includes(block.type));
+      return {
+        targetBlockIds: selected.map((block) => block.id),
+        confidence: typeMatches ? 1 : 0.8,
+        ...(target.precise && hasTextSelection(selection)
+          ? { selectionRanges: selection.selectionRanges }
+          : {}),
+      };
+    }
+
+    case "all":
+      return {
+        targetBlockIds: candidates.map((block) => block.id),
+        confidence: 1,
+      };
+
+    case "ordinal": {
+      const position = target.fromEnd
+        ? candidates.length - target.fromEnd
+        : target.index - 1;
+      const block = candidates[position];
+      return { targetBlockIds: block ? [block.id] : [], confidence: 1 };
+    }
+
+    case "range": {
+      const range = target.fromEnd
+        ? candidates.slice(-target.count)
+        : candidates.slice(0, target.count);
+      return {
+        targetBlockIds:
+          range.length === target.count ? range.map((block) => block.id) : [],
+        confidence: 1,
+      };
+    }
+
+    case "single":
+      if (candidates.length > 1) {
+        return {
+          targetBlockIds: [],
+          confidence: 0.5,
+          ambiguous: true,
+          candidateBlockIds: candidates.map((block) => block.id),
+        };
+      }
+      return {
+        targetBlockIds: candidates.length === 1 ? [candidates[0].id] : [],
+        confidence: 1,
+      };
+
+    case "text": {
+      const phrase = normalizeText(target.text);
+      const texts = candidates.map((block) => ({
+        id: block.id,
+        text: normalizeText(extractTextFromBlock(block)),
+      }));
+
+      // Speech rarely quotes text word for word, so a block with all the
+      // words will do when none has the exact phrase
+      const exact = texts.filter((item) => item.text.includes(phrase));
+      const matches =
+        exact.length > 0
+          ? exact
+          : texts.filter((item) => containsAllWords(item.text, phrase));
+      const matchIds = matches.map((item) => item.id);
+
+      // "the paragraph about budget" when several are
+      if (matches.length > 1 && !target.multiple) {
+        return {
+          targetBlockIds: [],
+          confidence: 0.5,
+          ambiguous: true,
+          candidateBlockIds: matchIds,
+        };
+      }
+      if (matches.length === 0 && target.loose) {
+        return { targetBlockIds: [], confidence: 0.5 };
+      }
+      return {
+        targetBlockIds: matchIds,
+        confidence: exact.length > 0 || matches.length !== 1 ? 1 : 0.8,
+      };
+    }
+
+    case "task": {
+      const { blockIds, confidence } = matchChecklistItems(
+        candidates,
+        target.text
+      );
+      if (blockIds.length > 1) {
+        return {
+          targetBlockIds: [],
+          confidence: 0.5,
+          ambiguous: true,
+          candidateBlockIds: blockIds,
+        };
+      }
+      // Words that match no task may not be about tasks at all
+      return {
+        targetBlockIds: blockIds,
+        confidence: blockIds.length > 0 ? confidence : 0.5,
+      };
+    }
+
+    default:
+      return { targetBlockIds: [], confidence: 0 };
+  }
+};
+
+/**
+ * Widen blocks to the sections they're in
+ * A section is a heading and the blocks after it, up to the next heading of
+ * the same or a higher level. Blocks above the first heading stay as they
+ * are.
+ * @param {Array} blockIds - IDs of blocks; nested blocks count as the
+ * top-level block they're in
+ * @param {Array} blocks - Top-level blocks of the page
+ * @returns {Array} - IDs of the sections' blocks, in page order
+ */
+const expandToSections = (blockIds, blocks) => {
+  const included = new Set();
+
+  blockIds.forEach((id) => {
+    const index = blocks.findIndex(
+      (block) => block.id === id || findBlockById(block.children, id)
+    );
+    if (index === -1) return;
+
+    let start = index;
+    while (start > 0 && blocks[start].type !== "heading") start--;
+    if (blocks[start].type !== "heading") {
+      included.add(blocks[index].id);
+      return;
+    }
+
+    const level = blocks[start].props?.level || 1;
+    included.add(blocks[start].id);
+    for (let i = start + 1; i < blocks.length; i++) {
+      const block = blocks[i];
+      if (block.type === "heading" && (block.props?.level || 1) <= level) {
+        break;
+      }
+      included.add(block.id);
+    }
+  });
+
+  return blocks
+    .filter((block) => included.has(block.id))
+    .map((block) => block.id);
+};
+
+/**
+ * Resolve a parsed target against the page's blocks
+ * @param {Object} target - Result of parseTarget
+ * @param {Array} blocks - Top-level blocks of the page
+ * @param {Object|null} selection - Selection context from the editor
+ * @returns {Object} - { targetBlockIds, confidence, ambiguous, message,
+ * selectionRanges, candidateBlockIds } where selectionRanges is set when the
+ * target means the selected text, message explains an empty target when it
+ * can, and candidateBlockIds lists the blocks an ambiguous target could mean
+ */
+export const resolveTarget = (target, blocks, selection = null) => {
+  // Checklist items count wherever they're nested
+  if (target.nested) {
+    const { nested, ...rest } = target;
+    const items = findChecklistItems(blocks).map((item) => ({
+      ...item,
+      children: [],
+    }));
+    return resolveTarget(rest, items, selection);
+  }
+
+  if (!target.section) return resolveBlocks(target, blocks, selection);
+
+  // "this section" is the one the cursor is in, whatever block that is
+  const inside = target.scope === "current" || target.scope === "selection";
+  const { selectionRanges, ...resolved } = resolveBlocks(
+    inside ? { ...target, types: null } : target,
+    blocks,
+    selection
+  );
+  return {
+    ...resolved,
+    targetBlockIds: expandToSections(resolved.targetBlockIds, blocks),
+  };
+};
+
+// Why a spoken target didn't name any blocks, to ask the user about it
+const explainEmptyTarget = (resolved, phrase) =>
+  resolved.message ||
+  (resolved.ambiguous
+    ? `There's more than one ${phrase.replace(/^the /, "")}. ` +
+      "Which one do you mean?"
+    : `I couldn't find ${phrase} on this page.`);
+
+// Actions that can wait for the user to pick one of several matching blocks
+const CHOOSABLE_ACTIONS = ["APPLY_FORMATTING", "MODIFY_BLOCK"];
+
+// Formatting each command type applies
+const FORMATTING_TYPES = {
+  [COMMAND_TYPES.APPLY_BOLD]: "BOLD",
+  [COMMAND_TYPES.APPLY_ITALIC]: "ITALIC",
+  [COMMAND_TYPES.APPLY_UNDERLINE]: "UNDERLINE",
+  [COMMAND_TYPES.REMOVE_FORMATTING]: "REMOVE_FORMATTING",
+};
+
+/**
+ * Read a slot from the command as it was spoken, keeping its casing
+ * Matching runs on a lowercased command, which would lose the capitals in
+ * text being added ("add call Sam here").
+ * @param {Object} rule - Grammar rule the normalised command matched
+ * @param {string} command - The transcribed voice command
+ * @param {string} slot - Slot to read
+ * @returns {string|null} - The slot's text, or null if it can't be found
+ */
+const readOriginalSlot = (rule, command, slot) => {
+  const original = command
+    .trim()
+    .replace(/[.!?]+$/, "")
+    .replace(/\s+/g, " ")
+    .replace(new RegExp(LEADING_FILLER.source, "i"), "")
+    .replace(new RegExp(TRAILING_FILLER.source, "i"), "");
+  const match = original.match(new RegExp(rule.regex.source, "i"));
+  const index = rule.slots.indexOf(slot);
+  return match && index !== -1
+    ? match[index + 1].trim().replace(/,$/, "")
+    : null;
+};
+
+const moveRule = (destination, slots) => ({
+  slots,
+  build: () => ({ action: "MOVE_BLOCK", moveType: "MOVE", destination }),
+});
+
+const checkRule = (checked) => ({
+  slots: ["target"],
+  tasks: true,
+  build: () => ({
+    action: "MODIFY_BLOCK",
+    modificationType: "CHANGE_CHECKED",
+    checked,
+  }),
+});
+
+// Title for a new page named after what's moved to it
+const titleFromTarget = (target) => {
+  if (CURRENT_BLOCK.test(target) || SELECTED.test(target)) return "New page";
+  const title = stripArticle(target);
+  return title.charAt(0).toUpperCase() + title.slice(1);
+};
+
+// "the Project Phoenix page" -> "Project Phoenix"; null for things that
+// aren't a page title, like "a new page"
+const parsePageTitle = (text) => {
+  const title = text
+    .replace(/^(?:the|my)\s+/i, "")
+    .replace(/\s+page$/i, "")
+    .trim();
+  if (!title || /^(?:(?:a|another) )?new\b/i.test(title)) return null;
+  return CURRENT_BLOCK.test(title.toLowerCase()) ? null : title;
+};
+
+const navigationRule = (navigationType) => ({
+  slots: [],
+  build: () => ({ action: "NAVIGATE", navigationType }),
+});
+
+const formattingRule = (type) => ({
+  slots: ["target"],
+  build: () => ({
+    action: "APPLY_FORMATTING",
+    formattingType: FORMATTING_TYPES[type],
+  }),
+});
+
+/**
+ * What each command type's wildcards mean and the command they build
+ * Types without a rule (selection, text replacement) have no local
+ * executor and always go to Gemini. A build returning null means the slots
+ * didn't make sense for that type, e.g. "make the heading bold" read as a
+ * heading level of "bold". Rules with a placement put new content after
+ * their target instead of changing it. A reference slot names the one block
+ * a move is measured against, and an other slot adds a second target.
+ * Optional slots are left out of patterns with too few wildcards. Rules for
+ * tasks read their target as checklist items with parseTaskTarget.
+ */
+const RULES = {
+  [COMMAND_TYPES.APPLY_BOLD]: formattingRule(COMMAND_TYPES.APPLY_BOLD),
+  [COMMAND_TYPES.APPLY_ITALIC]: formattingRule(COMMAND_TYPES.APPLY_ITALIC),
+  [COMMAND_TYPES.APPLY_UNDERLINE]: formattingRule(
+    COMMAND_TYPES.APPLY_UNDERLINE
+  ),
+  [COMMAND_TYPES.REMOVE_FORMATTING]: formattingRule(
+    COMMAND_TYPES.REMOVE_FORMATTING
+  ),
+  [COMMAND_TYPES.CHANGE_TEXT_COLOR]: {
+    slots: ["target", "color"],
+    build: ({ color }) => {
+      const textColor = parseColor(color);
+      return textColor
+        ? {
+            action: "MODIFY_BLOCK",
+            modificationType: "CHANGE_TEXT_COLOR",
+            textColor,
+          }
+        : null;
+    },
+  },
+  [COMMAND_TYPES.CHANGE_BLOCK_TYPE]: {
+    slots: ["target", "newType"],
+    build: ({ newType }) => {
+      const parsed = parseNewBlockType(newType);
+
+      // "change all headings to blue" is a color change
+      if (!parsed) {
+        const textColor = parseColor(newType);
+        return textColor
+          ? {
+              action: "MODIFY_BLOCK",
+              modificationType: "CHANGE_TEXT_COLOR",
+              textColor,
+            }
+          : null;
+      }
+
+      if (parsed.type === "heading" && parsed.headingLevel) {
+        return {
+          action: "MODIFY_BLOCK",
+          modificationType: "CHANGE_HEADING_LEVEL",
+          newType: "heading",
+          headingLevel: parsed.headingLevel,
+        };
+      }
+
+      return {
+        action: "MODIFY_BLOCK",
+        modificationType: "CHANGE_TYPE",
+        newType: parsed.type,
+      };
+    },
+  },
+  [COMMAND_TYPES.CHANGE_HEADING_LEVEL]: {
+    slots: ["target", "level"],
+    build: ({ level }) => {
+      const headingLevel = parseHeadingLevel(level);
+      return headingLevel
+        ? {
+            action: "MODIFY_BLOCK",
+            modificationType: "CHANGE_HEADING_LEVEL",
+            newType: "heading",
+            headingLevel,
+          }
+        : null;
+    },
+  },
+  [COMMAND_TYPES.CONVERT_TO_LIST]: {
+    slots: ["target", "listType"],
+    build: ({ listType }) => {
+      const parsed = parseNewBlockType(`${stripArticle(listType)} list`);
+      if (!parsed || !LIST_TYPES.includes(parsed.type)) return null;
+
+      return {
+        action: "MODIFY_BLOCK",
+        modificationType: "CONVERT_TO_LIST",
+        newType: parsed.type,
+      };
+    },
+  },
+  [COMMAND_TYPES.UNDO]: {
+    slots: [],
+    build: () => ({ action: "UNDO", steps: 1 }),
+  },
+  [COMMAND_TYPES.REDO]: {
+    slots: [],
+    build: () => ({ action: "REDO", steps: 1 }),
+  },
+  [COMMAND_TYPES.UNDO_MULTIPLE]: {
+    slots: ["count"],
+    build: ({ count }) => {
+      const steps = parseCount(count);
+      return steps ? { action: "UNDO", steps } : null;
+    },
+  },
+  [COMMAND_TYPES.DELETE_BLOCK]: {
+    slots: ["target"],
+    build: () => ({ action: "DELETE_BLOCK" }),
+  },
+  [COMMAND_TYPES.INSERT_AT_POSITION]: {
+    slots: ["content", "target"],
+    placement: "after",
+    build: ({ content }) =>
+      content ? { action: "INSERT_CONTENT", content } : null,
+  },
+  [COMMAND_TYPES.MOVE_BEFORE]: moveRule("BEFORE", ["target", "reference"]),
+  [COMMAND_TYPES.MOVE_AFTER]: moveRule("AFTER", ["target", "reference"]),
+  [COMMAND_TYPES.MOVE_TO_TOP]: moveRule("TOP", ["target"]),
+  [COMMAND_TYPES.MOVE_TO_BOTTOM]: moveRule("BOTTOM", ["target"]),
+  [COMMAND_TYPES.INDENT_BLOCK]: {
+    slots: ["target"],
+    build: () => ({ action: "MOVE_BLOCK", moveType: "INDENT" }),
+  },
+  [COMMAND_TYPES.OUTDENT_BLOCK]: {
+    slots: ["target"],
+    build: () => ({ action: "MOVE_BLOCK", moveType: "OUTDENT" }),
+  },
+  [COMMAND_TYPES.SWAP_BLOCKS]: {
+    slots: ["target", "other"],
+    optionalSlots: ["other"],
+    build: () => ({ action: "MOVE_BLOCK", moveType: "SWAP" }),
+  },
+  [COMMAND_TYPES.MOVE_TO_NEW_PAGE]: {
+    slots: ["target", "pageTitle"],
+    optionalSlots: ["pageTitle"],
+    build: ({ target, pageTitle }) => ({
+      action: "MOVE_TO_PAGE",
+      pageTitle: pageTitle || titleFromTarget(target),
+    }),
+  },
+  [COMMAND_TYPES.CHECK_TASK]: checkRule(true),
+  [COMMAND_TYPES.UNCHECK_TASK]: checkRule(false),
+  [COMMAND_TYPES.OPEN_PAGE]: {
+    slots: ["pageTitle"],
+    build: ({ pageTitle }) => {
+      const title = parsePageTitle(pageTitle);
+      return title
+        ? { action: "NAVIGATE", navigationType: "OPEN_PAGE", pageTitle: title }
+        : null;
+    },
+  },
+  [COMMAND_TYPES.OPEN_PARENT_PAGE]: navigationRule("PARENT_PAGE"),
+  [COMMAND_TYPES.GO_BACK]: navigationRule("BACK"),
+  [COMMAND_TYPES.SCROLL_TO_BLOCK]: {
+    slots: ["target"],
+    build: () => ({ action: "NAVIGATE", navigationType: "SCROLL_TO_BLOCK" }),
+  },
+  [COMMAND_TYPES.SHOW_RECENT_PAGES]: navigationRule("RECENT_PAGES"),
+};
+
+/**
+ * Compile command patterns into an anchored regex grammar
+ * A pattern with fewer wildcards than its rule has slots ("convert this to
+ * *", "delete selected block") names the target itself, so the missing
+ * target is read as the current block.
+ * @param {Array} commandPatterns - Entries shaped like COMMAND_PATTERNS
+ * @returns {Array} - Grammar rules { type, pattern, regex, slots,
+ * specificity }
+ */
+export const compileCommandGrammar = (commandPatterns = COMMAND_PATTERNS) =>
+  commandPatterns.flatMap(({ type, patterns }) => {
+    const rule = RULES[type];
+    if (!rule) return [];
+
+    return patterns.map((pattern) => {
+      const parts = pattern.split("*").map(escapeRegExp);
+      const wildcards = parts.length - 1;
+      let slots = rule.slots;
+      if (wildcards < slots.length && rule.optionalSlots) {
+        slots = slots.filter((slot) => !rule.optionalSlots.includes(slot));
+      }
+      if (wildcards < slots.length) {
+        slots = slots.filter((slot) => slot !== "target");
+      }
+
+      return {
+        type,
+        pattern,
+        regex: new RegExp(`^${parts.join("(.+?)")}$`),
+        slots,
+        impliedTarget:
+          rule.slots.includes("target") && !slots.includes("target")
+            ? "this"
+            : null,
+        // More literal words means a more specific pattern
+        specificity: pattern.replace(/\*/g, "").length,
+      };
+    });
+  });
+
+const GRAMMAR = compileCommandGrammar();
+
+/**
+ * Normalise a transcription for matching
+ * @param {string} command - Raw transcription
+ * @returns {string} - Lowercased command without punctuation or filler
+ */
+export const normalizeCommand = (command) =>
+  normalizeText(command)
+    .replace(/[.!?]+$/, "")
+    .replace(/,/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(LEADING_FILLER, "")
+    .replace(TRAILING_FILLER, "");
+
+// Joins between the steps of a compound command: "then", "and", "after
+// that" or a comma or semicolon on its own
+const STEP_SEPARATOR =
+  /((?:\s*[,;])?\s+(?:and then|then|and also|after that|and)\s+|\s*[,;]\s+)/i;
+
+// First words of a command that edits the page
+const COMMAND_VERBS = new Set([
+  "add",
+  "insert",
+  "write",
+  "append",
+  "put",
+  "make",
+  "delete",
+  "remove",
+  "erase",
+  "clear",
+  "change",
+  "convert",
+  "turn",
+  "set",
+  "bold",
+  "italicize",
+  "underline",
+  "color",
+  "colour",
+  "highlight",
+  "undo",
+  "redo",
+  "create",
+  "move",
+  "indent",
+  "nest",
+  "outdent",
+  "unindent",
+  "swap",
+  "uncheck",
+  "mark",
+  "tick",
+]);
+
+const startsWithCommandVerb = (text) => {
+  const [firstWord] = normalizeCommand(text).split(" ");
+  return COMMAND_VERBS.has(firstWord);
+};
+
+/**
+ * Split a transcription into the commands it strings together
+ * Only joins followed by a command verb count, so "add a heading called
+ * Risks and Issues" stays whole while "add a heading called Risks, then
+ * make the last paragraph bold" becomes two steps.
+ * @param {string} command - The transcribed voice command
+ * @returns {Array} - The command text of each step, in order; a single
+ * entry when the command isn't compound
+ */
+export const splitCompoundCommand = (command) => {
+  // split keeps the captured separators between the pieces
+  const pieces = (command || "").trim().split(STEP_SEPARATOR);
+  const steps = [pieces[0]];
+
+  for (let i = 1; i < pieces.length; i += 2) {
+    const separator = pieces[i];
+    const piece = pieces[i + 1];
+
+    if (piece && startsWithCommandVerb(piece)) {
+      steps.push(piece);
+    } else {
+      steps[steps.length - 1] += separator + (piece || "");
+    }
+  }
+
+  return steps.map((step) => step.trim()).filter(Boolean);
+};
+
+/**
+ * Match a voice command against the local grammar
+ * @param {string} command - The transcribed voice command
+ * @param {Array} blocks - Top-level blocks of the current page
+ * @param {Object} options - { selection } context from the editor for
+ * "this" and "the selected text" commands
+ * @returns {Object|null} - { type, pattern, confidence, commandResult } for
+ * the best match, or null if no pattern matched. commandResult is ready for
+ * the voice command handlers; it is a CLARIFICATION when the command was
+ * clear but named blocks that aren't on the page, and carries
+ * candidateBlockIds instead of targetBlockIds when a format or block change
+ * could mean several blocks.
+ */
+export const parseVoiceCommandLocally = (
+  command,
+  blocks = [],
+  { selection = null } = {}
+) => {
+  if (!command || typeof command !== "string") return null;
+
+  const text = normalizeCommand(command);
+  const pageBlocks = Array.isArray(blocks) ? blocks : [];
+  let best = null;
+
+  GRAMMAR.forEach((rule) => {
+    const match = text.match(rule.regex);
+    if (!match) return;
+
+    const slots = {};
+    rule.slots.forEach((slot, index) => {
+      slots[slot] = match[index + 1].trim();
+    });
+    if (rule.impliedTarget) slots.target = rule.impliedTarget;
+    ["content", "pageTitle"].forEach((slot) => {
+      if (slot in slots) {
+        slots[slot] = readOriginalSlot(rule, command, slot) || slots[slot];
+      }
+    });
+
+    const { build, placement, tasks } = RULES[rule.type];
+    const action = build(slots);
+    if (!action) return;
+
+    let confidence = 1;
+    let targetFields = {};
+    let clarification = null;
+
+    if ("target" in slots) {
+      const target = tasks
+        ? parseTaskTarget(slots.target)
+        : parseTarget(slots.target);
+      if (!target) return;
+
+      const resolved = resolveTarget(target, pageBlocks, selection);
+      const { targetBlockIds, selectionRanges } = resolved;
+      confidence = resolved.confidence;
+
+      if (
+        resolved.candidateBlockIds &&
+        CHOOSABLE_ACTIONS.includes(action.action)
+      ) {
+        // The user picks the block, so the parse itself is certain
+        confidence = 1;
+        targetFields = { candidateBlockIds: resolved.candidateBlockIds };
+      } else if (targetBlockIds.length === 0) {
+        clarification = explainEmptyTarget(resolved, slots.target);
+      } else if (placement) {
+        targetFields = {
+          insertAfterBlockId: targetBlockIds[targetBlockIds.length - 1],
+        };
+      } else if (selectionRanges && appliesToSelectedText(action)) {
+        targetFields = { targetBlockIds, selectionRanges };
+      } else if (selectionRanges && target.scope === "selection") {
+        // Deleting or converting works on whole blocks only
+        clarification =
+          "That only works on whole blocks. Say \"this block\" to use " +
+          "the blocks the selection is in.";
+      } else {
+        targetFields = { targetBlockIds };
+      }
+    }
+
+    // The block a move goes next to, or the second block of a swap
+    const otherSlot = ["reference", "other"].find((slot) => slot in slots);
+    if (otherSlot && !clarification) {
+      const other = parseTarget(slots[otherSlot]);
+      if (!other) return;
+
+      const resolved = resolveTarget(other, pageBlocks, selection);
+      confidence = Math.min(confidence, resolved.confidence);
+      // A move goes above a section's heading or below its last block
+      const otherIds =
+        other.section && resolved.targetBlockIds.length > 0
+          ? [
+              action.destination === "AFTER"
+                ? resolved.targetBlockIds[resolved.targetBlockIds.length - 1]
+                : resolved.targetBlockIds[0],
+            ]
+          : resolved.targetBlockIds;
+
+      if (otherIds.length !== 1) {
+        clarification = explainEmptyTarget(
+          { ...resolved, ambiguous: resolved.ambiguous || otherIds.length > 1 },
+          slots[otherSlot]
+        );
+      } else if (otherSlot === "reference") {
+        targetFields = { ...targetFields, referenceBlockId: otherIds[0] };
+      } else {
+        targetFields = {
+          targetBlockIds: [...targetFields.targetBlockIds, ...otherIds],
+        };
+      }
+    }
+
+    if (
+      action.moveType === "SWAP" &&
+      !clarification &&
+      targetFields.targetBlockIds.length !== 2
+    ) {
+      clarification = "Say which two blocks to swap.";
+    }
+
+    if (
+      best &&
+      (confidence < best.confidence ||
+        (confidence === best.confidence &&
+          rule.specificity <= best.specificity))
+    ) {
+      return;
+    }
+
+    const commandResult = clarification
+      ? { success: false, action: "CLARIFICATION", message: clarification }
+      : { success: true, ...action, ...targetFields };
+
+    best = {
+      type: rule.type,
+      pattern: rule.pattern,
+      specificity: rule.specificity,
+      confidence,
+      commandResult: {
+        ...commandResult,
+        rawCommand: command,
+        rawTranscription: command,
+      },
+    };
+  });
+
+  if (!best) return null;
+
+  const { specificity, ...result } = best;
+  return result;
+};
+
+// Words around a spoken choice: "I mean the second one", "number 3 please"
+const CHOICE_PREFIX =
+  /^(?:(?:i mean|i meant|choose|pick|select|use|go with)\s+)?(?:the\s+)?(?:number\s+)?/;
+const CHOICE_SUFFIX =
+  /\s+(?:one|block|option|paragraph|heading|item|line|please)$/;
+
+/**
+ * Read which of several numbered blocks the user picked
+ * @param {string} text - What the user said, e.g. "the second one"
+ * @param {number} count - How many blocks there are to pick from
+ * @returns {number|null} - Index of the picked block, or null if the text
+ * doesn't pick one
+ */
+export const parseTargetChoice = (text, count) => {
+  const value = normalizeCommand(text || "")
+    .replace(CHOICE_PREFIX, "")
+    .replace(CHOICE_SUFFIX, "");
+
+  let index = null;
+  if (/^(?:last|final)$/.test(value)) {
+    index = count - 1;
+  } else if (
+    /^(?:second (?:to )?last|next to last|penultimate)$/.test(value)
+  ) {
+    index = count - 2;
+  } else if (parseNumber(value)) {
+    index = parseNumber(value) - 1;
+  }
+
+  return index !== null && index >= 0 && index < count ? index : null;
+};
+
+export default {
+  LOCAL_CONFIDENCE_THRESHOLD,
+  compileCommandGrammar,
+  normalizeCommand,
+  splitCompoundCommand,
+  parseTarget,
+  resolveTarget,
+  parseVoiceCommandLocally,
+  parseTargetChoice,
+};
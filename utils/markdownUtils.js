@@ -0,0 +1,641 @@
+/**
+ * Utility functions for converting editor content to and from
+ * GitHub-flavoured Markdown
+ */
+import { formatRecordingTime } from "./recordingUtils";
+
+const DEFAULT_PROPS = {
+  textColor: "default",
+  backgroundColor: "default",
+  textAlignment: "left",
+};
+
+const LIST_TYPES = ["bulletListItem", "numberedListItem", "checkListItem"];
+
+// Characters that would otherwise be read as Markdown syntax
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]<>~|])/g, "\\$1");
+
+// Escape text at the start of a line that would turn it into a block marker
+// or a horizontal rule ("***" and "___" are already escaped as inline syntax)
+const escapeLineStart = (line) =>
+  line
+    .replace(/^(\s*)(#{1,6}\s)/, "$1\\$2")
+    .replace(/^(\s*)([-+]\s)/, "$1\\$2")
+    .replace(/^(\s*)(\d+)([.)]\s)/, "$1$2\\$3")
+    .replace(/^(\s*)(-(\s*-){2,}\s*)$/, "$1\\$2");
+
+/**
+ * Convert BlockNote inline content to Markdown text
+ * @param {Array|string} content - Inline content of a block
+ * @returns {string} - Markdown text
+ */
+export const inlineToMarkdown = (content) => {
+  if (typeof content === "string") return escapeMarkdown(content);
+  if (!Array.isArray(content)) return "";
+
+  return content
+    .map((item) => {
+      if (!item) return "";
+
+      if (item.type === "link") {
+        return `[${inlineToMarkdown(item.content)}](${item.href || ""})`;
+      }
+
+      const text = item.text || "";
+      if (!text) return "";
+
+      const styles = item.styles || {};
+      let result = styles.code
+        ? `\`${text.replace(/`/g, "")}\``
+        : escapeMarkdown(text);
+
+      // Keep surrounding whitespace outside the markers, as Markdown requires
+      const [, leading, core, trailing] = result.match(
+        /^(\s*)([\s\S]*?)(\s*)$/
+      );
+      result = core;
+      if (!result) return text;
+
+      if (styles.strike) result = `~~${result}~~`;
+      if (styles.italic) result = `_${result}_`;
+      if (styles.bold) result = `**${result}**`;
+      if (styles.underline) result = `<u>${result}</u>`;
+      if (styles.textColor && styles.textColor !== "default") {
+        result = `<span data-text-color="${styles.textColor}">${result}</span>`;
+      }
+      if (styles.backgroundColor && styles.backgroundColor !== "default") {
+        result = `<span data-background-color="${styles.backgroundColor}">${result}</span>`;
+      }
+
+      return `${leading}${result}${trailing}`;
+    })
+    .join("");
+};
+
+// Plain text of a block's inline content, used for code blocks
+const inlineToPlainText = (content) => {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((item) =>
+      item && item.type === "link"
+        ? inlineToPlainText(item.content)
+        : (item && item.text) || ""
+    )
+    .join("");
+};
+
+// Render a table block's rows as a GFM table
+const tableToMarkdown = (block) => {
+  const rows = (block.content && block.content.rows) || [];
+  if (rows.length === 0) return [];
+
+  const toCell = (cell) => {
+    const content = Array.isArray(cell) ? cell : (cell && cell.content) || [];
+    return inlineToMarkdown(content).replace(/\n/g, " ");
+  };
+
+  const lines = rows.map((row) => `| ${row.cells.map(toCell).join(" | ")} |`);
+  const separator = `| ${rows[0].cells.map(() => "---").join(" | ")} |`;
+  return [lines[0], separator, ...lines.slice(1)];
+};
+
+/**
+ * Convert BlockNote blocks to GitHub-flavoured Markdown
+ * @param {Array} blocks - Editor blocks
+ * @param {Object} options - Conversion options
+ * @param {Function} options.getPageLinkHref - Returns the href for a linked page ID
+ * @returns {string} - Markdown document
+ */
+export const blocksToMarkdown = (blocks, options = {}) => {
+  const { getPageLinkHref = (pageId) => `sayNote://note/${pageId}` } = options;
+
+  const renderBlocks = (list, indent) => {
+    const chunks = [];
+    let number = 0;
+
+    (list || []).forEach((block) => {
+      if (!block) return;
+      const props = block.props || {};
+      number = block.type === "numberedListItem" ? number + 1 : 0;
+
+      let lines;
+      let childIndent = indent;
+      const text = inlineToMarkdown(block.content);
+
+      switch (block.type) {
+        case "heading": {
+          const level = Math.min(Math.max(props.level || 1, 1), 6);
+          lines = [`${"#".repeat(level)} ${text}`];
+          break;
+        }
+        case "bulletListItem":
+          lines = `- ${text}`.split("\n");
+          childIndent = indent + "  ";
+          break;
+        case "numberedListItem":
+          lines = `${number}. ${text}`.split("\n");
+          childIndent = indent + " ".repeat(`${number}. `.length);
+          break;
+        case "checkListItem":
+          lines = `- [${props.checked ? "x" : " "}] ${text}`.split("\n");
+          childIndent = indent + "  ";
+          break;
+        case "quote":
+          lines = text.split("\n").map((line) => `> ${line}`);
+          break;
+        case "code":
+        case "codeBlock": {
+          const code = inlineToPlainText(block.content);
+          const fence = code.includes("```") ? "~~~" : "```";
+          const language =
+            props.language && props.language !== "plaintext"
+              ? props.language
+              : "";
+          lines = [`${fence}${language}`, ...code.split("\n"), fence];
+          break;
+        }
+        case "pageLink": {
+          const label = escapeMarkdown(
+            `${props.pageIcon || "📄"} ${props.pageTitle || "Untitled Page"}`
+          );
+          const href = getPageLinkHref(props.pageId);
+          lines = [`[${label}](${href})`];
+          break;
+        }
+        case "audio":
+          lines = [`🎙️ Recording (${formatRecordingTime(props.durationMs)})`];
+          break;
+        case "image":
+          lines = [
+            `![${escapeMarkdown(props.caption || props.name || "")}](${
+              props.url || ""
+            })`,
+          ];
+          break;
+        case "table":
+          lines = tableToMarkdown(block);
+          break;
+        default:
+          lines = text.split("\n").map(escapeLineStart);
+          break;
+      }
+
+      const rendered = lines.map((line, index) =>
+        line && (index === 0 || !LIST_TYPES.includes(block.type))
+          ? indent + line
+          : line
+            ? childIndent + escapeLineStart(line)
+            : line
+      );
+
+      // List items in a run stay together; everything else is its own paragraph
+      const previous = chunks[chunks.length - 1];
+      if (
+        previous &&
+        previous.listType === block.type &&
+        LIST_TYPES.includes(block.type)
+      ) {
+        previous.lines.push(...rendered);
+      } else {
+        chunks.push({ listType: block.type, lines: rendered });
+      }
+
+      if (block.children && block.children.length > 0) {
+        const childChunks = renderBlocks(block.children, childIndent);
+        if (LIST_TYPES.includes(block.type)) {
+          // Nested list items are written directly under their parent
+          const target = chunks[chunks.length - 1];
+          childChunks.forEach((chunk, index) => {
+            if (index > 0 || !LIST_TYPES.includes(chunk.listType)) {
+              target.lines.push("");
+            }
+            target.lines.push(...chunk.lines);
+          });
+        } else {
+          chunks.push(...childChunks);
+        }
+      }
+    });
+
+    return chunks;
+  };
+
+  return (
+    renderBlocks(blocks, "")
+      .map((chunk) => chunk.lines.join("\n"))
+      .join("\n\n")
+      .trim() + "\n"
+  );
+};
+
+// Add a text run to inline content, merging it with the previous run if the styles match
+const pushText = (content, text, styles) => {
+  if (!text) return;
+  const last = content[content.length - 1];
+  if (
+    last &&
+    last.type === "text" &&
+    JSON.stringify(last.styles) === JSON.stringify(styles)
+  ) {
+    last.text += text;
+  } else {
+    content.push({ type: "text", text, styles: { ...styles } });
+  }
+};
+
+// Find the index of the bracket that closes the one at `start`
+const findClosingBracket = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text[i] === "[") {
+      depth++;
+    } else if (text[i] === "]") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Parse Markdown inline syntax into BlockNote inline content
+ * @param {string} text - Markdown text
+ * @param {Object} baseStyles - Styles applied to the whole text
+ * @returns {Array} - BlockNote inline content
+ */
+export const markdownToInline = (text, baseStyles = {}) => {
+  const content = [];
+  const styles = { ...baseStyles };
+  const spanStack = [];
+  let i = 0;
+
+  const toggle = (style, marker) => {
+    // Only treat a marker as opening if it is closed later on
+    if (!styles[style] && text.indexOf(marker, i + marker.length) === -1) {
+      return false;
+    }
+    if (styles[style]) {
+      delete styles[style];
+    } else {
+      styles[style] = true;
+    }
+    i += marker.length;
+    return true;
+  };
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const char = text[i];
+
+    if (char === "\\" && i + 1 < text.length) {
+      pushText(content, text[i + 1], styles);
+      i += 2;
+      continue;
+    }
+
+    if (char === "`") {
+      const end = text.indexOf("`", i + 1);
+      if (end !== -1) {
+        pushText(content, text.slice(i + 1, end), { ...styles, code: true });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (char === "[") {
+      const close = findClosingBracket(text, i);
+      if (close !== -1 && text[close + 1] === "(") {
+        const end = text.indexOf(")", close + 2);
+        if (end !== -1) {
+          content.push({
+            type: "link",
+            href: text.slice(close + 2, end).trim(),
+            content: markdownToInline(text.slice(i + 1, close), styles),
+          });
+          i = end + 1;
+          continue;
+        }
+      }
+    }
+
+    const tag = rest.match(
+      /^<(\/?)(u|ins|span)(?:\s+data-(text|background)-color="([^"]*)")?\s*>/
+    );
+    if (tag) {
+      const [match, closing, name, colorKind, color] = tag;
+      if (name === "span") {
+        if (closing) {
+          const opened = spanStack.pop();
+          if (opened) styles[opened.style] = opened.previous;
+        } else if (colorKind) {
+          const style = `${colorKind}Color`;
+          spanStack.push({ style, previous: styles[style] });
+          styles[style] = color;
+        }
+        Object.keys(styles).forEach((key) => {
+          if (styles[key] === undefined) delete styles[key];
+        });
+      } else if (closing) {
+        delete styles.underline;
+      } else {
+        styles.underline = true;
+      }
+      i += match.length;
+      continue;
+    }
+
+    if (rest.startsWith("**") && toggle("bold", "**")) continue;
+    if (rest.startsWith("__") && toggle("bold", "__")) continue;
+    if (rest.startsWith("~~") && toggle("strike", "~~")) continue;
+    // Underscores inside words (snake_case) are not emphasis
+    const inWord =
+      char === "_" &&
+      /\w/.test(text[i - 1] || "") &&
+      /\w/.test(text[i + 1] || "");
+    if ((char === "*" || char === "_") && !inWord && toggle("italic", char)) {
+      continue;
+    }
+
+    pushText(content, char, styles);
+    i++;
+  }
+
+  return content;
+};
+
+// Blocks without inline content (page links, images) are created without content
+const createBlock = (type, props = {}, content) => {
+  const block = {
+    type,
+    props:
+      content === undefined || type === "codeBlock"
+        ? props
+        : { ...DEFAULT_PROPS, ...props },
+    children: [],
+  };
+  if (content !== undefined) block.content = content;
+  return block;
+};
+
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_ROW = /^\s*\|(.*)\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const IMAGE = /^\s*!\[([^\]]*)\]\(([^)\s]+)[^)]*\)\s*$/;
+
+// Split a table row into its cells, keeping escaped pipes
+const splitTableRow = (line) => {
+  const row = line.match(TABLE_ROW)[1];
+  const cells = [""];
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === "\\" && row[i + 1] === "|") {
+      cells[cells.length - 1] += "\\|";
+      i++;
+    } else if (row[i] === "|") {
+      cells.push("");
+    } else {
+      cells[cells.length - 1] += row[i];
+    }
+  }
+  return cells.map((cell) => cell.trim());
+};
+
+/**
+ * Convert a Markdown document to BlockNote blocks
+ * @param {string} markdown - Markdown document
+ * @param {Object} options - Conversion options
+ * @param {Function} options.resolvePageLink - Returns { pageId, pageTitle, pageIcon }
+ *   for a link href that points at a page, or null
+ * @returns {Array} - Editor blocks
+ */
+export const markdownToBlocks = (markdown, options = {}) => {
+  const { resolvePageLink = () => null } = options;
+  const lines = (markdown || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  // Open list items, innermost last: { indent, block }
+  let listStack = [];
+  // Paragraph nested under the innermost list item, while it's being read
+  let listParagraph = null;
+  let paragraph = [];
+
+  const addBlock = (block, indent = -1) => {
+    while (
+      listStack.length > 0 &&
+      listStack[listStack.length - 1].indent >= indent
+    ) {
+      listStack.pop();
+    }
+    const parent = listStack[listStack.length - 1];
+    if (parent && indent >= 0) {
+      parent.block.children.push(block);
+    } else {
+      blocks.push(block);
+    }
+  };
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    const text = paragraph
+      .map((line, index) =>
+        index < paragraph.length - 1 && / {2,}$|\\$/.test(line)
+          ? line.replace(/ {2,}$|\\$/, "\n")
+          : line
+      )
+      .map((line) => line.trim())
+      .join(" ")
+      .replace(/\n /g, "\n");
+    paragraph = [];
+
+    const content = markdownToInline(text);
+
+    // A paragraph that is just a link to another page becomes a page link
+    if (content.length === 1 && content[0].type === "link") {
+      const target = resolvePageLink(content[0].href);
+      if (target) {
+        blocks.push(createBlock("pageLink", target));
+        return;
+      }
+    }
+
+    blocks.push(createBlock("paragraph", {}, content));
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+        code.push(lines[index]);
+        index++;
+      }
+      listStack = [];
+      blocks.push(
+        createBlock("codeBlock", { language: fence[2] || "plaintext" }, [
+          { type: "text", text: code.join("\n"), styles: {} },
+        ])
+      );
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      flushParagraph();
+      const [, spaces, marker, checked, text] = listItem;
+      const type =
+        checked !== undefined
+          ? "checkListItem"
+          : /\d/.test(marker)
+            ? "numberedListItem"
+            : "bulletListItem";
+      const block = createBlock(
+        type,
+        type === "checkListItem" ? { checked: checked !== " " } : {},
+        markdownToInline(text)
+      );
+      addBlock(block, spaces.length);
+      listStack.push({ indent: spaces.length, block });
+      listParagraph = null;
+      continue;
+    }
+
+    // Indented text under a list item continues that item, or the paragraph
+    // nested under it; after a blank line it starts a new nested paragraph
+    if (
+      paragraph.length === 0 &&
+      listStack.length > 0 &&
+      /^\s+\S/.test(line)
+    ) {
+      const text = markdownToInline(line.trim());
+
+      if (!lines[index - 1].trim()) {
+        const indent = line.match(/^\s*/)[0].length;
+        while (
+          listStack.length > 1 &&
+          listStack[listStack.length - 1].indent >= indent
+        ) {
+          listStack.pop();
+        }
+        listParagraph = createBlock("paragraph", {}, text);
+        listStack[listStack.length - 1].block.children.push(listParagraph);
+        continue;
+      }
+
+      const target = listParagraph || listStack[listStack.length - 1].block;
+      if (target.content.length > 0) pushText(target.content, "\n", {});
+      target.content.push(...text);
+      continue;
+    }
+
+    listStack = [];
+    listParagraph = null;
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flushParagraph();
+      blocks.push(
+        createBlock(
+          "heading",
+          { level: Math.min(heading[1].length, 3) },
+          markdownToInline(heading[2])
+        )
+      );
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push(lines[index].match(QUOTE)[1]);
+        index++;
+      }
+      index--;
+      blocks.push(
+        createBlock("quote", {}, markdownToInline(quoted.join("\n")))
+      );
+      continue;
+    }
+
+    if (
+      TABLE_ROW.test(line) &&
+      index + 1 < lines.length &&
+      TABLE_SEPARATOR.test(lines[index + 1])
+    ) {
+      flushParagraph();
+      const rows = [splitTableRow(line)];
+      index += 2;
+      while (index < lines.length && TABLE_ROW.test(lines[index])) {
+        rows.push(splitTableRow(lines[index]));
+        index++;
+      }
+      index--;
+      blocks.push({
+        type: "table",
+        props: { textColor: "default" },
+        content: {
+          type: "tableContent",
+          rows: rows.map((cells) => ({
+            cells: cells.map((cell) => markdownToInline(cell)),
+          })),
+        },
+        children: [],
+      });
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      flushParagraph();
+      continue;
+    }
+
+    const image = line.match(IMAGE);
+    if (image) {
+      flushParagraph();
+      blocks.push(
+        createBlock("image", { url: image[2], caption: image[1] })
+      );
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+
+  return blocks;
+};
+
+/**
+ * Get the title of a Markdown document from its first level-one heading
+ * @param {string} markdown - Markdown document
+ * @returns {string|null} - The title, or null if there is none
+ */
+export const getMarkdownTitle = (markdown) => {
+  const match = (markdown || "").match(/^\s{0,3}#\s+(.+?)\s*#*\s*$/m);
+  return match
+    ? inlineToPlainText(markdownToInline(match[1])).trim() || null
+    : null;
+};
+
+export default {
+  inlineToMarkdown,
+  blocksToMarkdown,
+  markdownToInline,
+  markdownToBlocks,
+  getMarkdownTitle,
+};
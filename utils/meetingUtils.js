@@ -0,0 +1,193 @@
+/**
+ * Utility functions for meeting notes
+ *
+ * Meeting recordings are transcribed with each change of speaker labelled
+ * "Speaker 1:", "Speaker 2:" and so on. The labels stay in the transcript
+ * and the minutes written from it until the user names the speakers, and
+ * are then swapped for their names everywhere.
+ */
+import { createBlock } from "./blockOperations";
+
+const SPEAKER_LABEL = /\bSpeaker (\d+)\b/g;
+// A label starting a turn, with the colon after it
+const TURN_LABEL = /\bSpeaker \d+:\s*/g;
+
+// Blocks with some of their text in bold, like "Sam: " before a task
+const createLabelledBlock = (type, label, text, props = {}) => ({
+  ...createBlock(type, null, props),
+  content: [
+    ...(label
+      ? [{ type: "text", text: `${label}: `, styles: { bold: true } }]
+      : []),
+    { type: "text", text, styles: {} },
+  ],
+});
+
+/**
+ * Split a meeting transcript into what each speaker said
+ * Text before the first label, or a transcript without any, is one turn
+ * with no speaker.
+ * @param {string} transcript - Transcript with speaker labels
+ * @returns {Array} - { speaker, text } for each turn, in order, where
+ * speaker is a label like "Speaker 1"
+ */
+export const parseSpeakerTurns = (transcript) => {
+  const turns = [];
+  const labels = [...transcript.matchAll(TURN_LABEL)];
+
+  const addTurn = (speaker, text) => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    // A speaker carrying on across a segment boundary is labelled twice
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === speaker) {
+      last.text = `${last.text} ${trimmed}`;
+    } else {
+      turns.push({ speaker, text: trimmed });
+    }
+  };
+
+  addTurn(null, transcript.slice(0, labels[0] ? labels[0].index : undefined));
+  labels.forEach((match, index) => {
+    const next = labels[index + 1];
+    addTurn(
+      match[0].replace(/:\s*$/, ""),
+      transcript.slice(match.index + match[0].length, next && next.index)
+    );
+  });
+
+  return turns;
+};
+
+/**
+ * List the speakers in a meeting transcript
+ * @param {string} transcript - Transcript with speaker labels
+ * @returns {Array} - Labels like "Speaker 1", in order of number
+ */
+export const getSpeakers = (transcript) =>
+  [
+    ...new Set(
+      [...transcript.matchAll(SPEAKER_LABEL)].map((match) => Number(match[1]))
+    ),
+  ]
+    .sort((a, b) => a - b)
+    .map((number) => `Speaker ${number}`);
+
+/**
+ * Put the speakers' names in place of their labels
+ * The timeline of a recording's transcript is moved along with the text,
+ * so its points stay at the same words.
+ * @param {string} text - Text with speaker labels
+ * @param {Object} names - Name for each label, like { "Speaker 1": "Sam" };
+ * labels without a name are left as they are
+ * @param {Array} timeline - Optional { offset, ms } points for the text
+ * @returns {Object} - { text, timeline }
+ */
+export const renameSpeakers = (text, names, timeline = []) => {
+  const shifts = [];
+  let shift = 0;
+
+  const renamed = text.replace(SPEAKER_LABEL, (label, number, offset) => {
+    const name = (names[label] || "").trim();
+    if (!name) return label;
+
+    shift += name.length - label.length;
+    shifts.push({ after: offset + label.length, shift });
+    return name;
+  });
+
+  return {
+    text: renamed,
+    timeline: timeline.map((point) => {
+      const before = shifts.filter((entry) => entry.after <= point.offset);
+      const moved = before.length > 0 ? before[before.length - 1].shift : 0;
+      return { ...point, offset: point.offset + moved };
+    }),
+  };
+};
+
+/**
+ * Build the blocks of a meeting's minutes
+ * Sections with nothing in them are left out, and a meeting with nothing
+ * to note gets a line saying so.
+ * @param {Object} minutes - { attendees, topics, decisions, actionItems }
+ * as written by the model
+ * @param {Object} names - Name for each speaker label
+ * @returns {Array} - Attendees, a summary of each topic discussed,
+ * decisions and action items as checklist items with their owners
+ */
+export const createMinutesBlocks = (minutes, names) => {
+  const rename = (text) => renameSpeakers(text, names).text;
+  const blocks = [];
+
+  const attendees = minutes.attendees.map(
+    (attendee) => (names[attendee.speaker] || "").trim() || attendee.speaker
+  );
+  if (attendees.length > 0) {
+    blocks.push(createBlock("heading", "Attendees", { level: 2 }));
+    attendees.forEach((attendee) =>
+      blocks.push(createBlock("bulletListItem", attendee))
+    );
+  }
+
+  if (minutes.topics.length > 0) {
+    blocks.push(createBlock("heading", "Discussion", { level: 2 }));
+    minutes.topics.forEach((topic) => {
+      blocks.push(createBlock("heading", rename(topic.title), { level: 3 }));
+      blocks.push(createBlock("paragraph", rename(topic.summary)));
+    });
+  }
+
+  if (minutes.decisions.length > 0) {
+    blocks.push(createBlock("heading", "Decisions", { level: 2 }));
+    minutes.decisions.forEach((decision) =>
+      blocks.push(createBlock("bulletListItem", rename(decision)))
+    );
+  }
+
+  if (minutes.actionItems.length > 0) {
+    blocks.push(createBlock("heading", "Action Items", { level: 2 }));
+    minutes.actionItems.forEach((item) =>
+      blocks.push(
+        createLabelledBlock(
+          "checkListItem",
+          rename(item.owner.trim()),
+          rename(item.task),
+          { checked: false }
+        )
+      )
+    );
+  }
+
+  if (blocks.length === 0) {
+    blocks.push(
+      createBlock("paragraph", "No topics, decisions or action items noted.")
+    );
+  }
+
+  return blocks;
+};
+
+/**
+ * Build a paragraph for each turn of a meeting transcript
+ * @param {string} transcript - Transcript with speaker labels
+ * @param {Object} names - Name for each speaker label
+ * @returns {Array} - Paragraphs starting with the speaker in bold
+ */
+export const createTranscriptBlocks = (transcript, names) =>
+  parseSpeakerTurns(transcript).map((turn) =>
+    createLabelledBlock(
+      "paragraph",
+      turn.speaker && ((names[turn.speaker] || "").trim() || turn.speaker),
+      renameSpeakers(turn.text, names).text
+    )
+  );
+
+export default {
+  parseSpeakerTurns,
+  getSpeakers,
+  renameSpeakers,
+  createMinutesBlocks,
+  createTranscriptBlocks,
+};
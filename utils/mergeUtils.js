@@ -0,0 +1,288 @@
+/**
+ * Utility functions for merging concurrent edits of BlockNote content
+ */
+
+export const CONFLICT_TYPES = {
+  MODIFIED: "MODIFIED", // Block changed differently on both sides
+  DELETED_LOCALLY: "DELETED_LOCALLY", // Deleted here, changed on the other device
+  DELETED_REMOTELY: "DELETED_REMOTELY", // Changed here, deleted on the other device
+};
+
+export const RESOLUTIONS = {
+  LOCAL: "local",
+  REMOTE: "remote",
+  BOTH: "both",
+};
+
+// Deep equality for JSON-like values
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The part of a block that is edited directly (everything except its children)
+const getOwnFields = (block) => {
+  if (!block) return null;
+  const { children, ...own } = block;
+  return own;
+};
+
+const indexById = (blocks) => {
+  const map = new Map();
+  (blocks || []).forEach((block) => {
+    if (block && block.id) map.set(block.id, block);
+  });
+  return map;
+};
+
+const generateBlockId = () =>
+  "block_" +
+  Date.now().toString(36) +
+  Math.random().toString(36).substring(2, 10);
+
+// Give a block and all of its descendants fresh IDs
+const cloneWithNewIds = (block) => ({
+  ...JSON.parse(JSON.stringify(block)),
+  id: generateBlockId(),
+  children: (block.children || []).map(cloneWithNewIds),
+});
+
+/**
+ * Merge one level of sibling blocks
+ * @param {Array|null} base - Blocks at the common ancestor revision, or null
+ *   when it is unknown
+ * @param {Array} local - Blocks edited on this device
+ * @param {Array} remote - Blocks currently stored on the server
+ * @param {Array} conflicts - Collects conflicts found at any depth
+ * @returns {Array} - Merged blocks (conflicting blocks keep the local version)
+ */
+const mergeBlockLists = (base, local, remote, conflicts) => {
+  const unknownBase = base === null;
+  const baseById = indexById(base);
+  const localById = indexById(local);
+  const remoteById = indexById(remote);
+
+  const mergedById = new Map();
+
+  const allIds = new Set([
+    ...baseById.keys(),
+    ...localById.keys(),
+    ...remoteById.keys(),
+  ]);
+
+  allIds.forEach((id) => {
+    const baseBlock = baseById.get(id);
+    const localBlock = localById.get(id);
+    const remoteBlock = remoteById.get(id);
+
+    // Added on one side only, or deleted on both
+    if (!baseBlock) {
+      if (localBlock && remoteBlock && !isEqual(localBlock, remoteBlock)) {
+        // Same ID added on both sides with different content
+        conflicts.push({
+          blockId: id,
+          type: CONFLICT_TYPES.MODIFIED,
+          base: null,
+          local: localBlock,
+          remote: remoteBlock,
+        });
+      } else if (unknownBase && (!localBlock || !remoteBlock)) {
+        // Without a base, a block on one side only may just as well have been
+        // deleted on the other, so the user decides
+        conflicts.push({
+          blockId: id,
+          type: localBlock
+            ? CONFLICT_TYPES.DELETED_REMOTELY
+            : CONFLICT_TYPES.DELETED_LOCALLY,
+          base: null,
+          local: localBlock || null,
+          remote: remoteBlock || null,
+        });
+      }
+      const kept = localBlock || remoteBlock;
+      if (kept) mergedById.set(id, kept);
+      return;
+    }
+
+    if (!localBlock && !remoteBlock) return;
+
+    // Deleted remotely
+    if (!remoteBlock) {
+      if (isEqual(localBlock, baseBlock)) return;
+      conflicts.push({
+        blockId: id,
+        type: CONFLICT_TYPES.DELETED_REMOTELY,
+        base: baseBlock,
+        local: localBlock,
+        remote: null,
+      });
+      mergedById.set(id, localBlock);
+      return;
+    }
+
+    // Deleted locally
+    if (!localBlock) {
+      if (isEqual(remoteBlock, baseBlock)) return;
+      conflicts.push({
+        blockId: id,
+        type: CONFLICT_TYPES.DELETED_LOCALLY,
+        base: baseBlock,
+        local: null,
+        remote: remoteBlock,
+      });
+      mergedById.set(id, remoteBlock);
+      return;
+    }
+
+    // Present on all sides: merge own fields, then recurse into children
+    const baseOwn = getOwnFields(baseBlock);
+    const localOwn = getOwnFields(localBlock);
+    const remoteOwn = getOwnFields(remoteBlock);
+
+    let mergedOwn = localOwn;
+    if (isEqual(localOwn, baseOwn)) {
+      mergedOwn = remoteOwn;
+    } else if (!isEqual(remoteOwn, baseOwn) && !isEqual(localOwn, remoteOwn)) {
+      conflicts.push({
+        blockId: id,
+        type: CONFLICT_TYPES.MODIFIED,
+        base: baseBlock,
+        local: localBlock,
+        remote: remoteBlock,
+      });
+    }
+
+    mergedById.set(id, {
+      ...mergedOwn,
+      children: mergeBlockLists(
+        baseBlock.children || [],
+        localBlock.children || [],
+        remoteBlock.children || [],
+        conflicts
+      ),
+    });
+  });
+
+  // Local order wins; blocks only kept from the remote side are placed
+  // after the block that precedes them on the server
+  const merged = (local || [])
+    .filter((block) => block && mergedById.has(block.id))
+    .map((block) => mergedById.get(block.id));
+
+  (remote || []).forEach((block, index) => {
+    if (!block || !mergedById.has(block.id)) return;
+    if (merged.some((item) => item.id === block.id)) return;
+
+    let insertAt = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      const position = merged.findIndex((item) => item.id === remote[i].id);
+      if (position !== -1) {
+        insertAt = position + 1;
+        break;
+      }
+    }
+    merged.splice(insertAt, 0, mergedById.get(block.id));
+  });
+
+  return merged;
+};
+
+/**
+ * Three-way merge of BlockNote content at block level
+ * Non-overlapping edits (different blocks, or one side unchanged) are merged
+ * automatically. Blocks changed on both sides are reported as conflicts and
+ * keep their local version in the merged result until resolved.
+ * Pass a null base when it is unknown: every block that differs between the
+ * two sides, or exists on one side only, is then reported as a conflict.
+ * @param {Array|null} base - Content at the revision both edits started from
+ * @param {Array} local - Content edited on this device
+ * @param {Array} remote - Content currently stored on the server
+ * @returns {Object} - { merged, conflicts }
+ */
+export const mergeBlocks = (base, local, remote) => {
+  const conflicts = [];
+  const merged = mergeBlockLists(
+    base === null || Array.isArray(base) ? base : [],
+    Array.isArray(local) ? local : [],
+    Array.isArray(remote) ? remote : [],
+    conflicts
+  );
+
+  return { merged, conflicts };
+};
+
+// Apply a resolution to the block with the given ID anywhere in the tree
+const applyResolution = (blocks, conflict, resolution) => {
+  const result = [];
+
+  blocks.forEach((block) => {
+    if (block.id !== conflict.blockId) {
+      result.push({
+        ...block,
+        children: applyResolution(block.children || [], conflict, resolution),
+      });
+      return;
+    }
+
+    const children = block.children || [];
+
+    if (resolution === RESOLUTIONS.LOCAL) {
+      if (conflict.local) {
+        result.push({ ...getOwnFields(conflict.local), children });
+      }
+    } else if (resolution === RESOLUTIONS.REMOTE) {
+      if (conflict.remote) {
+        result.push({ ...getOwnFields(conflict.remote), children });
+      }
+    } else {
+      // Keep both: the local version stays, the remote one follows as a copy
+      if (conflict.local) {
+        result.push({ ...getOwnFields(conflict.local), children });
+      }
+      if (conflict.remote) {
+        result.push(
+          conflict.local ? cloneWithNewIds(conflict.remote) : conflict.remote
+        );
+      }
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Apply the user's choices to a merge result
+ * @param {Array} merged - Merged blocks returned by mergeBlocks
+ * @param {Array} conflicts - Conflicts returned by mergeBlocks
+ * @param {Object} resolutions - Map of blockId to a RESOLUTIONS value
+ *   (unresolved conflicts keep both versions)
+ * @returns {Array} - Final blocks
+ */
+export const resolveConflicts = (merged, conflicts, resolutions = {}) => {
+  return conflicts.reduce(
+    (blocks, conflict) =>
+      applyResolution(
+        blocks,
+        conflict,
+        resolutions[conflict.blockId] || RESOLUTIONS.BOTH
+      ),
+    merged
+  );
+};
+
+/**
+ * Three-way merge of a single scalar field such as title or icon
+ * @param {*} base - Value at the common ancestor revision
+ * @param {*} local - Value on this device
+ * @param {*} remote - Value on the server
+ * @returns {*} - Merged value (local wins when both changed)
+ */
+export const mergeField = (base, local, remote) => {
+  if (isEqual(local, base)) return remote;
+  return local;
+};
+
+export default {
+  CONFLICT_TYPES,
+  RESOLUTIONS,
+  mergeBlocks,
+  resolveConflicts,
+  mergeField,
+};
@@ -1,6 +1,11 @@
 /**
  * Utility functions for working with page hierarchies
  */
+import { normalizeText } from "./searchUtils";
+import { scoreTaskMatch } from "./checklistUtils";
+
+// Share of a spoken title's words a page title needs to match it
+const MIN_TITLE_SCORE = 0.6;
 
 /**
  * Build a tree structure from a flat list of pages
@@ -50,4 +55,41 @@ const findRootAncestor = (allPages, pageId) => {
   return path.length > 0 ? path[0] : null;
 };
 
-export { buildPageTree, getPagePath, findRootAncestor };
+/**
+ * Find the pages a spoken title refers to
+ * An exact title wins, then titles containing the spoken words, then the
+ * closest fuzzy matches, scored word by word like spoken tasks.
+ * @param {Array} allPages - Array of all page objects
+ * @param {string} spokenTitle - Title as it was said, e.g. "project phoenix"
+ * @returns {Object} { pages, confidence } where several pages means the
+ * title fits more than one equally well
+ */
+const matchPagesByTitle = (allPages, spokenTitle) => {
+  const text = normalizeText(spokenTitle || "").trim();
+  if (!text) return { pages: [], confidence: 0 };
+
+  const getTitle = (page) => normalizeText(page.title || "").trim();
+
+  const exact = allPages.filter((page) => getTitle(page) === text);
+  if (exact.length > 0) return { pages: exact, confidence: 1 };
+
+  const containing = allPages.filter((page) => getTitle(page).includes(text));
+  if (containing.length > 0) return { pages: containing, confidence: 1 };
+
+  let bestScore = 0;
+  let best = [];
+  allPages.forEach((page) => {
+    const score = scoreTaskMatch(page.title || "", spokenTitle);
+    if (score > bestScore) {
+      bestScore = score;
+      best = [page];
+    } else if (score === bestScore && score > 0) {
+      best.push(page);
+    }
+  });
+
+  if (bestScore < MIN_TITLE_SCORE) return { pages: [], confidence: 0 };
+  return { pages: best, confidence: bestScore === 1 ? 1 : 0.8 };
+};
+
+export { buildPageTree, getPagePath, findRootAncestor, matchPagesByTitle };
@@ -0,0 +1,219 @@
+/**
+ * Utility functions for audio blocks
+ *
+ * An audio block keeps the recording that the blocks after it were
+ * transcribed from. Its segments prop holds, as JSON, the moment in the
+ * recording each of those blocks starts at, so tapping one can play the
+ * recording from there.
+ *
+ * Transcripts come with a timeline of { offset, ms } points, each saying
+ * that the words from that character of the transcript on were heard that
+ * far into the recording. Moments between the points are estimated.
+ */
+import { extractTextFromBlock } from "./blockOperations";
+import { tokenize } from "./searchUtils";
+
+// Words from the start of a block looked for in the transcript
+const MATCH_WORDS = 4;
+
+const generateBlockId = () =>
+  "block_" +
+  Date.now().toString(36) +
+  Math.random().toString(36).substring(2, 10);
+
+/**
+ * Format a moment in a recording
+ * @param {number} ms - Milliseconds into the recording
+ * @returns {string} - "4:05", or "1:04:05" past the hour
+ */
+export const formatRecordingTime = (ms) => {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * Build the timeline of a transcript heard evenly over a recording
+ * @param {string} transcription - The transcript
+ * @param {number} durationMs - Length of the recording
+ * @returns {Array} - { offset, ms } for the start and end
+ */
+export const createEvenTimeline = (transcription, durationMs) => [
+  { offset: 0, ms: 0 },
+  { offset: transcription.length, ms: durationMs },
+];
+
+/**
+ * Estimate when the words at a place in a transcript were said
+ * @param {Array} timeline - { offset, ms } points, in order
+ * @param {number} offset - Character in the transcript
+ * @returns {number} - Milliseconds into the recording
+ */
+export const getTimeAtOffset = (timeline, offset) => {
+  if (timeline.length === 0) return 0;
+
+  let previous = timeline[0];
+  for (const point of timeline) {
+    if (point.offset >= offset) {
+      if (point.offset === previous.offset) return point.ms;
+      const fraction =
+        (offset - previous.offset) / (point.offset - previous.offset);
+      return Math.round(previous.ms + fraction * (point.ms - previous.ms));
+    }
+    previous = point;
+  }
+  return previous.ms;
+};
+
+/**
+ * Split a transcript where the timeline has points, so each part can be
+ * played from where it starts
+ * @param {string} transcription - The transcript
+ * @param {Array} timeline - { offset, ms } points, in order
+ * @returns {Array} - The transcript's parts, in order
+ */
+export const splitTranscript = (transcription, timeline) => {
+  const starts = timeline
+    .map((point) => point.offset)
+    .filter((offset) => offset > 0 && offset < transcription.length);
+
+  return [0, ...starts]
+    .map((start, index) => transcription.slice(start, starts[index]).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Give blocks, and the blocks nested in them, IDs they can be found by
+ * once they're on the page
+ * @param {Array} blocks - Blocks to insert
+ * @returns {Array} - Copies of the blocks, keeping IDs they already had
+ */
+export const withBlockIds = (blocks) =>
+  blocks.map((block) => ({
+    ...block,
+    id: block.id || generateBlockId(),
+    children: withBlockIds(block.children || []),
+  }));
+
+// Blocks in page order, each followed by the blocks nested in it
+const flattenBlocks = (blocks) =>
+  blocks.flatMap((block) => [block, ...flattenBlocks(block.children || [])]);
+
+/**
+ * Find the moment each block transcribed from a recording starts at
+ * Blocks are found in the transcript by their first few words, in order;
+ * blocks whose words aren't there, like headings the transcript was
+ * organised under, get no moment.
+ * @param {Array} blocks - Blocks made from the transcript, with IDs
+ * @param {string} transcription - The transcript
+ * @param {Array} timeline - { offset, ms } points, in order
+ * @returns {Array} - { blockId, ms } for each block found
+ */
+export const timestampBlocks = (blocks, transcription, timeline) => {
+  const words = tokenize(transcription);
+  const segments = [];
+  let from = 0;
+
+  flattenBlocks(blocks).forEach((block) => {
+    const blockWords = tokenize(extractTextFromBlock(block))
+      .slice(0, MATCH_WORDS)
+      .map((token) => token.word);
+    if (blockWords.length === 0) return;
+
+    for (let i = from; i + blockWords.length <= words.length; i++) {
+      if (blockWords.every((word, j) => words[i + j].word === word)) {
+        segments.push({
+          blockId: block.id,
+          ms: getTimeAtOffset(timeline, words[i].start),
+        });
+        from = i + blockWords.length;
+        return;
+      }
+    }
+  });
+
+  return segments;
+};
+
+/**
+ * Create an audio block for a kept recording
+ * @param {Object} recording - { localUri, storagePath, durationMs }
+ * @param {Array} segments - { blockId, ms } for the transcribed blocks
+ * @returns {Object} - Block object
+ */
+export const createAudioBlock = (recording, segments) => ({
+  id: generateBlockId(),
+  type: "audio",
+  props: {
+    localUri: recording.localUri || "",
+    storagePath: recording.storagePath || "",
+    durationMs: recording.durationMs || 0,
+    segments: JSON.stringify(segments),
+  },
+  content: [],
+  children: [],
+});
+
+/**
+ * Read the moments an audio block's transcribed blocks start at
+ * @param {Object} block - Audio block
+ * @returns {Array} - { blockId, ms } for each block
+ */
+export const getAudioSegments = (block) => {
+  try {
+    const segments = JSON.parse(block.props?.segments || "[]");
+    return Array.isArray(segments) ? segments : [];
+  } catch (error) {
+    console.error("Error reading audio block segments:", error);
+    return [];
+  }
+};
+
+/**
+ * Find the recording a block was transcribed from
+ * @param {Array} blocks - Blocks of the page
+ * @param {string} blockId - The transcribed block
+ * @returns {Object|null} - { audioBlockId, ms }, or null if the block
+ * wasn't transcribed from a recording on the page
+ */
+export const findRecordingMoment = (blocks, blockId) => {
+  for (const block of flattenBlocks(blocks)) {
+    if (block.type !== "audio") continue;
+
+    const segment = getAudioSegments(block).find(
+      (entry) => entry.blockId === blockId
+    );
+    if (segment) return { audioBlockId: block.id, ms: segment.ms };
+  }
+  return null;
+};
+
+/**
+ * List the recordings audio blocks keep
+ * @param {Array} blocks - Blocks of a page
+ * @returns {Array} - { localUri, storagePath } of each audio block
+ */
+export const getBlockRecordings = (blocks) =>
+  flattenBlocks(blocks)
+    .filter((block) => block.type === "audio")
+    .map((block) => ({
+      localUri: block.props?.localUri || "",
+      storagePath: block.props?.storagePath || "",
+    }));
+
+export default {
+  formatRecordingTime,
+  createEvenTimeline,
+  getTimeAtOffset,
+  splitTranscript,
+  withBlockIds,
+  timestampBlocks,
+  createAudioBlock,
+  getAudioSegments,
+  findRecordingMoment,
+  getBlockRecordings,
+};
@@ -0,0 +1,497 @@
+/**
+ * Utility functions for tokenising, stemming and fuzzy-matching search text
+ */
+
+// Whitespace and punctuation (ASCII, general punctuation, Arabic and guillemets)
+const WORD =
+  /[^\s\u0021-\u002F\u003A-\u0040\u005B-\u0060\u007B-\u007E\u00AB\u00BB\u060C\u061B\u061F\u2000-\u206F\u2E00-\u2E7F]+/g;
+
+/**
+ * Lowercase a string and strip accents so "Café" matches "cafe"
+ * @param {string} text - Text to normalise
+ * @returns {string} - Normalised text
+ */
+export const normalizeText = (text) =>
+  (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Split text into words, keeping each word's position in the original text
+ * @param {string} text - Text to tokenise
+ * @returns {Array} - Array of { word, start, end } with normalised words
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  if (!text) return tokens;
+
+  WORD.lastIndex = 0;
+  let match;
+  while ((match = WORD.exec(text)) !== null) {
+    const word = normalizeText(match[0]);
+    if (word) {
+      tokens.push({
+        word,
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  }
+
+  return tokens;
+};
+
+// [suffix, replacement, minimum length of what remains]
+const SUFFIX_RULES = [
+  ["ational", "ate", 2],
+  ["ization", "ize", 2],
+  ["fulness", "ful", 2],
+  ["iveness", "ive", 2],
+  ["sses", "ss", 2],
+  ["ies", "y", 2],
+  ["ings", "", 3],
+  ["ing", "", 3],
+  ["edly", "", 3],
+  ["ed", "", 3],
+  ["ly", "", 3],
+  ["s", "", 3],
+];
+
+/**
+ * Reduce an English word to a stem so "meetings" matches "meeting"
+ * A light suffix stripper: it only needs to map related forms to the
+ * same string, not produce real words.
+ * @param {string} word - Normalised word
+ * @returns {string} - Stem
+ */
+export const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  for (const [suffix, replacement, minLength] of SUFFIX_RULES) {
+    if (!word.endsWith(suffix)) continue;
+    if (word.length - suffix.length < minLength) continue;
+    if (suffix === "s" && /(ss|us|is)$/.test(word)) continue;
+
+    let base = word.slice(0, -suffix.length) + replacement;
+
+    // running -> run, stopped -> stop
+    if (/^(ing|ings|ed|edly)$/.test(suffix) && /([^aeiouslz])\1$/.test(base)) {
+      base = base.slice(0, -1);
+    }
+    return base.length > 4 ? base.replace(/e$/, "") : base;
+  }
+
+  return word.length > 4 ? word.replace(/e$/, "") : word;
+};
+
+/**
+ * Damerau-Levenshtein distance, giving up once it exceeds maxDistance
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxDistance - Largest distance worth computing
+ * @returns {number} - Distance, or maxDistance + 1 if larger
+ */
+export const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        row[j] + 1,
+        nextRow[j - 1] + 1,
+        row[j - 1] + cost
+      );
+
+      // Swapped neighbouring letters count as one edit
+      if (
+        previousRow &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Number of typos tolerated for a word of this length
+ * @param {string} word - Query word
+ * @returns {number} - Allowed edit distance
+ */
+export const getTypoTolerance = (word) => {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+};
+
+// Filter keys understood by parseSearchQuery
+export const QUERY_FILTERS = {
+  TAG: "tag",
+  IN: "in",
+  TYPE: "type",
+  UPDATED: "updated",
+  HAS: "has",
+};
+
+// Friendly names for BlockNote block types used by type:
+const BLOCK_TYPE_ALIASES = {
+  todo: "checkListItem",
+  todos: "checkListItem",
+  task: "checkListItem",
+  tasks: "checkListItem",
+  checklist: "checkListItem",
+  heading: "heading",
+  headings: "heading",
+  bullet: "bulletListItem",
+  bullets: "bulletListItem",
+  numbered: "numberedListItem",
+  code: "codeBlock",
+  quote: "quote",
+  table: "table",
+  image: "image",
+  link: "pageLink",
+  links: "pageLink",
+};
+
+const BLOCK_TYPE_LABELS = {
+  checkListItem: "To-do",
+  heading: "Heading",
+  bulletListItem: "Bullet list",
+  numberedListItem: "Numbered list",
+  codeBlock: "Code",
+  quote: "Quote",
+  table: "Table",
+  image: "Image",
+  pageLink: "Page link",
+};
+
+// Values accepted by has:
+const HAS_ALIASES = {
+  unchecked: "unchecked",
+  open: "unchecked",
+  checked: "checked",
+  done: "checked",
+  tag: "tags",
+  tags: "tags",
+  subpage: "subpages",
+  subpages: "subpages",
+  children: "subpages",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn an updated: value into a time range
+ * Accepts dates (2026-09-01), months (2026-09), today, yesterday and
+ * relative ages (7d, 2w), optionally prefixed with >, >=, < or <=.
+ * @param {string} value - Value after "updated:"
+ * @param {number} now - Current time, for relative values
+ * @returns {Object|null} - { operator, from, to } in ms (to is exclusive), or
+ * null if the value isn't a date
+ */
+export const parseDateFilter = (value, now = Date.now()) => {
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec((value || "").trim());
+  if (!match) return null;
+
+  const operator = match[1] || "=";
+  const dateText = match[2].toLowerCase();
+  let start;
+  let end;
+
+  const relative = /^(\d+)([dw])$/.exec(dateText);
+  if (relative) {
+    // "7d" means within the last 7 days
+    const days = Number(relative[1]) * (relative[2] === "w" ? 7 : 1);
+    return operator === "<" || operator === "<="
+      ? { operator, from: null, to: now - days * DAY_MS }
+      : { operator, from: now - days * DAY_MS, to: null };
+  }
+
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  if (dateText === "today" || dateText === "yesterday") {
+    start = new Date(today);
+    if (dateText === "yesterday") start.setDate(start.getDate() - 1);
+    end = new Date(start);
+    end.setDate(end.getDate() + 1);
+  } else {
+    const parts = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/.exec(dateText);
+    if (!parts) return null;
+
+    const year = Number(parts[1]);
+    const month = Number(parts[2]) - 1;
+    if (month < 0 || month > 11) return null;
+
+    if (parts[3]) {
+      start = new Date(year, month, Number(parts[3]));
+      if (start.getMonth() !== month) return null;
+      end = new Date(year, month, Number(parts[3]) + 1);
+    } else {
+      start = new Date(year, month, 1);
+      end = new Date(year, month + 1, 1);
+    }
+  }
+
+  switch (operator) {
+    case ">":
+      return { operator, from: end.getTime(), to: null };
+    case ">=":
+      return { operator, from: start.getTime(), to: null };
+    case "<":
+      return { operator, from: null, to: start.getTime() };
+    case "<=":
+      return { operator, from: null, to: end.getTime() };
+    default:
+      return { operator, from: start.getTime(), to: end.getTime() };
+  }
+};
+
+// Build a filter from a key:value pair, or null if the value makes no sense
+const buildFilter = (key, value) => {
+  if (!value) return null;
+
+  switch (key) {
+    case QUERY_FILTERS.TAG:
+      return { key, value: normalizeText(value).replace(/^#/, "") };
+    case QUERY_FILTERS.IN:
+      return { key, value: normalizeText(value).trim() };
+    case QUERY_FILTERS.TYPE: {
+      const alias = BLOCK_TYPE_ALIASES[value.toLowerCase()];
+      return { key, value: alias || value };
+    }
+    case QUERY_FILTERS.HAS: {
+      const alias = HAS_ALIASES[value.toLowerCase()];
+      return alias ? { key, value: alias } : null;
+    }
+    case QUERY_FILTERS.UPDATED: {
+      const range = parseDateFilter(value);
+      return range ? { key, value, ...range } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// -word, "phrase", key:value or key:"quoted value"
+const CLAUSE = /(-?)(?:(\w+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+))/g;
+
+/**
+ * Parse a search query into free text, phrases, exclusions and filters
+ * e.g. `budget "next quarter" -draft tag:meeting in:"Project X"
+ * type:todo updated:>2026-09-01 has:unchecked`
+ * @param {string} query - Query typed by the user
+ * @returns {Object} - { words, phrases, excludedWords, excludedPhrases,
+ * filters, clauses } where clauses lists every phrase, exclusion and filter
+ * with its position in the query so it can be shown and removed
+ */
+export const parseSearchQuery = (query) => {
+  const parsed = {
+    words: [],
+    phrases: [],
+    excludedWords: [],
+    excludedPhrases: [],
+    filters: [],
+    clauses: [],
+  };
+  if (!query) return parsed;
+
+  CLAUSE.lastIndex = 0;
+  let match;
+  while ((match = CLAUSE.exec(query)) !== null) {
+    const [raw, minus, key, quotedValue, value, phrase, word] = match;
+    const negated = minus === "-";
+    const clause = {
+      raw,
+      negated,
+      start: match.index,
+      end: match.index + raw.length,
+    };
+
+    const filterKey = key !== undefined ? key.toLowerCase() : null;
+    if (filterKey && Object.values(QUERY_FILTERS).includes(filterKey)) {
+      const text = (quotedValue !== undefined ? quotedValue : value).trim();
+      const filter = buildFilter(filterKey, text);
+      // Half-typed filters like "tag:" are ignored rather than searched for
+      if (filter) {
+        parsed.filters.push({ ...filter, negated });
+        parsed.clauses.push({ ...clause, type: "filter", filter, text });
+      }
+      continue;
+    }
+
+    if (phrase !== undefined) {
+      const words = tokenize(phrase).map((token) => token.word);
+      if (words.length === 0) continue;
+
+      const text = words.join(" ");
+      if (negated) parsed.excludedPhrases.push(text);
+      else parsed.phrases.push(text);
+      parsed.clauses.push({ ...clause, type: "phrase", text: phrase.trim() });
+      continue;
+    }
+
+    // Unknown keys such as "10:30" are just text
+    const words = tokenize(key !== undefined ? raw.slice(minus.length) : word);
+    if (negated && words.length > 0) {
+      parsed.excludedWords.push(...words.map((token) => token.word));
+      parsed.clauses.push({ ...clause, type: "word", text: raw.slice(1) });
+    } else {
+      parsed.words.push(...words.map((token) => token.word));
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Whether a parsed query has anything to search for
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean} - True if the query has words, phrases or filters
+ */
+export const hasSearchCriteria = (parsed) =>
+  parsed.words.length > 0 ||
+  parsed.phrases.length > 0 ||
+  parsed.filters.length > 0;
+
+/**
+ * Short label for a phrase, exclusion or filter, for showing as a chip
+ * @param {Object} clause - One of parseSearchQuery's clauses
+ * @returns {string} - Label such as "Tag: meeting" or "Not: draft"
+ */
+export const describeSearchClause = (clause) => {
+  const prefix = clause.negated ? "Not " : "";
+
+  if (clause.type === "phrase") return `${prefix}"${clause.text}"`;
+  if (clause.type === "word") return `Not: ${clause.text}`;
+
+  const { key, value, operator } = clause.filter;
+  switch (key) {
+    case QUERY_FILTERS.TAG:
+      return `${prefix}Tag: ${clause.text}`;
+    case QUERY_FILTERS.IN:
+      return `${prefix}In: ${clause.text}`;
+    case QUERY_FILTERS.TYPE:
+      return `${prefix}Type: ${BLOCK_TYPE_LABELS[value] || value}`;
+    case QUERY_FILTERS.HAS:
+      return `${prefix}Has: ${value}`;
+    case QUERY_FILTERS.UPDATED: {
+      const date = value.replace(/^(>=|<=|>|<|=)/, "");
+      if (/^\d+[dw]$/i.test(date)) {
+        return operator === "<" || operator === "<="
+          ? `${prefix}Updated over ${date} ago`
+          : `${prefix}Updated in last ${date}`;
+      }
+      const words = {
+        ">": "after",
+        ">=": "since",
+        "<": "before",
+        "<=": "up to",
+        "=": "on",
+      };
+      return `${prefix}Updated ${words[operator]} ${date}`;
+    }
+    default:
+      return clause.raw;
+  }
+};
+
+/**
+ * Remove a clause from the query text it was parsed from
+ * @param {string} query - Query typed by the user
+ * @param {Object} clause - One of parseSearchQuery's clauses for that query
+ * @returns {string} - Query without the clause
+ */
+export const removeSearchClause = (query, clause) =>
+  `${query.slice(0, clause.start)} ${query.slice(clause.end)}`
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Quote a filter value or phrase if it wouldn't survive as a single word
+const quoteValue = (value) => {
+  const text = String(value).replace(/"/g, "").trim();
+  return /\s/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * Write a structured filter set back out as query text
+ * The inverse of parseSearchQuery, for filters that come from somewhere
+ * other than the search box (e.g. a spoken query).
+ * @param {Object} filterSet - Filter set
+ * @param {string} filterSet.text - Free text
+ * @param {Array} filterSet.phrases - Exact phrases
+ * @param {Array} filterSet.exclude - Words or phrases that must not appear
+ * @param {Array} filterSet.tags - Tags the page must have
+ * @param {Array} filterSet.excludeTags - Tags the page must not have
+ * @param {string} filterSet.in - Title of a page the results must be inside
+ * @param {Array} filterSet.types - Block types, e.g. "todo"
+ * @param {Array} filterSet.updated - Date conditions, e.g. ">=2026-09-01"
+ * @param {Array} filterSet.has - has: values, e.g. "unchecked"
+ * @returns {string} - Query text
+ */
+export const buildSearchQuery = ({
+  text = "",
+  phrases = [],
+  exclude = [],
+  tags = [],
+  excludeTags = [],
+  in: inPage = null,
+  types = [],
+  updated = [],
+  has = [],
+} = {}) => {
+  const asList = (value) =>
+    (Array.isArray(value) ? value : [value]).filter(
+      (item) => typeof item === "string" && item.trim()
+    );
+
+  return [
+    typeof text === "string" ? text.trim() : "",
+    ...asList(phrases).map((phrase) => `"${phrase.replace(/"/g, "").trim()}"`),
+    ...asList(exclude).map((item) => `-${quoteValue(item)}`),
+    ...asList(tags).map((tag) => `tag:${quoteValue(tag)}`),
+    ...asList(excludeTags).map((tag) => `-tag:${quoteValue(tag)}`),
+    ...asList(inPage).map((title) => `in:${quoteValue(title)}`),
+    ...asList(types).map((type) => `type:${quoteValue(type)}`),
+    ...asList(updated)
+      .filter((value) => parseDateFilter(value))
+      .map((value) => `updated:${value.replace(/\s/g, "")}`),
+    ...asList(has).map((value) => `has:${quoteValue(value)}`),
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+export default {
+  normalizeText,
+  tokenize,
+  stem,
+  editDistance,
+  getTypoTolerance,
+  QUERY_FILTERS,
+  parseDateFilter,
+  parseSearchQuery,
+  hasSearchCriteria,
+  describeSearchClause,
+  removeSearchClause,
+  buildSearchQuery,
+};
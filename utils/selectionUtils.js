@@ -0,0 +1,93 @@
+/**
+ * Utility functions for the editor's cursor and selection
+ *
+ * A selection context comes from the editor's getSelectionContext and looks
+ * like { cursorBlockId, selectedBlockIds, selectionRanges, selectedText },
+ * where selectionRanges holds { blockId, startOffset, endOffset } for the
+ * selected text in each block.
+ */
+
+/**
+ * Check whether any text is selected
+ * @param {Object|null} selection - Selection context from the editor
+ * @returns {boolean} - Whether there is a non-empty text selection
+ */
+export const hasTextSelection = (selection) =>
+  Array.isArray(selection?.selectionRanges) &&
+  selection.selectionRanges.length > 0;
+
+/**
+ * Blocks that "this" and "the selected blocks" refer to
+ * @param {Object|null} selection - Selection context from the editor
+ * @returns {Array} - The selected blocks' IDs, or the cursor's block, or an
+ * empty array when the editor has no cursor
+ */
+export const getSelectionTargetIds = (selection) => {
+  if (!selection) return [];
+  if (selection.selectedBlockIds?.length > 0) {
+    return selection.selectedBlockIds;
+  }
+  return selection.cursorBlockId ? [selection.cursorBlockId] : [];
+};
+
+/**
+ * Check whether a command can restyle part of a block's text
+ * @param {Object} command - Voice command
+ * @returns {boolean} - Whether the command works on selected text
+ */
+export const appliesToSelectedText = (command) =>
+  command.action === "APPLY_FORMATTING" ||
+  (command.action === "MODIFY_BLOCK" &&
+    (command.modificationType === "CHANGE_TEXT_COLOR" ||
+      command.modificationType === "CHANGE_COLOR"));
+
+/**
+ * Point a command that refers to "this" or "the selection" at the editor's
+ * cursor and selection
+ * Only commands with useCurrentSelection set are changed, and targets the
+ * command already names are kept.
+ * @param {Object} command - Voice command
+ * @param {Object|null} selection - Selection context from the editor
+ * @returns {Object} - The command with targetBlockIds, selectionRanges or
+ * insertAfterBlockId filled in
+ */
+export const applySelectionToCommand = (command, selection) => {
+  if (!command?.useCurrentSelection) return command;
+
+  const targetIds = getSelectionTargetIds(selection);
+  if (targetIds.length === 0) return command;
+
+  // "Add this here" goes after the cursor's block
+  if (command.action === "INSERT_CONTENT") {
+    return command.insertAfterBlockId
+      ? command
+      : { ...command, insertAfterBlockId: targetIds[targetIds.length - 1] };
+  }
+
+  // "Make the selected text bold" only touches the selected characters
+  if (
+    appliesToSelectedText(command) &&
+    hasTextSelection(selection) &&
+    !command.selectionRange &&
+    !command.targetText
+  ) {
+    const { selectionRanges } = selection;
+    return {
+      ...command,
+      selectionRanges,
+      targetBlockIds: [...new Set(selectionRanges.map((r) => r.blockId))],
+    };
+  }
+
+  if (command.targetBlockIds?.length > 0 || command.targetBlockType) {
+    return command;
+  }
+  return { ...command, targetBlockIds: targetIds };
+};
+
+export default {
+  hasTextSelection,
+  getSelectionTargetIds,
+  appliesToSelectedText,
+  applySelectionToCommand,
+};
@@ -0,0 +1,61 @@
+/**
+ * Utility functions for voice commands that could mean several blocks
+ *
+ * Instead of guessing, the candidate blocks are numbered in the editor and
+ * the command waits until the user picks one.
+ */
+import { extractTextFromBlock, findBlockById } from "./blockOperations";
+import { normalizeText } from "./searchUtils";
+
+/**
+ * Find the blocks a command could mean when it doesn't settle on one
+ * Commands from the local parser list them in candidateBlockIds, in page
+ * order; commands that name their target by text are ambiguous when the
+ * text is in more than one block.
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Object} commandResult - APPLY_FORMATTING or MODIFY_BLOCK command
+ * @returns {Array|null} - IDs of the blocks to pick from, in page order, or
+ * null if the command's target is clear
+ */
+export const findTargetCandidates = (content, commandResult) => {
+  if (commandResult.targetBlockIds?.length > 0) return null;
+
+  let candidateIds = [];
+
+  if (commandResult.candidateBlockIds) {
+    // Checklist items can be nested, so these are looked up in the tree
+    candidateIds = commandResult.candidateBlockIds.filter((id) =>
+      findBlockById(content, id)
+    );
+  } else if (
+    commandResult.targetText &&
+    !commandResult.targetBlockType &&
+    !commandResult.selectionRange &&
+    !commandResult.selectionRanges
+  ) {
+    const targetText = normalizeText(commandResult.targetText);
+    candidateIds = content
+      .filter((block) =>
+        normalizeText(extractTextFromBlock(block)).includes(targetText)
+      )
+      .map((block) => block.id);
+  }
+
+  return candidateIds.length > 1 ? candidateIds : null;
+};
+
+/**
+ * Point a command at the block the user picked
+ * @param {Object} commandResult - Command that was waiting for a choice
+ * @param {string} blockId - The picked block
+ * @returns {Object} - The command, ready for its handler
+ */
+export const chooseTarget = (commandResult, blockId) => {
+  const { candidateBlockIds, ...command } = commandResult;
+  return { ...command, targetBlockIds: [blockId] };
+};
+
+export default {
+  findTargetCandidates,
+  chooseTarget,
+};
@@ -1,7 +1,30 @@
 // Voice command handler utilities for NoteScreen
 import Toast from "react-native-toast-message";
 import geminiService from "../services/geminiService";
-import { validateBlockFormat } from "./blockOperations";
+import { saveRecording } from "../services/recordingStorage";
+import {
+  validateBlockFormat,
+  createBlock,
+  findBlockById,
+  insertBlocksAfter,
+  updateStylesInRange,
+  removeBlocksFromTree,
+  insertBlocksNextTo,
+  indentBlock,
+  outdentBlock,
+  swapBlocks,
+} from "./blockOperations";
+import { recordHistoryEntry } from "./historyUtils";
+import { findTargetCandidates } from "./targetChoice";
+import { setChecklistItemsChecked } from "./checklistUtils";
+import { matchPagesByTitle } from "./pageUtils";
+import { alignBlocksToText } from "./languageUtils";
+import {
+  splitTranscript,
+  withBlockIds,
+  timestampBlocks,
+  createAudioBlock,
+} from "./recordingUtils";
 
 /**
  * Create a paragraph block with the given text
@@ -54,6 +77,476 @@ export const createAIHeaderBlock = (headerText) => {
   };
 };
 
+/**
+ * Heading text that introduces each kind of AI-generated content
+ * @param {string} action - One of the INSERT_AI_* actions
+ * @returns {string} - Header text
+ */
+const getAIHeaderText = (action) => {
+  switch (action) {
+    case "INSERT_AI_SUMMARY":
+      return "AI Summary";
+    case "INSERT_AI_COMPLETION":
+      return "AI Completion";
+    case "INSERT_AI_REWRITE":
+      return "AI Rewrite";
+    case "INSERT_AI_WORKSPACE_ANSWER":
+      return "Answer From Your Notes";
+    default:
+      return "AI Answer";
+  }
+};
+
+// Unchecked to-dos nested under a checked one, wherever they are below it
+const getOpenSubtasks = (block) =>
+  block.type === "checkListItem" && block.props?.checked
+    ? (block.children || []).flatMap((child) =>
+        child.type === "checkListItem" && !child.props?.checked
+          ? [child]
+          : getOpenSubtasks(child)
+      )
+    : [];
+
+/**
+ * Remove blocks from a page, wherever they're nested
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Array} targetBlockIds - IDs of the blocks to remove; their
+ * children go with them, except that unchecked to-dos under a checked one
+ * move up into its place so open work isn't lost with a finished task
+ * @returns {Array} - New content without those blocks
+ */
+export const deleteBlocksFromContent = (content, targetBlockIds) => {
+  console.log("Blocks to delete:", targetBlockIds);
+
+  const { content: filteredContent, removed } = removeBlocksFromTree(
+    content,
+    targetBlockIds,
+    getOpenSubtasks
+  );
+  removed.forEach((block) => {
+    console.log(`Removing block with ID ${block.id} of type ${block.type}`);
+  });
+
+  return filteredContent;
+};
+
+/**
+ * Styles of text after applying a formatting type
+ * @param {Object} styles - Current styles of the text
+ * @param {string} formatType - "bold", "italic", "underline" or
+ * "remove_formatting"
+ * @returns {Object} - New styles
+ */
+const applyFormatToStyles = (styles, formatType) => {
+  switch (formatType) {
+    case "bold":
+      return { ...styles, bold: true };
+    case "italic":
+      return { ...styles, italic: true };
+    case "underline":
+      return { ...styles, underline: true };
+    case "remove_formatting":
+      return {};
+    default:
+      return styles;
+  }
+};
+
+// Exact text ranges a command applies to: selectionRanges from the editor's
+// selection, or a single selectionRange from the model
+const getSelectionRanges = (commandResult) => {
+  if (commandResult.selectionRanges) return commandResult.selectionRanges;
+  return commandResult.selectionRange ? [commandResult.selectionRange] : null;
+};
+
+/**
+ * Restyle the text in ranges of the page's blocks, nested blocks included
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Array} ranges - { blockId, startOffset, endOffset } ranges
+ * @param {Function} updateStyles - Returns new styles for the given styles
+ * @returns {Object} - { content, changed }
+ */
+const updateStylesInRanges = (content, ranges, updateStyles) => {
+  let changed = false;
+
+  const restyleBlocks = (blocks) =>
+    blocks.map((block) => {
+      const restyled = ranges
+        .filter((range) => range.blockId === block.id)
+        .reduce((current, range) => {
+          const result = updateStylesInRange(
+            current,
+            range.startOffset,
+            range.endOffset,
+            updateStyles
+          );
+          changed = changed || result.changed;
+          return result.block;
+        }, block);
+
+      return Array.isArray(restyled.children) && restyled.children.length > 0
+        ? { ...restyled, children: restyleBlocks(restyled.children) }
+        : restyled;
+    });
+
+  const updatedContent = restyleBlocks(content);
+  return { content: updatedContent, changed };
+};
+
+/**
+ * Apply an APPLY_FORMATTING command to a copy of the page's blocks
+ * Formats just the text in the command's selection ranges when it has
+ * them, and the last block when the command names no target.
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Object} commandResult - APPLY_FORMATTING command
+ * @returns {Object} - { content, changed } where changed is false if there
+ * was no text to format
+ */
+export const applyFormattingToContent = (content, commandResult) => {
+  // Determine what to format
+  const targetText = commandResult.targetText;
+  let targetBlockIds = commandResult.targetBlockIds;
+  const formatType = commandResult.formattingType?.toLowerCase();
+
+  // Selected text is formatted character by character
+  const ranges = getSelectionRanges(commandResult);
+  if (ranges) {
+    return updateStylesInRanges(content, ranges, (styles) =>
+      applyFormatToStyles(styles, formatType)
+    );
+  }
+
+  // Handle "last paragraph" type commands
+  if (!targetText && !targetBlockIds && formatType && content.length > 0) {
+    // If no specific target is provided, format the last block
+    const lastBlock = content[content.length - 1];
+    targetBlockIds = [lastBlock.id];
+  }
+
+  // Make a copy of content to modify
+  const updatedContent = JSON.parse(JSON.stringify(content));
+  let success = false;
+
+  // Apply formatting to target blocks
+  for (const block of updatedContent) {
+    if (!targetBlockIds || targetBlockIds.includes(block.id)) {
+      // Apply to whole block
+      if (block.content && Array.isArray(block.content)) {
+        block.content.forEach((item) => {
+          if (item.type === "text") {
+            item.styles = applyFormatToStyles(item.styles || {}, formatType);
+            success = true;
+          }
+        });
+      }
+    }
+  }
+
+  return { content: updatedContent, changed: success };
+};
+
+/**
+ * Apply a MODIFY_BLOCK command to a copy of the page's blocks
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Object} commandResult - MODIFY_BLOCK command
+ * @returns {Object} - { content, changed } where changed is false if no
+ * block was modified
+ */
+export const modifyBlocksInContent = (content, commandResult) => {
+  // Make a copy of content to modify
+  const updatedContent = JSON.parse(JSON.stringify(content));
+  let success = false;
+
+  // Handle different modification types
+  const modificationType = commandResult.modificationType;
+  console.log(`Modification type: ${modificationType}`);
+
+  // Checklist items can be nested anywhere, so they're changed in the tree
+  if (modificationType === "CHANGE_CHECKED") {
+    const allItems =
+      !commandResult.targetBlockIds?.length &&
+      commandResult.targetBlockType === "checkListItem";
+    return setChecklistItemsChecked(
+      content,
+      allItems ? null : commandResult.targetBlockIds || [],
+      commandResult.checked
+    );
+  }
+
+  if (modificationType === "CONVERT_TO_LIST") {
+    // Converting block types (e.g., bullet list to to-do list)
+    const newType = commandResult.newType;
+    const targetBlockType = commandResult.targetBlockType;
+    const targetBlockIds = commandResult.targetBlockIds;
+
+    console.log(`Converting to new type: ${newType}`);
+    console.log(`Target block type: ${targetBlockType}`);
+    console.log(
+      `Target block IDs: ${
+        targetBlockIds ? targetBlockIds.join(", ") : "none"
+      }`
+    );
+
+    // Determine which blocks to modify
+    let blocksToModify = [];
+
+    if (targetBlockType) {
+      // Modify all blocks of a specific type
+      blocksToModify = updatedContent.filter(
+        (block) => block.type === targetBlockType
+      );
+      console.log(
+        `Found ${blocksToModify.length} blocks of type ${targetBlockType} to modify`
+      );
+    } else if (targetBlockIds && targetBlockIds.length > 0) {
+      // Modify specific blocks by ID
+      blocksToModify = updatedContent.filter((block) =>
+        targetBlockIds.includes(block.id)
+      );
+      console.log(`Found ${blocksToModify.length} blocks by ID to modify`);
+    } else {
+      // Default to modifying all blocks that match the conversion pattern
+      // For bullet to todo, modify all bulletListItems
+      if (newType === "checkListItem") {
+        blocksToModify = updatedContent.filter(
+          (block) => block.type === "bulletListItem"
+        );
+        console.log(
+          `Found ${blocksToModify.length} bullet list items to convert to check list items`
+        );
+      } else if (newType === "bulletListItem") {
+        blocksToModify = updatedContent.filter(
+          (block) =>
+            block.type === "checkListItem" ||
+            block.type === "numberedListItem"
+        );
+        console.log(
+          `Found ${blocksToModify.length} items to convert to bullet list items`
+        );
+      } else if (newType === "numberedListItem") {
+        blocksToModify = updatedContent.filter(
+          (block) =>
+            block.type === "bulletListItem" || block.type === "checkListItem"
+        );
+        console.log(
+          `Found ${blocksToModify.length} items to convert to numbered list items`
+        );
+      }
+    }
+
+    // Perform the conversion
+    if (blocksToModify.length > 0) {
+      console.log(`Modifying ${blocksToModify.length} blocks`);
+      const blockIds = blocksToModify.map((block) => block.id);
+
+      for (const block of updatedContent) {
+        if (blockIds.includes(block.id)) {
+          console.log(
+            `Converting block ${block.id} from ${block.type} to ${newType}`
+          );
+          // Convert the block type
+          block.type = newType;
+
+          // Add any required properties for the new block type
+          if (
+            newType === "checkListItem" &&
+            !block.props.hasOwnProperty("checked")
+          ) {
+            block.props.checked = false;
+            console.log(`Added checked: false property to block ${block.id}`);
+          } else if (
+            newType === "heading" &&
+            !block.props.hasOwnProperty("level")
+          ) {
+            block.props.level = commandResult.headingLevel || 2;
+            console.log(
+              `Added level: ${block.props.level} property to block ${block.id}`
+            );
+          }
+
+          success = true;
+        }
+      }
+    } else {
+      console.log("No blocks found to modify");
+    }
+  } else if (modificationType === "CHANGE_TYPE") {
+    // Similar to CONVERT_TO_LIST but for non-list block types
+    // Implementation similar to above
+    const newType = commandResult.newType;
+    const targetBlockIds = commandResult.targetBlockIds;
+
+    if (targetBlockIds && targetBlockIds.length > 0) {
+      for (const block of updatedContent) {
+        if (targetBlockIds.includes(block.id)) {
+          block.type = newType;
+
+          // Add required properties
+          if (newType === "heading" && !block.props.hasOwnProperty("level")) {
+            block.props.level = commandResult.headingLevel || 2;
+          } else if (
+            newType === "checkListItem" &&
+            !block.props.hasOwnProperty("checked")
+          ) {
+            block.props.checked = false;
+          }
+
+          success = true;
+        }
+      }
+    }
+  } else if (modificationType === "CHANGE_HEADING_LEVEL") {
+    // Turn the target blocks into headings of the requested level
+    const headingLevel = commandResult.headingLevel || 2;
+    const targetBlockIds = commandResult.targetBlockIds || [];
+    const targetBlockType = commandResult.targetBlockType;
+
+    for (const block of updatedContent) {
+      if (
+        targetBlockIds.includes(block.id) ||
+        (targetBlockType && block.type === targetBlockType)
+      ) {
+        console.log(
+          `Setting block ${block.id} to heading level ${headingLevel}`
+        );
+        block.type = "heading";
+        block.props = { ...block.props, level: headingLevel };
+        success = true;
+      }
+    }
+  } else if (
+    modificationType === "CHANGE_TEXT_COLOR" ||
+    modificationType === "CHANGE_COLOR"
+  ) {
+    // Color the whole block's text, or just the selected text
+    const textColor = commandResult.textColor || commandResult.newColor;
+    const targetBlockIds = commandResult.targetBlockIds || [];
+    const targetBlockType = commandResult.targetBlockType;
+    const ranges = getSelectionRanges(commandResult);
+
+    if (textColor && ranges) {
+      return updateStylesInRanges(content, ranges, (styles) => ({
+        ...styles,
+        textColor,
+      }));
+    } else if (textColor) {
+      for (const block of updatedContent) {
+        if (
+          targetBlockIds.includes(block.id) ||
+          (targetBlockType && block.type === targetBlockType)
+        ) {
+          console.log(`Setting block ${block.id} text color to ${textColor}`);
+          block.props = { ...block.props, textColor };
+          success = true;
+        }
+      }
+    }
+  }
+
+  return { content: updatedContent, changed: success };
+};
+
+// IDs of every block in page order, nested blocks after their parent
+const getBlockIdsInOrder = (blocks) =>
+  blocks.flatMap((block) => [
+    block.id,
+    ...getBlockIdsInOrder(block.children || []),
+  ]);
+
+/**
+ * Apply a MOVE_BLOCK command to the page's blocks
+ * Blocks move with their children and can be anywhere in the tree. Blocks
+ * are indented and outdented one at a time in page order, and ones that
+ * can't be are skipped.
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Object} commandResult - MOVE_BLOCK command
+ * @returns {Object} - { content, changed, error } where error says why
+ * nothing moved
+ */
+export const moveBlocksInContent = (content, commandResult) => {
+  const { moveType, destination, referenceBlockId } = commandResult;
+  const targetBlockIds = commandResult.targetBlockIds || [];
+  const unchanged = (error) => ({ content, changed: false, error });
+
+  if (
+    targetBlockIds.length === 0 ||
+    !targetBlockIds.every((id) => findBlockById(content, id))
+  ) {
+    return unchanged("The blocks to move are no longer on the page");
+  }
+
+  switch (moveType) {
+    case "MOVE": {
+      const { content: remaining, removed } = removeBlocksFromTree(
+        content,
+        targetBlockIds
+      );
+
+      let updatedContent;
+      if (destination === "TOP") {
+        updatedContent = [...removed, ...remaining];
+      } else if (destination === "BOTTOM") {
+        updatedContent = [...remaining, ...removed];
+      } else {
+        updatedContent = insertBlocksNextTo(
+          remaining,
+          removed,
+          referenceBlockId,
+          destination === "BEFORE" ? "before" : "after"
+        );
+        if (!updatedContent) {
+          return unchanged(
+            findBlockById(content, referenceBlockId)
+              ? "Blocks can't move next to themselves"
+              : "The block to move them to is no longer on the page"
+          );
+        }
+      }
+
+      return JSON.stringify(updatedContent) === JSON.stringify(content)
+        ? unchanged("The blocks are already there")
+        : { content: updatedContent, changed: true };
+    }
+
+    case "INDENT":
+    case "OUTDENT": {
+      const moveBlock = moveType === "INDENT" ? indentBlock : outdentBlock;
+      let updatedContent = content;
+      let changed = false;
+
+      getBlockIdsInOrder(content)
+        .filter((id) => targetBlockIds.includes(id))
+        .forEach((id) => {
+          const moved = moveBlock(updatedContent, id);
+          if (moved) {
+            updatedContent = moved;
+            changed = true;
+          }
+        });
+
+      if (changed) return { content: updatedContent, changed };
+      return unchanged(
+        moveType === "INDENT"
+          ? "There's no block above to nest under"
+          : "The blocks aren't nested"
+      );
+    }
+
+    case "SWAP": {
+      if (targetBlockIds.length !== 2) {
+        return unchanged("Name the two blocks to swap");
+      }
+      const swapped = swapBlocks(content, ...targetBlockIds);
+      return swapped
+        ? { content: swapped, changed: true }
+        : unchanged("A block can't swap places with a block inside it");
+    }
+
+    default:
+      return unchanged(`Unknown move type ${moveType}`);
+  }
+};
+
 /**
  * Handle AI content insertion commands
  */
@@ -73,14 +566,7 @@ export const handleAIContentCommand = async (
   }
 
   // Create appropriate header text based on action type
-  let headerText = "AI Answer";
-  if (commandResult.action === "INSERT_AI_SUMMARY") {
-    headerText = "AI Summary";
-  } else if (commandResult.action === "INSERT_AI_COMPLETION") {
-    headerText = "AI Completion";
-  } else if (commandResult.action === "INSERT_AI_REWRITE") {
-    headerText = "AI Rewrite";
-  }
+  const headerText = getAIHeaderText(commandResult.action);
 
   // Create a header block to indicate what type of AI content this is
   const headerBlock = createAIHeaderBlock(headerText);
@@ -159,18 +645,10 @@ export const handleDeleteBlockCommand = async (
       return;
     }
 
-    // Simple approach: Create a new array without the blocks to delete
-    const blocksToDelete = new Set(commandResult.targetBlockIds);
-    console.log("Creating Set of blocks to delete:", blocksToDelete);
-
-    // Create a simple copy of the content without the blocks to delete
-    const filteredContent = currentContent.filter((block) => {
-      const shouldKeep = !blocksToDelete.has(block.id);
-      if (!shouldKeep) {
-        console.log(`Removing block with ID ${block.id} of type ${block.type}`);
-      }
-      return shouldKeep;
-    });
+    const filteredContent = deleteBlocksFromContent(
+      currentContent,
+      commandResult.targetBlockIds
+    );
 
     // Update state with the new content
     setEditorContent(filteredContent);
@@ -232,8 +710,43 @@ export const handleDeleteBlockCommand = async (
   }
 };
 
+// Long recordings are transcribed in segments and are too much to
+// structure into blocks in one reply
+const isSegmentedRecording = (recording) =>
+  !!recording && recording.timeline.length > 2;
+
+// The transcript as paragraphs: one per segment of a long recording, so
+// each can be played from where it starts
+const toParagraphBlocks = (content, recording) =>
+  recording && content === recording.transcription
+    ? splitTranscript(content, recording.timeline).map(createParagraphBlock)
+    : [createParagraphBlock(content)];
+
+// Put an audio block for the recording before the blocks transcribed from
+// it, with the moment each of them starts at. If the recording can't be
+// kept, the blocks go in on their own.
+const withRecordingBlock = async (blocks, recording) => {
+  const saved = await saveRecording(recording.uri);
+  if (!saved.success) return blocks;
+
+  const transcribedBlocks = withBlockIds(blocks);
+  const segments = timestampBlocks(
+    transcribedBlocks,
+    recording.transcription,
+    recording.timeline
+  );
+  return [
+    createAudioBlock(
+      { ...saved.recording, durationMs: recording.durationMs },
+      segments
+    ),
+    ...transcribedBlocks,
+  ];
+};
+
 /**
  * Handle insert content command
+ * Dictation that comes with its recording gets an audio block before it.
  */
 export const handleInsertContentCommand = async (
   commandResult,
@@ -255,23 +768,54 @@ export const handleInsertContentCommand = async (
     // Set loading state to indicate processing
     setIsSaving(true);
 
+    const { recording, insertAfterBlockId } = commandResult;
+
+    const insertBlocks = async (blocks) =>
+      insertTranscriptionDirectly(
+        recording ? await withRecordingBlock(blocks, recording) : blocks,
+        false,
+        insertAfterBlockId
+      );
+
+    // Insert the text as it was heard
+    const insertRawText = () =>
+      recording
+        ? insertBlocks(toParagraphBlocks(content, recording))
+        : insertTranscriptionDirectly(content, true, insertAfterBlockId);
+
+    // Blocks structured ahead of time, e.g. for review, go in as they are
+    if (commandResult.blocks) {
+      const inserted = await insertBlocks(commandResult.blocks);
+      if (inserted) {
+        Toast.show({
+          type: "success",
+          text1: "Success",
+          text2: "Content added",
+          visibilityTime: 2000,
+        });
+      }
+      return;
+    }
+
     try {
       // Process the content through Gemini to create structured blocks based on context
-      const structuredResult =
-        await geminiService.processTranscriptionWithGemini(content);
+      const structuredResult = isSegmentedRecording(recording)
+        ? null
+        : await geminiService.processTranscriptionWithGemini(content);
 
       let inserted = false;
 
-      if (structuredResult.success && structuredResult.blocks) {
+      if (
+        structuredResult &&
+        structuredResult.success &&
+        structuredResult.blocks
+      ) {
         // If Gemini successfully created structured blocks, insert them
-        inserted = await insertTranscriptionDirectly(
-          structuredResult.blocks,
-          false
-        );
+        inserted = await insertBlocks(structuredResult.blocks);
         console.log("Inserted structured blocks for content");
       } else {
         // Fall back to inserting raw text if structuring fails
-        inserted = await insertTranscriptionDirectly(content, true);
+        inserted = await insertRawText();
         console.log("Fell back to inserting raw text");
       }
 
@@ -291,7 +835,7 @@ export const handleInsertContentCommand = async (
       console.error("Error processing content structure:", processingError);
 
       // Fall back to inserting as raw text if the processing fails
-      const inserted = await insertTranscriptionDirectly(content, true);
+      const inserted = await insertRawText();
 
       if (
         inserted &&
@@ -423,7 +967,10 @@ export const handleCreatePageCommand = async (
         }
 
         // Combine heading with structured content blocks
-        const initialBlocks = [headingBlock, ...contentBlocks];
+        const initialBlocks = alignBlocksToText([
+          headingBlock,
+          ...contentBlocks,
+        ]);
         const contentJsonString = JSON.stringify(initialBlocks);
 
         // Save directly to storage without using BlockNote API
@@ -456,7 +1003,7 @@ export const handleCreatePageCommand = async (
         };
 
         const contentBlock = createParagraphBlock(pageContent);
-        const initialBlocks = [headingBlock, contentBlock];
+        const initialBlocks = alignBlocksToText([headingBlock, contentBlock]);
         const contentJsonString = JSON.stringify(initialBlocks);
 
         // Save the page with fallback content
@@ -489,8 +1036,36 @@ export const handleCreatePageCommand = async (
   }
 };
 
+/**
+ * Stop a command that could mean several blocks until the user picks one
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Object} commandResult - APPLY_FORMATTING or MODIFY_BLOCK command
+ * @param {Function} onAmbiguousTarget - Called with the command and the
+ * candidate block IDs to let the user pick one
+ * @returns {boolean} - Whether the command has to wait
+ */
+const awaitTargetChoice = (content, commandResult, onAmbiguousTarget) => {
+  const candidateBlockIds = findTargetCandidates(content, commandResult);
+  if (!candidateBlockIds) return false;
+
+  console.log(`Command could mean ${candidateBlockIds.length} blocks`);
+  if (onAmbiguousTarget) {
+    onAmbiguousTarget(commandResult, candidateBlockIds);
+  } else {
+    Toast.show({
+      type: "info",
+      text1: "Which One?",
+      text2: `That matches ${candidateBlockIds.length} blocks. Name just one.`,
+      visibilityTime: 3000,
+    });
+  }
+  return true;
+};
+
 /**
  * Handle formatting command
+ * When the target could be several blocks, onAmbiguousTarget is asked to
+ * let the user pick one instead.
  */
 export const handleApplyFormattingCommand = async (
   commandResult,
@@ -503,7 +1078,8 @@ export const handleApplyFormattingCommand = async (
   storageSavePage,
   setCurrentPage,
   setForceRefresh,
-  setIsSaving
+  setIsSaving,
+  onAmbiguousTarget = null
 ) => {
   try {
     // Validate the command result
@@ -535,52 +1111,13 @@ export const handleApplyFormattingCommand = async (
       return;
     }
 
-    // Determine what to format
-    let targetText = commandResult.targetText;
-    let targetBlockIds = commandResult.targetBlockIds;
-    let formatType = commandResult.formattingType?.toLowerCase();
-
-    // Handle "last paragraph" type commands
-    if (!targetText && !targetBlockIds && formatType) {
-      // If no specific target is provided, format the last block
-      const lastBlock = currentContent[currentContent.length - 1];
-      targetBlockIds = [lastBlock.id];
+    if (awaitTargetChoice(currentContent, commandResult, onAmbiguousTarget)) {
+      return;
     }
 
-    // Make a copy of content to modify
-    const updatedContent = JSON.parse(JSON.stringify(currentContent));
-    let success = false;
-
-    // Apply formatting to target blocks
-    for (const block of updatedContent) {
-      if (!targetBlockIds || targetBlockIds.includes(block.id)) {
-        // Apply to whole block
-        if (block.content && Array.isArray(block.content)) {
-          block.content.forEach((item) => {
-            if (item.type === "text") {
-              if (!item.styles) item.styles = {};
-
-              // Apply the formatting
-              switch (formatType) {
-                case "bold":
-                  item.styles.bold = true;
-                  break;
-                case "italic":
-                  item.styles.italic = true;
-                  break;
-                case "underline":
-                  item.styles.underline = true;
-                  break;
-                case "remove_formatting":
-                  item.styles = {};
-                  break;
-              }
-              success = true;
-            }
-          });
-        }
-      }
-    }
+    const formatType = commandResult.formattingType.toLowerCase();
+    const { content: updatedContent, changed: success } =
+      applyFormattingToContent(currentContent, commandResult);
 
     if (success) {
       // Update state variables
@@ -647,6 +1184,8 @@ export const handleApplyFormattingCommand = async (
 
 /**
  * Handle modify block command (convert block types, change properties, etc)
+ * When the target could be several blocks, onAmbiguousTarget is asked to
+ * let the user pick one instead.
  */
 export const handleModifyBlockCommand = async (
   commandResult,
@@ -659,7 +1198,8 @@ export const handleModifyBlockCommand = async (
   storageSavePage,
   setCurrentPage,
   setForceRefresh,
-  setIsSaving
+  setIsSaving,
+  onAmbiguousTarget = null
 ) => {
   try {
     // Validate the command result
@@ -694,138 +1234,13 @@ export const handleModifyBlockCommand = async (
       return;
     }
 
-    // Make a copy of content to modify
-    const updatedContent = JSON.parse(JSON.stringify(currentContent));
-    let success = false;
-
-    // Handle different modification types
-    const modificationType = commandResult.modificationType;
-    console.log(`Modification type: ${modificationType}`);
-
-    if (modificationType === "CONVERT_TO_LIST") {
-      // Converting block types (e.g., bullet list to to-do list)
-      const newType = commandResult.newType;
-      const targetBlockType = commandResult.targetBlockType;
-      const targetBlockIds = commandResult.targetBlockIds;
-
-      console.log(`Converting to new type: ${newType}`);
-      console.log(`Target block type: ${targetBlockType}`);
-      console.log(
-        `Target block IDs: ${
-          targetBlockIds ? targetBlockIds.join(", ") : "none"
-        }`
-      );
-
-      // Determine which blocks to modify
-      let blocksToModify = [];
-
-      if (targetBlockType) {
-        // Modify all blocks of a specific type
-        blocksToModify = updatedContent.filter(
-          (block) => block.type === targetBlockType
-        );
-        console.log(
-          `Found ${blocksToModify.length} blocks of type ${targetBlockType} to modify`
-        );
-      } else if (targetBlockIds && targetBlockIds.length > 0) {
-        // Modify specific blocks by ID
-        blocksToModify = updatedContent.filter((block) =>
-          targetBlockIds.includes(block.id)
-        );
-        console.log(`Found ${blocksToModify.length} blocks by ID to modify`);
-      } else {
-        // Default to modifying all blocks that match the conversion pattern
-        // For bullet to todo, modify all bulletListItems
-        if (newType === "checkListItem") {
-          blocksToModify = updatedContent.filter(
-            (block) => block.type === "bulletListItem"
-          );
-          console.log(
-            `Found ${blocksToModify.length} bullet list items to convert to check list items`
-          );
-        } else if (newType === "bulletListItem") {
-          blocksToModify = updatedContent.filter(
-            (block) =>
-              block.type === "checkListItem" ||
-              block.type === "numberedListItem"
-          );
-          console.log(
-            `Found ${blocksToModify.length} items to convert to bullet list items`
-          );
-        } else if (newType === "numberedListItem") {
-          blocksToModify = updatedContent.filter(
-            (block) =>
-              block.type === "bulletListItem" || block.type === "checkListItem"
-          );
-          console.log(
-            `Found ${blocksToModify.length} items to convert to numbered list items`
-          );
-        }
-      }
-
-      // Perform the conversion
-      if (blocksToModify.length > 0) {
-        console.log(`Modifying ${blocksToModify.length} blocks`);
-        const blockIds = blocksToModify.map((block) => block.id);
-
-        for (const block of updatedContent) {
-          if (blockIds.includes(block.id)) {
-            console.log(
-              `Converting block ${block.id} from ${block.type} to ${newType}`
-            );
-            // Convert the block type
-            block.type = newType;
-
-            // Add any required properties for the new block type
-            if (
-              newType === "checkListItem" &&
-              !block.props.hasOwnProperty("checked")
-            ) {
-              block.props.checked = false;
-              console.log(`Added checked: false property to block ${block.id}`);
-            } else if (
-              newType === "heading" &&
-              !block.props.hasOwnProperty("level")
-            ) {
-              block.props.level = commandResult.headingLevel || 2;
-              console.log(
-                `Added level: ${block.props.level} property to block ${block.id}`
-              );
-            }
-
-            success = true;
-          }
-        }
-      } else {
-        console.log("No blocks found to modify");
-      }
-    } else if (modificationType === "CHANGE_TYPE") {
-      // Similar to CONVERT_TO_LIST but for non-list block types
-      // Implementation similar to above
-      const newType = commandResult.newType;
-      const targetBlockIds = commandResult.targetBlockIds;
-
-      if (targetBlockIds && targetBlockIds.length > 0) {
-        for (const block of updatedContent) {
-          if (targetBlockIds.includes(block.id)) {
-            block.type = newType;
-
-            // Add required properties
-            if (newType === "heading" && !block.props.hasOwnProperty("level")) {
-              block.props.level = commandResult.headingLevel || 2;
-            } else if (
-              newType === "checkListItem" &&
-              !block.props.hasOwnProperty("checked")
-            ) {
-              block.props.checked = false;
-            }
-
-            success = true;
-          }
-        }
-      }
+    if (awaitTargetChoice(currentContent, commandResult, onAmbiguousTarget)) {
+      return;
     }
 
+    const { content: updatedContent, changed: success } =
+      modifyBlocksInContent(currentContent, commandResult);
+
     // If successful, update state and save
     if (success) {
       console.log("Block modification successful, updating state");
@@ -898,6 +1313,727 @@ export const handleModifyBlockCommand = async (
   }
 };
 
+/**
+ * Apply one step of a compound command to the page's blocks
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Object} command - The step's command
+ * @param {Function} structureContent - Turns text into blocks, or null
+ * @returns {Promise<Object>} - { success, content, error }
+ */
+const applyCommandToContent = async (content, command, structureContent) => {
+  switch (command.action) {
+    case "INSERT_CONTENT": {
+      let blocks = command.blocks || null;
+      if (!blocks && structureContent) {
+        blocks = await structureContent(command.content);
+      }
+      return {
+        success: true,
+        content: insertBlocksAfter(
+          content,
+          alignBlocksToText(blocks || [createParagraphBlock(command.content)]),
+          command.insertAfterBlockId
+        ),
+      };
+    }
+
+    case "DELETE_BLOCK": {
+      if (!command.targetBlockIds.every((id) => findBlockById(content, id))) {
+        return {
+          success: false,
+          error: "The blocks to delete are no longer on the page",
+        };
+      }
+      return {
+        success: true,
+        content: deleteBlocksFromContent(content, command.targetBlockIds),
+      };
+    }
+
+    case "APPLY_FORMATTING": {
+      const result = applyFormattingToContent(content, command);
+      return result.changed
+        ? { success: true, content: result.content }
+        : { success: false, error: "There was no text to format" };
+    }
+
+    case "MODIFY_BLOCK": {
+      const result = modifyBlocksInContent(content, command);
+      return result.changed
+        ? { success: true, content: result.content }
+        : { success: false, error: "No blocks matched" };
+    }
+
+    case "MOVE_BLOCK": {
+      const result = moveBlocksInContent(content, command);
+      return result.changed
+        ? { success: true, content: result.content }
+        : { success: false, error: result.error };
+    }
+
+    default:
+      if (command.action.startsWith("INSERT_AI_")) {
+        return {
+          success: true,
+          content: [
+            ...content,
+            createAIHeaderBlock(getAIHeaderText(command.action)),
+            ...command.blocks,
+          ],
+        };
+      }
+      return {
+        success: false,
+        error: `${command.action} can't be part of a compound command`,
+      };
+  }
+};
+
+/**
+ * Apply the steps of a compound command in order
+ * Each step sees the blocks the previous steps produced. Nothing is written
+ * anywhere, so a failed step leaves the page as it was.
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Array} commands - The steps' commands, in order
+ * @param {Object} options - { structureContent } to turn inserted text
+ * into blocks; inserted text becomes a paragraph without it
+ * @returns {Promise<Object>} - { success, content } or
+ * { success: false, failedStep, error } with the index of the failed step
+ */
+export const applyCommandsToContent = async (
+  content,
+  commands,
+  { structureContent = null } = {}
+) => {
+  let updatedContent = content;
+
+  for (let i = 0; i < commands.length; i++) {
+    const result = await applyCommandToContent(
+      updatedContent,
+      commands[i],
+      structureContent
+    );
+
+    if (!result.success) {
+      console.warn(`Compound step ${i + 1} failed:`, result.error);
+      return { success: false, failedStep: i, error: result.error };
+    }
+    updatedContent = result.content;
+  }
+
+  return { success: true, content: updatedContent };
+};
+
+// Structure spoken text into blocks the way INSERT_CONTENT does
+const structureContentWithGemini = async (text) => {
+  const result = await geminiService.processTranscriptionWithGemini(text);
+  return result.success && !result.createNewPage ? result.blocks : null;
+};
+
+/**
+ * Structure the spoken text of INSERT_CONTENT commands into blocks now
+ * rather than when the command runs, so the blocks can be shown first
+ * Text that can't be structured becomes a paragraph, as it would when run.
+ * @param {Object} commandResult - A command, or a COMPOUND command
+ * @returns {Promise<Object>} - The command with blocks on its INSERT_CONTENT
+ * command or steps
+ */
+export const structureInsertedContent = async (commandResult) => {
+  if (
+    commandResult.action === "INSERT_CONTENT" &&
+    !commandResult.blocks &&
+    isSegmentedRecording(commandResult.recording)
+  ) {
+    return {
+      ...commandResult,
+      blocks: toParagraphBlocks(
+        commandResult.content,
+        commandResult.recording
+      ),
+    };
+  }
+
+  if (commandResult.action === "INSERT_CONTENT" && !commandResult.blocks) {
+    const result = await geminiService.processTranscriptionWithGemini(
+      commandResult.content
+    );
+    return {
+      ...commandResult,
+      blocks:
+        result.success && result.blocks
+          ? result.blocks
+          : [createParagraphBlock(commandResult.content)],
+    };
+  }
+
+  if (commandResult.action === "COMPOUND") {
+    const commands = [];
+    for (const command of commandResult.commands) {
+      if (command.action === "INSERT_CONTENT" && !command.blocks) {
+        const blocks = await structureContentWithGemini(command.content);
+        commands.push({
+          ...command,
+          blocks: blocks || [createParagraphBlock(command.content)],
+        });
+      } else {
+        commands.push(command);
+      }
+    }
+    return { ...commandResult, commands };
+  }
+
+  return commandResult;
+};
+
+/**
+ * Handle compound command: run every step against the page as one change
+ * The page is saved once, after all steps succeed, and the whole command is
+ * a single undo step. If a step or the save fails, the page is left as it
+ * was.
+ */
+export const handleCompoundCommand = async (
+  commandResult,
+  editorContent,
+  initialContent,
+  editorRef,
+  setEditorContent,
+  setInitialContent,
+  currentPage,
+  storageSavePage,
+  setCurrentPage,
+  setForceRefresh,
+  setIsSaving,
+  setUndoStack,
+  setRedoStack,
+  setLastMajorChange
+) => {
+  const previousContent = editorContent || initialContent || [];
+
+  try {
+    setIsSaving(true);
+    console.log(
+      `Executing compound command with ${commandResult.commands.length} steps`
+    );
+
+    const result = await applyCommandsToContent(
+      previousContent,
+      commandResult.commands,
+      { structureContent: structureContentWithGemini }
+    );
+
+    if (!result.success) {
+      Toast.show({
+        type: "error",
+        text1: "Nothing Changed",
+        text2: `Step ${result.failedStep + 1}: ${result.error}`,
+        visibilityTime: 3000,
+      });
+      return false;
+    }
+
+    // Save before touching the editor, so a failed save leaves it untouched
+    if (currentPage) {
+      const savedPage = await storageSavePage({
+        ...currentPage,
+        contentJson: JSON.stringify(result.content),
+        updatedAt: Date.now(),
+      });
+      setCurrentPage(savedPage);
+    }
+
+    recordHistoryEntry(
+      previousContent,
+      result.content,
+      setUndoStack,
+      setRedoStack,
+      setLastMajorChange
+    );
+
+    setEditorContent(result.content);
+    setInitialContent(result.content);
+    setForceRefresh((prev) => prev + 10);
+
+    if (
+      editorRef.current &&
+      typeof editorRef.current.setContent === "function"
+    ) {
+      editorRef.current.setContent(result.content);
+    }
+
+    Toast.show({
+      type: "success",
+      text1: "Success",
+      text2: `Ran ${commandResult.commands.length} steps`,
+      visibilityTime: 2000,
+    });
+    return true;
+  } catch (error) {
+    console.error("Error executing compound command:", error);
+    // Conflicts get their own prompt from the page storage hook
+    if (!error.conflict) {
+      Toast.show({
+        type: "error",
+        text1: "Nothing Changed",
+        text2: "Failed to save the changes, so none were made",
+        visibilityTime: 3000,
+      });
+    }
+    return false;
+  } finally {
+    setIsSaving(false);
+  }
+};
+
+const MOVE_VERBS = {
+  MOVE: "Moved",
+  INDENT: "Indented",
+  OUTDENT: "Outdented",
+  SWAP: "Swapped",
+};
+
+/**
+ * Handle move block command: move, nest, un-nest or swap blocks
+ * The page is saved before the editor changes, and the move is one undo
+ * step.
+ */
+export const handleMoveBlockCommand = async (
+  commandResult,
+  editorContent,
+  initialContent,
+  editorRef,
+  setEditorContent,
+  setInitialContent,
+  currentPage,
+  storageSavePage,
+  setCurrentPage,
+  setForceRefresh,
+  setIsSaving,
+  setUndoStack,
+  setRedoStack,
+  setLastMajorChange
+) => {
+  const previousContent = editorContent || initialContent || [];
+
+  try {
+    setIsSaving(true);
+    console.log(
+      `Moving blocks (${commandResult.moveType}):`,
+      commandResult.targetBlockIds
+    );
+
+    const result = moveBlocksInContent(previousContent, commandResult);
+    if (!result.changed) {
+      Toast.show({
+        type: "info",
+        text1: "Nothing Moved",
+        text2: result.error,
+        visibilityTime: 2000,
+      });
+      return false;
+    }
+
+    if (currentPage) {
+      const savedPage = await storageSavePage({
+        ...currentPage,
+        contentJson: JSON.stringify(result.content),
+        updatedAt: Date.now(),
+      });
+      setCurrentPage(savedPage);
+    }
+
+    recordHistoryEntry(
+      previousContent,
+      result.content,
+      setUndoStack,
+      setRedoStack,
+      setLastMajorChange
+    );
+
+    setEditorContent(result.content);
+    setInitialContent(result.content);
+    setForceRefresh((prev) => prev + 10);
+
+    if (
+      editorRef.current &&
+      typeof editorRef.current.setContent === "function"
+    ) {
+      editorRef.current.setContent(result.content);
+    }
+
+    const count = commandResult.targetBlockIds.length;
+    Toast.show({
+      type: "success",
+      text1: "Success",
+      text2: `${MOVE_VERBS[commandResult.moveType]} ${count} block${
+        count === 1 ? "" : "s"
+      }`,
+      visibilityTime: 2000,
+    });
+    return true;
+  } catch (error) {
+    console.error("Error moving blocks:", error);
+    // Conflicts get their own prompt from the page storage hook
+    if (!error.conflict) {
+      Toast.show({
+        type: "error",
+        text1: "Nothing Moved",
+        text2: "Failed to save the change",
+        visibilityTime: 3000,
+      });
+    }
+    return false;
+  } finally {
+    setIsSaving(false);
+  }
+};
+
+/**
+ * Take blocks off a page and leave a link to another page where the first
+ * of them was
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Array} blockIds - Blocks to take off; their children go too
+ * @param {Object} pageLinkBlock - Link to put in their place
+ * @returns {Object} - { content, removed } with the removed blocks in page
+ * order
+ */
+const replaceBlocksWithPageLink = (content, blockIds, pageLinkBlock) => {
+  // The link goes at the top level, even when the first block is nested
+  const first = content.find((block) =>
+    blockIds.some(
+      (id) => block.id === id || findBlockById(block.children, id)
+    )
+  );
+  const withLink = first
+    ? insertBlocksNextTo(content, [pageLinkBlock], first.id, "before")
+    : [...content, pageLinkBlock];
+
+  return removeBlocksFromTree(withLink, blockIds);
+};
+
+/**
+ * Handle move to page command: put blocks on a new page under this one
+ * The new page starts with a heading and the moved blocks, and a link to it
+ * takes their place. Undo brings the blocks back, but the new page stays.
+ */
+export const handleMoveToPageCommand = async (
+  commandResult,
+  editorContent,
+  initialContent,
+  editorRef,
+  setEditorContent,
+  setInitialContent,
+  currentPage,
+  storageSavePage,
+  setCurrentPage,
+  setForceRefresh,
+  setIsSaving,
+  setUndoStack,
+  setRedoStack,
+  setLastMajorChange,
+  createNewPage,
+  loadNestedPages
+) => {
+  const previousContent = editorContent || initialContent || [];
+  const { pageTitle, targetBlockIds } = commandResult;
+
+  try {
+    setIsSaving(true);
+
+    if (!targetBlockIds.some((id) => findBlockById(previousContent, id))) {
+      Toast.show({
+        type: "info",
+        text1: "Nothing Moved",
+        text2: "The blocks to move are no longer on the page",
+        visibilityTime: 2000,
+      });
+      return null;
+    }
+
+    const newPage = await createNewPage(currentPage.id, pageTitle, "📄");
+    if (!newPage || !newPage.id) {
+      Toast.show({
+        type: "error",
+        text1: "Error",
+        text2: "Failed to create new page",
+        visibilityTime: 2000,
+      });
+      return null;
+    }
+
+    const pageLinkBlock = {
+      type: "pageLink",
+      props: {
+        pageId: newPage.id,
+        pageTitle: newPage.title,
+        pageIcon: newPage.icon,
+      },
+      content: [],
+      children: [],
+    };
+    const { content: updatedContent, removed } = replaceBlocksWithPageLink(
+      previousContent,
+      targetBlockIds,
+      pageLinkBlock
+    );
+
+    // The new page is written first, so the blocks are never only in memory
+    await storageSavePage({
+      ...newPage,
+      contentJson: JSON.stringify([
+        createBlock("heading", newPage.title, { level: 1 }),
+        ...removed,
+      ]),
+      updatedAt: Date.now(),
+    });
+
+    const savedPage = await storageSavePage({
+      ...currentPage,
+      contentJson: JSON.stringify(updatedContent),
+      updatedAt: Date.now(),
+    });
+    setCurrentPage(savedPage);
+
+    recordHistoryEntry(
+      previousContent,
+      updatedContent,
+      setUndoStack,
+      setRedoStack,
+      setLastMajorChange
+    );
+
+    setEditorContent(updatedContent);
+    setInitialContent(updatedContent);
+    setForceRefresh((prev) => prev + 10);
+
+    if (
+      editorRef.current &&
+      typeof editorRef.current.setContent === "function"
+    ) {
+      editorRef.current.setContent(updatedContent);
+    }
+
+    await loadNestedPages();
+
+    Toast.show({
+      type: "success",
+      text1: "Success",
+      text2: `Moved ${removed.length} block${
+        removed.length === 1 ? "" : "s"
+      } to ${newPage.title}`,
+      visibilityTime: 2000,
+    });
+    return newPage;
+  } catch (error) {
+    console.error("Error moving blocks to a new page:", error);
+    // Conflicts get their own prompt from the page storage hook
+    if (!error.conflict) {
+      Toast.show({
+        type: "error",
+        text1: "Error",
+        text2: "Failed to move blocks to a new page",
+        visibilityTime: 3000,
+      });
+    }
+    return null;
+  } finally {
+    setIsSaving(false);
+  }
+};
+
+/**
+ * Handle create meeting notes command: put a meeting's minutes on a new
+ * page under this one and open it
+ * The page has the minutes, then the transcript, with the recording above
+ * the transcript when it's kept.
+ * @returns {Promise<Object|null>} - The new page, or null if it couldn't
+ * be created
+ */
+export const handleCreateMeetingNotesCommand = async (
+  commandResult,
+  currentPage,
+  createNewPage,
+  handleSave,
+  storageSavePage,
+  insertTranscriptionDirectly,
+  loadNestedPages,
+  router,
+  setIsSaving
+) => {
+  const { pageTitle, blocks, transcriptBlocks, recording } = commandResult;
+
+  try {
+    setIsSaving(true);
+    await handleSave();
+
+    const newPage = await createNewPage(currentPage.id, pageTitle, "🗓️");
+    if (!newPage || !newPage.id) {
+      Toast.show({
+        type: "error",
+        text1: "Error",
+        text2: "Failed to create meeting notes",
+        visibilityTime: 2000,
+      });
+      return null;
+    }
+
+    const transcript = recording
+      ? await withRecordingBlock(transcriptBlocks, recording)
+      : transcriptBlocks;
+    await storageSavePage({
+      ...newPage,
+      contentJson: JSON.stringify(
+        alignBlocksToText([
+          createBlock("heading", newPage.title, { level: 1 }),
+          ...blocks,
+          createBlock("heading", "Transcript", { level: 2 }),
+          ...transcript,
+        ])
+      ),
+      updatedAt: Date.now(),
+    });
+
+    await insertTranscriptionDirectly(
+      {
+        type: "pageLink",
+        props: {
+          pageId: newPage.id,
+          pageTitle: newPage.title,
+          pageIcon: newPage.icon,
+        },
+        content: [],
+        children: [],
+      },
+      false
+    );
+    await loadNestedPages();
+
+    router.push(`/note/${newPage.id}`);
+    return newPage;
+  } catch (error) {
+    console.error("Error creating meeting notes:", error);
+    Toast.show({
+      type: "error",
+      text1: "Error",
+      text2: "Failed to create meeting notes",
+      visibilityTime: 2000,
+    });
+    return null;
+  } finally {
+    setIsSaving(false);
+  }
+};
+
+/**
+ * Handle navigate command: open another page or scroll this one
+ * Pages are found by a fuzzy match on their title. The current page is
+ * saved before leaving it, and pages are pushed onto the history so "go
+ * back" returns to them.
+ * @returns {Promise<boolean>} - Whether the command went anywhere
+ */
+export const handleNavigateCommand = async (
+  commandResult,
+  allPages,
+  currentPage,
+  editorRef,
+  handleSave,
+  router
+) => {
+  const showNotice = (text1, text2) => {
+    Toast.show({ type: "info", text1, text2, visibilityTime: 3000 });
+  };
+
+  try {
+    switch (commandResult.navigationType) {
+      case "SCROLL_TO_BLOCK": {
+        const scrolled =
+          editorRef.current &&
+          typeof editorRef.current.scrollToBlock === "function" &&
+          (await editorRef.current.scrollToBlock(
+            commandResult.targetBlockIds[0]
+          ));
+        if (!scrolled) {
+          showNotice("Not Found", "Couldn't scroll to that block");
+        }
+        return Boolean(scrolled);
+      }
+
+      case "OPEN_PAGE": {
+        const { pageTitle } = commandResult;
+        const { pages, confidence } = matchPagesByTitle(allPages, pageTitle);
+        // "Phoenix" said on the Phoenix Retro page means the other one
+        const others = pages.filter((page) => page.id !== currentPage?.id);
+        const matches = others.length > 0 ? others : pages;
+
+        if (matches.length === 0) {
+          showNotice("Page Not Found", `No page is called "${pageTitle}"`);
+          return false;
+        }
+        if (matches.length > 1) {
+          const titles = matches
+            .slice(0, 3)
+            .map((page) => `"${page.title}"`)
+            .join(", ");
+          showNotice("Which Page?", `That could be ${titles}`);
+          return false;
+        }
+
+        const [page] = matches;
+        if (page.id === currentPage?.id) {
+          showNotice("Already Here", `This is ${page.title}`);
+          return false;
+        }
+
+        await handleSave();
+        router.push(`/note/${page.id}`);
+        // A near miss is worth confirming
+        if (confidence < 1) {
+          showNotice("Opening Page", page.title);
+        }
+        return true;
+      }
+
+      case "PARENT_PAGE":
+        if (!currentPage?.parentId) {
+          showNotice("Top Level", "This page isn't inside another page");
+          return false;
+        }
+        await handleSave();
+        router.push(`/note/${currentPage.parentId}`);
+        return true;
+
+      case "BACK":
+        await handleSave();
+        if (router.canGoBack()) {
+          router.back();
+        } else if (currentPage?.parentId) {
+          router.replace(`/note/${currentPage.parentId}`);
+        } else {
+          router.replace("/home");
+        }
+        return true;
+
+      case "RECENT_PAGES":
+        // Recent pages are listed on the home screen
+        await handleSave();
+        router.replace("/home");
+        return true;
+
+      default:
+        console.warn("Unknown navigation type:", commandResult.navigationType);
+        return false;
+    }
+  } catch (error) {
+    console.error("Error navigating:", error);
+    Toast.show({
+      type: "error",
+      text1: "Error",
+      text2: "Failed to navigate",
+      visibilityTime: 2000,
+    });
+    return false;
+  }
+};
+
 // Export other voice command handlers as needed
 export const voiceCommandHandlers = {
   handleAIContentCommand,
@@ -906,6 +2042,11 @@ export const voiceCommandHandlers = {
   handleCreatePageCommand,
   handleApplyFormattingCommand,
   handleModifyBlockCommand,
+  handleCompoundCommand,
+  handleMoveBlockCommand,
+  handleMoveToPageCommand,
+  handleCreateMeetingNotesCommand,
+  handleNavigateCommand,
 };
 
 export default voiceCommandHandlers;
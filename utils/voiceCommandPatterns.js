@@ -13,6 +13,8 @@ const COMMAND_CATEGORIES = {
   BLOCK_TRANSFORMATION: "BLOCK_TRANSFORMATION",
   UNDO_REDO: "UNDO_REDO",
   BLOCK_MANIPULATION: "BLOCK_MANIPULATION",
+  CHECKLIST: "CHECKLIST",
+  NAVIGATION: "NAVIGATION",
 };
 
 // Command types for specific operations
@@ -50,6 +52,25 @@ const COMMAND_TYPES = {
 
   // Block manipulation
   DELETE_BLOCK: "DELETE_BLOCK",
+  MOVE_BEFORE: "MOVE_BEFORE",
+  MOVE_AFTER: "MOVE_AFTER",
+  MOVE_TO_TOP: "MOVE_TO_TOP",
+  MOVE_TO_BOTTOM: "MOVE_TO_BOTTOM",
+  INDENT_BLOCK: "INDENT_BLOCK",
+  OUTDENT_BLOCK: "OUTDENT_BLOCK",
+  SWAP_BLOCKS: "SWAP_BLOCKS",
+  MOVE_TO_NEW_PAGE: "MOVE_TO_NEW_PAGE",
+
+  // Checklists
+  CHECK_TASK: "CHECK_TASK",
+  UNCHECK_TASK: "UNCHECK_TASK",
+
+  // Navigation
+  OPEN_PAGE: "OPEN_PAGE",
+  OPEN_PARENT_PAGE: "OPEN_PARENT_PAGE",
+  GO_BACK: "GO_BACK",
+  SCROLL_TO_BLOCK: "SCROLL_TO_BLOCK",
+  SHOW_RECENT_PAGES: "SHOW_RECENT_PAGES",
 };
 
 // Command patterns with examples and their corresponding intents
@@ -209,6 +230,26 @@ const COMMAND_PATTERNS = [
       "Remove text between 'introduction' and 'conclusion'",
     ],
   },
+  {
+    category: COMMAND_CATEGORIES.CONTENT_MODIFICATION,
+    type: COMMAND_TYPES.INSERT_AT_POSITION,
+    patterns: [
+      "add * here",
+      "insert * here",
+      "write * here",
+      "put * here",
+      "add * after *",
+      "insert * after *",
+      "put * after *",
+      "add * below *",
+      "insert * below *",
+    ],
+    examples: [
+      "Add buy milk here",
+      "Insert call the supplier after this paragraph",
+      "Add a heading called Risks below the second paragraph",
+    ],
+  },
   {
     category: COMMAND_CATEGORIES.CONTENT_MODIFICATION,
     type: COMMAND_TYPES.APPEND_TEXT,
@@ -348,7 +389,252 @@ const COMMAND_PATTERNS = [
       "Remove this",
       "Delete selected block",
       "Erase this block",
+      "Remove completed tasks",
+    ],
+  },
+
+  // Block moving and nesting patterns
+  {
+    category: COMMAND_CATEGORIES.BLOCK_MANIPULATION,
+    type: COMMAND_TYPES.MOVE_BEFORE,
+    patterns: ["move * above *", "move * before *", "move * up above *"],
+    examples: [
+      "Move this paragraph above the Risks heading",
+      "Move the last bullet before the first bullet",
+    ],
+  },
+  {
+    category: COMMAND_CATEGORIES.BLOCK_MANIPULATION,
+    type: COMMAND_TYPES.MOVE_AFTER,
+    patterns: ["move * below *", "move * after *", "move * down below *"],
+    examples: [
+      "Move the first paragraph below the second heading",
+      "Move this after the Budget section",
+    ],
+  },
+  {
+    category: COMMAND_CATEGORIES.BLOCK_MANIPULATION,
+    type: COMMAND_TYPES.MOVE_TO_TOP,
+    patterns: [
+      "move * to the top",
+      "move * to the top of the page",
+      "move * up to the top",
+      "move * to the beginning",
+      "move * to the start",
+    ],
+    examples: [
+      "Move the Action Items section to the top",
+      "Move this to the top of the page",
+    ],
+  },
+  {
+    category: COMMAND_CATEGORIES.BLOCK_MANIPULATION,
+    type: COMMAND_TYPES.MOVE_TO_BOTTOM,
+    patterns: [
+      "move * to the bottom",
+      "move * to the bottom of the page",
+      "move * down to the bottom",
+      "move * to the end",
+      "move * to the end of the page",
+    ],
+    examples: ["Move the first heading to the bottom", "Move this to the end"],
+  },
+  {
+    category: COMMAND_CATEGORIES.BLOCK_MANIPULATION,
+    type: COMMAND_TYPES.INDENT_BLOCK,
+    patterns: ["indent *", "nest *", "indent", "indent this", "nest this"],
+    examples: ["Indent the last three bullets", "Indent this", "Nest this"],
+  },
+  {
+    category: COMMAND_CATEGORIES.BLOCK_MANIPULATION,
+    type: COMMAND_TYPES.OUTDENT_BLOCK,
+    patterns: [
+      "outdent *",
+      "unindent *",
+      "unnest *",
+      "dedent *",
+      "outdent",
+      "unindent",
+      "outdent this",
+      "unindent this",
+    ],
+    examples: ["Outdent this", "Unindent the last bullet"],
+  },
+  {
+    category: COMMAND_CATEGORIES.BLOCK_MANIPULATION,
+    type: COMMAND_TYPES.SWAP_BLOCKS,
+    patterns: [
+      "swap *",
+      "swap * and *",
+      "swap * with *",
+      "switch * and *",
+      "switch * with *",
+    ],
+    examples: [
+      "Swap the first two steps",
+      "Swap the first heading and the second heading",
+      "Swap this with the last paragraph",
+    ],
+  },
+  {
+    category: COMMAND_CATEGORIES.BLOCK_MANIPULATION,
+    type: COMMAND_TYPES.MOVE_TO_NEW_PAGE,
+    patterns: [
+      "move * to a new page",
+      "move * to new page",
+      "move * into a new page",
+      "move * to a new page called *",
+      "move * to a new page named *",
+      "move * into a new page called *",
+    ],
+    examples: [
+      "Move unfinished tasks to a new page",
+      "Move the Action Items section to a new page called Follow Ups",
+    ],
+  },
+
+  // Checklist patterns
+  {
+    category: COMMAND_CATEGORIES.CHECKLIST,
+    type: COMMAND_TYPES.CHECK_TASK,
+    patterns: [
+      "check off *",
+      "check *",
+      "tick off *",
+      "tick *",
+      "cross off *",
+      "mark * done",
+      "mark * as done",
+      "mark * complete",
+      "mark * as complete",
+      "mark * completed",
+      "mark * as completed",
+      "mark * finished",
+      "mark * as finished",
+      "mark * checked",
+      "mark * as checked",
+    ],
+    examples: [
+      "Check off buy groceries",
+      "Mark all tasks done",
+      "Tick off the first to-do",
+    ],
+  },
+  {
+    category: COMMAND_CATEGORIES.CHECKLIST,
+    type: COMMAND_TYPES.UNCHECK_TASK,
+    patterns: [
+      "uncheck *",
+      "untick *",
+      "mark * not done",
+      "mark * as not done",
+      "mark * undone",
+      "mark * as undone",
+      "mark * incomplete",
+      "mark * as incomplete",
+      "mark * unfinished",
+      "mark * as unfinished",
+      "mark * unchecked",
+      "mark * as unchecked",
+    ],
+    examples: [
+      "Uncheck the second task",
+      "Mark call the dentist as not done",
+    ],
+  },
+
+  // Navigation patterns. Scrolling comes first, so "go to the Decisions
+  // heading" scrolls when the page has that heading and is read as a page
+  // title when it doesn't.
+  {
+    category: COMMAND_CATEGORIES.NAVIGATION,
+    type: COMMAND_TYPES.SCROLL_TO_BLOCK,
+    patterns: [
+      "scroll to *",
+      "scroll down to *",
+      "scroll up to *",
+      "jump to *",
+      "go to *",
+      "take me to *",
+      "show me *",
+    ],
+    examples: [
+      "Scroll to the Decisions heading",
+      "Jump to the last paragraph",
+      "Go to the first task",
+    ],
+  },
+  {
+    category: COMMAND_CATEGORIES.NAVIGATION,
+    type: COMMAND_TYPES.OPEN_PAGE,
+    patterns: [
+      "open *",
+      "open the * page",
+      "open page *",
+      "go to *",
+      "go to the * page",
+      "go to page *",
+      "switch to *",
+      "take me to *",
+      "show me the * page",
+    ],
+    examples: [
+      "Open the Project Phoenix page",
+      "Go to meeting notes",
+      "Take me to the reading list",
+    ],
+  },
+  {
+    category: COMMAND_CATEGORIES.NAVIGATION,
+    type: COMMAND_TYPES.OPEN_PARENT_PAGE,
+    patterns: [
+      "go to the parent page",
+      "go to parent page",
+      "open the parent page",
+      "open parent page",
+      "go up",
+      "go up a level",
+      "go up one level",
+      "up one level",
+      "parent page",
+    ],
+    examples: ["Go to the parent page", "Go up a level"],
+  },
+  {
+    category: COMMAND_CATEGORIES.NAVIGATION,
+    type: COMMAND_TYPES.GO_BACK,
+    patterns: [
+      "go back",
+      "back",
+      "take me back",
+      "go back to the previous page",
+      "go to the previous page",
+      "previous page",
+      "go back to the last page",
+      "go to the last page",
+    ],
+    examples: ["Go back", "Go back to the previous page"],
+  },
+  {
+    category: COMMAND_CATEGORIES.NAVIGATION,
+    type: COMMAND_TYPES.SHOW_RECENT_PAGES,
+    patterns: [
+      "show me my recent notes",
+      "show me my recent pages",
+      "show me recent notes",
+      "show me recent pages",
+      "show my recent notes",
+      "show my recent pages",
+      "show recent notes",
+      "show recent pages",
+      "open my recent notes",
+      "open recent notes",
+      "go to my recent notes",
+      "go to recent notes",
+      "recent notes",
+      "recent pages",
     ],
+    examples: ["Show me my recent notes", "Open recent notes"],
   },
 ];
 
@@ -0,0 +1,795 @@
+/**
+ * JSON schemas for voice command results and BlockNote blocks
+ *
+ * The flat *_RESPONSE_SCHEMA objects are sent to the model to constrain its
+ * output. They only use the JSON Schema subset every provider understands,
+ * so rules that depend on another field (heading blocks need a level,
+ * DELETE_BLOCK needs targets) live in the per-type schemas below and are
+ * checked here, after the reply is parsed. Anything that fails is rejected
+ * with a SchemaValidationError naming the offending field.
+ */
+
+export const BLOCK_TYPES = [
+  "paragraph",
+  "heading",
+  "bulletListItem",
+  "numberedListItem",
+  "checkListItem",
+  "quote",
+  "codeBlock",
+  "code",
+  "pageLink",
+];
+
+// BlockNote's color palette, for both text and background colors
+export const BLOCK_COLORS = [
+  "default",
+  "gray",
+  "brown",
+  "red",
+  "orange",
+  "yellow",
+  "green",
+  "blue",
+  "purple",
+  "pink",
+];
+
+export const COMMAND_ACTIONS = [
+  "INSERT_CONTENT",
+  "DELETE_BLOCK",
+  "CREATE_PAGE",
+  "CLARIFICATION",
+  "APPLY_FORMATTING",
+  "SELECT_TEXT",
+  "REPLACE_TEXT",
+  "MODIFY_BLOCK",
+  "MOVE_BLOCK",
+  "MOVE_TO_PAGE",
+  "CREATE_MEETING_NOTES",
+  "NAVIGATE",
+  "UNDO",
+  "REDO",
+  "INSERT_AI_ANSWER",
+  "INSERT_AI_WORKSPACE_ANSWER",
+  "INSERT_AI_SUMMARY",
+  "INSERT_AI_COMPLETION",
+  "INSERT_AI_REWRITE",
+  "COMPOUND",
+];
+
+// Actions the model may choose; the rest are produced by the app itself
+const MODEL_ACTIONS = COMMAND_ACTIONS.filter(
+  (action) =>
+    !action.startsWith("INSERT_AI_") &&
+    action !== "COMPOUND" &&
+    action !== "CREATE_MEETING_NOTES"
+);
+
+// Actions that only change the current page, so they can run together in
+// one COMPOUND command and be rolled back as a whole
+export const COMPOUND_STEP_ACTIONS = [
+  "INSERT_CONTENT",
+  "DELETE_BLOCK",
+  "APPLY_FORMATTING",
+  "MODIFY_BLOCK",
+  "MOVE_BLOCK",
+  "INSERT_AI_ANSWER",
+  "INSERT_AI_WORKSPACE_ANSWER",
+  "INSERT_AI_SUMMARY",
+  "INSERT_AI_COMPLETION",
+  "INSERT_AI_REWRITE",
+];
+
+const FORMATTING_TYPES = ["BOLD", "ITALIC", "UNDERLINE", "REMOVE_FORMATTING"];
+
+const MODIFICATION_TYPES = [
+  "CHANGE_TYPE",
+  "CHANGE_HEADING_LEVEL",
+  "CONVERT_TO_LIST",
+  "CHANGE_COLOR",
+  "CHANGE_TEXT_COLOR",
+  "CHANGE_CHECKED",
+];
+
+// MOVE puts blocks somewhere else on the page, INDENT nests them under the
+// block above, OUTDENT lifts them out of their parent and SWAP trades the
+// places of two blocks
+const MOVE_TYPES = ["MOVE", "INDENT", "OUTDENT", "SWAP"];
+
+// Where a NAVIGATE command takes the user: another page by its title, the
+// parent page, the page they came from, a block on this page or the recent
+// pages on the home screen
+const NAVIGATION_TYPES = [
+  "OPEN_PAGE",
+  "PARENT_PAGE",
+  "BACK",
+  "SCROLL_TO_BLOCK",
+  "RECENT_PAGES",
+];
+
+const LIST_BLOCK_TYPES = [
+  "bulletListItem",
+  "numberedListItem",
+  "checkListItem",
+];
+
+const string = { type: "string" };
+const nonEmptyString = { type: "string", minLength: 1 };
+const blockIds = { type: "array", items: nonEmptyString };
+const color = { type: "string", enum: BLOCK_COLORS };
+
+const INLINE_CONTENT_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: ["text"] },
+    text: string,
+    styles: {
+      type: "object",
+      properties: {
+        bold: { type: "boolean" },
+        italic: { type: "boolean" },
+        underline: { type: "boolean" },
+        strike: { type: "boolean" },
+        code: { type: "boolean" },
+        textColor: color,
+        backgroundColor: color,
+      },
+    },
+  },
+  required: ["type", "text", "styles"],
+};
+
+const BLOCK_PROPS_SCHEMA = {
+  type: "object",
+  properties: {
+    textColor: color,
+    backgroundColor: color,
+    textAlignment: {
+      type: "string",
+      enum: ["left", "center", "right", "justify"],
+    },
+    level: { type: "integer", minimum: 1, maximum: 3 },
+    checked: { type: "boolean" },
+    language: string,
+    pageId: string,
+    pageTitle: string,
+    pageIcon: string,
+  },
+};
+
+// Schemas can't refer to themselves in every provider, so nesting is spelled
+// out to a fixed depth
+const createBlockSchema = (depth) => ({
+  type: "object",
+  properties: {
+    type: { type: "string", enum: BLOCK_TYPES },
+    props: BLOCK_PROPS_SCHEMA,
+    content: { type: "array", items: INLINE_CONTENT_SCHEMA },
+    ...(depth > 0
+      ? { children: { type: "array", items: createBlockSchema(depth - 1) } }
+      : {}),
+  },
+  required: ["type", "props", "content", ...(depth > 0 ? ["children"] : [])],
+});
+
+export const BLOCK_SCHEMA = createBlockSchema(2);
+
+// A block nested deeper than BLOCK_SCHEMA reaches, checked on its own
+const NESTED_BLOCK_SCHEMA = createBlockSchema(0);
+
+const STANDARD_PROPS = ["textColor", "backgroundColor", "textAlignment"];
+
+// Props each block type must have, on top of BLOCK_SCHEMA
+const BLOCK_TYPE_SCHEMAS = {
+  paragraph: { required: STANDARD_PROPS },
+  heading: { required: [...STANDARD_PROPS, "level"] },
+  bulletListItem: { required: STANDARD_PROPS },
+  numberedListItem: { required: STANDARD_PROPS },
+  checkListItem: { required: [...STANDARD_PROPS, "checked"] },
+  quote: { required: STANDARD_PROPS },
+  codeBlock: { required: [] },
+  code: { required: [] },
+  pageLink: { required: ["pageId", "pageTitle"] },
+};
+
+/**
+ * Reply the model gives when formatting a transcription into notes
+ */
+export const NOTE_BLOCKS_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    createNewPage: { type: "boolean" },
+    blocks: { type: "array", items: BLOCK_SCHEMA, minItems: 1 },
+  },
+  required: ["createNewPage", "blocks"],
+};
+
+/**
+ * Reply the model gives when answering a question as blocks
+ */
+export const ANSWER_BLOCKS_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    blocks: { type: "array", items: BLOCK_SCHEMA, minItems: 1 },
+  },
+  required: ["blocks"],
+};
+
+/**
+ * Reply the model gives when writing the minutes of a meeting transcript
+ */
+export const MEETING_MINUTES_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    title: nonEmptyString,
+    attendees: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { speaker: nonEmptyString, name: string },
+        required: ["speaker", "name"],
+      },
+    },
+    topics: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { title: nonEmptyString, summary: nonEmptyString },
+        required: ["title", "summary"],
+      },
+    },
+    decisions: { type: "array", items: nonEmptyString },
+    actionItems: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { task: nonEmptyString, owner: string },
+        required: ["task", "owner"],
+      },
+    },
+  },
+  required: ["title", "attendees", "topics", "decisions", "actionItems"],
+};
+
+/**
+ * Reply the model gives when turning a spoken search into search filters
+ * "in" is an empty string when the search isn't limited to one page.
+ */
+export const SEARCH_QUERY_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    text: string,
+    phrases: { type: "array", items: nonEmptyString },
+    exclude: { type: "array", items: nonEmptyString },
+    tags: { type: "array", items: nonEmptyString },
+    excludeTags: { type: "array", items: nonEmptyString },
+    in: string,
+    types: {
+      type: "array",
+      items: {
+        type: "string",
+        enum: [
+          "todo",
+          "heading",
+          "bullet",
+          "numbered",
+          "code",
+          "quote",
+          "table",
+          "image",
+          "link",
+        ],
+      },
+    },
+    updated: { type: "array", items: nonEmptyString },
+    has: {
+      type: "array",
+      items: {
+        type: "string",
+        enum: ["unchecked", "checked", "tags", "subpages"],
+      },
+    },
+  },
+  required: [
+    "text",
+    "phrases",
+    "exclude",
+    "tags",
+    "excludeTags",
+    "in",
+    "types",
+    "updated",
+    "has",
+  ],
+};
+
+// Characters of a block's text, end exclusive
+const SELECTION_RANGE_SCHEMA = {
+  type: "object",
+  properties: {
+    blockId: nonEmptyString,
+    startOffset: { type: "integer", minimum: 0 },
+    endOffset: { type: "integer", minimum: 0 },
+  },
+  required: ["blockId", "startOffset", "endOffset"],
+};
+
+// The recording dictated text came from, kept for an audio block
+const RECORDING_SCHEMA = {
+  type: "object",
+  properties: {
+    uri: nonEmptyString,
+    durationMs: { type: "number", minimum: 0 },
+    transcription: string,
+    timeline: { type: "array", items: { type: "object" }, minItems: 1 },
+  },
+  required: ["uri", "durationMs", "transcription", "timeline"],
+};
+
+// Fields the app fills in itself, never the model
+const APP_ONLY_FIELDS = [
+  "blocks",
+  "commands",
+  "selectionRanges",
+  "candidateBlockIds",
+  "recording",
+  "transcriptBlocks",
+];
+
+const COMMAND_FIELDS = {
+  action: { type: "string", enum: COMMAND_ACTIONS },
+  success: { type: "boolean" },
+  content: nonEmptyString,
+  message: nonEmptyString,
+  targetBlockIds: blockIds,
+  candidateBlockIds: { ...blockIds, minItems: 2 },
+  targetBlockType: { type: "string", enum: BLOCK_TYPES },
+  targetPosition: { type: "string", enum: ["first", "last"] },
+  targetText: string,
+  useCurrentSelection: { type: "boolean" },
+  pageTitle: nonEmptyString,
+  pageContent: string,
+  formattingType: { type: "string", enum: FORMATTING_TYPES },
+  selectionType: { type: "string", enum: ["BLOCK", "TEXT", "RANGE", "ALL"] },
+  selectionRange: SELECTION_RANGE_SCHEMA,
+  selectionRanges: {
+    type: "array",
+    items: SELECTION_RANGE_SCHEMA,
+    minItems: 1,
+  },
+  insertAfterBlockId: nonEmptyString,
+  findText: nonEmptyString,
+  replaceWith: string,
+  modificationType: { type: "string", enum: MODIFICATION_TYPES },
+  newType: { type: "string", enum: BLOCK_TYPES },
+  headingLevel: { type: "integer", minimum: 1, maximum: 3 },
+  listType: { type: "string", enum: ["bullet", "numbered", "todo"] },
+  textColor: color,
+  newColor: color,
+  checked: { type: "boolean" },
+  moveType: { type: "string", enum: MOVE_TYPES },
+  destination: {
+    type: "string",
+    enum: ["BEFORE", "AFTER", "TOP", "BOTTOM"],
+  },
+  referenceBlockId: nonEmptyString,
+  navigationType: { type: "string", enum: NAVIGATION_TYPES },
+  formatType: { type: "string", enum: ["bold", "italic", "underline"] },
+  steps: { type: "integer", minimum: 1 },
+  blocks: { type: "array", items: BLOCK_SCHEMA, minItems: 1 },
+  commands: { type: "array", items: { type: "object" }, minItems: 2 },
+  recording: RECORDING_SCHEMA,
+  transcriptBlocks: { type: "array", items: BLOCK_SCHEMA, minItems: 1 },
+};
+
+/**
+ * Reply the model gives when interpreting a voice command
+ */
+export const VOICE_COMMAND_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: Object.fromEntries(
+    Object.entries({
+      ...COMMAND_FIELDS,
+      action: { type: "string", enum: MODEL_ACTIONS },
+    }).filter(([field]) => !APP_ONLY_FIELDS.includes(field))
+  ),
+  required: ["action", "success"],
+};
+
+const commandSchema = (required, properties = {}) => ({
+  type: "object",
+  properties: { ...COMMAND_FIELDS, ...properties },
+  required: ["action", ...required],
+});
+
+// Fields each action needs before it can be handed to its handler
+const COMMAND_SCHEMAS = {
+  INSERT_CONTENT: commandSchema(["content"]),
+  DELETE_BLOCK: commandSchema(["targetBlockIds"], {
+    targetBlockIds: { ...blockIds, minItems: 1 },
+  }),
+  CREATE_PAGE: commandSchema(["pageTitle"]),
+  CLARIFICATION: commandSchema(["message"]),
+  APPLY_FORMATTING: commandSchema(["formattingType"]),
+  SELECT_TEXT: commandSchema(["selectionType"]),
+  REPLACE_TEXT: commandSchema(["findText", "replaceWith"]),
+  MODIFY_BLOCK: commandSchema(["modificationType"]),
+  MOVE_BLOCK: commandSchema(["moveType", "targetBlockIds"], {
+    targetBlockIds: { ...blockIds, minItems: 1 },
+  }),
+  MOVE_TO_PAGE: commandSchema(["pageTitle", "targetBlockIds"], {
+    targetBlockIds: { ...blockIds, minItems: 1 },
+  }),
+  CREATE_MEETING_NOTES: commandSchema([
+    "pageTitle",
+    "blocks",
+    "transcriptBlocks",
+  ]),
+  NAVIGATE: commandSchema(["navigationType"]),
+  UNDO: commandSchema([]),
+  REDO: commandSchema([]),
+  INSERT_AI_ANSWER: commandSchema(["blocks"]),
+  INSERT_AI_WORKSPACE_ANSWER: commandSchema(["blocks"]),
+  INSERT_AI_SUMMARY: commandSchema(["blocks"]),
+  INSERT_AI_COMPLETION: commandSchema(["blocks"]),
+  INSERT_AI_REWRITE: commandSchema(["blocks"]),
+  COMPOUND: commandSchema(["commands"]),
+};
+
+const colorChangeSchema = {
+  anyOf: [{ required: ["textColor"] }, { required: ["newColor"] }],
+};
+
+// Extra fields each MODIFY_BLOCK modification needs
+const MODIFICATION_SCHEMAS = {
+  CHANGE_TYPE: { required: ["newType"] },
+  CHANGE_HEADING_LEVEL: { required: ["headingLevel"] },
+  CONVERT_TO_LIST: {
+    properties: { newType: { type: "string", enum: LIST_BLOCK_TYPES } },
+    required: ["newType"],
+  },
+  CHANGE_COLOR: colorChangeSchema,
+  CHANGE_TEXT_COLOR: colorChangeSchema,
+  CHANGE_CHECKED: { required: ["checked"] },
+};
+
+// Extra fields each MOVE_BLOCK move needs
+const MOVE_SCHEMAS = {
+  MOVE: {
+    anyOf: [
+      {
+        properties: {
+          destination: { type: "string", enum: ["BEFORE", "AFTER"] },
+        },
+        required: ["destination", "referenceBlockId"],
+      },
+      {
+        properties: {
+          destination: { type: "string", enum: ["TOP", "BOTTOM"] },
+        },
+        required: ["destination"],
+      },
+    ],
+  },
+  INDENT: {},
+  OUTDENT: {},
+  SWAP: {
+    properties: { targetBlockIds: { ...blockIds, minItems: 2 } },
+  },
+};
+
+// Extra fields each NAVIGATE command needs
+const NAVIGATION_SCHEMAS = {
+  OPEN_PAGE: { required: ["pageTitle"] },
+  PARENT_PAGE: {},
+  BACK: {},
+  SCROLL_TO_BLOCK: {
+    properties: { targetBlockIds: { ...blockIds, minItems: 1 } },
+    required: ["targetBlockIds"],
+  },
+  RECENT_PAGES: {},
+};
+
+/**
+ * A value that doesn't match its schema
+ * field is the path of the first offending value, like "blocks[0].type";
+ * errors holds every { field, message } found.
+ */
+export class SchemaValidationError extends Error {
+  constructor(errors) {
+    const [{ field, message }] = errors;
+    super(field ? `${field} ${message}` : message);
+    this.name = "SchemaValidationError";
+    this.field = field;
+    this.errors = errors;
+  }
+}
+
+const joinPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+/**
+ * Check a value against a schema
+ * Supports type, enum, properties, required, items, minItems, minLength,
+ * minimum, maximum and anyOf. Properties not in the schema are allowed.
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {Array} - { field, message } for each problem, empty if valid
+ */
+export const validateSchema = (value, schema, path = "") => {
+  const errors = [];
+  const fail = (message, field = path) => errors.push({ field, message });
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    const article = /^[aeiou]/.test(schema.type) ? "an" : "a";
+    fail(`must be ${article} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    fail("must not be empty");
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateSchema(item, schema.items, joinPath(path, index))
+        );
+      });
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) fail("is required", joinPath(path, key));
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateSchema(value[key], propSchema, joinPath(path, key))
+        );
+      }
+    });
+  }
+
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map((branch) =>
+      validateSchema(value, branch, path)
+    );
+    if (branchErrors.every((branch) => branch.length > 0)) {
+      errors.push(...branchErrors[0]);
+    }
+  }
+
+  return errors;
+};
+
+// Type-specific rules BLOCK_SCHEMA can't express, for a block and its
+// children; children past BLOCK_SCHEMA's depth get their shape checked here
+const validateBlockRules = (block, path) => {
+  const errors = validateSchema(
+    block.props,
+    BLOCK_TYPE_SCHEMAS[block.type],
+    joinPath(path, "props")
+  );
+
+  // Page links are a title card; every other block needs some text
+  if (block.type !== "pageLink" && block.content.length === 0) {
+    errors.push({
+      field: joinPath(path, "content"),
+      message: "must have at least 1 item(s)",
+    });
+  }
+
+  if (block.children === undefined) return errors;
+
+  const childrenPath = joinPath(path, "children");
+  if (!Array.isArray(block.children)) {
+    errors.push({ field: childrenPath, message: "must be an array" });
+    return errors;
+  }
+
+  block.children.forEach((child, index) => {
+    const childPath = joinPath(childrenPath, index);
+    const shapeErrors = validateSchema(child, NESTED_BLOCK_SCHEMA, childPath);
+    errors.push(
+      ...(shapeErrors.length > 0
+        ? shapeErrors
+        : validateBlockRules(child, childPath))
+    );
+  });
+
+  return errors;
+};
+
+const toResult = (errors) =>
+  errors.length > 0
+    ? { success: false, error: new SchemaValidationError(errors) }
+    : { success: true };
+
+/**
+ * Check that blocks are in BlockNote's format
+ * @param {Array} blocks - Blocks to check
+ * @param {string} path - Path of the blocks, for error messages
+ * @returns {Object} - { success, error } with a SchemaValidationError
+ */
+export const validateBlocks = (blocks, path = "blocks") => {
+  const errors = validateSchema(
+    blocks,
+    { type: "array", items: BLOCK_SCHEMA, minItems: 1 },
+    path
+  );
+  if (errors.length > 0) return toResult(errors);
+
+  return toResult(
+    blocks.flatMap((block, index) =>
+      validateBlockRules(block, joinPath(path, index))
+    )
+  );
+};
+
+/**
+ * Check a note-formatting reply against NOTE_BLOCKS_RESPONSE_SCHEMA
+ * @param {Object} response - Parsed reply
+ * @returns {Object} - { success, error } with a SchemaValidationError
+ */
+export const validateNoteBlocksResponse = (response) => {
+  const errors = validateSchema(response, NOTE_BLOCKS_RESPONSE_SCHEMA);
+  if (errors.length > 0) return toResult(errors);
+
+  const blocksResult = validateBlocks(response.blocks);
+  if (!blocksResult.success) return blocksResult;
+
+  // A new page is described by a page link followed by its content
+  if (response.createNewPage && response.blocks[0].type !== "pageLink") {
+    return toResult([
+      { field: "blocks[0].type", message: "must be pageLink for a new page" },
+    ]);
+  }
+
+  return { success: true };
+};
+
+/**
+ * Check a meeting minutes reply against MEETING_MINUTES_RESPONSE_SCHEMA
+ * @param {Object} response - Parsed reply
+ * @returns {Object} - { success, error } with a SchemaValidationError
+ */
+export const validateMeetingMinutes = (response) =>
+  toResult(validateSchema(response, MEETING_MINUTES_RESPONSE_SCHEMA));
+
+/**
+ * Check a search filters reply against SEARCH_QUERY_RESPONSE_SCHEMA
+ * @param {Object} response - Parsed reply
+ * @returns {Object} - { success, error } with a SchemaValidationError
+ */
+export const validateSearchQuery = (response) =>
+  toResult(validateSchema(response, SEARCH_QUERY_RESPONSE_SCHEMA));
+
+/**
+ * Check a voice command result before it is handed to its handler
+ * @param {Object} command - Command result, from the model or the app
+ * @returns {Object} - { success, error } with a SchemaValidationError
+ */
+export const validateVoiceCommand = (command) => {
+  const actionErrors = validateSchema(command, {
+    type: "object",
+    properties: { action: COMMAND_FIELDS.action },
+    required: ["action"],
+  });
+  if (actionErrors.length > 0) return toResult(actionErrors);
+
+  const errors = validateSchema(command, COMMAND_SCHEMAS[command.action]);
+  if (errors.length > 0) return toResult(errors);
+
+  if (command.action === "MODIFY_BLOCK") {
+    const modificationErrors = validateSchema(
+      command,
+      MODIFICATION_SCHEMAS[command.modificationType]
+    );
+    if (modificationErrors.length > 0) return toResult(modificationErrors);
+  }
+
+  if (command.action === "MOVE_BLOCK") {
+    const moveErrors = validateSchema(command, MOVE_SCHEMAS[command.moveType]);
+    if (moveErrors.length > 0) return toResult(moveErrors);
+  }
+
+  if (command.action === "NAVIGATE") {
+    const navigationErrors = validateSchema(
+      command,
+      NAVIGATION_SCHEMAS[command.navigationType]
+    );
+    if (navigationErrors.length > 0) return toResult(navigationErrors);
+  }
+
+  if (command.blocks !== undefined) {
+    const blocksResult = validateBlocks(command.blocks);
+    if (!blocksResult.success) return blocksResult;
+  }
+
+  if (command.transcriptBlocks !== undefined) {
+    return validateBlocks(command.transcriptBlocks, "transcriptBlocks");
+  }
+
+  if (command.action === "COMPOUND") {
+    return validateCompoundSteps(command.commands);
+  }
+
+  return { success: true };
+};
+
+// Each step of a COMPOUND command is a command of its own, reported under
+// its index
+const validateCompoundSteps = (steps) => {
+  for (let index = 0; index < steps.length; index++) {
+    const path = joinPath("commands", index);
+    const step = steps[index];
+
+    if (!COMPOUND_STEP_ACTIONS.includes(step.action)) {
+      return toResult([
+        {
+          field: joinPath(path, "action"),
+          message: `must be one of ${COMPOUND_STEP_ACTIONS.join(", ")}`,
+        },
+      ]);
+    }
+
+    const result = validateVoiceCommand(step);
+    if (!result.success) {
+      return toResult(
+        result.error.errors.map(({ field, message }) => ({
+          field: field ? `${path}.${field}` : path,
+          message,
+        }))
+      );
+    }
+  }
+
+  return { success: true };
+};
+
+export default {
+  BLOCK_TYPES,
+  BLOCK_COLORS,
+  COMMAND_ACTIONS,
+  COMPOUND_STEP_ACTIONS,
+  BLOCK_SCHEMA,
+  NOTE_BLOCKS_RESPONSE_SCHEMA,
+  ANSWER_BLOCKS_RESPONSE_SCHEMA,
+  MEETING_MINUTES_RESPONSE_SCHEMA,
+  SEARCH_QUERY_RESPONSE_SCHEMA,
+  VOICE_COMMAND_RESPONSE_SCHEMA,
+  SchemaValidationError,
+  validateSchema,
+  validateBlocks,
+  validateNoteBlocksResponse,
+  validateMeetingMinutes,
+  validateSearchQuery,
+  validateVoiceCommand,
+};
@@ -0,0 +1,303 @@
+// Review of voice command results before they change the page
+import {
+  applyCommandsToContent,
+  structureInsertedContent,
+} from "./voiceCommandHandlers";
+import {
+  extractTextFromBlock,
+  findBlockById,
+  removeBlocksFromTree,
+} from "./blockOperations";
+import { COMPOUND_STEP_ACTIONS } from "./voiceCommandSchema";
+
+const ACTION_LABELS = {
+  INSERT_CONTENT: "Add text",
+  DELETE_BLOCK: "Delete blocks",
+  CREATE_PAGE: "Create a page",
+  APPLY_FORMATTING: "Format text",
+  MODIFY_BLOCK: "Change blocks",
+  MOVE_BLOCK: "Move blocks",
+  MOVE_TO_PAGE: "Move blocks to a new page",
+  NAVIGATE: "Navigate",
+  UNDO: "Undo",
+  REDO: "Redo",
+  INSERT_AI_ANSWER: "Add an AI answer",
+  INSERT_AI_WORKSPACE_ANSWER: "Add an answer from your notes",
+  INSERT_AI_SUMMARY: "Add an AI summary",
+  INSERT_AI_COMPLETION: "Add an AI completion",
+  INSERT_AI_REWRITE: "Add an AI rewrite",
+};
+
+// A COMPOUND command's steps, or the command itself as its only step
+const getSteps = (commandResult) =>
+  commandResult.action === "COMPOUND"
+    ? commandResult.commands
+    : [commandResult];
+
+const getBlockKey = (stepIndex, blockIndex) => `${stepIndex}.${blockIndex}`;
+
+// "REMOVE_FORMATTING" -> "remove formatting"
+const toWords = (value) => String(value).toLowerCase().replace(/_/g, " ");
+
+/**
+ * Describe what a command will do, in a few words per step
+ * @param {Object} commandResult - A command, or a COMPOUND command
+ * @returns {Array} - One description per step
+ */
+export const describeCommand = (commandResult) =>
+  getSteps(commandResult).map((step) => {
+    const label = ACTION_LABELS[step.action] || step.action;
+
+    switch (step.action) {
+      case "DELETE_BLOCK": {
+        const count = (step.targetBlockIds || []).length;
+        return count === 1 ? "Delete a block" : `Delete ${count} blocks`;
+      }
+      case "CREATE_PAGE":
+        return step.pageTitle
+          ? `Create a page called "${step.pageTitle}"`
+          : label;
+      case "MOVE_TO_PAGE":
+        return step.pageTitle
+          ? `Move blocks to a new page called "${step.pageTitle}"`
+          : label;
+      case "APPLY_FORMATTING":
+      case "MODIFY_BLOCK": {
+        const type = step.formattingType || step.modificationType;
+        return type ? `${label}: ${toWords(type)}` : label;
+      }
+      case "MOVE_BLOCK":
+        return step.moveType ? `${label}: ${toWords(step.moveType)}` : label;
+      case "NAVIGATE":
+        return step.navigationType === "OPEN_PAGE"
+          ? `Open "${step.pageTitle}"`
+          : `${label}: ${toWords(step.navigationType)}`;
+      case "UNDO":
+      case "REDO":
+        return step.steps > 1 ? `${label} ${step.steps} changes` : label;
+      default:
+        return label;
+    }
+  });
+
+/**
+ * Short text standing in for a block in a preview
+ * @param {Object} block - Block to describe
+ * @returns {string} - The block's text, or its type when it has none
+ */
+export const getBlockPreviewText = (block) => {
+  if (block.type === "pageLink") {
+    return `Link to ${block.props?.pageTitle || "a page"}`;
+  }
+  return extractTextFromBlock(block) || `(empty ${block.type})`;
+};
+
+// Indexes of the longest run of values that keeps increasing, skipping
+// undefined values
+const findLongestIncreasing = (values) => {
+  const tails = [];
+  const previous = [];
+
+  values.forEach((value, index) => {
+    if (value === undefined) return;
+
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const indexes = new Set();
+  for (
+    let index = tails[tails.length - 1];
+    index !== undefined && index !== -1;
+    index = previous[index]
+  ) {
+    indexes.add(index);
+  }
+  return indexes;
+};
+
+/**
+ * Compare a page's top-level blocks before and after a change
+ * Changes come out in page order, with removed blocks listed where they
+ * used to be. Blocks that changed places, or moved in or out of another
+ * block, are listed as moved where they are now. Blocks without IDs are
+ * matched by position.
+ * @param {Array} before - Blocks before the change
+ * @param {Array} after - Blocks after the change
+ * @returns {Array} - { type: "added"|"removed"|"changed"|"moved", before,
+ * after }
+ */
+export const diffBlocks = (before, after) => {
+  const getKey = (block, index) => block.id || `#${index}`;
+  const beforeIndexes = new Map(
+    before.map((block, index) => [getKey(block, index), index])
+  );
+  const afterKeys = new Set(after.map(getKey));
+  const previousIndexes = after.map((block, index) =>
+    beforeIndexes.get(getKey(block, index))
+  );
+  const inPlace = findLongestIncreasing(previousIndexes);
+  const changes = [];
+  let beforeIndex = 0;
+
+  const addRemovedUpTo = (end) => {
+    for (; beforeIndex < end; beforeIndex++) {
+      const block = before[beforeIndex];
+      if (afterKeys.has(getKey(block, beforeIndex))) continue;
+
+      const nested = findBlockById(after, block.id);
+      changes.push(
+        nested
+          ? { type: "moved", before: block, after: nested }
+          : { type: "removed", before: block }
+      );
+    }
+  };
+
+  after.forEach((block, index) => {
+    const previousIndex = previousIndexes[index];
+    if (previousIndex === undefined) {
+      const nested = findBlockById(before, block.id);
+      changes.push(
+        nested
+          ? { type: "moved", before: nested, after: block }
+          : { type: "added", after: block }
+      );
+      return;
+    }
+
+    const previous = before[previousIndex];
+    if (!inPlace.has(index)) {
+      changes.push({ type: "moved", before: previous, after: block });
+      return;
+    }
+
+    addRemovedUpTo(previousIndex);
+    beforeIndex = Math.max(beforeIndex, previousIndex + 1);
+
+    if (JSON.stringify(block) !== JSON.stringify(previous)) {
+      changes.push({ type: "changed", before: previous, after: block });
+    }
+  });
+  addRemovedUpTo(before.length);
+
+  return changes;
+};
+
+/**
+ * Work out what a command would do to the page, without changing it
+ * Spoken text is structured into blocks first, so the blocks shown are the
+ * ones that get inserted. Added blocks the command generated carry a key
+ * for accepting or rejecting them.
+ * @param {Array} content - Top-level blocks of the page
+ * @param {Object} commandResult - A command, or a COMPOUND command
+ * @returns {Promise<Object>} - { success, commandResult, changes, error };
+ * changes is null for commands that don't edit the page, like CREATE_PAGE
+ */
+export const buildResultPreview = async (content, commandResult) => {
+  try {
+    const structured = await structureInsertedContent(commandResult);
+    const steps = getSteps(structured);
+
+    // The new page doesn't exist yet, so only the blocks leaving show
+    if (structured.action === "MOVE_TO_PAGE") {
+      return {
+        success: true,
+        commandResult: structured,
+        changes: diffBlocks(
+          content,
+          removeBlocksFromTree(content, structured.targetBlockIds).content
+        ),
+      };
+    }
+
+    if (!steps.every((step) => COMPOUND_STEP_ACTIONS.includes(step.action))) {
+      return { success: true, commandResult: structured, changes: null };
+    }
+
+    const result = await applyCommandsToContent(content, steps);
+    if (!result.success) {
+      return {
+        success: false,
+        commandResult: structured,
+        changes: [],
+        error: result.error,
+      };
+    }
+
+    const generatedKeys = new Map();
+    steps.forEach((step, stepIndex) => {
+      (step.blocks || []).forEach((block, blockIndex) => {
+        generatedKeys.set(block, getBlockKey(stepIndex, blockIndex));
+      });
+    });
+
+    return {
+      success: true,
+      commandResult: structured,
+      changes: diffBlocks(content, result.content).map((change) =>
+        change.type === "added" && generatedKeys.has(change.after)
+          ? { ...change, key: generatedKeys.get(change.after) }
+          : change
+      ),
+    };
+  } catch (error) {
+    console.error("Error previewing command:", error);
+    return {
+      success: false,
+      commandResult,
+      changes: [],
+      error: "Couldn't work out the changes",
+    };
+  }
+};
+
+/**
+ * Drop generated blocks the user rejected from a command
+ * Steps left with no blocks are dropped too.
+ * @param {Object} commandResult - A command, or a COMPOUND command
+ * @param {Array} rejectedKeys - Keys of the rejected blocks
+ * @returns {Object|null} - The command to run, or null if nothing is left
+ */
+export const removeRejectedBlocks = (commandResult, rejectedKeys) => {
+  if (rejectedKeys.length === 0) return commandResult;
+
+  const steps = getSteps(commandResult)
+    .map((step, stepIndex) => {
+      if (!Array.isArray(step.blocks)) return step;
+      const blocks = step.blocks.filter(
+        (_, blockIndex) =>
+          !rejectedKeys.includes(getBlockKey(stepIndex, blockIndex))
+      );
+      return blocks.length > 0 ? { ...step, blocks } : null;
+    })
+    .filter(Boolean);
+
+  if (steps.length === 0) return null;
+  if (commandResult.action !== "COMPOUND") return steps[0];
+
+  // A compound command needs at least two steps
+  if (steps.length === 1) {
+    return {
+      ...steps[0],
+      rawCommand: commandResult.rawCommand,
+      rawTranscription: commandResult.rawTranscription,
+    };
+  }
+  return { ...commandResult, commands: steps };
+};
+
+export default {
+  describeCommand,
+  getBlockPreviewText,
+  diffBlocks,
+  buildResultPreview,
+  removeRejectedBlocks,
+};